@@ -67,12 +67,17 @@ export function renderAccountsList() {
       additionalInfo = `<div class="account-credit-info">Limit: ${formatMoney(creditLimit)} | Utilization: ${utilization}%</div>`;
     }
 
+    const linkedInfo = account.plaidAccountId
+      ? '<div class="account-credit-info">🏦 Balance synced from bank</div>'
+      : '';
+
     div.innerHTML = `
       <div class="account-info">
         <div class="account-name">${account.name}</div>
         <div class="account-type-badge badge-${account.type}">${typeLabel}</div>
         <div class="account-balance">Balance: ${formatMoney(balance)}</div>
         ${additionalInfo}
+        ${linkedInfo}
       </div>
       <div class="account-actions">
         <button onclick="window.accountModule.editAccount('${account.id}')" class="btn-primary" style="padding:5px 10px; border:none; border-radius:4px; cursor:pointer;">Edit</button>
@@ -439,6 +444,135 @@ export function renderAccountSelector(selectId, selectedAccountId = null) {
   });
 }
 
+/**
+ * Create an account without the account modal (used by statement import)
+ * @param {Object} accountData - Account data
+ * @param {string} accountData.name - Account name
+ * @param {string} accountData.type - One of ACCOUNT_TYPES
+ * @param {number} [accountData.currentBalance=0] - Current balance (amount owed for credit cards)
+ * @param {number|null} [accountData.creditLimit=null] - Credit limit (credit cards only)
+ * @returns {Promise<string|null>} New account ID, or null on failure
+ */
+export async function createAccount({ name, type, currentBalance = 0, creditLimit = null }) {
+  // Credit cards must carry a limit; use 0 when the source doesn't report one
+  const limit = type === ACCOUNT_TYPES.CREDIT_CARD ? (creditLimit || 0) : null;
+
+  if (useSupabase && currentBudget && accountService) {
+    const { data, error } = await accountService.createAccount(currentBudget.id, {
+      name,
+      type,
+      current_balance: currentBalance,
+      credit_limit: limit
+    });
+    if (error) {
+      logger.error('Error creating account:', error);
+      return null;
+    }
+    return data?.id || null;
+  }
+
+  // localStorage mode
+  const data = stateManager.getActiveData();
+  if (!data.accounts) data.accounts = [];
+
+  const id = `acc_${Date.now()}_${Math.random().toString(36).substr(2, 5)}`;
+  data.accounts.push({
+    id,
+    name,
+    type,
+    currentBalance,
+    creditLimit: limit
+  });
+
+  stateManager.setActiveData(data);
+  return id;
+}
+
+/**
+ * Infer an app account type from a Plaid account's type/subtype
+ * @param {Object} plaidAccount - Account from Plaid /accounts/get
+ * @returns {string|null} One of ACCOUNT_TYPES, or null for types tracked elsewhere (loans are debts)
+ */
+function plaidAccountType(plaidAccount) {
+  const type = (plaidAccount.type || '').toLowerCase();
+  const subtype = (plaidAccount.subtype || '').toLowerCase();
+  if (type === 'credit') return ACCOUNT_TYPES.CREDIT_CARD;
+  if (type === 'investment' || type === 'brokerage') return ACCOUNT_TYPES.INVESTMENT;
+  if (type === 'depository') {
+    return ['savings', 'money market', 'cd', 'hsa'].includes(subtype) ? ACCOUNT_TYPES.SAVINGS : ACCOUNT_TYPES.CHECKING;
+  }
+  return null;
+}
+
+/**
+ * Get balance fields for a Plaid account
+ * Credit card balances are the amount owed; the limit falls back to owed + available credit.
+ * @param {Object} plaidAccount - Account from Plaid /accounts/get
+ * @param {string} type - App account type
+ * @returns {{current_balance: number, credit_limit: number|null}}
+ */
+function plaidAccountBalances(plaidAccount, type) {
+  const b = plaidAccount.balances || {};
+  const current = typeof b.current === 'number' ? b.current : (typeof b.available === 'number' ? b.available : 0);
+  if (type !== ACCOUNT_TYPES.CREDIT_CARD) {
+    return { current_balance: current, credit_limit: null };
+  }
+
+  let limit = typeof b.limit === 'number' ? b.limit : null;
+  if (limit === null && typeof b.current === 'number' && typeof b.available === 'number') {
+    limit = b.current + b.available;
+  }
+  return { current_balance: current, credit_limit: Math.max(limit || 0, 0) };
+}
+
+/**
+ * Create or refresh the app accounts linked to a bank connection's Plaid accounts
+ * New Plaid accounts get an accounts row; linked rows get their balance (and credit limit) updated.
+ * @param {Object} connection - Bank connection ({ item_id, institution })
+ * @param {Array<Object>} plaidAccounts - Accounts from Plaid /accounts/get
+ * @returns {Promise<Map<string, string>>} Plaid account id → app account id
+ */
+export async function syncPlaidAccounts(connection, plaidAccounts) {
+  const linked = new Map();
+  if (!useSupabase || !currentBudget || !accountService) return linked;
+
+  const byPlaidId = new Map(getAccounts().filter(a => a.plaidAccountId).map(a => [a.plaidAccountId, a]));
+
+  for (const plaidAccount of plaidAccounts) {
+    const type = plaidAccountType(plaidAccount);
+    if (!type || !plaidAccount.account_id) continue;
+
+    const balances = plaidAccountBalances(plaidAccount, type);
+    const existing = byPlaidId.get(plaidAccount.account_id);
+
+    if (existing) {
+      const updates = { current_balance: balances.current_balance };
+      if (existing.type === ACCOUNT_TYPES.CREDIT_CARD) updates.credit_limit = balances.credit_limit;
+      const { error } = await accountService.updateAccount(existing.id, updates);
+      if (error) logger.error('Error updating linked account balance:', error);
+      linked.set(plaidAccount.account_id, existing.id);
+      continue;
+    }
+
+    const mask = plaidAccount.mask ? ` ••${plaidAccount.mask}` : '';
+    const institution = connection.institution && connection.institution !== 'Unknown' ? `${connection.institution} ` : '';
+    const { data, error } = await accountService.createAccount(currentBudget.id, {
+      name: `${institution}${plaidAccount.name || ACCOUNT_TYPE_LABELS[type]}${mask}`,
+      type,
+      ...balances,
+      plaid_account_id: plaidAccount.account_id,
+      plaid_item_id: connection.item_id
+    });
+    if (error) {
+      logger.error('Error creating linked account:', error);
+      continue;
+    }
+    if (data?.id) linked.set(plaidAccount.account_id, data.id);
+  }
+
+  return linked;
+}
+
 /**
  * Create default checking account
  * @returns {Promise<boolean>} Success status
@@ -6,33 +6,56 @@
 import { stateManager } from './state-management.js';
 import { logger } from './logger.js';
 import { showToast } from './utils.js';
-import { RESIZE_DEBOUNCE, BUDGET_WARNINGS_DELAY } from './constants.js';
+import { RESIZE_DEBOUNCE, BUDGET_WARNINGS_DELAY, BUDGETING_MODES } from './constants.js';
 
 // Import feature modules
-import { initTransactions } from './transactions.js';
+import { initTransactions, canEditTransactionRecord, getViewedMonth, exitSelectionMode } from './transactions.js';
 import { initCategories } from './categories.js';
 import { initGoals } from './goals.js';
 import { initDebts } from './debts.js';
 import { initRecurring } from './recurring.js';
+import { initAccounts } from './accounts.js';
+import { initRules } from './rules.js';
+import { initCategorySuggestions } from './category-suggestions.js';
+import { initBankCategories } from './bank-categories.js';
+import { initTransfers } from './transfers.js';
+import { initSmartFilters } from './smart-filters.js';
+import { initBulkEdit } from './bulk-edit.js';
+import { initImportHistory } from './import-history.js';
+import { initDuplicates } from './duplicates.js';
+import { initEnvelopes, toLocalAllocation, toLocalActivity } from './envelopes.js';
+import { initCategoryBudgets, toLocalCategoryBudget } from './category-budgets.js';
+import { initTransactionHistory, loadTransactionHistory, getFallbackCategoryId, toLocalTransaction } from './transaction-history.js';
 
 // Import UI modules
 import { initRenderers, renderAll, updateMonthYearSelectors, renderProfileSelector } from './ui-renderers.js';
-import { initHandlers, initTheme, initTabs, checkBudgetWarnings, getSettings } from './ui-handlers.js';
+import { initHandlers, initTheme, initTabs, checkBudgetWarnings, getSettings, handleBankConnectionUpdates } from './ui-handlers.js';
 import { initNotifications } from './notifications.js';
 
 // Import Supabase integration
 import * as supabaseIntegration from '../services/supabase-integration.js';
+import { AccountServiceBrowser } from '../services/browser/accountService.browser.js';
+import { PlaidServiceBrowser } from '../services/browser/plaidService.browser.js';
 
 // External dependencies
 let useSupabase = false;
 let currentUser = null;
 let currentBudget = null;
 let userBudgets = [];
+let budgetService = null;
 let transactionService = null;
 let categoryService = null;
 let goalService = null;
 let debtService = null;
 let recurringService = null;
+let ruleService = null;
+let categoryMappingService = null;
+let savedFilterService = null;
+let importBatchService = null;
+let allocationService = null;
+let categoryBudgetService = null;
+let accountService = null;
+let plaidService = null;
 let realtimeService = null;
 let loadDataFromSupabase = null;
 let setupRealtimeSubscriptions = null;
@@ -87,6 +110,7 @@ export async function initApp() {
       debtService,
       recurringService,
       categoryService,
+      plaidService,
       onUpdate: (updateFn) => {
         // Update dependencies when they change
         if (typeof updateFn === 'function') {
@@ -158,12 +182,21 @@ async function initSupabaseIntegration() {
     
     // Load services
     const services = await import('../services/supabase-browser.js');
+    budgetService = services.budgetService || null;
     transactionService = services.transactionService || null;
     categoryService = services.categoryService || null;
     goalService = services.goalService || null;
     debtService = services.debtService || null;
     recurringService = services.recurringService || null;
+    ruleService = services.ruleService || null;
+    categoryMappingService = services.categoryMappingService || null;
+    savedFilterService = services.savedFilterService || null;
+    importBatchService = services.importBatchService || null;
+    allocationService = services.allocationService || null;
+    categoryBudgetService = services.categoryBudgetService || null;
     realtimeService = services.realtimeService || null;
+    accountService = window.supabase ? new AccountServiceBrowser(window.supabase) : null;
+    plaidService = window.supabase ? new PlaidServiceBrowser(window.supabase) : null;
     
     // Create loadDataFromSupabase wrapper that uses stateManager
     loadDataFromSupabase = createLoadDataFromSupabase();
@@ -219,6 +252,7 @@ async function initializeFeatureModules() {
   initGoals({
     goalService,
     currentBudget,
+    currentUser,
     useSupabase,
     loadDataFromSupabase,
     renderAll,
@@ -254,6 +288,167 @@ async function initializeFeatureModules() {
       useSupabase = getUseSupabaseSync();
     }
   });
+  
+  // Initialize categorization rules
+  initRules({
+    ruleService,
+    transactionService,
+    currentBudget,
+    useSupabase,
+    loadDataFromSupabase,
+    renderAll,
+    canEditTransaction: canEditTransactionRecord,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize learned category suggestions
+  initCategorySuggestions({
+    transactionService,
+    currentBudget,
+    useSupabase,
+    loadDataFromSupabase,
+    renderAll,
+    canEditTransaction: canEditTransactionRecord,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize bank category mappings
+  initBankCategories({
+    categoryMappingService,
+    currentBudget,
+    useSupabase,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize bulk edit
+  initBulkEdit({
+    transactionService,
+    currentBudget,
+    useSupabase,
+    loadDataFromSupabase,
+    renderAll,
+    canEditTransaction: canEditTransactionRecord,
+    exitSelectionMode,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize import history
+  initImportHistory({
+    importBatchService,
+    currentBudget,
+    currentUser,
+    useSupabase,
+    loadDataFromSupabase,
+    renderAll,
+    canEditTransaction: canEditTransactionRecord,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize duplicate finder
+  initDuplicates({
+    transactionService,
+    currentBudget,
+    useSupabase,
+    loadDataFromSupabase,
+    renderAll,
+    canEditTransaction: canEditTransactionRecord,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize zero-based budgeting (envelopes)
+  initEnvelopes({
+    allocationService,
+    budgetService,
+    currentBudget,
+    useSupabase,
+    loadDataFromSupabase,
+    renderAll,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize per-month category budgets
+  initCategoryBudgets({
+    categoryBudgetService,
+    categoryService,
+    currentBudget,
+    useSupabase,
+    loadDataFromSupabase,
+    renderAll,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize transaction history paging
+  initTransactionHistory({
+    transactionService,
+    currentBudget,
+    useSupabase,
+    renderAll,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize smart filters
+  initSmartFilters({
+    savedFilterService,
+    currentBudget,
+    useSupabase,
+    loadDataFromSupabase,
+    renderAll,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize transfers
+  initTransfers({
+    accountService,
+    currentBudget,
+    useSupabase,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
+  
+  // Initialize accounts
+  initAccounts({
+    accountService,
+    currentBudget,
+    useSupabase,
+    loadDataFromSupabase,
+    renderAll,
+    onUpdate: () => {
+      currentBudget = getCurrentBudgetSync();
+      useSupabase = getUseSupabaseSync();
+    }
+  });
 }
 
 /**
@@ -534,13 +729,14 @@ function createLoadDataFromSupabase() {
     logger.log('[loadDataFromSupabase] start for budget:', budgetContext.id, budgetContext.name || '');
     
     try {
-      // Load transactions
-      const { data: transactions, error: txError } = await transactionService.getTransactions(budgetContext.id);
+      // Load transactions (the viewed month onward; older history is paged in on demand)
+      const { data: transactions, error: txError, history: transactionHistory } =
+        await loadTransactionHistory(budgetContext.id, getViewedMonth());
       if (!isStillCurrent()) return;
       if (txError) {
         logger.error('Error loading transactions:', txError);
       } else {
-        logger.log('Loaded transactions from Supabase:', transactions?.length || 0);
+        logger.log('Loaded transactions from Supabase:', transactions?.length || 0, 'since', transactionHistory.loadedFrom || 'the start');
       }
       
       // Load categories
@@ -568,24 +764,69 @@ function createLoadDataFromSupabase() {
       if (!isStillCurrent()) return;
       if (recError) logger.error('Error loading recurring transactions:', recError);
       
-      const otherCategoryId =
-        (categories || []).find(c => (c?.name || '').toLowerCase() === 'other')?.id ||
-        (categories || []).find(c => (c?.name || '').toLowerCase().includes('other'))?.id ||
-        null;
+      // Load categorization rules
+      const { data: rules, error: ruleError } = ruleService
+        ? await ruleService.getRules(budgetContext.id)
+        : { data: [], error: null };
+      if (!isStillCurrent()) return;
+      if (ruleError) logger.error('Error loading rules:', ruleError);
+      
+      // Load Plaid category mappings
+      const { data: plaidCategoryMappings, error: mappingError } = categoryMappingService
+        ? await categoryMappingService.getMappings(budgetContext.id)
+        : { data: [], error: null };
+      if (!isStillCurrent()) return;
+      if (mappingError) logger.error('Error loading bank category mappings:', mappingError);
+      
+      // Load smart filters
+      const { data: savedFilters, error: savedFilterError } = savedFilterService
+        ? await savedFilterService.getSavedFilters(budgetContext.id)
+        : { data: [], error: null };
+      if (!isStillCurrent()) return;
+      if (savedFilterError) logger.error('Error loading smart filters:', savedFilterError);
+      
+      // Load amounts assigned to categories (zero-based budgets)
+      const budgetingMode = budgetContext.budgeting_mode || BUDGETING_MODES.STANDARD;
+      const { data: allocations, error: allocationError } = allocationService
+        ? await allocationService.getAllocations(budgetContext.id)
+        : { data: [], error: null };
+      if (!isStillCurrent()) return;
+      if (allocationError) logger.error('Error loading category allocations:', allocationError);
+      
+      // Load category budget history
+      const { data: categoryBudgets, error: categoryBudgetError } = categoryBudgetService
+        ? await categoryBudgetService.getCategoryBudgets(budgetContext.id)
+        : { data: [], error: null };
+      if (!isStillCurrent()) return;
+      if (categoryBudgetError) logger.error('Error loading category budgets:', categoryBudgetError);
+      
+      // Rollover balances, budget averages and month comparisons need spending from before the
+      // loaded transaction history
+      const activityBefore = transactionService ? transactionHistory.loadedFrom : null;
+      const { data: categoryActivity, error: activityError } = activityBefore
+        ? await transactionService.getCategoryActivity(budgetContext.id, activityBefore)
+        : { data: [], error: null };
+      if (!isStillCurrent()) return;
+      if (activityError) logger.error('Error loading category activity:', activityError);
+      
+      // Load accounts
+      const { data: accounts, error: accError } = accountService
+        ? await accountService.getAccounts(budgetContext.id)
+        : { data: [], error: null };
+      if (!isStillCurrent()) return;
+      if (accError) logger.error('Error loading accounts:', accError);
+      
+      // Load bank connections (the server keeps the Plaid access tokens)
+      const { data: plaidItems, error: plaidError } = plaidService
+        ? await plaidService.getItems(budgetContext.id)
+        : { data: null, error: null };
+      if (!isStillCurrent()) return;
+      if (plaidError) logger.warn('Bank connections unavailable:', plaidError.message);
+      
+      const otherCategoryId = getFallbackCategoryId(categories);
 
       // Transform Supabase data to match localStorage format
-      const transformedTransactions = (transactions || []).map(t => ({
-        id: t.id,
-        date: t.date,
-        description: t.description,
-        amount: parseFloat(t.amount),
-        type: t.type,
-        categoryId: t.category_id || t.category?.id || t.categories?.id || otherCategoryId || null,
-        merchant: t.merchant || undefined,
-        note: t.notes || undefined,
-        userId: t.user_id,
-        user: t.user
-      }));
+      const transformedTransactions = (transactions || []).map(t => toLocalTransaction(t, otherCategoryId));
       
       let transformedCategories = (categories || []).map(c => ({
         id: c.id,
@@ -704,6 +945,62 @@ function createLoadDataFromSupabase() {
         nextDate: r.next_date
       }));
       
+      const transformedRules = (rules || []).map(r => ({
+        id: r.id,
+        name: r.name,
+        priority: r.priority,
+        enabled: r.enabled !== false,
+        matchField: r.match_field,
+        matchOperator: r.match_operator,
+        pattern: r.pattern || '',
+        minAmount: r.min_amount != null ? parseFloat(r.min_amount) : null,
+        maxAmount: r.max_amount != null ? parseFloat(r.max_amount) : null,
+        accountId: r.account_id || null,
+        matchType: r.match_type || null,
+        setCategoryId: r.set_category_id || null,
+        setType: r.set_type || null,
+        setMerchant: r.set_merchant || null,
+        setNote: r.set_notes || null,
+        addTags: r.add_tags || []
+      }));
+      
+      const transformedMappings = (plaidCategoryMappings || []).map(m => ({
+        plaidCategory: m.plaid_category,
+        categoryId: m.category_id
+      }));
+      
+      const transformedSavedFilters = (savedFilters || []).map(f => ({
+        id: f.id,
+        name: f.name,
+        query: f.query
+      }));
+      
+      const transformedAllocations = (allocations || []).map(toLocalAllocation);
+      const transformedCategoryBudgets = (categoryBudgets || []).map(toLocalCategoryBudget);
+      
+      const transformedAccounts = (accounts || []).map(a => ({
+        id: a.id,
+        name: a.name,
+        type: a.type,
+        currentBalance: parseFloat(a.current_balance) || 0,
+        creditLimit: a.credit_limit != null ? parseFloat(a.credit_limit) : null,
+        plaidAccountId: a.plaid_account_id || undefined,
+        plaidItemId: a.plaid_item_id || undefined
+      }));
+      
+      const transformedBankConnections = (plaidItems?.items || []).map(item => ({
+        item_id: item.item_id,
+        institution: item.institution_name || 'Unknown',
+        accounts: item.accounts || [],
+        excludedAccountIds: item.excluded_account_ids || [],
+        status: item.status || 'ok',
+        statusUpdatedAt: item.status_updated_at || null,
+        consentExpiresAt: item.consent_expires_at || null,
+        syncRequestedAt: item.sync_requested_at || null,
+        lastSyncedAt: item.last_synced_at || null,
+        lastError: item.last_error || null
+      }));
+      
       // Update state with Supabase data
       const budgetDataKey = budgetContext.id;
       logger.log('Updating state with Supabase data:', {
@@ -725,10 +1022,22 @@ function createLoadDataFromSupabase() {
             ? transformedCategories
             : JSON.parse(JSON.stringify(DEFAULT_CATEGORIES)),
         transactions: transformedTransactions,
+        transactionHistory,
         savingsGoals: transformedSavingsGoals,
         financialGoals: transformedFinancialGoals,
         debts: transformedDebts,
         recurringTransactions: transformedRecurring,
+        accounts: transformedAccounts,
+        rules: transformedRules,
+        plaidCategoryMappings: transformedMappings,
+        savedFilters: transformedSavedFilters,
+        budgetingMode,
+        categoryAllocations: transformedAllocations,
+        categoryBudgets: transformedCategoryBudgets,
+        categoryActivity: activityBefore
+          ? { before: activityBefore, rows: toLocalActivity(categoryActivity, otherCategoryId) }
+          : null,
+        bankConnections: transformedBankConnections,
         lastImportBatchIds: []
       });
       
@@ -737,6 +1046,9 @@ function createLoadDataFromSupabase() {
       // Render UI after data is loaded
       renderAll();
       
+      // Run webhook-queued bank syncs and surface connection problems (don't block the load)
+      handleBankConnectionUpdates().catch(err => logger.error('Error handling bank connection updates:', err));
+      
       logger.log('[loadDataFromSupabase] complete for budget:', budgetDataKey);
     } catch (error) {
       logger.error('[loadDataFromSupabase] Error loading data from Supabase:', error);
@@ -930,9 +1242,18 @@ function handleRealtimeUpdate(type, payload) {
       description: record.description,
       amount: parseFloat(record.amount),
       type: record.type,
-      categoryId: record.category_id || 'other',
+      categoryId: record.type === 'transfer' ? null : record.category_id || 'other',
       merchant: record.merchant || undefined,
       note: record.notes || undefined,
+      accountId: record.account_id || undefined,
+      transferAccountId: record.transfer_account_id || undefined,
+      transferDirection: record.transfer_direction || undefined,
+      externalId: record.external_id || undefined,
+      plaid_id: record.plaid_id || undefined,
+      pending: !!record.pending,
+      plaidCategoryPrimary: record.plaid_category_primary || undefined,
+      plaidCategoryDetailed: record.plaid_category_detailed || undefined,
+      tags: Array.isArray(record.tags) ? record.tags : [],
       userId: record.user_id
     };
   };
@@ -0,0 +1,241 @@
+/**
+ * Bank Categories Module
+ * Maps Plaid personal_finance_category codes to the budget's own categories for bank imports
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { showToast } from './utils.js';
+import { PLAID_CATEGORY_PRIMARIES, PLAID_CATEGORY_DEFAULTS, TOAST_TYPES } from './constants.js';
+
+// External dependencies (will be injected)
+let categoryMappingService = null;
+let currentBudget = null;
+let useSupabase = false;
+
+/**
+ * Initialize bank categories module with dependencies
+ * @param {Object} deps - Dependencies object
+ */
+export function initBankCategories(deps) {
+  categoryMappingService = deps.categoryMappingService;
+  currentBudget = deps.currentBudget;
+  useSupabase = deps.useSupabase;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Get the budget's Plaid category mappings
+ * @returns {Array<{ plaidCategory: string, categoryId: string }>} Mappings
+ */
+export function getPlaidCategoryMappings() {
+  return stateManager.getActiveData().plaidCategoryMappings || [];
+}
+
+/**
+ * Translate a Plaid personal finance category into a budget category
+ * A mapping for the detailed code wins over one for its primary.
+ * @param {string|null} primary - e.g. FOOD_AND_DRINK
+ * @param {string|null} detailed - e.g. FOOD_AND_DRINK_GROCERIES
+ * @returns {string|null} Budget category ID, or null when unmapped
+ */
+export function mapPlaidCategory(primary, detailed) {
+  const data = stateManager.getActiveData();
+  const categoryIds = new Set((data.categories || []).map(c => c.id));
+  const mappings = getPlaidCategoryMappings();
+
+  for (const code of [detailed, primary]) {
+    if (!code) continue;
+    const categoryId = mappings.find(m => m.plaidCategory === code)?.categoryId;
+    if (categoryId && categoryIds.has(categoryId)) return categoryId;
+  }
+  return null;
+}
+
+/**
+ * Build the default mappings for the budget's categories (matched by name)
+ * @returns {Array<Object>} plaid_category_mappings rows (without budget_id)
+ */
+function buildDefaultMappings() {
+  const categories = stateManager.getActiveData().categories || [];
+  const byName = new Map(categories.map(c => [(c.name || '').toLowerCase(), c.id]));
+
+  return Object.entries(PLAID_CATEGORY_DEFAULTS)
+    .map(([code, names]) => {
+      const name = names.find(n => byName.has(n.toLowerCase()));
+      return name ? { plaid_category: code, category_id: byName.get(name.toLowerCase()) } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Save mapping rows and mirror them into local state
+ * @param {Array<Object>} rows - plaid_category_mappings rows (without budget_id)
+ * @returns {Promise<boolean>} True on success
+ */
+async function saveMappings(rows) {
+  if (rows.length === 0) return true;
+  const { error } = await categoryMappingService.upsertMappings(currentBudget.id, rows);
+  if (error) {
+    logger.error('Error saving bank category mappings:', error);
+    return false;
+  }
+
+  const data = stateManager.getActiveData();
+  const byCode = new Map(getPlaidCategoryMappings().map(m => [m.plaidCategory, m]));
+  rows.forEach(r => byCode.set(r.plaid_category, { plaidCategory: r.plaid_category, categoryId: r.category_id }));
+  data.plaidCategoryMappings = [...byCode.values()];
+  stateManager.setActiveData(data);
+  return true;
+}
+
+/**
+ * Seed default mappings the first time a budget links a bank
+ * Does nothing if the budget already has mappings (including ones the user edited).
+ * @returns {Promise<void>}
+ */
+export async function seedPlaidCategoryMappings() {
+  if (!useSupabase || !currentBudget || !categoryMappingService) return;
+  if (getPlaidCategoryMappings().length > 0) return;
+
+  const defaults = buildDefaultMappings();
+  if (await saveMappings(defaults)) {
+    logger.log(`Seeded ${defaults.length} bank category mappings`);
+  }
+}
+
+/**
+ * Replace the budget's mappings with the defaults
+ * @returns {Promise<void>}
+ */
+export async function resetPlaidCategoryMappings() {
+  if (!useSupabase || !currentBudget || !categoryMappingService) return;
+  if (!confirm('Reset bank category mappings to the defaults? Your custom mappings will be removed.')) return;
+
+  const defaults = buildDefaultMappings();
+  const defaultCodes = new Set(defaults.map(d => d.plaid_category));
+  try {
+    for (const mapping of getPlaidCategoryMappings()) {
+      if (defaultCodes.has(mapping.plaidCategory)) continue;
+      const { error } = await categoryMappingService.deleteMapping(currentBudget.id, mapping.plaidCategory);
+      if (error) throw error;
+    }
+
+    const data = stateManager.getActiveData();
+    data.plaidCategoryMappings = [];
+    stateManager.setActiveData(data);
+    if (!(await saveMappings(defaults))) throw new Error('Could not save default mappings');
+
+    showToast('Bank category mappings reset', TOAST_TYPES.SUCCESS);
+  } catch (error) {
+    logger.error('Error resetting bank category mappings:', error);
+    showToast(`Error: ${error.message}`, TOAST_TYPES.ERROR);
+  }
+  renderBankCategoryMappings();
+}
+
+/**
+ * Map (or unmap) one Plaid category
+ * @param {string} code - Plaid primary or detailed code
+ * @param {string} categoryId - Budget category ID, or '' to remove the mapping
+ * @returns {Promise<void>}
+ */
+async function setPlaidCategoryMapping(code, categoryId) {
+  if (!useSupabase || !currentBudget || !categoryMappingService) return;
+
+  if (categoryId) {
+    if (!(await saveMappings([{ plaid_category: code, category_id: categoryId }]))) {
+      showToast('Error saving bank category mapping', TOAST_TYPES.ERROR);
+      renderBankCategoryMappings();
+      return;
+    }
+  } else {
+    const { error } = await categoryMappingService.deleteMapping(currentBudget.id, code);
+    if (error) {
+      logger.error('Error removing bank category mapping:', error);
+      showToast(`Error: ${error.message}`, TOAST_TYPES.ERROR);
+      renderBankCategoryMappings();
+      return;
+    }
+    const data = stateManager.getActiveData();
+    data.plaidCategoryMappings = getPlaidCategoryMappings().filter(m => m.plaidCategory !== code);
+    stateManager.setActiveData(data);
+  }
+
+  showToast('Bank category mapping saved. It applies to future bank imports.', TOAST_TYPES.SUCCESS);
+}
+
+/**
+ * Turn a detailed code into a label, e.g. FOOD_AND_DRINK_GROCERIES -> "Groceries"
+ * @param {string} primary - Primary code
+ * @param {string} detailed - Detailed code
+ * @returns {string} Label
+ */
+function detailedLabel(primary, detailed) {
+  return detailed
+    .slice(primary.length + 1)
+    .toLowerCase()
+    .split('_')
+    .map(word => (word === 'and' ? '&' : word.charAt(0).toUpperCase() + word.slice(1)))
+    .join(' ');
+}
+
+/**
+ * Render the bank category mapping table in settings
+ * Lists every Plaid primary category, plus the detailed codes this budget has seen or mapped.
+ */
+export function renderBankCategoryMappings() {
+  const container = document.getElementById('bankCategoryMappingsList');
+  const resetBtn = document.getElementById('resetBankCategoriesBtn');
+  if (!container) return;
+
+  if (!useSupabase) {
+    container.innerHTML = '<p style="color: var(--text-secondary); font-size: 14px;">Sign in to a budget to connect banks and map their categories.</p>';
+    if (resetBtn) resetBtn.style.display = 'none';
+    return;
+  }
+  if (resetBtn) resetBtn.style.display = '';
+
+  const data = stateManager.getActiveData();
+  const categories = data.categories || [];
+  const mappings = new Map(getPlaidCategoryMappings().map(m => [m.plaidCategory, m.categoryId]));
+  const seenDetailed = new Set([
+    ...(data.transactions || []).map(t => t.plaidCategoryDetailed).filter(Boolean),
+    ...[...mappings.keys()].filter(code => !PLAID_CATEGORY_PRIMARIES[code])
+  ]);
+
+  const options = (selected, emptyLabel) =>
+    `<option value="">${emptyLabel}</option>` +
+    categories.map(c => `<option value="${c.id}" ${c.id === selected ? 'selected' : ''}>${c.name}</option>`).join('');
+
+  container.innerHTML = Object.entries(PLAID_CATEGORY_PRIMARIES).map(([primary, label]) => {
+    const detailedRows = [...seenDetailed]
+      .filter(code => code.startsWith(`${primary}_`))
+      .sort()
+      .map(code => `
+        <div class="bank-category-row bank-category-detailed">
+          <span>${detailedLabel(primary, code)}</span>
+          <select class="bank-category-select" data-code="${code}">${options(mappings.get(code), `Same as ${label}`)}</select>
+        </div>
+      `).join('');
+
+    return `
+      <div class="bank-category-row">
+        <span>${label}</span>
+        <select class="bank-category-select" data-code="${primary}">${options(mappings.get(primary), 'Not mapped')}</select>
+      </div>
+      ${detailedRows}
+    `;
+  }).join('');
+
+  container.querySelectorAll('.bank-category-select').forEach(select => {
+    select.addEventListener('change', () => setPlaidCategoryMapping(select.dataset.code, select.value));
+  });
+}
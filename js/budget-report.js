@@ -0,0 +1,392 @@
+/**
+ * Budget Report Module
+ * Budget vs. actual grid: a row per category and a column per month with what was budgeted, what
+ * actually came in or went out, what's left and how far over or under budget it went. Covers a
+ * quarter, a year or a custom range, and exports the same grid to CSV and PDF.
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { formatMoney, showToast, currentMonthISO, addMonths, formatMonthLabel } from './utils.js';
+import { BUDGET_REPORT, TOAST_TYPES } from './constants.js';
+import { getMonthlyActivity } from './envelopes.js';
+import { getMonthBudgets } from './category-budgets.js';
+import { toCsv } from './csv.js';
+
+const MEASURES = ['Budgeted', 'Actual', 'Remaining', 'Variance'];
+
+/**
+ * Months in a report range
+ * Quarters and years are the calendar ones containing this month (or the ones before).
+ * @param {string} range - this_quarter, last_quarter, this_year, last_year or custom
+ * @param {string} [from] - First month of a custom range (YYYY-MM)
+ * @param {string} [to] - Last month of a custom range (YYYY-MM)
+ * @param {string} [today] - The current month (YYYY-MM)
+ * @returns {{ months: Array<string>, error: string|null }} Months in order, or why the range is invalid
+ */
+export function getReportMonths(range, from, to, today = currentMonthISO()) {
+  const [year, month] = today.split('-').map(Number);
+  const quarterStart = `${year}-${String(Math.floor((month - 1) / 3) * 3 + 1).padStart(2, '0')}`;
+  let start;
+  let end;
+
+  switch (range) {
+    case 'last_quarter':
+      start = addMonths(quarterStart, -3);
+      end = addMonths(start, 2);
+      break;
+    case 'this_year':
+      start = `${year}-01`;
+      end = `${year}-12`;
+      break;
+    case 'last_year':
+      start = `${year - 1}-01`;
+      end = `${year - 1}-12`;
+      break;
+    case 'custom':
+      if (!/^\d{4}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}$/.test(to || '')) {
+        return { months: [], error: 'Choose the first and last month of the range.' };
+      }
+      if (from > to) {
+        return { months: [], error: 'The first month must come before the last month.' };
+      }
+      start = from;
+      end = to;
+      break;
+    case 'this_quarter':
+    default:
+      start = quarterStart;
+      end = addMonths(start, 2);
+  }
+
+  const months = [];
+  for (let m = start; m <= end; m = addMonths(m, 1)) {
+    months.push(m);
+    if (months.length > BUDGET_REPORT.MAX_MONTHS) {
+      return { months: [], error: `Ranges can be up to ${BUDGET_REPORT.MAX_MONTHS} months long.` };
+    }
+  }
+  return { months, error: null };
+}
+
+/**
+ * One grid cell
+ * Income has no budget, so only its actual amount is filled in. Variance is how far over (positive)
+ * or under (negative) budget spending went, as a fraction of the budget.
+ * @param {number|null} budgeted - Budgeted amount (null for income)
+ * @param {number} actual - Amount spent or received
+ * @returns {{ budgeted: number|null, actual: number, remaining: number|null, variance: number|null }} Cell
+ */
+function toCell(budgeted, actual) {
+  if (budgeted === null) return { budgeted: null, actual, remaining: null, variance: null };
+  return {
+    budgeted,
+    actual,
+    remaining: budgeted - actual,
+    variance: budgeted > 0 ? (actual - budgeted) / budgeted : null
+  };
+}
+
+/**
+ * Add up cells
+ * @param {Array<Object>} cells - Cells from toCell()
+ * @returns {Object} Total cell
+ */
+function sumCells(cells) {
+  const hasBudget = cells.some(c => c.budgeted !== null);
+  return toCell(
+    hasBudget ? cells.reduce((sum, c) => sum + (c.budgeted || 0), 0) : null,
+    cells.reduce((sum, c) => sum + c.actual, 0)
+  );
+}
+
+/**
+ * Work out the budget vs. actual grid
+ * Expense rows are categories with a budget or spending in the range, income rows categories that
+ * received money in it. Every row has a cell per month and a total cell at the end.
+ * @param {Array<string>} months - Months in order (YYYY-MM)
+ * @param {Object} [data] - Active data (defaults to the state manager's)
+ * @returns {{ months: Array<string>, income: { rows: Array<Object>, subtotal: Array<Object> }, expense: { rows: Array<Object>, subtotal: Array<Object> }, net: Array<Object> }}
+ *   Rows are { categoryId, name, color, cells }; subtotal and net are cell arrays
+ */
+export function buildBudgetReport(months, data = stateManager.getActiveData()) {
+  const activity = getMonthlyActivity(data);
+  const budgets = months.map(m => getMonthBudgets(m, data));
+  const categories = (data.categories || [])
+    .slice()
+    .sort((a, b) => (a.display_order ?? a.order ?? 0) - (b.display_order ?? b.order ?? 0) || (a.name || '').localeCompare(b.name || ''));
+
+  // Categories in display order, then any that no longer exist (e.g. deleted with history left)
+  const orderIds = (ids) => [
+    ...categories.filter(c => ids.has(c.id)).map(c => c.id),
+    ...[...ids].filter(id => !categories.some(c => c.id === id))
+  ];
+  const toRow = (categoryId, cells) => {
+    const cat = categories.find(c => c.id === categoryId);
+    return { categoryId, name: cat ? cat.name : 'Unknown', color: cat?.color || null, cells: [...cells, sumCells(cells)] };
+  };
+
+  const expenseIds = new Set();
+  const incomeIds = new Set();
+  months.forEach((m, i) => {
+    Object.entries(budgets[i]).forEach(([id, amount]) => { if (amount > 0) expenseIds.add(id); });
+    Object.entries(activity.get(m)?.spent || {}).forEach(([id, amount]) => { if (amount) expenseIds.add(id); });
+    Object.entries(activity.get(m)?.received || {}).forEach(([id, amount]) => { if (amount) incomeIds.add(id); });
+  });
+
+  const expenseRows = orderIds(expenseIds).map(id => toRow(id, months.map((m, i) =>
+    toCell(budgets[i][id] || 0, activity.get(m)?.spent[id] || 0))));
+  const incomeRows = orderIds(incomeIds).map(id => toRow(id, months.map(m =>
+    toCell(null, activity.get(m)?.received[id] || 0))));
+
+  const columnCount = months.length + 1;
+  const subtotal = (rows, budgeted) => Array.from({ length: columnCount }, (_, i) =>
+    rows.length ? sumCells(rows.map(r => r.cells[i])) : toCell(budgeted ? 0 : null, 0));
+  const income = { rows: incomeRows, subtotal: subtotal(incomeRows, false) };
+  const expense = { rows: expenseRows, subtotal: subtotal(expenseRows, true) };
+  const net = income.subtotal.map((cell, i) => toCell(null, cell.actual - expense.subtotal[i].actual));
+
+  return { months, income, expense, net };
+}
+
+/**
+ * Flatten the grid into the rows shown and exported
+ * @param {Object} report - From buildBudgetReport()
+ * @returns {Array<{ kind: string, group: string, label: string, color?: string|null, cells?: Array<Object> }>}
+ *   kind is 'group' (a heading without cells), 'category', 'subtotal' or 'net'
+ */
+function getReportRows(report) {
+  const rows = [];
+  [['Income', report.income], ['Expenses', report.expense]].forEach(([group, section]) => {
+    rows.push({ kind: 'group', group, label: group });
+    section.rows.forEach(r => rows.push({ kind: 'category', group, label: r.name, color: r.color, cells: r.cells }));
+    rows.push({ kind: 'subtotal', group, label: `Total ${group}`, cells: section.subtotal });
+  });
+  rows.push({ kind: 'net', group: '', label: 'Net (Income - Expenses)', cells: report.net });
+  return rows;
+}
+
+/**
+ * A cell's four figures as display text
+ * Figures that don't apply (income budgets, variance without a budget) are left blank. Plain
+ * ASCII only, since the PDF's built-in fonts don't have typographic dashes.
+ * @param {Object} cell - Cell from toCell()
+ * @returns {Array<string>} Budgeted, actual, remaining and variance (e.g. "+12%")
+ */
+function formatCell(cell) {
+  const percent = cell.variance === null ? null : Math.round(cell.variance * 100);
+  return [
+    cell.budgeted === null ? '' : formatMoney(cell.budgeted),
+    formatMoney(cell.actual),
+    cell.remaining === null ? '' : formatMoney(cell.remaining),
+    percent === null ? '' : `${percent > 0 ? '+' : ''}${percent}%`
+  ];
+}
+
+/**
+ * Read the range controls
+ * @returns {{ months: Array<string>, error: string|null }} Selected months
+ */
+function getSelectedMonths() {
+  const range = document.getElementById('budgetReportRange')?.value || 'this_quarter';
+  const from = document.getElementById('budgetReportFrom')?.value;
+  const to = document.getElementById('budgetReportTo')?.value;
+  return getReportMonths(range, from, to);
+}
+
+/**
+ * Describe a range of months
+ * @param {Array<string>} months - Months in order
+ * @returns {string} e.g. "July 2026 - September 2026"
+ */
+function describeRange(months) {
+  const first = formatMonthLabel(months[0]);
+  const last = formatMonthLabel(months[months.length - 1]);
+  return first === last ? first : `${first} - ${last}`;
+}
+
+/**
+ * Render the budget vs. actual grid for the selected range
+ */
+export function renderBudgetReport() {
+  const grid = document.getElementById('budgetReportGrid');
+  if (!grid) return;
+
+  const rangeSelect = document.getElementById('budgetReportRange');
+  const custom = document.getElementById('budgetReportCustomRange');
+  const isCustom = rangeSelect?.value === 'custom';
+  if (custom) custom.style.display = isCustom ? '' : 'none';
+  if (isCustom) {
+    // Start a new custom range at this year so far
+    const from = document.getElementById('budgetReportFrom');
+    const to = document.getElementById('budgetReportTo');
+    if (from && !from.value) from.value = `${currentMonthISO().slice(0, 4)}-01`;
+    if (to && !to.value) to.value = currentMonthISO();
+  }
+
+  const { months, error } = getSelectedMonths();
+  if (error) {
+    grid.innerHTML = `<p style="color: var(--text-secondary);">${error}</p>`;
+    return;
+  }
+
+  const report = buildBudgetReport(months);
+  if (!report.income.rows.length && !report.expense.rows.length) {
+    grid.innerHTML = `<p style="color: var(--text-secondary);">No budgets or transactions for ${describeRange(months)}.</p>`;
+    return;
+  }
+
+  const columns = [...months.map(m => formatMonthLabel(m, 'short')), 'Total'];
+  const span = 1 + columns.length * MEASURES.length;
+  grid.innerHTML = `
+    <table class="budget-report-table">
+      <thead>
+        <tr>
+          <th rowspan="2" class="budget-report-category">Category</th>
+          ${columns.map(label => `<th colspan="${MEASURES.length}" class="budget-report-month">${label}</th>`).join('')}
+        </tr>
+        <tr>${columns.map(() => MEASURES.map(m => `<th>${m}</th>`).join('')).join('')}</tr>
+      </thead>
+      <tbody>
+        ${getReportRows(report).map(row => {
+          if (row.kind === 'group') {
+            return `<tr class="budget-report-group"><td colspan="${span}">${row.label}</td></tr>`;
+          }
+          const swatch = row.color ? `<span class="envelope-color" style="background: ${row.color}"></span>` : '';
+          return `
+            <tr class="budget-report-${row.kind}">
+              <td class="budget-report-category">${swatch}${row.label}</td>
+              ${row.cells.map(cell => {
+                const [budgeted, actual, remaining, variance] = formatCell(cell);
+                const over = cell.variance !== null && cell.variance > 0;
+                return `
+                  <td>${budgeted}</td>
+                  <td>${actual}</td>
+                  <td class="${cell.remaining !== null && cell.remaining < -0.005 ? 'negative' : ''}">${remaining}</td>
+                  <td class="budget-report-variance ${over ? 'over' : cell.variance !== null ? 'under' : ''}">${variance}</td>
+                `;
+              }).join('')}
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Export the grid for the selected range to CSV
+ */
+export function exportBudgetReportCsv() {
+  const { months, error } = getSelectedMonths();
+  if (error) {
+    showToast(error, TOAST_TYPES.ERROR);
+    return;
+  }
+  const report = buildBudgetReport(months);
+  const round = (n) => (n === null ? '' : Math.round(n * 100) / 100);
+
+  const rows = [[
+    'Group',
+    'Category',
+    ...[...months, 'Total'].flatMap(m => MEASURES.map(measure =>
+      `${m === 'Total' ? m : formatMonthLabel(m, 'short')} ${measure}${measure === 'Variance' ? ' %' : ''}`))
+  ]];
+  getReportRows(report).forEach(row => {
+    if (row.kind === 'group') return;
+    rows.push([
+      row.group,
+      row.label,
+      ...row.cells.flatMap(cell => [
+        round(cell.budgeted),
+        round(cell.actual),
+        round(cell.remaining),
+        cell.variance === null ? '' : Math.round(cell.variance * 1000) / 10
+      ])
+    ]);
+  });
+  const csv = toCsv(rows, { bom: true });
+
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `budget-vs-actual-${months[0]}-to-${months[months.length - 1]}.csv`;
+  a.click();
+  URL.revokeObjectURL(url);
+
+  showToast('Budget report exported to CSV');
+}
+
+/**
+ * Export the grid for the selected range to PDF
+ * Months are split across several tables so each fits the page width.
+ */
+export function exportBudgetReportPdf() {
+  try {
+    const { jsPDF } = window.jspdf || {};
+    if (!jsPDF) {
+      showToast('PDF library not loaded. Please refresh the page.', TOAST_TYPES.ERROR);
+      return;
+    }
+    const { months, error } = getSelectedMonths();
+    if (error) {
+      showToast(error, TOAST_TYPES.ERROR);
+      return;
+    }
+    const report = buildBudgetReport(months);
+    const rows = getReportRows(report);
+
+    const doc = new jsPDF({ orientation: 'landscape' });
+    const margin = 15;
+    let yPos = margin;
+
+    doc.setFontSize(18);
+    doc.setFont(undefined, 'bold');
+    doc.text('Budget vs. Actual', margin, yPos);
+    yPos += 8;
+    doc.setFontSize(10);
+    doc.setFont(undefined, 'normal');
+    doc.text(`Period: ${describeRange(months)}`, margin, yPos);
+    yPos += 6;
+    doc.text(`Generated: ${new Date().toLocaleDateString()}`, margin, yPos);
+    yPos += 8;
+
+    const columns = [...months.map(m => formatMonthLabel(m, 'short')), 'Total'];
+    for (let start = 0; start < columns.length; start += BUDGET_REPORT.PDF_MONTHS_PER_TABLE) {
+      const end = Math.min(start + BUDGET_REPORT.PDF_MONTHS_PER_TABLE, columns.length);
+      const chunk = columns.slice(start, end);
+      const body = rows.map(row => {
+        if (row.kind === 'group') {
+          return [{
+            content: row.label,
+            colSpan: 1 + chunk.length * MEASURES.length,
+            styles: { fontStyle: 'bold', fillColor: [230, 230, 230] }
+          }];
+        }
+        const fontStyle = row.kind === 'category' ? 'normal' : 'bold';
+        return [row.label, ...row.cells.slice(start, end).flatMap(formatCell)]
+          .map(content => ({ content, styles: { fontStyle } }));
+      });
+
+      doc.autoTable({
+        startY: yPos,
+        head: [
+          [{ content: 'Category', rowSpan: 2 }, ...chunk.map(label => ({ content: label, colSpan: MEASURES.length, styles: { halign: 'center' } }))],
+          chunk.flatMap(() => MEASURES)
+        ],
+        body,
+        margin: { left: margin, right: margin },
+        styles: { fontSize: 8 },
+        headStyles: { fillColor: [66, 139, 202], textColor: 255, fontStyle: 'bold' }
+      });
+      yPos = doc.lastAutoTable.finalY + 10;
+    }
+
+    doc.save(`budget-vs-actual-${months[0]}-to-${months[months.length - 1]}.pdf`);
+    showToast('Budget report exported to PDF', TOAST_TYPES.SUCCESS);
+  } catch (error) {
+    logger.error('Error exporting budget report PDF:', error);
+    showToast('Error exporting PDF: ' + (error.message || 'Unknown error'), TOAST_TYPES.ERROR);
+  }
+}
@@ -0,0 +1,343 @@
+/**
+ * Bulk Edit Module
+ * Handles changing category, type, account, date, tags or notes on many selected transactions
+ * at once, and undoing the last bulk edit
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { showToast, isValidUUID } from './utils.js';
+import { TOAST_TYPES } from './constants.js';
+import { invalidateSuggestionModel } from './category-suggestions.js';
+import { isSplit } from './splits.js';
+import { isTransfer } from './transfers.js';
+import { parseTags } from './tags.js';
+
+// Account picker value for "remove the account" ("" means don't change)
+const NO_ACCOUNT = 'none';
+
+// Module-level state
+let bulkEditIds = [];
+let lastBulkEdit = null; // { budgetId, before: [{ id, updates }] } - what undo writes back
+
+// External dependencies (will be injected)
+let transactionService = null;
+let currentBudget = null;
+let useSupabase = false;
+let loadDataFromSupabase = null;
+let renderAll = null;
+let canEditTransaction = () => true;
+let exitSelectionMode = null;
+
+/**
+ * Initialize bulk edit module with dependencies
+ * @param {Object} deps - Dependencies object
+ * @param {Function} [deps.canEditTransaction] - Permission check used to leave other members' rows out
+ * @param {Function} [deps.exitSelectionMode] - Called once a bulk edit is saved
+ */
+export function initBulkEdit(deps) {
+  transactionService = deps.transactionService;
+  currentBudget = deps.currentBudget;
+  useSupabase = deps.useSupabase;
+  loadDataFromSupabase = deps.loadDataFromSupabase;
+  renderAll = deps.renderAll;
+  if (typeof deps.canEditTransaction === 'function') canEditTransaction = deps.canEditTransaction;
+  exitSelectionMode = deps.exitSelectionMode;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Get the current budget key (bulk edits are only undoable in the budget they were made in)
+ * @returns {string} Budget ID, or the local profile ID
+ */
+function getBudgetKey() {
+  return (useSupabase && currentBudget?.id) || stateManager.getActiveProfileId();
+}
+
+/**
+ * Open the bulk edit modal for the selected transactions
+ * Transactions the user can't edit (other members' rows in a shared budget) are left out.
+ * @param {Array<string>} ids - Selected transaction IDs
+ */
+export function openBulkEdit(ids) {
+  const data = stateManager.getActiveData();
+  const byId = new Map((data.transactions || []).map(t => [t.id, t]));
+  const selected = ids.map(id => byId.get(id)).filter(Boolean);
+  const editable = selected.filter(t => canEditTransaction(t));
+
+  if (editable.length === 0) {
+    showToast(selected.length ? "You can't edit any of the selected transactions" : 'Select transactions to edit first', TOAST_TYPES.INFO);
+    return;
+  }
+  bulkEditIds = editable.map(t => t.id);
+
+  const categoryInput = document.getElementById('bulkEditCategory');
+  if (categoryInput) {
+    categoryInput.innerHTML = '<option value="">Don\'t change</option>' +
+      (data.categories || []).map(c => `<option value="${c.id}">${c.name}</option>`).join('');
+  }
+  const accountInput = document.getElementById('bulkEditAccount');
+  if (accountInput) {
+    accountInput.innerHTML = '<option value="">Don\'t change</option>' +
+      `<option value="${NO_ACCOUNT}">No account</option>` +
+      (data.accounts || []).map(a => `<option value="${a.id}">${a.name}</option>`).join('');
+  }
+  ['bulkEditType', 'bulkEditDate', 'bulkEditAddTags', 'bulkEditRemoveTags', 'bulkEditNote'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.value = '';
+  });
+  const noteMode = document.getElementById('bulkEditNoteMode');
+  if (noteMode) noteMode.value = 'keep';
+
+  const summary = document.getElementById('bulkEditSummary');
+  if (summary) {
+    const skipped = selected.length - editable.length;
+    summary.textContent = `Changes apply to ${editable.length} transaction${editable.length === 1 ? '' : 's'}.` +
+      (skipped ? ` ${skipped} added by other members can't be changed by you and will be left alone.` : '') +
+      ' Fields left on "Don\'t change" are kept as they are.';
+  }
+
+  const modal = document.getElementById('bulkEditModal');
+  if (modal) modal.classList.add('show');
+}
+
+/**
+ * Close the bulk edit modal without saving
+ */
+export function closeBulkEdit() {
+  const modal = document.getElementById('bulkEditModal');
+  if (modal) {
+    modal.classList.remove('show');
+  }
+  bulkEditIds = [];
+}
+
+/**
+ * Read the bulk edit form
+ * @returns {Object} Requested changes (only the fields the user set)
+ */
+function readBulkEditForm() {
+  const value = (id) => document.getElementById(id)?.value.trim() || '';
+  const changes = {};
+  if (value('bulkEditCategory')) changes.categoryId = value('bulkEditCategory');
+  if (value('bulkEditType')) changes.type = value('bulkEditType');
+  if (value('bulkEditAccount')) changes.accountId = value('bulkEditAccount') === NO_ACCOUNT ? null : value('bulkEditAccount');
+  if (value('bulkEditDate')) changes.date = value('bulkEditDate');
+  const addTags = parseTags(value('bulkEditAddTags'));
+  const removeTags = parseTags(value('bulkEditRemoveTags'));
+  if (addTags.length || removeTags.length) changes.tags = { add: addTags, remove: removeTags };
+  const noteMode = value('bulkEditNoteMode');
+  if (noteMode === 'replace' || (noteMode === 'append' && value('bulkEditNote'))) {
+    changes.note = { mode: noteMode, text: value('bulkEditNote') };
+  }
+  return changes;
+}
+
+/**
+ * Work out what changes on each transaction
+ * Transfers keep their type, account and (absent) category, and split transactions keep their
+ * line categories; those fields are skipped rather than failing the whole edit.
+ * @param {Array<Object>} transactions - Transactions to edit
+ * @param {Object} changes - From readBulkEditForm()
+ * @returns {{ planned: Array<{ tx: Object, updates: Object }>, skipped: number }} Per-row local-shape updates
+ */
+function planBulkEdit(transactions, changes) {
+  const planned = [];
+  let skipped = 0;
+  for (const tx of transactions) {
+    const updates = {};
+    const transfer = isTransfer(tx);
+    if ('categoryId' in changes && !transfer && !isSplit(tx) && changes.categoryId !== tx.categoryId) {
+      updates.categoryId = changes.categoryId;
+    }
+    if ('type' in changes && !transfer && changes.type !== tx.type) updates.type = changes.type;
+    if ('accountId' in changes && !transfer && (changes.accountId || null) !== (tx.accountId || null)) {
+      updates.accountId = changes.accountId;
+    }
+    if ('date' in changes && changes.date !== tx.date) updates.date = changes.date;
+    if (changes.tags) {
+      const current = tx.tags || [];
+      const next = [...new Set([...current, ...changes.tags.add])].filter(tag => !changes.tags.remove.includes(tag));
+      if (next.length !== current.length || next.some((tag, i) => tag !== current[i])) updates.tags = next;
+    }
+    if (changes.note) {
+      const next = changes.note.mode === 'append' && tx.note
+        ? `${tx.note} ${changes.note.text}`
+        : changes.note.text;
+      if ((next || null) !== (tx.note || null)) updates.note = next || null;
+    }
+
+    const fieldSkipped = (transfer && ('categoryId' in changes || 'type' in changes || 'accountId' in changes)) ||
+      (isSplit(tx) && 'categoryId' in changes);
+    if (fieldSkipped) skipped++;
+    if (Object.keys(updates).length) planned.push({ tx, updates });
+  }
+  return { planned, skipped };
+}
+
+/**
+ * Map local-shape updates to a bulk_update_transactions entry
+ * @param {string} id - Transaction ID
+ * @param {Object} updates - Local-shape changed fields
+ * @returns {Object} Supabase row changes
+ */
+function toTransactionRow(id, updates) {
+  const row = { id };
+  if ('categoryId' in updates) row.category_id = isValidUUID(updates.categoryId) ? updates.categoryId : null;
+  if ('type' in updates) row.type = updates.type;
+  if ('accountId' in updates) row.account_id = isValidUUID(updates.accountId) ? updates.accountId : null;
+  if ('date' in updates) row.date = updates.date;
+  if ('note' in updates) row.notes = updates.note || null;
+  if ('tags' in updates) row.tags = updates.tags || [];
+  return row;
+}
+
+/**
+ * Write per-transaction updates in one batch
+ * @param {Array<{ id: string, updates: Object }>} changes - Local-shape updates
+ * @returns {Promise<boolean>} True if saved
+ */
+async function writeBulkUpdates(changes) {
+  if (useSupabase && currentBudget && transactionService) {
+    // Use Supabase: one statement, so either every row changes or none do
+    try {
+      const { error } = await transactionService.bulkUpdateTransactions(
+        changes.map(({ id, updates }) => toTransactionRow(id, updates))
+      );
+      if (error) {
+        showToast(`Error: ${error.message}`, TOAST_TYPES.ERROR);
+        return false;
+      }
+      if (loadDataFromSupabase) {
+        await loadDataFromSupabase();
+      }
+    } catch (error) {
+      logger.error('Error saving bulk edit:', error);
+      showToast(`Error saving changes: ${error.message}`, TOAST_TYPES.ERROR);
+      return false;
+    }
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    const byId = new Map((data.transactions || []).map(t => [t.id, t]));
+    for (const { id, updates } of changes) {
+      const t = byId.get(id);
+      if (!t) continue;
+      Object.entries(updates).forEach(([field, value]) => {
+        if (value === null || value === undefined) delete t[field];
+        else t[field] = value;
+      });
+    }
+    stateManager.setActiveData(data);
+  }
+  invalidateSuggestionModel();
+  return true;
+}
+
+/**
+ * Show or hide the "Undo bulk edit" bar
+ * @param {string} [message] - Bar text (omit to hide the bar)
+ */
+function renderUndoBar(message) {
+  const bar = document.getElementById('bulkEditUndoBar');
+  const text = document.getElementById('bulkEditUndoText');
+  if (text && message) text.textContent = message;
+  if (bar) bar.style.display = message ? 'flex' : 'none';
+}
+
+/**
+ * Save the bulk edit form to every transaction it was opened for
+ */
+export async function applyBulkEdit() {
+  const changes = readBulkEditForm();
+  if (Object.keys(changes).length === 0) {
+    showToast('Choose at least one change', TOAST_TYPES.INFO);
+    return;
+  }
+
+  const data = stateManager.getActiveData();
+  const byId = new Map((data.transactions || []).map(t => [t.id, t]));
+  const transactions = bulkEditIds.map(id => byId.get(id)).filter(t => t && canEditTransaction(t));
+  const { planned, skipped } = planBulkEdit(transactions, changes);
+  if (planned.length === 0) {
+    showToast(skipped ? 'Nothing to change: transfers and split transactions keep those fields' : 'Nothing to change', TOAST_TYPES.INFO);
+    return;
+  }
+
+  // Remember the old values of just the fields that change, for undo
+  const before = planned.map(({ tx, updates }) => ({
+    id: tx.id,
+    updates: Object.fromEntries(Object.keys(updates).map(field => [
+      field,
+      field === 'tags' ? [...(tx.tags || [])] : (tx[field] ?? null)
+    ]))
+  }));
+
+  const applyBtn = document.getElementById('applyBulkEditBtn');
+  if (applyBtn) {
+    applyBtn.disabled = true;
+    applyBtn.textContent = 'Saving...';
+  }
+  const budgetKey = getBudgetKey();
+  const saved = await writeBulkUpdates(planned.map(({ tx, updates }) => ({ id: tx.id, updates })));
+  if (applyBtn) {
+    applyBtn.disabled = false;
+    applyBtn.textContent = 'Apply';
+  }
+  if (!saved) return;
+
+  lastBulkEdit = { budgetId: budgetKey, before };
+  const count = planned.length;
+  showToast(
+    `Updated ${count} transaction${count === 1 ? '' : 's'}` +
+      (skipped ? ` (transfers and splits kept some fields on ${skipped})` : ''),
+    TOAST_TYPES.SUCCESS
+  );
+  renderUndoBar(`Bulk edit changed ${count} transaction${count === 1 ? '' : 's'}.`);
+
+  closeBulkEdit();
+  if (exitSelectionMode) exitSelectionMode();
+  if (renderAll) {
+    renderAll();
+  }
+}
+
+/**
+ * Put back the fields the last bulk edit changed
+ * Transactions deleted since then are skipped.
+ */
+export async function undoBulkEdit() {
+  const edit = lastBulkEdit;
+  if (!edit || edit.budgetId !== getBudgetKey()) {
+    lastBulkEdit = null;
+    renderUndoBar();
+    showToast('Nothing to undo');
+    return;
+  }
+
+  const existing = new Set((stateManager.getActiveData().transactions || []).map(t => t.id));
+  const changes = edit.before.filter(({ id }) => existing.has(id));
+  if (changes.length && !(await writeBulkUpdates(changes))) return;
+
+  lastBulkEdit = null;
+  renderUndoBar();
+  showToast(`Bulk edit undone on ${changes.length} transaction${changes.length === 1 ? '' : 's'}`, TOAST_TYPES.SUCCESS);
+  if (renderAll) {
+    renderAll();
+  }
+}
+
+/**
+ * Dismiss the undo bar (the last bulk edit can no longer be undone)
+ */
+export function dismissBulkEditUndo() {
+  lastBulkEdit = null;
+  renderUndoBar();
+}
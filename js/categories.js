@@ -5,8 +5,10 @@
 
 import { stateManager } from './state-management.js';
 import { logger } from './logger.js';
-import { formatMoney, showToast, deepClone } from './utils.js';
+import { formatMoney, showToast, deepClone, currentMonthISO, formatMonthLabel } from './utils.js';
 import { DEFAULT_CATEGORIES } from './constants.js';
+import { getCategoryBudget, setCategoryBudgets } from './category-budgets.js';
+import { getViewedMonth } from './transactions.js';
 
 // Module-level state
 let editingCategoryId = null;
@@ -105,6 +107,7 @@ export function renderCategoriesList() {
   if (!container) return;
   
   const categories = stateManager.getActiveData().categories;
+  const month = getViewedMonth() || currentMonthISO();
   
   // Sort categories by display_order (or fallback to name for localStorage)
   const sortedCategories = [...categories].sort((a, b) => {
@@ -118,7 +121,7 @@ export function renderCategoriesList() {
   });
   
   container.innerHTML = sortedCategories.map((cat, index) => {
-    const budget = cat.monthlyBudget || cat.monthly_budget || 0;
+    const budget = getCategoryBudget(cat, month);
     const isFirst = index === 0;
     const isLast = index === sortedCategories.length - 1;
     
@@ -145,7 +148,7 @@ export function renderCategoriesList() {
         <div class="category-color" style="background: ${cat.color}"></div>
         <div class="category-info">
           <div class="category-name">${cat.name}</div>
-          <div class="category-budget">Budget: ${formatMoney(budget)}</div>
+          <div class="category-budget">Budget (${formatMonthLabel(month)}): ${formatMoney(budget)}</div>
         </div>
         <button onclick="window.categoryModule.editCategory('${cat.id}')" class="btn-primary" style="padding:5px 10px; border:none; border-radius:4px; cursor:pointer;">Edit</button>
       </div>
@@ -169,10 +172,22 @@ export function openAddCategory() {
   if (nameInput) nameInput.value = '';
   if (colorInput) colorInput.value = '#60a5fa';
   if (budgetInput) budgetInput.value = '';
+  setBudgetHint('');
   if (deleteBtn) deleteBtn.style.display = 'none';
   if (modal) modal.classList.add('show');
 }
 
+/**
+ * Show or hide the note under the category modal's budget input
+ * @param {string} text - Note text (empty hides it)
+ */
+function setBudgetHint(text) {
+  const hint = document.getElementById('categoryBudgetHint');
+  if (!hint) return;
+  hint.textContent = text;
+  hint.style.display = text ? '' : 'none';
+}
+
 /**
  * Edit category
  * @param {string} categoryId - Category ID
@@ -193,7 +208,10 @@ export function editCategory(categoryId) {
   if (modalTitle) modalTitle.textContent = 'Edit Category';
   if (nameInput) nameInput.value = cat.name;
   if (colorInput) colorInput.value = cat.color;
-  if (budgetInput) budgetInput.value = cat.monthlyBudget || cat.monthly_budget || 0;
+  // Budgets are kept per month; show and change the one for the month being viewed
+  const month = getViewedMonth() || currentMonthISO();
+  if (budgetInput) budgetInput.value = getCategoryBudget(cat, month);
+  setBudgetHint(`Applies from ${formatMonthLabel(month)} onward. Earlier months keep their budget.`);
   if (deleteBtn) deleteBtn.style.display = 'block';
   if (modal) modal.classList.add('show');
 }
@@ -220,6 +238,9 @@ export async function saveCategory() {
     return;
   }
   
+  // An edited budget applies from the viewed month onward
+  const month = getViewedMonth() || currentMonthISO();
+  
   if (useSupabase && currentBudget && categoryService) {
     // Use Supabase
     try {
@@ -240,12 +261,13 @@ export async function saveCategory() {
           return;
         }
         
-        // Update existing
-        const { error } = await categoryService.updateCategory(editingCategoryId, categoryData);
+        // Update existing (the budget goes into its month history)
+        const { error } = await categoryService.updateCategory(editingCategoryId, { name, color });
         if (error) {
           showToast(`Error: ${error.message}`, 'Error');
           return;
         }
+        if (!await setCategoryBudgets(month, { [editingCategoryId]: budget })) return;
         showToast('Category updated');
       } else {
         // Check for duplicate name before creating
@@ -287,7 +309,7 @@ export async function saveCategory() {
       if (cat) {
         cat.name = name;
         cat.color = color;
-        cat.monthlyBudget = budget;
+        if (!await setCategoryBudgets(month, { [cat.id]: budget })) return;
       }
     } else {
       // Add new
@@ -344,9 +366,10 @@ export async function deleteCategory() {
       }
       
       // Update all transactions using this category to use fallback
-      const { data: transactions } = await transactionService.getTransactions(currentBudget.id);
-      if (transactions) {
-        const transactionsToUpdate = transactions.filter(t => t.category_id === editingCategoryId);
+      const { data: transactionsToUpdate } = await transactionService.getTransactions(currentBudget.id, {
+        categoryId: editingCategoryId
+      });
+      if (transactionsToUpdate) {
         for (const tx of transactionsToUpdate) {
           await transactionService.updateTransaction(tx.id, {
             category_id: fallbackCategory.id
@@ -391,10 +414,14 @@ export async function deleteCategory() {
       if (t.categoryId === editingCategoryId) {
         t.categoryId = fallbackCategory.id;
       }
+      (t.splits || []).forEach(line => {
+        if (line.categoryId === editingCategoryId) line.categoryId = fallbackCategory.id;
+      });
     });
     
     // Remove the category
     data.categories = categories.filter(c => c.id !== editingCategoryId);
+    data.categoryBudgets = (data.categoryBudgets || []).filter(b => b.categoryId !== editingCategoryId);
     
     stateManager.setActiveData(data);
     showToast('Category deleted');
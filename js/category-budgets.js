@@ -0,0 +1,316 @@
+/**
+ * Category Budgets Module
+ * Keeps each category's budget per month. A budget set for a month applies from that month on,
+ * until the next month it was changed, so editing a budget leaves earlier months as they were.
+ * Also runs the month budgets editor with its "copy last month" and "3-month average" helpers.
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { formatMoney, showToast, isValidUUID, generateId, addMonths, formatMonthLabel } from './utils.js';
+import { CATEGORY_BUDGETS, TOAST_TYPES } from './constants.js';
+import { isZeroBased, getEnvelopeSummary, getMonthlyActivity } from './envelopes.js';
+import { getViewedMonth } from './transactions.js';
+
+// External dependencies (will be injected)
+let categoryBudgetService = null;
+let categoryService = null;
+let currentBudget = null;
+let useSupabase = false;
+let loadDataFromSupabase = null;
+let renderAll = null;
+
+/**
+ * Initialize category budgets module with dependencies
+ * @param {Object} deps - Dependencies object
+ */
+export function initCategoryBudgets(deps) {
+  categoryBudgetService = deps.categoryBudgetService;
+  categoryService = deps.categoryService;
+  currentBudget = deps.currentBudget;
+  useSupabase = deps.useSupabase;
+  loadDataFromSupabase = deps.loadDataFromSupabase;
+  renderAll = deps.renderAll;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Transform a Supabase category_monthly_budgets row to the localStorage format
+ * @param {Object} row - Row from categoryBudgetService.getCategoryBudgets()
+ * @returns {{ id: string, categoryId: string, month: string, amount: number }} Budget (month is YYYY-MM)
+ */
+export function toLocalCategoryBudget(row) {
+  return {
+    id: row.id,
+    categoryId: row.category_id,
+    month: (row.month || '').slice(0, 7),
+    amount: parseFloat(row.amount) || 0
+  };
+}
+
+/**
+ * A category's budget changes, oldest first
+ * @param {string} categoryId - Category ID
+ * @param {Object} data - Active data
+ * @returns {Array<{ categoryId: string, month: string, amount: number }>} Budget rows
+ */
+function getBudgetHistory(categoryId, data) {
+  return (data.categoryBudgets || [])
+    .filter(b => b.categoryId === categoryId)
+    .sort((a, b) => a.month.localeCompare(b.month));
+}
+
+/**
+ * The budget in effect for a category in a month
+ * That's the latest change made on or before the month. Months before the first change use the
+ * first change's amount, and categories that were never changed use their monthly budget.
+ * @param {Object} category - Category
+ * @param {string} month - YYYY-MM
+ * @param {Object} [data] - Active data (defaults to the state manager's)
+ * @returns {number} Budgeted amount
+ */
+export function getCategoryBudget(category, month, data = stateManager.getActiveData()) {
+  const history = getBudgetHistory(category.id, data);
+  if (!history.length) return category.monthlyBudget || category.monthly_budget || 0;
+
+  let inEffect = history[0];
+  history.forEach(b => { if (b.month <= month) inEffect = b; });
+  return inEffect.amount;
+}
+
+/**
+ * Budgeted amount per category for a month
+ * In zero-based budgets that's what was assigned to the category that month.
+ * @param {string} month - YYYY-MM
+ * @param {Object} [data] - Active data (defaults to the state manager's)
+ * @returns {Object<string, number>} Amounts keyed by category ID
+ */
+export function getMonthBudgets(month, data = stateManager.getActiveData()) {
+  const budgets = {};
+  if (isZeroBased(data)) {
+    const { envelopes } = getEnvelopeSummary(month, data);
+    (data.categories || []).forEach(c => { budgets[c.id] = envelopes[c.id]?.assigned || 0; });
+  } else {
+    (data.categories || []).forEach(c => { budgets[c.id] = getCategoryBudget(c, month, data); });
+  }
+  return budgets;
+}
+
+/**
+ * Average monthly spending per category over the months before a month
+ * Months without any transactions at all (before the budget was used) don't count.
+ * @param {string} month - YYYY-MM
+ * @param {number} [months] - How many months to look back
+ * @param {Object} [data] - Active data (defaults to the state manager's)
+ * @returns {Object<string, number>} Averages keyed by category ID
+ */
+export function getAverageSpending(month, months = CATEGORY_BUDGETS.AVERAGE_MONTHS, data = stateManager.getActiveData()) {
+  const activity = getMonthlyActivity(data);
+  const totals = {};
+  let counted = 0;
+  for (let i = 1; i <= months; i++) {
+    const entry = activity.get(addMonths(month, -i));
+    if (!entry || (!entry.income && !Object.keys(entry.spent).length)) continue;
+    counted++;
+    Object.entries(entry.spent).forEach(([categoryId, amount]) => {
+      totals[categoryId] = (totals[categoryId] || 0) + amount;
+    });
+  }
+  const averages = {};
+  Object.entries(totals).forEach(([categoryId, total]) => {
+    averages[categoryId] = Math.round((total / counted) * 100) / 100;
+  });
+  return averages;
+}
+
+/**
+ * Set categories' budgets from a month onward
+ * The month before keeps the amount it had: when a category has no change before this month,
+ * one is recorded for the previous month first. The category's own monthly budget follows the
+ * latest change. Doesn't reload or re-render; callers do that.
+ * @param {string} month - YYYY-MM
+ * @param {Object<string, number>} amounts - New budgets keyed by category ID
+ * @returns {Promise<boolean>} True if saved (or nothing changed)
+ */
+export async function setCategoryBudgets(month, amounts) {
+  const data = stateManager.getActiveData();
+  const rows = [];
+  const latest = {};
+
+  for (const [categoryId, amount] of Object.entries(amounts)) {
+    const category = (data.categories || []).find(c => c.id === categoryId);
+    if (!category) continue;
+    if (!isFinite(amount) || amount < 0) {
+      showToast(`Please enter a valid budget for ${category.name}`, TOAST_TYPES.ERROR);
+      return false;
+    }
+    const rounded = Math.round(amount * 100) / 100;
+    if (Math.abs(getCategoryBudget(category, month, data) - rounded) < 0.005) continue;
+
+    const history = getBudgetHistory(categoryId, data);
+    if (!history.some(b => b.month < month)) {
+      const previous = addMonths(month, -1);
+      rows.push({ categoryId, month: previous, amount: getCategoryBudget(category, previous, data) });
+    }
+    rows.push({ categoryId, month, amount: rounded });
+    if (!history.some(b => b.month > month)) latest[categoryId] = rounded;
+  }
+  if (!rows.length) return true;
+
+  if (useSupabase && currentBudget && categoryBudgetService) {
+    // Use Supabase
+    if (rows.some(r => !isValidUUID(r.categoryId))) {
+      showToast('Some categories are not saved to the budget yet', TOAST_TYPES.ERROR);
+      return false;
+    }
+    const { error } = await categoryBudgetService.upsertCategoryBudgets(currentBudget.id, rows.map(r => ({
+      category_id: r.categoryId,
+      month: `${r.month}-01`,
+      amount: r.amount
+    })));
+    if (error) {
+      logger.error('Error saving category budgets:', error);
+      showToast(`Error saving budgets: ${error.message}`, TOAST_TYPES.ERROR);
+      return false;
+    }
+    for (const [categoryId, amount] of Object.entries(latest)) {
+      const { error: categoryError } = await categoryService.updateCategory(categoryId, { monthly_budget: amount });
+      if (categoryError) logger.error('Error updating category monthly budget:', categoryError);
+    }
+  } else {
+    // Use localStorage (fallback)
+    if (!Array.isArray(data.categoryBudgets)) data.categoryBudgets = [];
+    rows.forEach(r => {
+      const existing = data.categoryBudgets.find(b => b.categoryId === r.categoryId && b.month === r.month);
+      if (existing) {
+        existing.amount = r.amount;
+      } else {
+        data.categoryBudgets.push({ id: generateId(), ...r });
+      }
+    });
+    Object.entries(latest).forEach(([categoryId, amount]) => {
+      const category = data.categories.find(c => c.id === categoryId);
+      if (category) category.monthlyBudget = amount;
+    });
+    stateManager.saveState();
+  }
+  return true;
+}
+
+/**
+ * Open the month budgets editor for the viewed month
+ */
+export function openMonthBudgets() {
+  if (isZeroBased()) {
+    showToast('This budget uses zero-based budgeting. Assign money to categories in the Assign Money table instead.', TOAST_TYPES.INFO);
+    return;
+  }
+  const modal = document.getElementById('monthBudgetsModal');
+  if (!modal) return;
+  renderMonthBudgets(getViewedMonth());
+  modal.classList.add('show');
+}
+
+/**
+ * Render the month budgets editor
+ * @param {string} month - YYYY-MM
+ */
+function renderMonthBudgets(month) {
+  const data = stateManager.getActiveData();
+  const previous = addMonths(month, -1);
+  const lastMonthBudgets = getMonthBudgets(previous, data);
+  const averages = getAverageSpending(month, CATEGORY_BUDGETS.AVERAGE_MONTHS, data);
+
+  const title = document.getElementById('monthBudgetsTitle');
+  if (title) title.textContent = `Budgets for ${formatMonthLabel(month)}`;
+  const summary = document.getElementById('monthBudgetsSummary');
+  if (summary) {
+    summary.textContent = `Changes apply from ${formatMonthLabel(month)} onward. Earlier months keep their budgets.`;
+  }
+
+  const list = document.getElementById('monthBudgetsList');
+  if (!list) return;
+  list.dataset.month = month;
+  const categories = (data.categories || [])
+    .slice()
+    .sort((a, b) => (a.display_order ?? a.order ?? 0) - (b.display_order ?? b.order ?? 0) || (a.name || '').localeCompare(b.name || ''));
+
+  list.innerHTML = `
+    <table>
+      <thead><tr><th>Category</th><th>Last Month</th><th>${CATEGORY_BUDGETS.AVERAGE_MONTHS}-Month Avg Spent</th><th>Budget</th></tr></thead>
+      <tbody>
+        ${categories.map(c => {
+          const budget = getCategoryBudget(c, month, data);
+          return `
+            <tr>
+              <td><span class="envelope-color" style="background: ${c.color}"></span>${c.name}</td>
+              <td>${formatMoney(lastMonthBudgets[c.id] || 0)}</td>
+              <td>${formatMoney(averages[c.id] || 0)}</td>
+              <td><input type="number" step="0.01" min="0" class="month-budget-input" data-category-id="${c.id}"
+                data-last-month="${lastMonthBudgets[c.id] || 0}" data-average="${averages[c.id] || 0}"
+                value="${budget ? budget.toFixed(2) : ''}" placeholder="0.00"></td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Fill every budget in the editor from one of its reference columns
+ * @param {string} source - 'lastMonth' or 'average'
+ */
+export function fillMonthBudgets(source) {
+  document.querySelectorAll('#monthBudgetsList .month-budget-input').forEach(input => {
+    const amount = parseFloat(input.dataset[source]) || 0;
+    input.value = amount ? amount.toFixed(2) : '';
+  });
+}
+
+/**
+ * Save the budgets in the editor
+ * @returns {Promise<void>}
+ */
+export async function saveMonthBudgets() {
+  const list = document.getElementById('monthBudgetsList');
+  const month = list?.dataset.month;
+  if (!month) return;
+
+  const amounts = {};
+  list.querySelectorAll('.month-budget-input').forEach(input => {
+    amounts[input.dataset.categoryId] = input.value.trim() === '' ? 0 : parseFloat(input.value);
+  });
+
+  const saveBtn = document.getElementById('saveMonthBudgetsBtn');
+  if (saveBtn) saveBtn.disabled = true;
+  try {
+    const saved = await setCategoryBudgets(month, amounts);
+    if (!saved) return;
+    if (useSupabase && loadDataFromSupabase) {
+      await loadDataFromSupabase();
+    }
+    showToast(`Budgets saved for ${formatMonthLabel(month)}`, TOAST_TYPES.SUCCESS);
+    closeMonthBudgets();
+    if (renderAll) {
+      renderAll();
+    }
+  } finally {
+    if (saveBtn) saveBtn.disabled = false;
+  }
+}
+
+/**
+ * Close the month budgets editor
+ */
+export function closeMonthBudgets() {
+  const modal = document.getElementById('monthBudgetsModal');
+  if (modal) modal.classList.remove('show');
+}
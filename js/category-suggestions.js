@@ -0,0 +1,418 @@
+/**
+ * Category Suggestions Module
+ * Learns which categories the budget uses for similar transactions (naive Bayes over
+ * description/merchant tokens) and suggests categories on import, in the drawer, and in bulk.
+ * Runs entirely in the browser on the budget's own transactions.
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { formatMoney, formatDate, showToast, isValidUUID, addMonths, currentMonthISO } from './utils.js';
+import { CATEGORY_SUGGESTIONS, TOAST_TYPES } from './constants.js';
+import { isSplit } from './splits.js';
+import { isTransfer } from './transfers.js';
+import { getTransactionsInRange } from './transaction-history.js';
+
+// Words that appear on bank descriptions regardless of what was bought
+const NOISE_TOKENS = new Set([
+  'the', 'and', 'inc', 'llc', 'ltd', 'co', 'com', 'www', 'pos', 'purchase', 'debit', 'credit',
+  'card', 'checkcard', 'visa', 'mastercard', 'ach', 'payment', 'pmt', 'online', 'recurring',
+  'transaction', 'pending', 'ref', 'id', 'dbt', 'crd', 'us', 'usa'
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Module-level state
+let cachedModel = null;
+let cachedModelKey = null;
+let pendingSuggestions = [];
+// Transactions from before the loaded history that the model also trains on (Supabase)
+let trainingHistory = { key: null, budgetId: null, transactions: [] };
+
+// External dependencies (will be injected)
+let transactionService = null;
+let currentBudget = null;
+let useSupabase = false;
+let loadDataFromSupabase = null;
+let renderAll = null;
+let canEditTransaction = () => true;
+
+/**
+ * Initialize category suggestions module with dependencies
+ * @param {Object} deps - Dependencies object
+ * @param {Function} [deps.canEditTransaction] - Permission check used to leave other members' rows out of bulk accept
+ */
+export function initCategorySuggestions(deps) {
+  transactionService = deps.transactionService;
+  currentBudget = deps.currentBudget;
+  useSupabase = deps.useSupabase;
+  loadDataFromSupabase = deps.loadDataFromSupabase;
+  renderAll = deps.renderAll;
+  if (typeof deps.canEditTransaction === 'function') canEditTransaction = deps.canEditTransaction;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Split a description into comparable words
+ * Lowercases, drops digits/punctuation (store numbers, dates, reference codes) and noise words.
+ * @param {string} text - Description or merchant
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .split(' ')
+    .filter(token => token.length >= 2 && !NOISE_TOKENS.has(token));
+}
+
+/**
+ * Get the budget's catch-all category ("Other"), which is never learned from or suggested
+ * @param {Array<Object>} categories - Budget categories
+ * @returns {string|null} Category ID
+ */
+function getFallbackCategoryId(categories) {
+  return (
+    categories.find(c => (c.id || '').toLowerCase() === 'other')?.id ||
+    categories.find(c => (c.name || '').toLowerCase() === 'other')?.id ||
+    null
+  );
+}
+
+/**
+ * Check whether a transaction still needs a category (none, unknown, or the catch-all)
+ * @param {Object} tx - Local-shape transaction
+ * @param {Array<Object>} [categories] - Budget categories (defaults to active data)
+ * @returns {boolean} True if a suggestion may replace the category
+ */
+export function isUncategorized(tx, categories = stateManager.getActiveData().categories || []) {
+  if (!tx?.categoryId) return true;
+  if (tx.categoryId === getFallbackCategoryId(categories)) return true;
+  return !categories.some(c => c.id === tx.categoryId);
+}
+
+/**
+ * Features for one transaction: unique description/merchant words plus its type
+ * @param {Object} tx - Local-shape transaction
+ * @returns {{ words: Array<string>, features: Array<string> }} Words alone and all features
+ */
+function extractFeatures(tx) {
+  const words = [...new Set([...tokenize(tx.description), ...tokenize(tx.merchant)])];
+  return { words, features: tx.type ? [...words, `type:${tx.type}`] : words };
+}
+
+/**
+ * Build (or reuse) the naive Bayes model for the active budget
+ * Each categorized transaction is a weighted example; weights halve every HALF_LIFE_DAYS so a
+ * recent re-categorization outweighs years of older imports.
+ * @returns {Object} Model
+ */
+function getModel() {
+  const data = stateManager.getActiveData();
+  const loaded = Array.isArray(data.transactions) ? data.transactions : [];
+  const categories = Array.isArray(data.categories) ? data.categories : [];
+  const budgetId = stateManager.getActiveProfileId();
+  const loadedFrom = data.transactionHistory?.loadedFrom;
+  const history = trainingHistory.budgetId === budgetId && loadedFrom ? trainingHistory.transactions : [];
+  const key = `${budgetId}|${loaded.length}|${categories.length}|${loadedFrom || ''}`;
+  if (cachedModel && cachedModelKey === key && cachedModel.loaded === loaded && cachedModel.history === history) {
+    return cachedModel;
+  }
+
+  // Rows paged in since the history was fetched are already in the loaded transactions
+  const transactions = [...history.filter(t => t.date < loadedFrom), ...loaded];
+
+  const validIds = new Set(categories.map(c => c.id));
+  const fallbackId = getFallbackCategoryId(categories);
+  const now = Date.now();
+  const model = {
+    loaded,
+    history,
+    examples: 0,
+    totalWeight: 0,
+    classWeight: new Map(),
+    featureWeight: new Map(), // categoryId -> Map(feature -> weight)
+    featureTotal: new Map(),  // categoryId -> summed feature weight
+    vocabulary: new Set()
+  };
+
+  for (const tx of transactions) {
+    if (!tx || tx.pending || isSplit(tx) || isTransfer(tx) || !validIds.has(tx.categoryId) || tx.categoryId === fallbackId) continue;
+    const { words, features } = extractFeatures(tx);
+    if (words.length === 0) continue;
+
+    const ageDays = Math.max(0, (now - new Date(tx.date).getTime()) / DAY_MS) || 0;
+    const weight = Math.pow(0.5, ageDays / CATEGORY_SUGGESTIONS.HALF_LIFE_DAYS);
+    const cat = tx.categoryId;
+
+    model.examples++;
+    model.totalWeight += weight;
+    model.classWeight.set(cat, (model.classWeight.get(cat) || 0) + weight);
+    if (!model.featureWeight.has(cat)) model.featureWeight.set(cat, new Map());
+    const counts = model.featureWeight.get(cat);
+    features.forEach(feature => {
+      counts.set(feature, (counts.get(feature) || 0) + weight);
+      model.vocabulary.add(feature);
+    });
+    model.featureTotal.set(cat, (model.featureTotal.get(cat) || 0) + weight * features.length);
+  }
+
+  cachedModel = model;
+  cachedModelKey = key;
+  return model;
+}
+
+/**
+ * Drop the cached model (call after categories change in place, e.g. a localStorage edit)
+ * @param {boolean} [includeHistory=false] - Also refetch the older training history next time
+ *   (after changes that can reach transactions outside the loaded months)
+ */
+export function invalidateSuggestionModel(includeHistory = false) {
+  cachedModel = null;
+  cachedModelKey = null;
+  if (includeHistory) trainingHistory = { key: null, budgetId: null, transactions: [] };
+}
+
+/**
+ * Fetch the transactions the model trains on from before the loaded history
+ * Only the viewed month onward is loaded by default, which is too little to learn from; this
+ * goes back TRAINING_LOOKBACK_MONTHS (older rows carry almost no weight). Call before suggesting.
+ * @returns {Promise<void>}
+ */
+export async function loadSuggestionHistory() {
+  const data = stateManager.getActiveData();
+  const loadedFrom = data.transactionHistory?.loadedFrom;
+  if (!useSupabase || !currentBudget || !loadedFrom) return;
+
+  const startDate = `${addMonths(currentMonthISO(), -CATEGORY_SUGGESTIONS.TRAINING_LOOKBACK_MONTHS)}-01`;
+  const budgetId = currentBudget.id;
+  const key = `${budgetId}|${loadedFrom}|${startDate}`;
+  if (trainingHistory.key === key || startDate >= loadedFrom) return;
+
+  const { data: transactions, error } = await getTransactionsInRange({ startDate });
+  if (error) {
+    logger.warn('Could not load older transactions for category suggestions:', error);
+    return;
+  }
+  trainingHistory = { key, budgetId, transactions: transactions.filter(t => t.date < loadedFrom) };
+  invalidateSuggestionModel();
+}
+
+/**
+ * Suggest a category for a transaction
+ * @param {Object} tx - Local-shape transaction (description, merchant, type)
+ * @returns {{ categoryId: string, confidence: number }|null} Best category and its posterior
+ *   probability, or null when there isn't enough history or none of its words were seen before
+ */
+export function suggestCategory(tx) {
+  const model = getModel();
+  if (model.examples < CATEGORY_SUGGESTIONS.MIN_TRAINING_TRANSACTIONS) return null;
+
+  const { words, features } = extractFeatures(tx || {});
+  if (!words.some(word => model.vocabulary.has(word))) return null;
+
+  // Log-space scores with Laplace smoothing, then softmax for a confidence
+  const vocabSize = model.vocabulary.size + 1;
+  const scores = [];
+  for (const [cat, classWeight] of model.classWeight) {
+    const counts = model.featureWeight.get(cat);
+    const denom = model.featureTotal.get(cat) + vocabSize;
+    let score = Math.log(classWeight / model.totalWeight);
+    features.forEach(feature => {
+      score += Math.log(((counts.get(feature) || 0) + 1) / denom);
+    });
+    scores.push({ cat, score });
+  }
+  if (scores.length === 0) return null;
+
+  const best = scores.reduce((a, b) => (b.score > a.score ? b : a));
+  const total = scores.reduce((sum, s) => sum + Math.exp(s.score - best.score), 0);
+  return { categoryId: best.cat, confidence: 1 / total };
+}
+
+/**
+ * Replace a missing/catch-all category with a confident suggestion
+ * @param {Object} tx - Local-shape transaction
+ * @param {number} [minConfidence] - Lowest confidence to accept
+ * @returns {{ transaction: Object, suggestion: Object|null }} Updated copy and the applied suggestion
+ */
+export function prefillCategory(tx, minConfidence = CATEGORY_SUGGESTIONS.AUTO_APPLY_CONFIDENCE) {
+  if (!isUncategorized(tx)) return { transaction: tx, suggestion: null };
+  const suggestion = suggestCategory(tx);
+  if (!suggestion || suggestion.confidence < minConfidence) return { transaction: tx, suggestion: null };
+  return { transaction: { ...tx, categoryId: suggestion.categoryId }, suggestion };
+}
+
+/**
+ * Format a confidence for display
+ * @param {number} confidence - 0..1
+ * @returns {string} e.g. "82%"
+ */
+export function formatConfidence(confidence) {
+  return `${Math.round(confidence * 100)}%`;
+}
+
+/**
+ * Open the bulk review of suggestions for uncategorized transactions
+ * @returns {Promise<void>}
+ */
+export async function openCategorySuggestions() {
+  await loadSuggestionHistory();
+  const data = stateManager.getActiveData();
+  const categories = Array.isArray(data.categories) ? data.categories : [];
+  const categoryName = (id) => categories.find(c => c.id === id)?.name || '—';
+
+  pendingSuggestions = [];
+  for (const tx of data.transactions || []) {
+    if (isSplit(tx) || isTransfer(tx) || !isUncategorized(tx, categories) || !canEditTransaction(tx)) continue;
+    const suggestion = suggestCategory(tx);
+    if (!suggestion || suggestion.confidence < CATEGORY_SUGGESTIONS.REVIEW_CONFIDENCE) continue;
+    pendingSuggestions.push({ tx, ...suggestion });
+  }
+  pendingSuggestions.sort((a, b) => b.confidence - a.confidence || (b.tx.date || '').localeCompare(a.tx.date || ''));
+
+  const summary = document.getElementById('categorySuggestionsSummary');
+  const list = document.getElementById('categorySuggestionsList');
+  const modal = document.getElementById('categorySuggestionsModal');
+
+  if (summary) {
+    summary.textContent = pendingSuggestions.length === 0
+      ? 'No suggestions right now. Suggestions appear once similar transactions have been categorized.'
+      : `${pendingSuggestions.length} uncategorized transaction${pendingSuggestions.length === 1 ? '' : 's'} look like ones you've categorized before.`;
+  }
+  if (list) {
+    list.innerHTML = pendingSuggestions.length === 0 ? '' : `
+      <table>
+        <thead>
+          <tr>
+            <th><input type="checkbox" id="categorySuggestionsSelectAll" title="Select All"></th>
+            <th>Date</th><th>Description</th><th>Amount</th><th>Suggested</th><th>Confidence</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${pendingSuggestions.map((s, index) => `
+            <tr>
+              <td><input type="checkbox" class="category-suggestion-checkbox" data-index="${index}" ${s.confidence >= CATEGORY_SUGGESTIONS.PRESELECT_CONFIDENCE ? 'checked' : ''}></td>
+              <td>${formatDate(s.tx.date)}</td>
+              <td>${s.tx.description}</td>
+              <td>${formatMoney(s.tx.amount)}</td>
+              <td>${categoryName(s.categoryId)}</td>
+              <td><span class="suggestion-confidence">${formatConfidence(s.confidence)}</span></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    const selectAll = document.getElementById('categorySuggestionsSelectAll');
+    if (selectAll) {
+      selectAll.addEventListener('change', () => {
+        list.querySelectorAll('.category-suggestion-checkbox').forEach(cb => { cb.checked = selectAll.checked; });
+        updateAcceptButton();
+      });
+    }
+    list.querySelectorAll('.category-suggestion-checkbox').forEach(cb => {
+      cb.addEventListener('change', updateAcceptButton);
+    });
+  }
+
+  updateAcceptButton();
+  if (modal) modal.classList.add('show');
+}
+
+/**
+ * Get the suggestions checked in the review table
+ * @returns {Array<Object>} Selected suggestions
+ */
+function getSelectedSuggestions() {
+  return [...document.querySelectorAll('.category-suggestion-checkbox:checked')]
+    .map(cb => pendingSuggestions[Number(cb.dataset.index)])
+    .filter(Boolean);
+}
+
+/**
+ * Update the accept button label/state from the checked rows
+ */
+function updateAcceptButton() {
+  const acceptBtn = document.getElementById('acceptCategorySuggestionsBtn');
+  if (!acceptBtn) return;
+  const count = getSelectedSuggestions().length;
+  acceptBtn.disabled = count === 0;
+  acceptBtn.textContent = count ? `Accept ${count}` : 'Accept';
+}
+
+/**
+ * Apply the checked suggestions
+ */
+export async function acceptCategorySuggestions() {
+  const selected = getSelectedSuggestions();
+  if (selected.length === 0) return;
+
+  const acceptBtn = document.getElementById('acceptCategorySuggestionsBtn');
+  if (acceptBtn) {
+    acceptBtn.disabled = true;
+    acceptBtn.textContent = 'Saving...';
+  }
+
+  let failed = 0;
+  if (useSupabase && currentBudget && transactionService) {
+    // Use Supabase
+    for (const { tx, categoryId } of selected) {
+      try {
+        const { data: updated, error } = await transactionService.updateTransaction(tx.id, {
+          category_id: isValidUUID(categoryId) ? categoryId : null
+        });
+        if (error || !updated) {
+          failed++;
+          logger.warn('Could not accept category suggestion:', tx.id, error);
+        }
+      } catch (error) {
+        failed++;
+        logger.error('Error accepting category suggestion:', error);
+      }
+    }
+    if (loadDataFromSupabase) {
+      await loadDataFromSupabase();
+    }
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    const byId = new Map((data.transactions || []).map(t => [t.id, t]));
+    selected.forEach(({ tx, categoryId }) => {
+      const t = byId.get(tx.id);
+      if (t) t.categoryId = categoryId;
+    });
+    stateManager.setActiveData(data);
+  }
+  invalidateSuggestionModel();
+
+  const applied = selected.length - failed;
+  showToast(
+    `Categorized ${applied} transaction${applied === 1 ? '' : 's'}` + (failed ? ` (${failed} failed)` : ''),
+    failed ? TOAST_TYPES.WARNING : TOAST_TYPES.SUCCESS
+  );
+
+  closeCategorySuggestions();
+  if (renderAll) {
+    renderAll();
+  }
+}
+
+/**
+ * Close the bulk review without applying
+ */
+export function closeCategorySuggestions() {
+  const modal = document.getElementById('categorySuggestionsModal');
+  if (modal) {
+    modal.classList.remove('show');
+  }
+  pendingSuggestions = [];
+}
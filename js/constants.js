@@ -12,7 +12,36 @@ export const BUDGET_TYPES = {
 // Transaction Types
 export const TRANSACTION_TYPES = {
   INCOME: 'income',
-  EXPENSE: 'expense'
+  EXPENSE: 'expense',
+  TRANSFER: 'transfer'
+};
+
+// Transfer Pair Detection (imports)
+// An expense on one account and an income of the same amount on another become a transfer
+// when their dates are close and either side looks like a transfer.
+export const TRANSFER_DETECTION = {
+  MATCH_WINDOW_DAYS: 3,
+  DESCRIPTION_PATTERN: /\b(transfer|xfer|trnsfr|payment|pymt|autopay|to savings|from savings|to checking|from checking)\b/i,
+  PLAID_CATEGORIES: ['TRANSFER_IN', 'TRANSFER_OUT', 'LOAN_PAYMENTS']
+};
+
+// Budgeting Modes (per budget)
+// Standard: flat monthly limit per category. Zero-based: income is assigned to categories each
+// month and what's left (or overspent) in a category rolls over to the next.
+export const BUDGETING_MODES = {
+  STANDARD: 'standard',
+  ZERO_BASED: 'zero_based'
+};
+
+// Category Budgets (standard mode)
+export const CATEGORY_BUDGETS = {
+  AVERAGE_MONTHS: 3 // "Use 3-Month Average" looks back this many months
+};
+
+// Budget vs. Actual Report
+export const BUDGET_REPORT = {
+  MAX_MONTHS: 24, // Longest custom range
+  PDF_MONTHS_PER_TABLE: 3 // Month columns per PDF table (each month has four figures)
 };
 
 // Recurring Frequencies
@@ -23,6 +52,99 @@ export const RECURRING_FREQUENCIES = {
   YEARLY: 'yearly'
 };
 
+// Categorization Rules
+export const RULE_MATCH_FIELDS = {
+  ANY: 'any',
+  DESCRIPTION: 'description',
+  MERCHANT: 'merchant'
+};
+
+export const RULE_MATCH_OPERATORS = {
+  CONTAINS: 'contains',
+  REGEX: 'regex'
+};
+
+export const DEFAULT_RULE_PRIORITY = 100;
+
+// Free-form transaction tags
+export const TAGS = {
+  MAX_LENGTH: 40,
+  REPORT_LIMIT: 10
+};
+
+// Category suggestions learned from the budget's own history
+export const CATEGORY_SUGGESTIONS = {
+  MIN_TRAINING_TRANSACTIONS: 5,
+  AUTO_APPLY_CONFIDENCE: 0.8,   // Imports: replace the fallback category
+  DRAWER_CONFIDENCE: 0.5,       // Drawer: pre-fill (add) or offer (edit)
+  REVIEW_CONFIDENCE: 0.4,       // Bulk review: list the suggestion
+  PRESELECT_CONFIDENCE: 0.7,    // Bulk review: checked by default
+  HALF_LIFE_DAYS: 365,          // Older transactions count for less, so recent corrections win
+  TRAINING_LOOKBACK_MONTHS: 24  // History fetched beyond the loaded months to train on
+};
+
+// Duplicate finder (same amount, close dates, similar merchant)
+export const DUPLICATE_DETECTION = {
+  DATE_TOLERANCE_DAYS: 4,       // Purchase date vs. the bank's posting date
+  MIN_SCORE: 0.6,               // Pairs scoring lower aren't listed
+  NAME_WEIGHT: 0.65,            // Share of the score from the merchant name; the rest is date closeness
+  // Bank abbreviations and filler words, so "AMZN Mktp US" compares equal to "Amazon"
+  MERCHANT_ALIASES: {
+    amzn: 'amazon',
+    wmt: 'walmart',
+    wm: 'walmart',
+    sbux: 'starbucks',
+    tgt: 'target',
+    mcd: 'mcdonalds',
+    msft: 'microsoft',
+    goog: 'google'
+  },
+  MERCHANT_NOISE: ['mktp', 'mkt', 'marketplace', 'whse', 'supercenter', 'store', 'digital', 'svcs', 'services']
+};
+
+// Plaid personal_finance_category primaries (display labels)
+export const PLAID_CATEGORY_PRIMARIES = {
+  INCOME: 'Income',
+  TRANSFER_IN: 'Transfers In',
+  TRANSFER_OUT: 'Transfers Out',
+  LOAN_PAYMENTS: 'Loan Payments',
+  BANK_FEES: 'Bank Fees',
+  ENTERTAINMENT: 'Entertainment',
+  FOOD_AND_DRINK: 'Food & Drink',
+  GENERAL_MERCHANDISE: 'General Merchandise',
+  HOME_IMPROVEMENT: 'Home Improvement',
+  MEDICAL: 'Medical',
+  PERSONAL_CARE: 'Personal Care',
+  GENERAL_SERVICES: 'General Services',
+  GOVERNMENT_AND_NON_PROFIT: 'Government & Non-Profit',
+  TRANSPORTATION: 'Transportation',
+  TRAVEL: 'Travel',
+  RENT_AND_UTILITIES: 'Rent & Utilities'
+};
+
+// Default mappings seeded when a budget first links a bank: Plaid code -> budget category
+// names to look for (first match wins; codes with no matching category stay unmapped)
+export const PLAID_CATEGORY_DEFAULTS = {
+  INCOME: ['Income', 'Salary', 'Paycheck'],
+  TRANSFER_IN: ['Transfers', 'Transfer'],
+  TRANSFER_OUT: ['Transfers', 'Transfer'],
+  LOAN_PAYMENTS: ['Debt', 'Loans', 'Bills'],
+  BANK_FEES: ['Fees', 'Bank Fees', 'Bills'],
+  ENTERTAINMENT: ['Entertainment', 'Fun'],
+  FOOD_AND_DRINK: ['Dining', 'Restaurants', 'Food', 'Fun'],
+  FOOD_AND_DRINK_GROCERIES: ['Groceries', 'Food'],
+  GENERAL_MERCHANDISE: ['Shopping'],
+  HOME_IMPROVEMENT: ['Home', 'Household'],
+  MEDICAL: ['Medical', 'Health', 'Healthcare'],
+  PERSONAL_CARE: ['Personal Care', 'Health'],
+  GENERAL_SERVICES: ['Services', 'Bills'],
+  GOVERNMENT_AND_NON_PROFIT: ['Taxes', 'Donations', 'Charity'],
+  TRANSPORTATION: ['Transport', 'Transportation', 'Auto'],
+  TRAVEL: ['Travel', 'Vacation'],
+  RENT_AND_UTILITIES: ['Bills', 'Utilities'],
+  RENT_AND_UTILITIES_RENT: ['Rent', 'Housing']
+};
+
 // Selection Mode Types
 export const SELECTION_MODES = {
   EDIT: 'edit',
@@ -39,6 +161,28 @@ export const SORT_DIRECTIONS = {
 export const LONG_PRESS_DURATION = 600; // milliseconds
 export const LONG_PRESS_MOVE_THRESHOLD = 10; // pixels
 
+// Import batch sources (import history labels)
+export const IMPORT_SOURCES = {
+  csv: 'CSV',
+  ofx: 'OFX/QFX',
+  qif: 'QIF',
+  bank: 'Bank sync'
+};
+
+// Transaction history paging (Supabase)
+export const TRANSACTION_PAGING = {
+  PAGE_SIZE: 500,              // rows per request, and per "Load older" click
+  PLAID_LOOKUP_CHUNK: 100      // plaid_ids per lookup request (keeps URLs short)
+};
+
+// Virtual Scrolling (transaction table and cards)
+export const VIRTUAL_SCROLL = {
+  THRESHOLD: 150,        // Shorter lists are rendered in full
+  OVERSCAN: 800,         // pixels rendered above and below the viewport
+  ROW_HEIGHT: 45,        // pixels, estimate for desktop rows not yet measured
+  CARD_HEIGHT: 120       // pixels, estimate for mobile cards not yet measured
+};
+
 // Inactivity Timeout (5 minutes)
 export const INACTIVITY_TIMEOUT = 5 * 60 * 1000; // milliseconds
 
@@ -76,7 +220,9 @@ export const STORAGE_KEYS = {
   SETTINGS: 'budgetDashboardSettings',
   THEME: 'budgetDashboardTheme',
   ACTIVE_TAB: 'budgetDashboardActiveTab',
-  SUPABASE_AUTH_LOADED: 'supabase_auth_loaded'
+  SUPABASE_AUTH_LOADED: 'supabase_auth_loaded',
+  CSV_BANK_PROFILES: 'budgetDashboardCsvBankProfiles',
+  STATEMENT_ACCOUNT_MAP: 'budgetDashboardStatementAccounts'
 };
 
 // Default Settings
@@ -142,9 +288,6 @@ export const RETRY_CONFIG = {
   TOAST_DURATION: 8000 // milliseconds for long messages
 };
 
-// Transaction History
-export const TRANSACTION_HISTORY_DAYS = 30; // Days to fetch from bank
-
 // Bill Reminders
 export const BILL_REMINDER_DAYS = 7; // Show bills within this many days
 export const BILL_REMINDER_URGENT_DAYS = 3; // Mark as urgent within this many days
@@ -163,7 +306,54 @@ export const CHART_CONFIG = {
 
 // CSV Import Configuration
 export const CSV_CONFIG = {
-  MIN_COLUMNS: 3 // Minimum columns required for valid CSV row
+  MIN_COLUMNS: 3, // Minimum columns required for valid CSV row
+  PREVIEW_ROWS: 8 // Rows shown in the import wizard preview
+};
+
+// CSV Import Column Fields (what a CSV column can be mapped to)
+export const CSV_FIELDS = {
+  IGNORE: '',
+  DATE: 'date',
+  DESCRIPTION: 'description',
+  AMOUNT: 'amount',
+  DEBIT: 'debit',
+  CREDIT: 'credit',
+  TYPE: 'type',
+  CATEGORY: 'category',
+  ACCOUNT: 'account',
+  MERCHANT: 'merchant',
+  NOTES: 'notes',
+  USER: 'user'
+};
+
+// CSV Import Column Field Labels
+export const CSV_FIELD_LABELS = {
+  '': '— Ignore —',
+  date: 'Date',
+  description: 'Description',
+  amount: 'Amount',
+  debit: 'Debit (money out)',
+  credit: 'Credit (money in)',
+  type: 'Type',
+  category: 'Category',
+  account: 'Account',
+  merchant: 'Merchant',
+  notes: 'Notes',
+  user: 'User'
+};
+
+// CSV Import Date Formats
+export const CSV_DATE_FORMATS = {
+  AUTO: 'auto',
+  ISO: 'YYYY-MM-DD',
+  US: 'MM/DD/YYYY',
+  EU: 'DD/MM/YYYY'
+};
+
+// CSV Import Amount Sign Conventions
+export const CSV_SIGN_CONVENTIONS = {
+  NEGATIVE_IS_EXPENSE: 'negative_expense', // Checking/savings exports
+  POSITIVE_IS_EXPENSE: 'positive_expense' // Most credit card exports (e.g. Amex)
 };
 
 // Percentage Thresholds
@@ -0,0 +1,558 @@
+/**
+ * CSV Import Module
+ * Column-mapping import wizard, value normalization, and saved bank profiles
+ */
+
+import { logger } from './logger.js';
+import { showToast } from './utils.js';
+import { parseCsv } from './csv.js';
+import { STORAGE_KEYS, TOAST_TYPES, CSV_CONFIG, CSV_FIELDS, CSV_FIELD_LABELS, CSV_DATE_FORMATS, CSV_SIGN_CONVENTIONS } from './constants.js';
+
+// Module-level wizard state (one import at a time)
+let wizardRows = [];
+let wizardColumns = [];
+let wizardOnImport = null;
+
+// Header name hints used to pre-fill the mapping for files without a saved profile
+const HEADER_HINTS = [
+  { field: CSV_FIELDS.DATE, pattern: /date|posted/ },
+  { field: CSV_FIELDS.DEBIT, pattern: /debit|withdrawal|money out|paid out/ },
+  { field: CSV_FIELDS.CREDIT, pattern: /credit(?! card)|deposit|money in|paid in/ },
+  { field: CSV_FIELDS.AMOUNT, pattern: /amount|amt/ },
+  { field: CSV_FIELDS.TYPE, pattern: /^type$|transaction type|dr\/cr/ },
+  { field: CSV_FIELDS.CATEGORY, pattern: /category/ },
+  { field: CSV_FIELDS.MERCHANT, pattern: /merchant/ },
+  { field: CSV_FIELDS.NOTES, pattern: /^notes?$/ },
+  { field: CSV_FIELDS.USER, pattern: /^user$|added by/ },
+  { field: CSV_FIELDS.ACCOUNT, pattern: /account|card/ },
+  { field: CSV_FIELDS.DESCRIPTION, pattern: /desc|payee|memo|name|details|narrative/ }
+];
+
+/**
+ * Parse CSV text into rows of cells
+ * Whitespace outside quotes is trimmed; quoted values (as exports write them) are kept exactly.
+ * Rows with fewer than CSV_CONFIG.MIN_COLUMNS cells (blank lines, bank preambles) are dropped
+ * @param {string} text - Raw CSV file contents
+ * @returns {Array<Array<string>>} Parsed rows
+ */
+export function parseCsvRows(text) {
+  return parseCsv(text, { trim: true })
+    .filter(cells => cells.length >= CSV_CONFIG.MIN_COLUMNS && cells.some(c => c.trim()));
+}
+
+/**
+ * Normalize a date cell to YYYY-MM-DD
+ * "auto" accepts YYYY-MM-DD and MM/DD/YYYY (the formats the importer has always supported)
+ * @param {string} raw - Raw date cell
+ * @param {string} format - One of CSV_DATE_FORMATS
+ * @returns {string|null} ISO date or null if the cell can't be read
+ */
+export function normalizeDate(raw, format = CSV_DATE_FORMATS.AUTO) {
+  raw = (raw || '').replace(/^"|"$/g, '').trim();
+  if (!raw) return null;
+
+  let year, month, day;
+
+  if (format === CSV_DATE_FORMATS.ISO || format === CSV_DATE_FORMATS.AUTO) {
+    const m = raw.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+    if (m) [, year, month, day] = m;
+  }
+
+  if (!year && format !== CSV_DATE_FORMATS.ISO) {
+    const m = raw.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/);
+    if (m) {
+      if (format === CSV_DATE_FORMATS.EU) {
+        [, day, month, year] = m;
+      } else {
+        [, month, day, year] = m;
+      }
+      if (year.length === 2) year = `20${year}`;
+    }
+  }
+
+  if (!year) return null;
+
+  const yyyy = parseInt(year, 10);
+  const mm = parseInt(month, 10);
+  const dd = parseInt(day, 10);
+
+  // Reject dates that don't exist (e.g. 2024-02-31), which Date would roll into the next month
+  const date = new Date(Date.UTC(yyyy, mm - 1, dd));
+  if (date.getUTCFullYear() !== yyyy || date.getUTCMonth() !== mm - 1 || date.getUTCDate() !== dd) return null;
+
+  return `${year}-${String(mm).padStart(2, '0')}-${String(dd).padStart(2, '0')}`;
+}
+
+/**
+ * Normalize an amount cell to a signed number
+ * Accepts currency symbols, thousands separators, "(12.34)" and "12.34-" negatives
+ * @param {string} raw - Raw amount cell
+ * @returns {number|null} Parsed amount or null if the cell isn't numeric
+ */
+export function normalizeAmount(raw) {
+  let s = (raw || '').toString().replace(/^"|"$/g, '').trim();
+  let negative = false;
+
+  if (/^\(.*\)$/.test(s)) {
+    negative = true;
+    s = s.slice(1, -1);
+  }
+  s = s.replace(/[$€£\s,]/g, '');
+  if (s.endsWith('-')) {
+    negative = true;
+    s = s.slice(0, -1);
+  }
+
+  // Only accept if it looks like a number once formatting is stripped
+  if (!/^[-+]?\d+\.?\d*$/.test(s)) return null;
+  const n = parseFloat(s);
+  if (isNaN(n)) return null;
+  return negative ? -Math.abs(n) : n;
+}
+
+/**
+ * Normalize a bank "type" cell (DEBIT, CREDIT, Sale, ...) to income/expense
+ * @param {string} raw - Raw type cell
+ * @returns {string} 'income', 'expense', or the original token
+ */
+function normalizeTypeToken(raw) {
+  const token = (raw || '').trim().toLowerCase();
+  if (/^(income|credit|deposit|cr)$/.test(token)) return 'income';
+  if (/^(expense|debit|withdrawal|dr|sale|purchase)$/.test(token)) return 'expense';
+  return token;
+}
+
+/**
+ * Guess whether the first row is a header (no cell reads as a date or amount)
+ * @param {Array<string>} row - First CSV row
+ * @returns {boolean} True if the row looks like column titles
+ */
+function looksLikeHeader(row) {
+  return row.every(cell => !normalizeDate(cell) && normalizeAmount(cell) === null);
+}
+
+/**
+ * Guess a column mapping from header names, or from sample values when there is no header
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {boolean} hasHeader - Whether rows[0] is a header
+ * @param {number} columnCount - Number of columns
+ * @returns {Array<string>} CSV_FIELDS value per column
+ */
+function guessColumnMapping(rows, hasHeader, columnCount) {
+  const columns = new Array(columnCount).fill(CSV_FIELDS.IGNORE);
+  const used = new Set();
+
+  if (hasHeader) {
+    const header = rows[0].map(h => h.toLowerCase());
+    HEADER_HINTS.forEach(({ field, pattern }) => {
+      const idx = header.findIndex((h, i) => columns[i] === CSV_FIELDS.IGNORE && pattern.test(h));
+      if (idx >= 0) columns[idx] = field;
+    });
+    return columns;
+  }
+
+  // No header: look at the first data row
+  const sample = rows[0] || [];
+  let longestText = -1;
+  let longestLen = 0;
+
+  sample.forEach((cell, i) => {
+    if (!used.has(CSV_FIELDS.DATE) && normalizeDate(cell)) {
+      columns[i] = CSV_FIELDS.DATE;
+      used.add(CSV_FIELDS.DATE);
+    } else if (!used.has(CSV_FIELDS.AMOUNT) && normalizeAmount(cell) !== null) {
+      columns[i] = CSV_FIELDS.AMOUNT;
+      used.add(CSV_FIELDS.AMOUNT);
+    } else if (cell.length > longestLen) {
+      longestText = i;
+      longestLen = cell.length;
+    }
+  });
+
+  if (longestText >= 0 && columns[longestText] === CSV_FIELDS.IGNORE) {
+    columns[longestText] = CSV_FIELDS.DESCRIPTION;
+  }
+  return columns;
+}
+
+/**
+ * Map parsed CSV rows to import candidates using a column mapping
+ * Amounts come back signed so that negative = expense, whatever the file's convention
+ * @param {Array<Array<string>>} rows - Parsed rows
+ * @param {Object} settings - { hasHeader, columns, dateFormat, signConvention }
+ * @returns {Array<Object>} { rowNumber, dateStr, desc, rawAmount, typeToken, categoryToken, accountToken, merchant, note, userToken, error }
+ */
+export function mapCsvRows(rows, settings) {
+  const { hasHeader, columns, dateFormat, signConvention } = settings;
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  return dataRows.map((row, i) => {
+    // Values are kept as parsed (text fields round-trip); the normalizers trim what they read
+    const get = field => {
+      const idx = columns.indexOf(field);
+      return idx >= 0 ? (row[idx] || '') : '';
+    };
+
+    let rawAmount = normalizeAmount(get(CSV_FIELDS.AMOUNT));
+    if (rawAmount !== null && signConvention === CSV_SIGN_CONVENTIONS.POSITIVE_IS_EXPENSE) {
+      rawAmount = -rawAmount;
+    }
+    if (rawAmount === null) {
+      const debit = normalizeAmount(get(CSV_FIELDS.DEBIT));
+      const credit = normalizeAmount(get(CSV_FIELDS.CREDIT));
+      if (debit !== null || credit !== null) {
+        rawAmount = Math.abs(credit || 0) - Math.abs(debit || 0);
+      }
+    }
+
+    const dateStr = normalizeDate(get(CSV_FIELDS.DATE), dateFormat);
+    const desc = get(CSV_FIELDS.DESCRIPTION);
+
+    let error = null;
+    if (!dateStr) error = 'Unreadable date';
+    else if (rawAmount === null) error = 'Unreadable amount';
+    else if (rawAmount === 0) error = 'Zero amount';
+    else if (!desc.trim()) error = 'Missing description';
+
+    return {
+      rowNumber: i + (hasHeader ? 2 : 1),
+      dateStr,
+      desc,
+      rawAmount,
+      typeToken: normalizeTypeToken(get(CSV_FIELDS.TYPE)),
+      categoryToken: get(CSV_FIELDS.CATEGORY),
+      accountToken: get(CSV_FIELDS.ACCOUNT),
+      merchant: get(CSV_FIELDS.MERCHANT),
+      note: get(CSV_FIELDS.NOTES),
+      userToken: get(CSV_FIELDS.USER),
+      error
+    };
+  });
+}
+
+// ============================================
+// BANK PROFILES
+// ============================================
+
+/**
+ * Get saved bank profiles
+ * @returns {Array<Object>} Profiles: { name, headerSignature, hasHeader, columns, dateFormat, signConvention }
+ */
+export function getBankProfiles() {
+  try {
+    const list = JSON.parse(localStorage.getItem(STORAGE_KEYS.CSV_BANK_PROFILES) || '[]');
+    return Array.isArray(list) ? list : [];
+  } catch (e) {
+    logger.warn('Failed to load CSV bank profiles:', e);
+    return [];
+  }
+}
+
+/**
+ * Save (or replace, by name) a bank profile
+ * @param {Object} profile - Profile to save
+ */
+export function saveBankProfile(profile) {
+  const key = profile.name.trim().toLowerCase();
+  const list = getBankProfiles().filter(p => p.name.trim().toLowerCase() !== key);
+  list.push(profile);
+  localStorage.setItem(STORAGE_KEYS.CSV_BANK_PROFILES, JSON.stringify(list));
+}
+
+/**
+ * Delete a bank profile by name
+ * @param {string} name - Profile name
+ */
+export function deleteBankProfile(name) {
+  const list = getBankProfiles().filter(p => p.name !== name);
+  localStorage.setItem(STORAGE_KEYS.CSV_BANK_PROFILES, JSON.stringify(list));
+}
+
+/**
+ * Build a signature from header cells so a profile can be matched to the next export from the same bank
+ * @param {Array<string>} headerRow - Header cells
+ * @returns {string} Signature
+ */
+function getHeaderSignature(headerRow) {
+  return (headerRow || []).map(h => h.trim().toLowerCase()).join('|');
+}
+
+// ============================================
+// WIZARD
+// ============================================
+
+/**
+ * Open the CSV import wizard
+ * Shows a preview of the parsed rows, lets the user map columns and pick a bank profile,
+ * then hands the mapped rows to onImport
+ * @param {Object} options - { fileName, rows, onImport(mappedRows, { invalidCount }) }
+ */
+export function openCsvImportWizard({ fileName, rows, onImport }) {
+  const modal = document.getElementById('csvImportModal');
+  if (!modal) {
+    logger.error('CSV import modal not found');
+    return;
+  }
+
+  bindWizardHandlers();
+
+  wizardRows = rows;
+  wizardOnImport = onImport;
+
+  const columnCount = rows.reduce((max, r) => Math.max(max, r.length), 0);
+  const hasHeader = looksLikeHeader(rows[0] || []);
+  const signature = hasHeader ? getHeaderSignature(rows[0]) : '';
+  const matchingProfile = signature
+    ? getBankProfiles().find(p => p.headerSignature === signature)
+    : null;
+
+  const fileNameEl = document.getElementById('csvImportFileName');
+  if (fileNameEl) fileNameEl.textContent = fileName || '';
+
+  renderProfileOptions(matchingProfile?.name || '');
+
+  if (matchingProfile) {
+    applyProfile(matchingProfile, columnCount);
+  } else {
+    wizardColumns = guessColumnMapping(rows, hasHeader, columnCount);
+    document.getElementById('csvHasHeaderInput').checked = hasHeader;
+    document.getElementById('csvDateFormatSelect').value = CSV_DATE_FORMATS.AUTO;
+    document.getElementById('csvSignConventionSelect').value = CSV_SIGN_CONVENTIONS.NEGATIVE_IS_EXPENSE;
+    document.getElementById('csvProfileNameInput').value = '';
+  }
+
+  renderWizardPreview();
+  modal.classList.add('show');
+}
+
+/**
+ * Register wizard control listeners once
+ */
+function bindWizardHandlers() {
+  const modal = document.getElementById('csvImportModal');
+  if (!modal || modal.dataset.bound === '1') return;
+  modal.dataset.bound = '1';
+
+  const columnCount = () => wizardColumns.length;
+
+  document.getElementById('csvProfileSelect')?.addEventListener('change', (e) => {
+    const profile = getBankProfiles().find(p => p.name === e.target.value);
+    if (profile) {
+      applyProfile(profile, columnCount());
+    } else {
+      document.getElementById('csvProfileNameInput').value = '';
+      document.getElementById('deleteCsvProfileBtn').style.display = 'none';
+    }
+    renderWizardPreview();
+  });
+
+  ['csvHasHeaderInput', 'csvDateFormatSelect', 'csvSignConventionSelect'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', renderWizardPreview);
+  });
+
+  document.getElementById('deleteCsvProfileBtn')?.addEventListener('click', () => {
+    const name = document.getElementById('csvProfileSelect').value;
+    if (!name || !confirm(`Delete bank profile "${name}"?`)) return;
+    deleteBankProfile(name);
+    renderProfileOptions('');
+    document.getElementById('csvProfileNameInput').value = '';
+    showToast(`Deleted bank profile "${name}"`, TOAST_TYPES.SUCCESS);
+  });
+
+  document.getElementById('cancelCsvImportBtn')?.addEventListener('click', closeCsvImportWizard);
+  document.getElementById('confirmCsvImportBtn')?.addEventListener('click', confirmCsvImport);
+}
+
+/**
+ * Close the CSV import wizard and drop the pending file
+ */
+export function closeCsvImportWizard() {
+  const modal = document.getElementById('csvImportModal');
+  if (modal) modal.classList.remove('show');
+  wizardRows = [];
+  wizardOnImport = null;
+}
+
+/**
+ * Populate the bank profile dropdown
+ * @param {string} selectedName - Profile to select
+ */
+function renderProfileOptions(selectedName) {
+  const select = document.getElementById('csvProfileSelect');
+  const deleteBtn = document.getElementById('deleteCsvProfileBtn');
+  if (!select) return;
+
+  select.innerHTML = '<option value="">New mapping</option>';
+  getBankProfiles().forEach(p => {
+    const option = document.createElement('option');
+    option.value = p.name;
+    option.textContent = p.name;
+    select.appendChild(option);
+  });
+  select.value = selectedName;
+  if (deleteBtn) deleteBtn.style.display = selectedName ? '' : 'none';
+}
+
+/**
+ * Load a saved profile into the wizard controls
+ * @param {Object} profile - Bank profile
+ * @param {number} columnCount - Columns in the current file
+ */
+function applyProfile(profile, columnCount) {
+  wizardColumns = Array.from({ length: columnCount }, (_, i) => profile.columns[i] || CSV_FIELDS.IGNORE);
+  document.getElementById('csvHasHeaderInput').checked = !!profile.hasHeader;
+  document.getElementById('csvDateFormatSelect').value = profile.dateFormat || CSV_DATE_FORMATS.AUTO;
+  document.getElementById('csvSignConventionSelect').value = profile.signConvention || CSV_SIGN_CONVENTIONS.NEGATIVE_IS_EXPENSE;
+  document.getElementById('csvProfileNameInput').value = profile.name;
+  document.getElementById('deleteCsvProfileBtn').style.display = '';
+}
+
+/**
+ * Read the current wizard settings from the controls
+ * @returns {Object} { hasHeader, columns, dateFormat, signConvention }
+ */
+function getWizardSettings() {
+  return {
+    hasHeader: document.getElementById('csvHasHeaderInput').checked,
+    columns: wizardColumns.slice(),
+    dateFormat: document.getElementById('csvDateFormatSelect').value,
+    signConvention: document.getElementById('csvSignConventionSelect').value
+  };
+}
+
+/**
+ * Render the raw column preview (with mapping selects) and the parsed preview
+ */
+function renderWizardPreview() {
+  const table = document.getElementById('csvMappingTable');
+  const parsed = document.getElementById('csvParsedPreview');
+  if (!table || !parsed) return;
+
+  const settings = getWizardSettings();
+
+  // Raw rows with a mapping select above each column
+  const thead = table.querySelector('thead');
+  const tbody = table.querySelector('tbody');
+  thead.innerHTML = '';
+  tbody.innerHTML = '';
+
+  const selectRow = document.createElement('tr');
+  wizardColumns.forEach((field, i) => {
+    const th = document.createElement('th');
+    const select = document.createElement('select');
+    Object.values(CSV_FIELDS).forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = CSV_FIELD_LABELS[value];
+      select.appendChild(option);
+    });
+    select.value = field;
+    select.addEventListener('change', () => {
+      // A field can only be mapped to one column
+      if (select.value) {
+        wizardColumns = wizardColumns.map(f => (f === select.value ? CSV_FIELDS.IGNORE : f));
+      }
+      wizardColumns[i] = select.value;
+      renderWizardPreview();
+    });
+    th.appendChild(select);
+    selectRow.appendChild(th);
+  });
+  thead.appendChild(selectRow);
+
+  wizardRows.slice(0, CSV_CONFIG.PREVIEW_ROWS + (settings.hasHeader ? 1 : 0)).forEach((row, rowIndex) => {
+    const tr = document.createElement('tr');
+    if (settings.hasHeader && rowIndex === 0) tr.className = 'csv-header-row';
+    wizardColumns.forEach((_, i) => {
+      const td = document.createElement('td');
+      td.textContent = row[i] || '';
+      tr.appendChild(td);
+    });
+    tbody.appendChild(tr);
+  });
+
+  // Parsed result of the current mapping
+  const missing = [];
+  if (!settings.columns.includes(CSV_FIELDS.DATE)) missing.push('Date');
+  if (!settings.columns.includes(CSV_FIELDS.DESCRIPTION)) missing.push('Description');
+  if (!settings.columns.some(f => f === CSV_FIELDS.AMOUNT || f === CSV_FIELDS.DEBIT || f === CSV_FIELDS.CREDIT)) {
+    missing.push('Amount (or Debit/Credit)');
+  }
+
+  if (missing.length > 0) {
+    parsed.innerHTML = `<p class="csv-import-warning">Map a column to: ${missing.join(', ')}</p>`;
+    return;
+  }
+
+  const mapped = mapCsvRows(wizardRows, settings);
+  const invalidCount = mapped.filter(r => r.error).length;
+
+  const rowsHtml = mapped.slice(0, CSV_CONFIG.PREVIEW_ROWS).map(r => {
+    if (r.error) {
+      return `<tr class="csv-row-invalid"><td>Row ${r.rowNumber}</td><td colspan="3">${escapeHtml(r.error)} — will be skipped</td></tr>`;
+    }
+    const type = (r.typeToken === 'income' || r.typeToken === 'expense') ? r.typeToken : (r.rawAmount < 0 ? 'expense' : 'income');
+    return `
+      <tr>
+        <td>${r.dateStr}</td>
+        <td>${escapeHtml(r.desc)}</td>
+        <td><span class="badge-${type}">${type}</span></td>
+        <td>${Math.abs(r.rawAmount).toFixed(2)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  parsed.innerHTML = `
+    <p class="csv-import-counts">
+      ${mapped.length - invalidCount} of ${mapped.length} row${mapped.length === 1 ? '' : 's'} ready to import${invalidCount ? `, ${invalidCount} will be skipped` : ''}
+    </p>
+    <table>
+      <thead><tr><th>Date</th><th>Description</th><th>Type</th><th>Amount</th></tr></thead>
+      <tbody>${rowsHtml}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Validate the mapping, save the bank profile if named, and hand mapped rows to the importer
+ */
+function confirmCsvImport() {
+  const settings = getWizardSettings();
+
+  const hasAmount = settings.columns.some(f => f === CSV_FIELDS.AMOUNT || f === CSV_FIELDS.DEBIT || f === CSV_FIELDS.CREDIT);
+  if (!settings.columns.includes(CSV_FIELDS.DATE) || !settings.columns.includes(CSV_FIELDS.DESCRIPTION) || !hasAmount) {
+    showToast('Map the date, description and amount columns first', TOAST_TYPES.ERROR);
+    return;
+  }
+
+  const profileName = document.getElementById('csvProfileNameInput').value.trim();
+  if (profileName) {
+    saveBankProfile({
+      name: profileName,
+      headerSignature: settings.hasHeader ? getHeaderSignature(wizardRows[0]) : '',
+      ...settings
+    });
+  }
+
+  const mapped = mapCsvRows(wizardRows, settings);
+  const validRows = mapped.filter(r => !r.error);
+  const invalidCount = mapped.length - validRows.length;
+  if (invalidCount > 0) {
+    logger.warn(`Skipping ${invalidCount} unreadable CSV row(s):`, mapped.filter(r => r.error));
+  }
+
+  const onImport = wizardOnImport;
+  closeCsvImportWizard();
+  if (onImport) onImport(validRows, { invalidCount });
+}
+
+/**
+ * Escape text for innerHTML
+ * @param {string} str - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(str) {
+  return String(str || '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
@@ -0,0 +1,108 @@
+/**
+ * CSV Utilities
+ * RFC 4180 parsing and serialization shared by CSV import and export
+ */
+
+const BOM = '\uFEFF';
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180)
+ * Handles quoted fields containing commas, line breaks, and "" escaped quotes.
+ * Accepts CRLF or bare LF/CR record separators and ignores a leading byte order mark.
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {boolean} [options.trim=false] - Drop whitespace outside quotes (padding banks add around
+ *   fields); whitespace inside quotes is kept, since escapeCsvField() quotes fields to preserve it
+ * @returns {Array<Array<string>>} Rows of field values
+ */
+export function parseCsv(text, { trim = false } = {}) {
+  const input = (text || '').startsWith(BOM) ? text.slice(1) : (text || '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  // Where the field's quoted part starts and ends, so trimming leaves it alone
+  let quotedFrom = -1;
+  let quotedTo = -1;
+  let i = 0;
+
+  const endField = () => {
+    if (trim) {
+      field = quotedFrom < 0
+        ? field.trim()
+        : field.slice(0, quotedFrom).trimStart() + field.slice(quotedFrom, quotedTo) + field.slice(quotedTo).trimEnd();
+    }
+    row.push(field);
+    field = '';
+    quotedFrom = -1;
+    quotedTo = -1;
+  };
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+        quotedTo = field.length;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && (field === '' || (trim && quotedFrom < 0 && !field.trim()))) {
+      inQuotes = true;
+      if (quotedFrom < 0) quotedFrom = field.length;
+    } else if (ch === ',') {
+      endField();
+    } else if (ch === '\r' || ch === '\n') {
+      endField();
+      rows.push(row);
+      row = [];
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+
+  // Last record (files don't have to end with a line break)
+  if (field !== '' || row.length > 0) {
+    endField();
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a single field if it contains a delimiter, quote, or line break
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} CSV-safe field
+ */
+export function escapeCsvField(value) {
+  const str = value === null || value === undefined ? '' : String(value);
+  if (/[",\r\n]/.test(str) || str !== str.trim()) {
+    return `"${str.replace(/"/g, '""')}"`;
+  }
+  return str;
+}
+
+/**
+ * Serialize rows to CSV text (RFC 4180, CRLF line endings)
+ * @param {Array<Array<*>>} rows - Rows of field values (first row is usually the header)
+ * @param {Object} [options]
+ * @param {boolean} [options.bom=false] - Prefix a UTF-8 byte order mark (helps Excel detect encoding)
+ * @returns {string} CSV text
+ */
+export function toCsv(rows, { bom = false } = {}) {
+  const body = rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n');
+  return (bom ? BOM : '') + body + '\r\n';
+}
@@ -0,0 +1,416 @@
+/**
+ * Duplicates Module
+ * Finds transactions that are probably the same purchase recorded twice (same amount, dates a few
+ * days apart, similar merchant once bank abbreviations are normalized), scores each candidate pair
+ * and lets the user merge them from the Find Duplicates screen.
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { formatMoney, formatDate, showToast, isValidUUID } from './utils.js';
+import { DUPLICATE_DETECTION, TOAST_TYPES } from './constants.js';
+import { tokenize, isUncategorized, invalidateSuggestionModel } from './category-suggestions.js';
+import { isSplit } from './splits.js';
+import { isTransfer } from './transfers.js';
+import { getTransactionsInRange } from './transaction-history.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Card processors put their own name before a '*' ("SQ *BLUE BOTTLE", "PAYPAL *NETFLIX")
+const PROCESSOR_PREFIX = /^\s*(sq|tst|sp|pp|paypal|py|ic|pos)\s*\*\s*/;
+const MERCHANT_NOISE = new Set(DUPLICATE_DETECTION.MERCHANT_NOISE);
+
+// Module-level state
+let candidatePairs = [];
+const skippedPairs = new Set();
+
+// External dependencies (will be injected)
+let transactionService = null;
+let currentBudget = null;
+let useSupabase = false;
+let loadDataFromSupabase = null;
+let renderAll = null;
+let canEditTransaction = () => true;
+
+/**
+ * Initialize duplicates module with dependencies
+ * @param {Object} deps - Dependencies object
+ * @param {Function} [deps.canEditTransaction] - Permission check; pairs are only offered when both rows may be changed
+ */
+export function initDuplicates(deps) {
+  transactionService = deps.transactionService;
+  currentBudget = deps.currentBudget;
+  useSupabase = deps.useSupabase;
+  loadDataFromSupabase = deps.loadDataFromSupabase;
+  renderAll = deps.renderAll;
+  if (typeof deps.canEditTransaction === 'function') canEditTransaction = deps.canEditTransaction;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Reduce a description or merchant to comparable name words
+ * Drops card processor prefixes, reference codes after a '*', store numbers and filler words,
+ * and maps bank abbreviations to the usual name ("AMZN Mktp US*2K4" -> ["amazon"]).
+ * @param {string} text - Description or merchant
+ * @returns {Array<string>} Name tokens
+ */
+export function normalizeMerchantName(text) {
+  const name = (text || '').toString().toLowerCase().replace(/['’]/g, '').replace(PROCESSOR_PREFIX, '');
+  const words = (value) => tokenize(value)
+    .map(token => DUPLICATE_DETECTION.MERCHANT_ALIASES[token] || token)
+    .filter(token => !MERCHANT_NOISE.has(token));
+  const beforeReference = words(name.split('*')[0]);
+  return beforeReference.length ? beforeReference : words(name);
+}
+
+/**
+ * Score how alike two normalized names are
+ * Mostly how much of the shorter name appears in the longer one, so "Amazon" matches
+ * "Amazon Prime"; words also match when one is a truncation of the other ("starbuck").
+ * @param {Array<string>} a - Name tokens
+ * @param {Array<string>} b - Name tokens
+ * @returns {number} 0-1
+ */
+function nameSimilarity(a, b) {
+  if (!a.length || !b.length) return 0;
+  const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+  const matches = (t, u) => t === u ||
+    (Math.min(t.length, u.length) >= 4 && (t.startsWith(u) || u.startsWith(t)));
+  const matched = shorter.filter(t => longer.some(u => matches(t, u))).length;
+  const containment = matched / shorter.length;
+  const overlap = matched / (a.length + b.length - matched);
+  return 0.75 * containment + 0.25 * overlap;
+}
+
+/**
+ * Best name similarity between two transactions, comparing merchants and descriptions
+ * @param {Object} a - Local-shape transaction
+ * @param {Object} b - Local-shape transaction
+ * @returns {number} 0-1
+ */
+function transactionNameSimilarity(a, b) {
+  const names = (tx) => [tx.merchant, tx.description].filter(Boolean).map(normalizeMerchantName);
+  let best = 0;
+  names(a).forEach(x => names(b).forEach(y => { best = Math.max(best, nameSimilarity(x, y)); }));
+  return best;
+}
+
+/**
+ * Whether two transactions could be the same purchase at all
+ * Same type and amount, dates within the tolerance, and nothing proving they are separate:
+ * different accounts, different bank or file IDs, or rows from the same import file.
+ * @param {Object} a - Local-shape transaction
+ * @param {Object} b - Local-shape transaction
+ * @returns {boolean} True if worth scoring
+ */
+function isComparable(a, b) {
+  if (a.type !== b.type) return false;
+  if (a.accountId && b.accountId && a.accountId !== b.accountId) return false;
+  if (a.plaid_id && b.plaid_id && a.plaid_id !== b.plaid_id) return false;
+  if (a.externalId && b.externalId && a.externalId !== b.externalId) return false;
+  if (a.importBatchId && a.importBatchId === b.importBatchId) return false;
+  return true;
+}
+
+/**
+ * Days between two transactions
+ * @param {Object} a - Local-shape transaction
+ * @param {Object} b - Local-shape transaction
+ * @returns {number} Whole days apart
+ */
+function daysApart(a, b) {
+  return Math.round(Math.abs(new Date(a.date) - new Date(b.date)) / DAY_MS);
+}
+
+/**
+ * Similarity score for a candidate pair
+ * @param {Object} a - Local-shape transaction
+ * @param {Object} b - Local-shape transaction
+ * @returns {number} 0-1 (1: same day, same name)
+ */
+export function scoreDuplicatePair(a, b) {
+  const dateScore = 1 - daysApart(a, b) / (DUPLICATE_DETECTION.DATE_TOLERANCE_DAYS + 1);
+  return DUPLICATE_DETECTION.NAME_WEIGHT * transactionNameSimilarity(a, b) +
+    (1 - DUPLICATE_DETECTION.NAME_WEIGHT) * dateScore;
+}
+
+/**
+ * Which side of a pair stays in the register
+ * The row tied to the bank or a file wins, so later syncs and reverts still find it.
+ * @param {Object} a - Local-shape transaction
+ * @param {Object} b - Local-shape transaction
+ * @returns {{ keep: Object, remove: Object }} Surviving and merged-away rows
+ */
+function pickSurvivor(a, b) {
+  const linkage = (tx) => (tx.plaid_id ? 3 : 0) + (tx.externalId ? 2 : 0) + (tx.importBatchId ? 1 : 0);
+  return linkage(b) > linkage(a) ? { keep: b, remove: a } : { keep: a, remove: b };
+}
+
+/**
+ * Find likely duplicate pairs
+ * Highest scores pair first and every transaction is used at most once.
+ * @param {Array<Object>} transactions - Local-shape transactions
+ * @returns {Array<{ keep: Object, remove: Object, score: number, days: number }>} Pairs, best first
+ */
+export function findDuplicateCandidates(transactions) {
+  const cents = (tx) => Math.round(Math.abs(Number(tx.amount) || 0) * 100);
+
+  // Bucketed by amount and sorted by date, so each row only looks a few days ahead
+  const byCents = new Map();
+  (transactions || []).forEach(tx => {
+    if (!tx?.date || isTransfer(tx) || !cents(tx)) return;
+    const key = cents(tx);
+    if (!byCents.has(key)) byCents.set(key, []);
+    byCents.get(key).push(tx);
+  });
+
+  const options = [];
+  byCents.forEach(group => {
+    group.sort((x, y) => x.date.localeCompare(y.date));
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const days = daysApart(group[i], group[j]);
+        if (days > DUPLICATE_DETECTION.DATE_TOLERANCE_DAYS) break;
+        if (!isComparable(group[i], group[j])) continue;
+        const score = scoreDuplicatePair(group[i], group[j]);
+        if (score >= DUPLICATE_DETECTION.MIN_SCORE) {
+          options.push({ ...pickSurvivor(group[i], group[j]), score, days });
+        }
+      }
+    }
+  });
+
+  options.sort((x, y) => y.score - x.score || (y.keep.date || '').localeCompare(x.keep.date || ''));
+  const used = new Set();
+  return options.filter(({ keep, remove }) => {
+    if (used.has(keep) || used.has(remove)) return false;
+    used.add(keep);
+    used.add(remove);
+    return true;
+  });
+}
+
+/**
+ * Key identifying a pair regardless of order
+ * @param {{ keep: Object, remove: Object }} pair - Candidate pair
+ * @returns {string} Pair key
+ */
+function pairKey(pair) {
+  return [pair.keep.id, pair.remove.id].sort().join('|');
+}
+
+/**
+ * Which side's notes, tags and category to keep by default: the one the user filled in more
+ * @param {{ keep: Object, remove: Object }} pair - Candidate pair
+ * @returns {'keep'|'remove'} Side
+ */
+function defaultDetailsSide(pair) {
+  const detail = (tx) => (isUncategorized(tx) ? 0 : 1) + (tx.note ? 1 : 0) +
+    (tx.tags?.length ? 1 : 0) + (isSplit(tx) ? 1 : 0);
+  return detail(pair.remove) > detail(pair.keep) ? 'remove' : 'keep';
+}
+
+/**
+ * Describe where a transaction came from
+ * @param {Object} tx - Local-shape transaction
+ * @returns {string} Source label
+ */
+function describeSource(tx) {
+  if (tx.plaid_id) return 'Bank sync';
+  if (tx.externalId || tx.importBatchId) return 'Imported file';
+  return 'Entered by hand';
+}
+
+/**
+ * Render one side of a pair
+ * @param {number} index - Pair index
+ * @param {'keep'|'remove'} side - Which side
+ * @param {Object} tx - Local-shape transaction
+ * @param {boolean} checked - Whether this side's details are selected
+ * @returns {string} HTML
+ */
+function renderPairSide(index, side, tx, checked) {
+  const data = stateManager.getActiveData();
+  const categoryName = (id) => (data.categories || []).find(c => c.id === id)?.name || '—';
+  const accountName = (data.accounts || []).find(a => a.id === tx.accountId)?.name;
+  const category = isSplit(tx)
+    ? `Split: ${tx.splits.map(s => categoryName(s.categoryId)).join(', ')}`
+    : categoryName(tx.categoryId);
+  return `
+    <label class="duplicate-side">
+      <span class="duplicate-side-choice">
+        <input type="radio" name="duplicateDetails-${index}" value="${side}" ${checked ? 'checked' : ''}>
+        Keep notes, tags &amp; category from this one
+      </span>
+      <span class="duplicate-side-status">${side === 'keep' ? 'Stays in the register' : 'Removed by the merge'} · ${describeSource(tx)}</span>
+      <dl>
+        <dt>Date</dt><dd>${formatDate(tx.date)}</dd>
+        <dt>Description</dt><dd>${tx.description || '—'}</dd>
+        ${tx.merchant ? `<dt>Merchant</dt><dd>${tx.merchant}</dd>` : ''}
+        <dt>Amount</dt><dd>${formatMoney(tx.amount)}</dd>
+        ${accountName ? `<dt>Account</dt><dd>${accountName}</dd>` : ''}
+        <dt>Category</dt><dd>${category}</dd>
+        <dt>Tags</dt><dd>${tx.tags?.length ? tx.tags.join(', ') : '—'}</dd>
+        <dt>Notes</dt><dd>${tx.note || '—'}</dd>
+      </dl>
+    </label>
+  `;
+}
+
+/**
+ * Render the candidate pairs
+ */
+function renderDuplicateCandidates() {
+  const summary = document.getElementById('duplicatesSummary');
+  const list = document.getElementById('duplicatesList');
+  const shown = candidatePairs.filter(pair => !skippedPairs.has(pairKey(pair)));
+
+  if (summary) {
+    summary.textContent = shown.length === 0
+      ? 'No likely duplicates found.'
+      : `${shown.length} possible duplicate${shown.length === 1 ? '' : 's'}. Merging keeps one transaction, with the notes, tags and category of the side you pick.`;
+  }
+  if (!list) return;
+  list.innerHTML = candidatePairs.map((pair, index) => skippedPairs.has(pairKey(pair)) ? '' : `
+    <div class="duplicate-pair" data-index="${index}">
+      <div class="duplicate-pair-header">
+        <span class="duplicate-score">${Math.round(pair.score * 100)}% match</span>
+        <span class="duplicate-pair-days">${pair.days === 0 ? 'Same day' : `${pair.days} day${pair.days === 1 ? '' : 's'} apart`}</span>
+      </div>
+      <div class="duplicate-pair-sides">
+        ${renderPairSide(index, 'keep', pair.keep, defaultDetailsSide(pair) === 'keep')}
+        ${renderPairSide(index, 'remove', pair.remove, defaultDetailsSide(pair) === 'remove')}
+      </div>
+      <div class="duplicate-pair-actions">
+        <button class="btn-secondary btn-compact" data-action="skip">Skip</button>
+        <button class="btn-primary btn-compact" data-action="merge">Merge</button>
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Open the Find Duplicates screen with candidate pairs from the whole history
+ * (months that aren't loaded included, so pairs on either side of the loaded range are found)
+ * @returns {Promise<void>}
+ */
+export async function openDuplicates() {
+  const { data: transactions, error } = await getTransactionsInRange();
+  if (error) {
+    logger.error('Error loading transactions for duplicate check:', error);
+    showToast(`Error loading transactions: ${error.message}`, TOAST_TYPES.ERROR);
+    return;
+  }
+  candidatePairs = findDuplicateCandidates(transactions)
+    .filter(({ keep, remove }) => canEditTransaction(keep) && canEditTransaction(remove));
+
+  // Merge / Skip buttons are re-rendered, so listen on the list once
+  const list = document.getElementById('duplicatesList');
+  if (list && !list.dataset.boundDuplicateActions) {
+    list.addEventListener('click', async (e) => {
+      const button = e.target.closest('button[data-action]');
+      const row = button?.closest('.duplicate-pair');
+      if (!button || !row || button.disabled) return;
+      const pair = candidatePairs[Number(row.dataset.index)];
+      if (!pair) return;
+      if (button.dataset.action === 'skip') {
+        skippedPairs.add(pairKey(pair));
+        renderDuplicateCandidates();
+      } else if (button.dataset.action === 'merge') {
+        const side = row.querySelector(`input[name="duplicateDetails-${row.dataset.index}"]:checked`)?.value || 'keep';
+        button.disabled = true;
+        button.textContent = 'Merging...';
+        await mergeDuplicatePair(pair, side);
+      }
+    });
+    list.dataset.boundDuplicateActions = '1';
+  }
+
+  renderDuplicateCandidates();
+  const modal = document.getElementById('duplicatesModal');
+  if (modal) modal.classList.add('show');
+}
+
+/**
+ * Merge a pair: the surviving row takes the chosen side's notes, tags and category (or split
+ * lines), then the other row is deleted
+ * @param {{ keep: Object, remove: Object }} pair - Candidate pair
+ * @param {'keep'|'remove'} side - Side whose details are kept
+ * @returns {Promise<boolean>} True if merged
+ */
+export async function mergeDuplicatePair(pair, side) {
+  const { keep, remove } = pair;
+  const source = side === 'remove' ? remove : keep;
+  const splits = isSplit(source) ? source.splits : [];
+
+  if (useSupabase && currentBudget && transactionService) {
+    // Use Supabase
+    try {
+      const { error: updateError } = await transactionService.updateTransaction(keep.id, {
+        category_id: isValidUUID(source.categoryId) ? source.categoryId : null,
+        notes: source.note || null,
+        tags: source.tags || []
+      });
+      if (updateError) throw updateError;
+
+      if (splits.length || isSplit(keep)) {
+        const { error: splitError } = await transactionService.setTransactionSplits(
+          keep.id,
+          splits.map(line => ({ category_id: line.categoryId, amount: line.amount, notes: line.note || null }))
+        );
+        if (splitError) throw splitError;
+      }
+
+      const { error: deleteError } = await transactionService.deleteTransaction(remove.id);
+      if (deleteError) throw deleteError;
+    } catch (error) {
+      logger.error('Error merging duplicate transactions:', error);
+      showToast(`Error merging transactions: ${error.message}`, TOAST_TYPES.ERROR);
+      if (loadDataFromSupabase) await loadDataFromSupabase();
+      await openDuplicates();
+      return false;
+    }
+    if (loadDataFromSupabase) {
+      await loadDataFromSupabase();
+    }
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    const kept = (data.transactions || []).find(t => t.id === keep.id);
+    if (kept) {
+      kept.categoryId = source.categoryId;
+      kept.note = source.note || undefined;
+      kept.tags = [...(source.tags || [])];
+      kept.splits = splits.map(line => ({ ...line }));
+    }
+    data.transactions = (data.transactions || []).filter(t => t.id !== remove.id);
+    stateManager.saveState();
+  }
+  // The merged rows may be outside the loaded months
+  invalidateSuggestionModel(true);
+
+  showToast('Merged duplicate transactions', TOAST_TYPES.SUCCESS);
+  if (renderAll) {
+    renderAll();
+  }
+  await openDuplicates();
+  return true;
+}
+
+/**
+ * Close the Find Duplicates screen
+ */
+export function closeDuplicates() {
+  const modal = document.getElementById('duplicatesModal');
+  if (modal) {
+    modal.classList.remove('show');
+  }
+  candidatePairs = [];
+}
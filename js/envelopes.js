@@ -0,0 +1,370 @@
+/**
+ * Envelopes Module
+ * Zero-based budgeting: income is assigned to categories month by month, and whatever a category
+ * has left (or overspent) rolls over into the next month. Works out each category's available
+ * balance and the budget's "ready to assign" amount, and renders the assign table.
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { formatMoney, showToast, isValidUUID, generateId } from './utils.js';
+import { BUDGETING_MODES, TOAST_TYPES } from './constants.js';
+import { sumByCategory } from './splits.js';
+import { getFallbackCategoryId } from './transaction-history.js';
+
+// External dependencies (will be injected)
+let allocationService = null;
+let budgetService = null;
+let currentBudget = null;
+let useSupabase = false;
+let loadDataFromSupabase = null;
+let renderAll = null;
+
+/**
+ * Initialize envelopes module with dependencies
+ * @param {Object} deps - Dependencies object
+ */
+export function initEnvelopes(deps) {
+  allocationService = deps.allocationService;
+  budgetService = deps.budgetService;
+  currentBudget = deps.currentBudget;
+  useSupabase = deps.useSupabase;
+  loadDataFromSupabase = deps.loadDataFromSupabase;
+  renderAll = deps.renderAll;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Check whether the active budget uses zero-based budgeting
+ * @param {Object} [data] - Active data (defaults to the state manager's)
+ * @returns {boolean} True in zero-based mode
+ */
+export function isZeroBased(data = stateManager.getActiveData()) {
+  return data?.budgetingMode === BUDGETING_MODES.ZERO_BASED;
+}
+
+/**
+ * Transform a Supabase category_allocations row to the localStorage format
+ * @param {Object} row - Row from allocationService.getAllocations()
+ * @returns {{ id: string, categoryId: string, month: string, amount: number }} Allocation (month is YYYY-MM)
+ */
+export function toLocalAllocation(row) {
+  return {
+    id: row.id,
+    categoryId: row.category_id,
+    month: (row.month || '').slice(0, 7),
+    amount: parseFloat(row.amount) || 0
+  };
+}
+
+/**
+ * Transform get_category_activity rows to the localStorage format
+ * @param {Array<Object>} rows - Rows from transactionService.getCategoryActivity()
+ * @param {string|null} fallbackCategoryId - Category for rows without one (as transactions get)
+ * @returns {Array<{ month: string, categoryId: string|null, type: string, total: number }>} Activity rows
+ */
+export function toLocalActivity(rows, fallbackCategoryId = null) {
+  return (rows || []).map(r => ({
+    month: (r.month || '').slice(0, 7),
+    categoryId: r.category_id || fallbackCategoryId,
+    type: r.type,
+    total: parseFloat(r.total) || 0
+  }));
+}
+
+/**
+ * The month after a month
+ * @param {string} month - YYYY-MM
+ * @returns {string} YYYY-MM
+ */
+function nextMonth(month) {
+  const [y, m] = month.split('-').map(Number);
+  return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Income and spending per month
+ * Transactions older than the loaded history come from the activity summary loaded with it
+ * (Supabase); everything from its cut-off date on comes from the loaded transactions.
+ * @param {Object} [data] - Active data (defaults to the state manager's)
+ * @returns {Map<string, { income: number, spent: Object<string, number>, received: Object<string, number> }>}
+ *   Keyed by YYYY-MM; spent and received are by category ID
+ */
+export function getMonthlyActivity(data = stateManager.getActiveData()) {
+  const byMonth = new Map();
+  const monthOf = (month) => {
+    if (!byMonth.has(month)) byMonth.set(month, { income: 0, spent: {}, received: {} });
+    return byMonth.get(month);
+  };
+
+  const activity = data.categoryActivity;
+  (activity?.rows || []).forEach(r => {
+    const entry = monthOf(r.month);
+    if (r.type === 'income') {
+      entry.income += r.total;
+      if (r.categoryId) entry.received[r.categoryId] = (entry.received[r.categoryId] || 0) + r.total;
+    } else if (r.type === 'expense' && r.categoryId) {
+      entry.spent[r.categoryId] = (entry.spent[r.categoryId] || 0) + r.total;
+    }
+  });
+
+  const before = activity?.before || null;
+  const txByMonth = new Map();
+  (data.transactions || []).forEach(t => {
+    if (!t.date || (before && t.date < before)) return;
+    const month = t.date.slice(0, 7);
+    if (!txByMonth.has(month)) txByMonth.set(month, []);
+    txByMonth.get(month).push(t);
+  });
+  txByMonth.forEach((transactions, month) => {
+    const entry = monthOf(month);
+    transactions.forEach(t => { if (t.type === 'income') entry.income += t.amount; });
+    Object.entries(sumByCategory(transactions, 'expense')).forEach(([categoryId, amount]) => {
+      entry.spent[categoryId] = (entry.spent[categoryId] || 0) + amount;
+    });
+    Object.entries(sumByCategory(transactions, 'income')).forEach(([categoryId, amount]) => {
+      entry.received[categoryId] = (entry.received[categoryId] || 0) + amount;
+    });
+  });
+  return byMonth;
+}
+
+/**
+ * Work out the envelopes for a month
+ * Each category's available balance is last month's balance plus what was assigned this month,
+ * minus this month's spending; negative balances carry over too. Ready to assign is all income
+ * received through the month minus everything assigned through it.
+ * @param {string} month - YYYY-MM
+ * @param {Object} [data] - Active data (defaults to the state manager's)
+ * @returns {{ readyToAssign: number, income: number, assigned: number, envelopes: Object<string, { carryover: number, assigned: number, activity: number, available: number }> }}
+ *   Budget totals for the month and envelopes keyed by category ID
+ */
+export function getEnvelopeSummary(month, data = stateManager.getActiveData()) {
+  const categories = data.categories || [];
+  const activity = getMonthlyActivity(data);
+  const assignedByMonth = new Map();
+  (data.categoryAllocations || []).forEach(a => {
+    if (!assignedByMonth.has(a.month)) assignedByMonth.set(a.month, {});
+    const assigned = assignedByMonth.get(a.month);
+    assigned[a.categoryId] = (assigned[a.categoryId] || 0) + a.amount;
+  });
+
+  const months = [...activity.keys(), ...assignedByMonth.keys()].filter(m => m && m <= month).sort();
+  const envelopes = {};
+  categories.forEach(c => { envelopes[c.id] = { carryover: 0, assigned: 0, activity: 0, available: 0 }; });
+  let totalIncome = 0;
+  let totalAssigned = 0;
+  let monthIncome = 0;
+  let monthAssigned = 0;
+
+  for (let m = months[0]; m && m <= month; m = nextMonth(m)) {
+    const spent = activity.get(m)?.spent || {};
+    const assigned = assignedByMonth.get(m) || {};
+    monthIncome = activity.get(m)?.income || 0;
+    monthAssigned = 0;
+    categories.forEach(c => {
+      const envelope = envelopes[c.id];
+      envelope.carryover = envelope.available;
+      envelope.assigned = assigned[c.id] || 0;
+      envelope.activity = spent[c.id] || 0;
+      envelope.available = envelope.carryover + envelope.assigned - envelope.activity;
+      monthAssigned += envelope.assigned;
+    });
+    totalIncome += monthIncome;
+    totalAssigned += monthAssigned;
+  }
+
+  return {
+    readyToAssign: totalIncome - totalAssigned,
+    income: monthIncome,
+    assigned: monthAssigned,
+    envelopes
+  };
+}
+
+/**
+ * Set the amount assigned to a category for a month
+ * @param {string} categoryId - Category ID
+ * @param {string} month - YYYY-MM
+ * @param {number} amount - Amount assigned (0 clears it)
+ * @returns {Promise<boolean>} True if saved
+ */
+export async function setAllocation(categoryId, month, amount) {
+  if (!isFinite(amount)) {
+    showToast('Please enter a valid amount', TOAST_TYPES.ERROR);
+    return false;
+  }
+  const rounded = Math.round(amount * 100) / 100;
+
+  if (useSupabase && currentBudget && allocationService) {
+    // Use Supabase
+    if (!isValidUUID(categoryId)) {
+      showToast('This category is not saved to the budget yet', TOAST_TYPES.ERROR);
+      return false;
+    }
+    const { data: row, error } = await allocationService.upsertAllocation(currentBudget.id, {
+      category_id: categoryId,
+      month: `${month}-01`,
+      amount: rounded
+    });
+    if (error || !row) {
+      logger.error('Error assigning to category:', error);
+      showToast(`Error assigning to category: ${error?.message || 'Unknown error'}`, TOAST_TYPES.ERROR);
+      return false;
+    }
+    const data = stateManager.getActiveData();
+    const saved = toLocalAllocation(row);
+    stateManager.setActiveData({
+      categoryAllocations: [
+        ...(data.categoryAllocations || []).filter(a => !(a.categoryId === categoryId && a.month === month)),
+        saved
+      ]
+    });
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    if (!Array.isArray(data.categoryAllocations)) data.categoryAllocations = [];
+    const existing = data.categoryAllocations.find(a => a.categoryId === categoryId && a.month === month);
+    if (existing) {
+      existing.amount = rounded;
+    } else {
+      data.categoryAllocations.push({ id: generateId(), categoryId, month, amount: rounded });
+    }
+    stateManager.saveState();
+  }
+
+  if (renderAll) {
+    renderAll();
+  }
+  return true;
+}
+
+/**
+ * Switch the active budget between standard and zero-based budgeting
+ * In Supabase mode only the budget owner can change it.
+ * @param {string} mode - A BUDGETING_MODES value
+ * @returns {Promise<boolean>} True if changed
+ */
+export async function setBudgetingMode(mode) {
+  if (!Object.values(BUDGETING_MODES).includes(mode)) return false;
+
+  if (useSupabase && currentBudget && budgetService) {
+    // Use Supabase
+    const { data: updated, error } = await budgetService.updateBudget(currentBudget.id, { budgeting_mode: mode });
+    if (error || !updated) {
+      logger.error('Error changing budgeting mode:', error);
+      showToast(`Could not change budgeting mode: ${error?.message || 'only the budget owner can change it'}`, TOAST_TYPES.ERROR);
+      renderBudgetingModeSetting();
+      return false;
+    }
+    // Budget rows are cached by the integration module; keep them in step so reloads see the mode
+    const integration = await import('../services/supabase-integration.js');
+    [currentBudget, integration.currentBudget, ...(integration.userBudgets || [])].forEach(budget => {
+      if (budget?.id === updated.id) budget.budgeting_mode = mode;
+    });
+    stateManager.setActiveData({ budgetingMode: mode });
+    if (loadDataFromSupabase) {
+      await loadDataFromSupabase();
+    }
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    data.budgetingMode = mode;
+    stateManager.saveState();
+  }
+
+  showToast(
+    mode === BUDGETING_MODES.ZERO_BASED
+      ? 'Zero-based budgeting on: assign your income to categories each month'
+      : 'Zero-based budgeting off: categories use their monthly budget',
+    TOAST_TYPES.SUCCESS
+  );
+  if (renderAll) {
+    renderAll();
+  }
+  return true;
+}
+
+/**
+ * Show the active budget's mode in the settings
+ */
+export function renderBudgetingModeSetting() {
+  const select = document.getElementById('budgetingModeSelect');
+  if (select) {
+    select.value = isZeroBased() ? BUDGETING_MODES.ZERO_BASED : BUDGETING_MODES.STANDARD;
+  }
+}
+
+/**
+ * Render the assign table for a month (hidden in standard mode)
+ * @param {string} month - YYYY-MM
+ */
+export function renderEnvelopes(month) {
+  const data = stateManager.getActiveData();
+  const zeroBased = isZeroBased(data);
+  const section = document.getElementById('envelopesSection');
+  if (section) section.style.display = zeroBased ? '' : 'none';
+  if (!zeroBased || !month) return;
+
+  const summary = getEnvelopeSummary(month, data);
+  const heading = document.getElementById('readyToAssignAmount');
+  if (heading) {
+    heading.textContent = formatMoney(summary.readyToAssign);
+    heading.classList.toggle('negative', summary.readyToAssign < -0.005);
+  }
+  const note = document.getElementById('readyToAssignNote');
+  if (note) {
+    note.textContent = summary.readyToAssign < -0.005
+      ? 'You\'ve assigned more than you\'ve received. Take money back from a category.'
+      : `${formatMoney(summary.income)} received and ${formatMoney(summary.assigned)} assigned this month.`;
+  }
+
+  const list = document.getElementById('envelopesList');
+  if (!list) return;
+  const fallbackCategoryId = getFallbackCategoryId(data.categories);
+  const categories = (data.categories || [])
+    .filter(c => c.id !== fallbackCategoryId || summary.envelopes[c.id]?.activity || summary.envelopes[c.id]?.available)
+    .slice()
+    .sort((a, b) => (a.display_order ?? a.order ?? 0) - (b.display_order ?? b.order ?? 0) || (a.name || '').localeCompare(b.name || ''));
+
+  list.innerHTML = `
+    <table>
+      <thead><tr><th>Category</th><th>Rolled Over</th><th>Assigned</th><th>Spent</th><th>Available</th></tr></thead>
+      <tbody>
+        ${categories.map(c => {
+          const envelope = summary.envelopes[c.id];
+          return `
+            <tr>
+              <td><span class="envelope-color" style="background: ${c.color}"></span>${c.name}</td>
+              <td>${formatMoney(envelope.carryover)}</td>
+              <td><input type="number" step="0.01" class="envelope-assign-input" data-category-id="${c.id}" value="${envelope.assigned ? envelope.assigned.toFixed(2) : ''}" placeholder="0.00"></td>
+              <td>${formatMoney(envelope.activity)}</td>
+              <td class="envelope-available ${envelope.available < -0.005 ? 'negative' : ''}">${formatMoney(envelope.available)}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+
+  // Inputs are re-rendered, so listen on the list once
+  if (!list.dataset.boundEnvelopeInputs) {
+    list.addEventListener('change', async (e) => {
+      const input = e.target.closest('.envelope-assign-input');
+      if (!input) return;
+      input.disabled = true;
+      const amount = input.value.trim() === '' ? 0 : parseFloat(input.value);
+      const saved = await setAllocation(input.dataset.categoryId, list.dataset.month, amount);
+      if (!saved) input.disabled = false;
+    });
+    list.dataset.boundEnvelopeInputs = '1';
+  }
+  list.dataset.month = month;
+}
@@ -6,6 +6,8 @@
 import { stateManager } from './state-management.js';
 import { logger } from './logger.js';
 import { formatMoney, formatDate, showToast, generateId } from './utils.js';
+import { ACCOUNT_TYPES, TRANSACTION_TYPES } from './constants.js';
+import { applyTransferBalances } from './transfers.js';
 
 // Module-level state
 let editingSavingsGoalId = null;
@@ -15,6 +17,7 @@ let editingFinancialGoalId = null;
 let goalService = null;
 let transactionService = null;
 let currentBudget = null;
+let currentUser = null;
 let useSupabase = false;
 let loadDataFromSupabase = null;
 let renderAll = null;
@@ -27,6 +30,7 @@ export function initGoals(deps) {
   goalService = deps.goalService;
   transactionService = deps.transactionService;
   currentBudget = deps.currentBudget;
+  currentUser = deps.currentUser;
   useSupabase = deps.useSupabase;
   loadDataFromSupabase = deps.loadDataFromSupabase;
   renderAll = deps.renderAll;
@@ -265,11 +269,28 @@ export async function deleteSavingsGoal(id) {
   }
 }
 
+/**
+ * Pick the accounts a savings contribution moves between
+ * Only used when the budget has exactly one checking and one savings account; otherwise the
+ * transfer is recorded without accounts and no balances move.
+ * @returns {{ fromAccountId: string|null, toAccountId: string|null }} Account IDs
+ */
+function getSavingsTransferAccounts() {
+  const accounts = stateManager.getActiveData().accounts || [];
+  const checking = accounts.filter(a => a.type === ACCOUNT_TYPES.CHECKING);
+  const savings = accounts.filter(a => a.type === ACCOUNT_TYPES.SAVINGS);
+  if (checking.length !== 1 || savings.length !== 1) {
+    return { fromAccountId: null, toAccountId: null };
+  }
+  return { fromAccountId: checking[0].id, toAccountId: savings[0].id };
+}
+
 /**
  * Add money to savings goal
+ * Records the contribution as a transfer, so it does not count as spending
  * @param {string} goalId - Goal ID
  */
-export function addToSavings(goalId) {
+export async function addToSavings(goalId) {
   const goals = stateManager.getActiveData().savingsGoals || [];
   const goal = goals.find(g => g.id === goalId);
   if (!goal) return;
@@ -287,35 +308,78 @@ export function addToSavings(goalId) {
     return;
   }
 
-  const data = stateManager.getActiveData();
-  
-  // Update the goal's current amount
-  goal.current = (goal.current || 0) + amount;
-  
-  // Create an expense transaction for the savings transfer
-  // Find or use "other" category for savings transfers
-  const savingsCat = data.categories.find(c => c.name.toLowerCase().includes("savings")) || 
-                     data.categories.find(c => c.id === "other") || 
-                     data.categories[0];
-  
   const today = new Date().toISOString().slice(0, 10);
-  if (!data.transactions) data.transactions = [];
-  
-  data.transactions.push({
-    id: "tx_" + generateId(),
+  const current = (goal.current || 0) + amount;
+  const { fromAccountId, toAccountId } = getSavingsTransferAccounts();
+  const transfer = {
     date: today,
     description: `Savings Transfer - ${goal.name}`,
-    amount: amount,
-    type: "expense",
-    categoryId: savingsCat.id,
-    note: `Added to savings goal: ${goal.name}`
-  });
+    amount,
+    type: TRANSACTION_TYPES.TRANSFER,
+    categoryId: null,
+    note: `Added to savings goal: ${goal.name}`,
+    accountId: fromAccountId || undefined,
+    transferAccountId: toAccountId || undefined
+  };
+
+  if (useSupabase && currentBudget && currentUser && goalService && transactionService) {
+    try {
+      const { error: goalError } = await goalService.updateSavingsGoal(goalId, { current });
+      if (goalError) {
+        showToast(`Error: ${goalError.message}`, "Error");
+        return;
+      }
+      const { error } = await transactionService.createTransaction(currentBudget.id, currentUser.id, {
+        date: transfer.date,
+        description: transfer.description,
+        amount,
+        type: transfer.type,
+        category_id: null,
+        notes: transfer.note,
+        account_id: fromAccountId,
+        transfer_account_id: toAccountId
+      });
+      if (error) {
+        showToast(`Goal updated, but the transfer was not recorded: ${error.message}`, "Error");
+        if (loadDataFromSupabase) {
+          await loadDataFromSupabase();
+        }
+        if (renderAll) {
+          renderAll();
+        }
+        return;
+      }
+      if (await applyTransferBalances(transfer)) {
+        showToast("Transfer recorded, but account balances were not updated", "Error");
+      }
+      if (loadDataFromSupabase) {
+        await loadDataFromSupabase();
+      }
+    } catch (error) {
+      logger.error('Error adding to savings:', error);
+      showToast(`Error adding to savings: ${error.message}`, "Error");
+      return;
+    }
+  } else {
+    const data = stateManager.getActiveData();
+    goal.current = current;
+    if (!data.transactions) data.transactions = [];
+    data.transactions.push({ id: "tx_" + generateId(), ...transfer });
+    stateManager.setActiveData(data);
+    await applyTransferBalances(transfer);
+  }
 
-  stateManager.setActiveData(data);
-  
   if (renderAll) {
     renderAll();
   }
+  if (!fromAccountId || !toAccountId) {
+    // No single checking/savings pair to move the money between
+    showToast(
+      `Added ${formatMoney(amount)} to ${goal.name}. Account balances were not moved; edit the transfer to choose its accounts`,
+      "Savings Updated"
+    );
+    return;
+  }
   showToast(`Added ${formatMoney(amount)} to ${goal.name}`, "Savings Updated");
 }
 
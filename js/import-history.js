@@ -0,0 +1,370 @@
+/**
+ * Import History Module
+ * Records each CSV, statement file and bank import as a batch, and lets past imports be
+ * reviewed and reverted from the Import History screen
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { formatMoney, formatDate, showToast, generateId } from './utils.js';
+import { IMPORT_SOURCES, TOAST_TYPES } from './constants.js';
+import { fetchTransactions, toLocalTransaction, getFallbackCategoryId } from './transaction-history.js';
+
+// External dependencies (will be injected)
+let importBatchService = null;
+let currentBudget = null;
+let currentUser = null;
+let useSupabase = false;
+let loadDataFromSupabase = null;
+let renderAll = null;
+let canEditTransaction = () => true;
+
+/**
+ * Initialize import history module with dependencies
+ * @param {Object} deps - Dependencies object
+ * @param {Function} [deps.canEditTransaction] - Permission check (a batch can be reverted by whoever may delete its rows)
+ */
+export function initImportHistory(deps) {
+  importBatchService = deps.importBatchService;
+  currentBudget = deps.currentBudget;
+  currentUser = deps.currentUser;
+  useSupabase = deps.useSupabase;
+  loadDataFromSupabase = deps.loadDataFromSupabase;
+  renderAll = deps.renderAll;
+  if (typeof deps.canEditTransaction === 'function') canEditTransaction = deps.canEditTransaction;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      currentUser = deps.currentUser;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Whether batches are stored in Supabase
+ * @returns {boolean} True in Supabase mode with the import batch service available
+ */
+function isSupabaseMode() {
+  return !!(useSupabase && currentBudget && importBatchService);
+}
+
+/**
+ * Record a new import batch; the imported rows then carry its id
+ * @param {Object} batch
+ * @param {string} batch.source - Key of IMPORT_SOURCES
+ * @param {string|null} batch.fileName - File name (or bank name for bank syncs)
+ * @param {number} batch.rowCount - Transactions about to be inserted
+ * @returns {Promise<{ data: { id: string }|null, error: any }>} The new batch
+ */
+export async function createImportBatch({ source, fileName, rowCount }) {
+  if (isSupabaseMode()) {
+    const { data, error } = await importBatchService.createImportBatch(currentBudget.id, currentUser?.id, {
+      source,
+      file_name: fileName || null,
+      row_count: rowCount
+    });
+    return { data: data ? { id: data.id } : null, error };
+  }
+
+  const data = stateManager.getActiveData();
+  if (!data.importBatches) data.importBatches = [];
+  const batch = {
+    id: 'import_' + generateId(),
+    source,
+    fileName: fileName || null,
+    rowCount,
+    createdAt: new Date().toISOString(),
+    revertedAt: null
+  };
+  data.importBatches.push(batch);
+  stateManager.setActiveData(data);
+  return { data: { id: batch.id }, error: null };
+}
+
+/**
+ * Drop a batch whose rows never got saved (the insert failed)
+ * @param {string} batchId - Import batch ID
+ */
+export async function discardImportBatch(batchId) {
+  if (!batchId) return;
+  if (isSupabaseMode()) {
+    const { error } = await importBatchService.deleteImportBatch(batchId);
+    if (error) logger.warn('Could not remove empty import batch:', error);
+    return;
+  }
+  const data = stateManager.getActiveData();
+  data.importBatches = (data.importBatches || []).filter(b => b.id !== batchId);
+  stateManager.setActiveData(data);
+}
+
+/**
+ * Get the budget's import batches, newest first
+ * @returns {Promise<{ data: Array<Object>, error: any }>} Local-shape batches
+ */
+export async function getImportBatches() {
+  if (isSupabaseMode()) {
+    const { data, error } = await importBatchService.getImportBatches(currentBudget.id);
+    return {
+      data: (data || []).map(b => ({
+        id: b.id,
+        source: b.source,
+        fileName: b.file_name || null,
+        rowCount: b.row_count || 0,
+        createdAt: b.created_at,
+        revertedAt: b.reverted_at || null,
+        userId: b.user_id
+      })),
+      error
+    };
+  }
+  const batches = (stateManager.getActiveData().importBatches || [])
+    .slice()
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+  return { data: batches, error: null };
+}
+
+/**
+ * Get the transactions still in a batch
+ * @param {string} batchId - Import batch ID
+ * @returns {Promise<{ data: Array<Object>, error: any }>} Local-shape transactions, newest first
+ */
+async function getBatchTransactions(batchId) {
+  if (isSupabaseMode()) {
+    // Rows can be older than the loaded history, so ask the server
+    const { data, error } = await fetchTransactions(currentBudget.id, { importBatchId: batchId });
+    const fallbackCategoryId = getFallbackCategoryId(stateManager.getActiveData().categories);
+    return { data: (data || []).map(r => toLocalTransaction(r, fallbackCategoryId)), error };
+  }
+  const rows = (stateManager.getActiveData().transactions || [])
+    .filter(t => t.importBatchId === batchId)
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+  return { data: rows, error: null };
+}
+
+/**
+ * Describe a batch for messages
+ * @param {Object} batch - Local-shape batch
+ * @returns {string} e.g. 'CSV import "march.csv"'
+ */
+function describeBatch(batch) {
+  const source = IMPORT_SOURCES[batch.source] || batch.source;
+  return batch.fileName ? `${source} import "${batch.fileName}"` : `${source} import`;
+}
+
+/**
+ * Delete a batch's transactions and mark it reverted
+ * @param {string} batchId - Import batch ID
+ * @returns {Promise<boolean>} True if reverted
+ */
+export async function revertImportBatch(batchId) {
+  const { data: batches } = await getImportBatches();
+  const batch = batches.find(b => b.id === batchId);
+  if (!batch || batch.revertedAt) {
+    showToast('That import was already reverted', TOAST_TYPES.INFO);
+    return false;
+  }
+
+  const message = `Revert the ${describeBatch(batch)} from ${formatDate(batch.createdAt.slice(0, 10))}?\n\n` +
+    'Every transaction still in it is deleted, including any you edited since.' +
+    (batch.source === 'bank' ? ' The bank won\'t send them again unless it changes them.' : '');
+  if (!confirm(message)) return false;
+
+  if (isSupabaseMode()) {
+    // Use Supabase (one statement: all of the batch's rows go, or none do)
+    try {
+      const { data: deleted, error } = await importBatchService.revertImportBatch(batchId);
+      if (error) {
+        showToast(`Error: ${error.message}`, TOAST_TYPES.ERROR);
+        return false;
+      }
+      showToast(`Reverted ${describeBatch(batch)}: removed ${deleted} transaction${deleted === 1 ? '' : 's'}`, TOAST_TYPES.SUCCESS);
+      if (loadDataFromSupabase) {
+        await loadDataFromSupabase();
+      }
+    } catch (error) {
+      logger.error('Error reverting import:', error);
+      showToast(`Error reverting import: ${error.message}`, TOAST_TYPES.ERROR);
+      return false;
+    }
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    const before = (data.transactions || []).length;
+    data.transactions = (data.transactions || []).filter(t => t.importBatchId !== batchId);
+    const deleted = before - data.transactions.length;
+    const local = (data.importBatches || []).find(b => b.id === batchId);
+    if (local) local.revertedAt = new Date().toISOString();
+    stateManager.setActiveData(data);
+    showToast(`Reverted ${describeBatch(batch)}: removed ${deleted} transaction${deleted === 1 ? '' : 's'}`, TOAST_TYPES.SUCCESS);
+  }
+
+  if (renderAll) {
+    renderAll();
+  }
+  return true;
+}
+
+/**
+ * Revert the most recent import that hasn't been reverted ("Undo Import")
+ * @returns {Promise<void>}
+ */
+export async function revertLastImport() {
+  const { data: batches, error } = await getImportBatches();
+  if (error) {
+    showToast(`Error loading imports: ${error.message}`, TOAST_TYPES.ERROR);
+    return;
+  }
+  const last = batches.find(b => !b.revertedAt);
+  if (!last) {
+    showToast('Nothing to undo');
+    return;
+  }
+  await revertImportBatch(last.id);
+}
+
+/**
+ * Whether the current user may revert a batch (shared budgets: their own imports, or the owner)
+ * @param {Object} batch - Local-shape batch
+ * @returns {boolean} True if revertible
+ */
+function canRevertBatch(batch) {
+  return !batch.revertedAt && canEditTransaction({ userId: batch.userId });
+}
+
+/**
+ * Render the list of import batches
+ * @param {Array<Object>} batches - Local-shape batches, newest first
+ */
+function renderImportHistoryList(batches) {
+  const summary = document.getElementById('importHistorySummary');
+  const list = document.getElementById('importHistoryList');
+  if (summary) {
+    summary.textContent = batches.length
+      ? 'Review what each import added, or revert it to delete those transactions.'
+      : 'No imports yet. CSV, statement file and bank imports show up here.';
+  }
+  if (!list) return;
+  list.innerHTML = batches.length === 0 ? '' : `
+    <table>
+      <thead><tr><th>Date</th><th>Source</th><th>File</th><th>Rows</th><th></th></tr></thead>
+      <tbody>
+        ${batches.map(b => `
+          <tr class="${b.revertedAt ? 'import-batch-reverted' : ''}">
+            <td>${formatDate((b.createdAt || '').slice(0, 10))}</td>
+            <td>${IMPORT_SOURCES[b.source] || b.source}</td>
+            <td>${b.fileName || '—'}</td>
+            <td>${b.rowCount}</td>
+            <td class="import-batch-actions">
+              <button class="btn-secondary btn-compact" data-action="review" data-batch-id="${b.id}">Review</button>
+              ${b.revertedAt
+                ? `<span class="import-batch-status">Reverted ${formatDate(b.revertedAt.slice(0, 10))}</span>`
+                : `<button class="btn-danger btn-compact" data-action="revert" data-batch-id="${b.id}" ${canRevertBatch(b) ? '' : 'disabled title="Only the member who imported it or the budget owner can revert this"'}>Revert</button>`}
+            </td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Show the transactions still in a batch below the list
+ * @param {string} batchId - Import batch ID
+ */
+async function reviewImportBatch(batchId) {
+  const review = document.getElementById('importHistoryReview');
+  if (!review) return;
+  review.style.display = '';
+  review.innerHTML = '<p class="rule-preview-summary">Loading…</p>';
+
+  const { data: rows, error } = await getBatchTransactions(batchId);
+  if (error) {
+    review.innerHTML = '';
+    showToast(`Error loading imported transactions: ${error.message}`, TOAST_TYPES.ERROR);
+    return;
+  }
+  const categories = stateManager.getActiveData().categories || [];
+  const categoryName = (id) => categories.find(c => c.id === id)?.name || '—';
+  review.innerHTML = rows.length === 0
+    ? '<p class="rule-preview-summary">None of this import\'s transactions are left.</p>'
+    : `
+      <p class="rule-preview-summary">${rows.length} transaction${rows.length === 1 ? '' : 's'} from this import:</p>
+      <table>
+        <thead><tr><th>Date</th><th>Description</th><th>Type</th><th>Category</th><th>Amount</th></tr></thead>
+        <tbody>
+          ${rows.map(t => `
+            <tr>
+              <td>${formatDate(t.date)}</td>
+              <td>${t.description}</td>
+              <td>${t.type}</td>
+              <td>${t.type === 'transfer' ? '—' : categoryName(t.categoryId)}</td>
+              <td>${formatMoney(t.amount)}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+}
+
+/**
+ * Reload and render the import history list
+ * @returns {Promise<void>}
+ */
+async function refreshImportHistory() {
+  const { data: batches, error } = await getImportBatches();
+  if (error) {
+    logger.error('Error loading import history:', error);
+    showToast(`Error loading import history: ${error.message}`, TOAST_TYPES.ERROR);
+  }
+  renderImportHistoryList(batches || []);
+}
+
+/**
+ * Open the Import History screen
+ * @returns {Promise<void>}
+ */
+export async function openImportHistory() {
+  const modal = document.getElementById('importHistoryModal');
+  const list = document.getElementById('importHistoryList');
+  const review = document.getElementById('importHistoryReview');
+  if (review) {
+    review.style.display = 'none';
+    review.innerHTML = '';
+  }
+
+  // Review / Revert buttons are re-rendered, so listen on the list once
+  if (list && !list.dataset.boundImportHistoryActions) {
+    list.addEventListener('click', async (e) => {
+      const button = e.target.closest('button[data-batch-id]');
+      if (!button || button.disabled) return;
+      if (button.dataset.action === 'review') {
+        await reviewImportBatch(button.dataset.batchId);
+      } else if (button.dataset.action === 'revert') {
+        if (await revertImportBatch(button.dataset.batchId)) {
+          if (review) {
+            review.style.display = 'none';
+            review.innerHTML = '';
+          }
+          await refreshImportHistory();
+        }
+      }
+    });
+    list.dataset.boundImportHistoryActions = '1';
+  }
+
+  if (modal) modal.classList.add('show');
+  await refreshImportHistory();
+}
+
+/**
+ * Close the Import History screen
+ */
+export function closeImportHistory() {
+  const modal = document.getElementById('importHistoryModal');
+  if (modal) {
+    modal.classList.remove('show');
+  }
+}
@@ -187,6 +187,16 @@ export function addNotification(message, opts = {}) {
   renderBadge();
 }
 
+/**
+ * Whether a notification with this dedupe key was already added (read or not).
+ * Use for one-off events so a repeat check doesn't mark them unread again.
+ * @param {string} dedupeKey
+ * @returns {boolean}
+ */
+export function hasNotification(dedupeKey) {
+  return loadNotifications().some(n => n.dedupeKey === dedupeKey);
+}
+
 export function initNotifications() {
   const btn = document.getElementById('notificationsBtn');
   const panel = document.getElementById('notificationsPanel');
@@ -0,0 +1,741 @@
+/**
+ * Categorization Rules Module
+ * Handles rule CRUD, matching/applying rules to transactions, and re-running rules with a preview
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { formatMoney, formatDate, showToast, generateId, isValidUUID } from './utils.js';
+import { RULE_MATCH_FIELDS, RULE_MATCH_OPERATORS, DEFAULT_RULE_PRIORITY, TOAST_TYPES } from './constants.js';
+import { invalidateSuggestionModel } from './category-suggestions.js';
+import { isSplit } from './splits.js';
+import { isTransfer } from './transfers.js';
+import { parseTags } from './tags.js';
+import { getTransactionsInRange } from './transaction-history.js';
+
+// Module-level state
+let editingRuleId = null;
+let pendingRuleChanges = [];
+
+// Compiled patterns, keyed by operator + pattern (regexes are rebuilt only when a rule changes)
+const patternCache = new Map();
+
+// External dependencies (will be injected)
+let ruleService = null;
+let transactionService = null;
+let currentBudget = null;
+let useSupabase = false;
+let loadDataFromSupabase = null;
+let renderAll = null;
+let canEditTransaction = () => true;
+
+/**
+ * Initialize rules module with dependencies
+ * @param {Object} deps - Dependencies object
+ * @param {Function} [deps.canEditTransaction] - Permission check used to leave other members' rows out of re-runs
+ */
+export function initRules(deps) {
+  ruleService = deps.ruleService;
+  transactionService = deps.transactionService;
+  currentBudget = deps.currentBudget;
+  useSupabase = deps.useSupabase;
+  loadDataFromSupabase = deps.loadDataFromSupabase;
+  renderAll = deps.renderAll;
+  if (typeof deps.canEditTransaction === 'function') canEditTransaction = deps.canEditTransaction;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Get rules in the order they run (priority ascending, then name)
+ * @returns {Array} Rules array
+ */
+export function getRules() {
+  const rules = stateManager.getActiveData().rules || [];
+  return rules.slice().sort((a, b) =>
+    (a.priority ?? DEFAULT_RULE_PRIORITY) - (b.priority ?? DEFAULT_RULE_PRIORITY) ||
+    (a.name || '').localeCompare(b.name || '')
+  );
+}
+
+/**
+ * Build a test function for a rule's text pattern
+ * @param {Object} rule - Rule
+ * @returns {Function|null} (text) => boolean, or null when the regex is invalid
+ */
+function compilePattern(rule) {
+  const key = `${rule.matchOperator}:${rule.pattern}`;
+  if (patternCache.has(key)) return patternCache.get(key);
+
+  let test = null;
+  if (rule.matchOperator === RULE_MATCH_OPERATORS.REGEX) {
+    try {
+      const re = new RegExp(rule.pattern, 'i');
+      test = (text) => re.test(text);
+    } catch (error) {
+      logger.warn(`Ignoring rule "${rule.name}" with invalid regex:`, error.message);
+    }
+  } else {
+    const needle = rule.pattern.toLowerCase();
+    test = (text) => text.toLowerCase().includes(needle);
+  }
+
+  patternCache.set(key, test);
+  return test;
+}
+
+/**
+ * Check whether a rule's conditions match a transaction
+ * Empty conditions match anything; amounts compare against the unsigned amount. Transfers never
+ * match: their type and accounts are edited from the drawer, which keeps both balances in step.
+ * @param {Object} rule - Rule
+ * @param {Object} tx - Local-shape transaction
+ * @returns {boolean} True if every condition matches
+ */
+export function ruleMatches(rule, tx) {
+  if (!rule || rule.enabled === false || !tx || isTransfer(tx)) return false;
+  if (rule.matchType && tx.type !== rule.matchType) return false;
+  if (rule.accountId && tx.accountId !== rule.accountId) return false;
+
+  const amount = Math.abs(Number(tx.amount));
+  if (rule.minAmount != null && !(amount >= rule.minAmount)) return false;
+  if (rule.maxAmount != null && !(amount <= rule.maxAmount)) return false;
+
+  if (rule.pattern) {
+    const test = compilePattern(rule);
+    if (!test) return false;
+    const fields =
+      rule.matchField === RULE_MATCH_FIELDS.DESCRIPTION ? [tx.description] :
+      rule.matchField === RULE_MATCH_FIELDS.MERCHANT ? [tx.merchant] :
+      [tx.description, tx.merchant];
+    if (!fields.some(value => value && test(String(value)))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Apply rules to a transaction
+ * Rules run in priority order against the incoming transaction. The first matching rule to set a
+ * field wins it (so a higher-priority rule isn't overridden by a broader one); tags accumulate.
+ * @param {Object} tx - Local-shape transaction
+ * @param {Object} [options]
+ * @param {Array<string>} [options.preserve=[]] - Fields rules may not change (e.g. ones the user typed)
+ * @param {Array<Object>} [options.rules] - Rules to run (defaults to all of the budget's rules)
+ * @returns {{ transaction: Object, ruleIds: Array<string> }} Updated copy and the rules that changed it
+ */
+export function applyRules(tx, { preserve = [], rules = getRules() } = {}) {
+  const result = { ...tx };
+  const ruleIds = [];
+  if (!tx || rules.length === 0) return { transaction: result, ruleIds };
+
+  const categories = stateManager.getActiveData().categories || [];
+  const claimed = new Set(preserve);
+
+  for (const rule of rules) {
+    if (!ruleMatches(rule, tx)) continue;
+
+    const actions = [
+      ['categoryId', categories.some(c => c.id === rule.setCategoryId) ? rule.setCategoryId : null],
+      ['type', rule.setType],
+      ['merchant', rule.setMerchant],
+      ['note', rule.setNote]
+    ];
+
+    let changed = false;
+    for (const [field, value] of actions) {
+      if (!value || claimed.has(field)) continue;
+      claimed.add(field);
+      if (result[field] !== value) {
+        result[field] = value;
+        changed = true;
+      }
+    }
+
+    const tags = Array.isArray(result.tags) ? result.tags : [];
+    const newTags = (rule.addTags || []).filter(tag => !tags.includes(tag));
+    if (newTags.length > 0) {
+      result.tags = [...tags, ...newTags];
+      changed = true;
+    }
+
+    if (changed) ruleIds.push(rule.id);
+  }
+
+  return { transaction: result, ruleIds };
+}
+
+/**
+ * Describe a rule's conditions and actions for the settings list
+ * @param {Object} rule - Rule
+ * @returns {{ when: string, then: string }} Human-readable summary
+ */
+function describeRule(rule) {
+  const data = stateManager.getActiveData();
+  const when = [];
+  if (rule.pattern) {
+    const field = rule.matchField === RULE_MATCH_FIELDS.ANY ? 'description or merchant' : rule.matchField;
+    const op = rule.matchOperator === RULE_MATCH_OPERATORS.REGEX ? 'matches' : 'contains';
+    when.push(`${field} ${op} "${rule.pattern}"`);
+  }
+  if (rule.minAmount != null && rule.maxAmount != null) {
+    when.push(`${formatMoney(rule.minAmount)}–${formatMoney(rule.maxAmount)}`);
+  } else if (rule.minAmount != null) {
+    when.push(`at least ${formatMoney(rule.minAmount)}`);
+  } else if (rule.maxAmount != null) {
+    when.push(`at most ${formatMoney(rule.maxAmount)}`);
+  }
+  if (rule.accountId) {
+    const account = (data.accounts || []).find(a => a.id === rule.accountId);
+    when.push(`in ${account ? account.name : 'a deleted account'}`);
+  }
+  if (rule.matchType) when.push(rule.matchType);
+
+  const then = [];
+  if (rule.setCategoryId) {
+    const cat = (data.categories || []).find(c => c.id === rule.setCategoryId);
+    then.push(`category ${cat ? cat.name : '(deleted)'}`);
+  }
+  if (rule.setType) then.push(`type ${rule.setType}`);
+  if (rule.setMerchant) then.push(`merchant "${rule.setMerchant}"`);
+  if (rule.setNote) then.push(`note "${rule.setNote}"`);
+  if (rule.addTags?.length) then.push(`tags ${rule.addTags.map(t => `#${t}`).join(' ')}`);
+
+  return { when: when.join(', '), then: then.join(', ') };
+}
+
+/**
+ * Render rules list in settings
+ */
+export function renderRulesList() {
+  const container = document.getElementById('rulesList');
+  if (!container) return;
+
+  const rules = getRules();
+  container.innerHTML = '';
+
+  if (rules.length === 0) {
+    container.innerHTML = '<p style="color: var(--text-secondary); font-size: 14px;">No rules yet. Add a rule to categorize transactions automatically.</p>';
+    return;
+  }
+
+  rules.forEach(rule => {
+    const { when, then } = describeRule(rule);
+    const div = document.createElement('div');
+    div.className = 'rule-item' + (rule.enabled === false ? ' rule-disabled' : '');
+    div.innerHTML = `
+      <div class="rule-info">
+        <div class="rule-name">
+          <span class="rule-priority" title="Priority (lower runs first)">${rule.priority ?? DEFAULT_RULE_PRIORITY}</span>
+          ${rule.name}${rule.enabled === false ? ' <span class="rule-status">Off</span>' : ''}
+        </div>
+        <div class="rule-summary">When ${when || 'any transaction'} → ${then}</div>
+      </div>
+      <div class="rule-actions">
+        <button class="btn-secondary runRuleBtn" data-id="${rule.id}">Run…</button>
+        <button class="btn-primary editRuleBtn" data-id="${rule.id}">Edit</button>
+      </div>
+    `;
+    container.appendChild(div);
+  });
+
+  container.querySelectorAll('.editRuleBtn').forEach(btn => {
+    btn.addEventListener('click', () => editRule(btn.dataset.id));
+  });
+
+  container.querySelectorAll('.runRuleBtn').forEach(btn => {
+    btn.addEventListener('click', () => previewRules(btn.dataset.id));
+  });
+}
+
+/**
+ * Fill the rule modal's category and account selects
+ */
+function populateRuleSelects() {
+  const data = stateManager.getActiveData();
+  const categoryInput = document.getElementById('ruleSetCategoryInput');
+  const accountInput = document.getElementById('ruleAccountInput');
+
+  if (categoryInput) {
+    categoryInput.innerHTML = '<option value="">Don\'t change</option>' +
+      (data.categories || []).map(c => `<option value="${c.id}">${c.name}</option>`).join('');
+  }
+  if (accountInput) {
+    accountInput.innerHTML = '<option value="">Any account</option>' +
+      (data.accounts || []).map(a => `<option value="${a.id}">${a.name}</option>`).join('');
+  }
+}
+
+/**
+ * Write a rule (or blank defaults) into the rule modal
+ * @param {Object|null} rule - Rule to edit, or null for a new rule
+ */
+function fillRuleForm(rule) {
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value ?? '';
+  };
+  const nextPriority = getRules().reduce((max, r) => Math.max(max, r.priority ?? DEFAULT_RULE_PRIORITY), 0) + 10;
+
+  set('ruleNameInput', rule?.name);
+  set('rulePriorityInput', rule ? rule.priority ?? DEFAULT_RULE_PRIORITY : nextPriority);
+  set('ruleMatchFieldInput', rule?.matchField || RULE_MATCH_FIELDS.ANY);
+  set('ruleMatchOperatorInput', rule?.matchOperator || RULE_MATCH_OPERATORS.CONTAINS);
+  set('rulePatternInput', rule?.pattern);
+  set('ruleMinAmountInput', rule?.minAmount);
+  set('ruleMaxAmountInput', rule?.maxAmount);
+  set('ruleAccountInput', rule?.accountId);
+  set('ruleMatchTypeInput', rule?.matchType);
+  set('ruleSetCategoryInput', rule?.setCategoryId);
+  set('ruleSetTypeInput', rule?.setType);
+  set('ruleSetMerchantInput', rule?.setMerchant);
+  set('ruleSetNoteInput', rule?.setNote);
+  set('ruleAddTagsInput', (rule?.addTags || []).join(', '));
+
+  const enabledInput = document.getElementById('ruleEnabledInput');
+  if (enabledInput) enabledInput.checked = rule ? rule.enabled !== false : true;
+}
+
+/**
+ * Open add rule modal
+ */
+export function openAddRule() {
+  editingRuleId = null;
+  const modalTitle = document.getElementById('ruleModalTitle');
+  const deleteBtn = document.getElementById('deleteRuleBtn');
+  const modal = document.getElementById('ruleModal');
+
+  populateRuleSelects();
+  fillRuleForm(null);
+
+  if (modalTitle) modalTitle.textContent = 'Add Rule';
+  if (deleteBtn) deleteBtn.style.display = 'none';
+  if (modal) modal.classList.add('show');
+}
+
+/**
+ * Edit rule
+ * @param {string} id - Rule ID
+ */
+export function editRule(id) {
+  const rule = getRules().find(r => r.id === id);
+  if (!rule) return;
+
+  editingRuleId = id;
+  const modalTitle = document.getElementById('ruleModalTitle');
+  const deleteBtn = document.getElementById('deleteRuleBtn');
+  const modal = document.getElementById('ruleModal');
+
+  populateRuleSelects();
+  fillRuleForm(rule);
+
+  if (modalTitle) modalTitle.textContent = 'Edit Rule';
+  if (deleteBtn) deleteBtn.style.display = 'block';
+  if (modal) modal.classList.add('show');
+}
+
+/**
+ * Read and validate the rule modal
+ * @returns {Object|null} Local-shape rule fields, or null after showing a validation toast
+ */
+function readRuleForm() {
+  const value = (id) => (document.getElementById(id)?.value || '').trim();
+  const amount = (id) => {
+    const raw = value(id);
+    if (!raw) return null;
+    const n = parseFloat(raw);
+    return isNaN(n) ? NaN : Math.abs(n);
+  };
+
+  const rule = {
+    name: value('ruleNameInput'),
+    priority: parseInt(value('rulePriorityInput'), 10),
+    enabled: document.getElementById('ruleEnabledInput')?.checked !== false,
+    matchField: value('ruleMatchFieldInput') || RULE_MATCH_FIELDS.ANY,
+    matchOperator: value('ruleMatchOperatorInput') || RULE_MATCH_OPERATORS.CONTAINS,
+    pattern: value('rulePatternInput'),
+    minAmount: amount('ruleMinAmountInput'),
+    maxAmount: amount('ruleMaxAmountInput'),
+    accountId: value('ruleAccountInput') || null,
+    matchType: value('ruleMatchTypeInput') || null,
+    setCategoryId: value('ruleSetCategoryInput') || null,
+    setType: value('ruleSetTypeInput') || null,
+    setMerchant: value('ruleSetMerchantInput') || null,
+    setNote: value('ruleSetNoteInput') || null,
+    addTags: parseTags(value('ruleAddTagsInput'))
+  };
+
+  if (!rule.name) {
+    showToast('Rule name is required', TOAST_TYPES.ERROR);
+    return null;
+  }
+  if (isNaN(rule.priority)) rule.priority = DEFAULT_RULE_PRIORITY;
+  if (Number.isNaN(rule.minAmount) || Number.isNaN(rule.maxAmount)) {
+    showToast('Amounts must be numbers', TOAST_TYPES.ERROR);
+    return null;
+  }
+  if (rule.minAmount != null && rule.maxAmount != null && rule.minAmount > rule.maxAmount) {
+    showToast('Minimum amount must not exceed maximum amount', TOAST_TYPES.ERROR);
+    return null;
+  }
+  if (rule.pattern && rule.matchOperator === RULE_MATCH_OPERATORS.REGEX) {
+    try {
+      new RegExp(rule.pattern, 'i');
+    } catch (error) {
+      showToast(`Invalid regular expression: ${error.message}`, TOAST_TYPES.ERROR);
+      return null;
+    }
+  }
+  if (!rule.pattern && rule.minAmount == null && rule.maxAmount == null && !rule.accountId && !rule.matchType) {
+    showToast('Add at least one condition so the rule doesn\'t match every transaction', TOAST_TYPES.ERROR);
+    return null;
+  }
+  if (!rule.setCategoryId && !rule.setType && !rule.setMerchant && !rule.setNote && rule.addTags.length === 0) {
+    showToast('Choose at least one thing for the rule to set', TOAST_TYPES.ERROR);
+    return null;
+  }
+
+  return rule;
+}
+
+/**
+ * Map a local rule to categorization_rules columns
+ * @param {Object} rule - Local-shape rule
+ * @returns {Object} Supabase row fields
+ */
+function toRuleRow(rule) {
+  return {
+    name: rule.name,
+    priority: rule.priority,
+    enabled: rule.enabled,
+    match_field: rule.matchField,
+    match_operator: rule.matchOperator,
+    pattern: rule.pattern || null,
+    min_amount: rule.minAmount,
+    max_amount: rule.maxAmount,
+    account_id: isValidUUID(rule.accountId) ? rule.accountId : null,
+    match_type: rule.matchType,
+    set_category_id: isValidUUID(rule.setCategoryId) ? rule.setCategoryId : null,
+    set_type: rule.setType,
+    set_merchant: rule.setMerchant,
+    set_notes: rule.setNote,
+    add_tags: rule.addTags
+  };
+}
+
+/**
+ * Save rule (create or update)
+ */
+export async function saveRule() {
+  const rule = readRuleForm();
+  if (!rule) return;
+
+  if (useSupabase && currentBudget && ruleService) {
+    // Use Supabase
+    try {
+      if (editingRuleId) {
+        const { error } = await ruleService.updateRule(editingRuleId, toRuleRow(rule));
+        if (error) {
+          showToast(`Error: ${error.message}`, TOAST_TYPES.ERROR);
+          return;
+        }
+        showToast('Rule updated');
+      } else {
+        const { error } = await ruleService.createRule(currentBudget.id, toRuleRow(rule));
+        if (error) {
+          showToast(`Error: ${error.message}`, TOAST_TYPES.ERROR);
+          return;
+        }
+        showToast('Rule added');
+      }
+
+      if (loadDataFromSupabase) {
+        await loadDataFromSupabase();
+      }
+    } catch (error) {
+      logger.error('Error saving rule:', error);
+      showToast(`Error saving rule: ${error.message}`, TOAST_TYPES.ERROR);
+      return;
+    }
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    if (!data.rules) data.rules = [];
+
+    if (editingRuleId) {
+      const existing = data.rules.find(r => r.id === editingRuleId);
+      if (existing) Object.assign(existing, rule);
+      showToast('Rule updated');
+    } else {
+      data.rules.push({ id: 'rule_' + generateId(), ...rule });
+      showToast('Rule added');
+    }
+    stateManager.setActiveData(data);
+  }
+
+  closeRuleModal();
+  renderRulesList();
+}
+
+/**
+ * Delete the rule open in the rule modal
+ */
+export async function deleteRule() {
+  if (!editingRuleId) return;
+  const rule = getRules().find(r => r.id === editingRuleId);
+  if (!confirm(`Delete rule "${rule?.name || ''}"? Transactions it already changed are not affected.`)) return;
+
+  if (useSupabase && ruleService) {
+    // Use Supabase
+    try {
+      const { error } = await ruleService.deleteRule(editingRuleId);
+      if (error) {
+        showToast(`Error: ${error.message}`, TOAST_TYPES.ERROR);
+        return;
+      }
+      showToast('Rule deleted');
+      if (loadDataFromSupabase) {
+        await loadDataFromSupabase();
+      }
+    } catch (error) {
+      logger.error('Error deleting rule:', error);
+      showToast(`Error deleting rule: ${error.message}`, TOAST_TYPES.ERROR);
+      return;
+    }
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    data.rules = (data.rules || []).filter(r => r.id !== editingRuleId);
+    stateManager.setActiveData(data);
+    showToast('Rule deleted');
+  }
+
+  closeRuleModal();
+  renderRulesList();
+}
+
+/**
+ * Close rule modal
+ */
+export function closeRuleModal() {
+  const modal = document.getElementById('ruleModal');
+  if (modal) {
+    modal.classList.remove('show');
+  }
+  editingRuleId = null;
+}
+
+/**
+ * Compare a transaction before and after rules
+ * @param {Object} before - Original transaction
+ * @param {Object} after - Transaction with rules applied
+ * @returns {Object} Changed fields only (empty if nothing changed)
+ */
+function diffRuleChanges(before, after) {
+  const updates = {};
+  ['categoryId', 'type', 'merchant', 'note'].forEach(field => {
+    // A split transaction's categories live on its lines; rules leave them alone
+    if (field === 'categoryId' && isSplit(before)) return;
+    if ((after[field] || null) !== (before[field] || null)) updates[field] = after[field];
+  });
+  const beforeTags = before.tags || [];
+  const afterTags = after.tags || [];
+  if (afterTags.length !== beforeTags.length) updates.tags = afterTags;
+  return updates;
+}
+
+/**
+ * Describe one field change for the preview table
+ * @param {string} field - Field name
+ * @param {Object} tx - Original transaction
+ * @param {*} value - New value
+ * @returns {string} e.g. "Category: Other → Groceries"
+ */
+function describeChange(field, tx, value) {
+  const categories = stateManager.getActiveData().categories || [];
+  const categoryName = (id) => categories.find(c => c.id === id)?.name || '—';
+  switch (field) {
+    case 'categoryId':
+      return `Category: ${categoryName(tx.categoryId)} → ${categoryName(value)}`;
+    case 'type':
+      return `Type: ${tx.type} → ${value}`;
+    case 'merchant':
+      return `Merchant: ${tx.merchant || '—'} → ${value}`;
+    case 'note':
+      return `Note: ${tx.note || '—'} → ${value}`;
+    case 'tags':
+      return `Tags: +${value.filter(t => !(tx.tags || []).includes(t)).map(t => `#${t}`).join(' ')}`;
+    default:
+      return field;
+  }
+}
+
+/**
+ * Re-run rules over existing transactions and show what would change
+ * Covers the whole history, including months that aren't loaded. Nothing is written until the
+ * preview is applied.
+ * @param {string} [ruleId] - Run only this rule (defaults to every enabled rule)
+ * @returns {Promise<void>}
+ */
+export async function previewRules(ruleId) {
+  const allRules = getRules();
+  const rules = ruleId ? allRules.filter(r => r.id === ruleId).map(r => ({ ...r, enabled: true })) : allRules;
+  if (rules.length === 0) {
+    showToast('Add a rule first', TOAST_TYPES.INFO);
+    return;
+  }
+
+  const { data: transactions, error } = await getTransactionsInRange();
+  if (error) {
+    logger.error('Error loading transactions for rules:', error);
+    showToast(`Error loading transactions: ${error.message}`, TOAST_TYPES.ERROR);
+    return;
+  }
+  const ruleNames = new Map(allRules.map(r => [r.id, r.name]));
+  let notAllowed = 0;
+
+  pendingRuleChanges = [];
+  for (const tx of transactions) {
+    const { transaction, ruleIds } = applyRules(tx, { rules });
+    if (ruleIds.length === 0) continue;
+    const updates = diffRuleChanges(tx, transaction);
+    if (Object.keys(updates).length === 0) continue;
+    if (!canEditTransaction(tx)) {
+      notAllowed++;
+      continue;
+    }
+    pendingRuleChanges.push({ tx, updates, ruleNames: ruleIds.map(id => ruleNames.get(id)) });
+  }
+
+  pendingRuleChanges.sort((a, b) => (b.tx.date || '').localeCompare(a.tx.date || ''));
+
+  const title = document.getElementById('rulePreviewTitle');
+  const summary = document.getElementById('rulePreviewSummary');
+  const list = document.getElementById('rulePreviewList');
+  const applyBtn = document.getElementById('applyRulePreviewBtn');
+  const modal = document.getElementById('rulePreviewModal');
+
+  if (title) title.textContent = ruleId ? `Run Rule: ${ruleNames.get(ruleId)}` : 'Re-run All Rules';
+  if (summary) {
+    summary.textContent = pendingRuleChanges.length === 0
+      ? 'No transactions would change.'
+      : `${pendingRuleChanges.length} transaction${pendingRuleChanges.length === 1 ? '' : 's'} would change.`;
+    if (notAllowed) {
+      summary.textContent += ` ${notAllowed} other transaction${notAllowed === 1 ? '' : 's'} added by other members would also match but can't be changed by you.`;
+    }
+  }
+  if (list) {
+    list.innerHTML = pendingRuleChanges.length === 0 ? '' : `
+      <table>
+        <thead><tr><th>Date</th><th>Description</th><th>Amount</th><th>Changes</th><th>Rule</th></tr></thead>
+        <tbody>
+          ${pendingRuleChanges.map(({ tx, updates, ruleNames: names }) => `
+            <tr>
+              <td>${formatDate(tx.date)}</td>
+              <td>${tx.description}</td>
+              <td>${formatMoney(tx.amount)}</td>
+              <td>${Object.entries(updates).map(([field, value]) => `<div>${describeChange(field, tx, value)}</div>`).join('')}</td>
+              <td>${names.join(', ')}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+  if (applyBtn) {
+    applyBtn.disabled = pendingRuleChanges.length === 0;
+    applyBtn.textContent = pendingRuleChanges.length ? `Apply ${pendingRuleChanges.length} Change${pendingRuleChanges.length === 1 ? '' : 's'}` : 'Apply';
+  }
+  if (modal) modal.classList.add('show');
+}
+
+/**
+ * Map rule-changed fields to transaction columns
+ * @param {Object} updates - Local-shape changed fields
+ * @returns {Object} Supabase update payload
+ */
+function toTransactionUpdates(updates) {
+  const row = {};
+  if ('categoryId' in updates) row.category_id = isValidUUID(updates.categoryId) ? updates.categoryId : null;
+  if ('type' in updates) row.type = updates.type;
+  if ('merchant' in updates) row.merchant = updates.merchant || null;
+  if ('note' in updates) row.notes = updates.note || null;
+  if ('tags' in updates) row.tags = updates.tags;
+  return row;
+}
+
+/**
+ * Write the previewed rule changes
+ */
+export async function applyRulePreview() {
+  const changes = pendingRuleChanges;
+  if (changes.length === 0) {
+    closeRulePreview();
+    return;
+  }
+
+  const applyBtn = document.getElementById('applyRulePreviewBtn');
+  if (applyBtn) {
+    applyBtn.disabled = true;
+    applyBtn.textContent = 'Applying...';
+  }
+
+  let failed = 0;
+  if (useSupabase && currentBudget && transactionService) {
+    // Use Supabase
+    for (const { tx, updates } of changes) {
+      try {
+        const { data: updated, error } = await transactionService.updateTransaction(tx.id, toTransactionUpdates(updates));
+        if (error || !updated) {
+          failed++;
+          logger.warn('Could not apply rule changes to transaction:', tx.id, error);
+        }
+      } catch (error) {
+        failed++;
+        logger.error('Error applying rule changes:', error);
+      }
+    }
+    if (loadDataFromSupabase) {
+      await loadDataFromSupabase();
+    }
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    const byId = new Map((data.transactions || []).map(t => [t.id, t]));
+    for (const { tx, updates } of changes) {
+      const t = byId.get(tx.id);
+      if (t) Object.assign(t, updates);
+    }
+    stateManager.setActiveData(data);
+  }
+  // Rules can change transactions outside the loaded months
+  invalidateSuggestionModel(true);
+
+  const applied = changes.length - failed;
+  showToast(
+    `Rules updated ${applied} transaction${applied === 1 ? '' : 's'}` + (failed ? ` (${failed} failed)` : ''),
+    failed ? TOAST_TYPES.WARNING : TOAST_TYPES.SUCCESS
+  );
+
+  closeRulePreview();
+  if (renderAll) {
+    renderAll();
+  }
+}
+
+/**
+ * Close rule preview modal without applying
+ */
+export function closeRulePreview() {
+  const modal = document.getElementById('rulePreviewModal');
+  if (modal) {
+    modal.classList.remove('show');
+  }
+  pendingRuleChanges = [];
+}
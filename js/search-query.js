@@ -0,0 +1,226 @@
+/**
+ * Search Query Module
+ * Parses the transaction search box's query language and matches transactions against it, e.g.
+ *   amount>100 category:groceries merchant:"whole foods" date:2026-01..2026-03 account:amex tag:trip -note:refund
+ * Bare words and quoted phrases match the description, merchant and notes; a leading "-" negates a term.
+ */
+
+import { hasCategory } from './splits.js';
+import { hasTag, normalizeTag } from './tags.js';
+
+// Field names (and aliases) the query understands
+const FIELD_ALIASES = {
+  desc: 'description',
+  description: 'description',
+  merchant: 'merchant',
+  note: 'note',
+  notes: 'note',
+  category: 'category',
+  cat: 'category',
+  account: 'account',
+  acct: 'account',
+  tag: 'tag',
+  type: 'type',
+  amount: 'amount',
+  amt: 'amount',
+  date: 'date'
+};
+
+// [-]field(:|>=|<=|>|<|=)value, or a bare word; values may be "quoted phrases"
+const TOKEN_PATTERN = /(-?)(?:([a-z]+)(:|>=|<=|>|<|=))?(?:"([^"]*)"?|(\S*))/gi;
+const COMPARISON_PATTERN = /^(>=|<=|>|<|=)?(.*)$/;
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+/**
+ * Split a query into terms
+ * Unknown field names are kept as plain text, so "re:invoice" still searches for that text.
+ * @param {string} text - Query
+ * @returns {Array<{ field: string, op: string, value: string, negate: boolean }>} Terms (field "text" for bare words)
+ */
+export function tokenizeSearchQuery(text) {
+  const terms = [];
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    const [raw, minus, name, separator, quoted, word] = match;
+    const value = quoted ?? word ?? '';
+    // A field still being typed (e.g. "amount>") doesn't filter yet
+    if (!value) continue;
+    const field = name ? FIELD_ALIASES[name.toLowerCase()] : null;
+
+    if (name && !field) {
+      terms.push({ field: 'text', op: ':', value: raw.slice(minus.length).replace(/"/g, ''), negate: !!minus });
+    } else {
+      terms.push({ field: field || 'text', op: separator || ':', value, negate: !!minus });
+    }
+  }
+  return terms;
+}
+
+/**
+ * Parse a numeric condition: 100, >100, <=50, 50..100, 50.., ..100
+ * @param {string} op - Operator written after the field name
+ * @param {string} value - Value
+ * @returns {Function|null} Predicate on a number, or null if the value isn't a number
+ */
+function parseAmountCondition(op, value) {
+  const toCents = (v) => (v === '' ? null : Math.round(parseFloat(v.replace(/[$,]/g, '')) * 100));
+
+  if (value.includes('..')) {
+    const [min, max] = value.split('..').map(v => toCents(v.trim()));
+    if (Number.isNaN(min) || Number.isNaN(max) || (min == null && max == null)) return null;
+    return (cents) => (min == null || cents >= min) && (max == null || cents <= max);
+  }
+
+  const [, inlineOp, rest] = value.match(COMPARISON_PATTERN);
+  const operator = inlineOp || (op === ':' ? '=' : op);
+  const target = toCents(rest.trim());
+  if (target == null || Number.isNaN(target)) return null;
+  return compare(operator, target);
+}
+
+/**
+ * Parse a date condition on a year, month or day: 2026, 2026-01, >=2026-01-15, 2026-01..2026-03
+ * A month or year covers every day in it, so 2026-01..2026-03 runs from Jan 1 to Mar 31.
+ * @param {string} op - Operator written after the field name
+ * @param {string} value - Value
+ * @returns {Function|null} Predicate on a YYYY-MM-DD string, or null if the value isn't a date
+ */
+function parseDateCondition(op, value) {
+  const valid = (v) => v === '' || DATE_PATTERN.test(v);
+  // ISO dates compare correctly as strings; "-99" sorts after every real month or day
+  const start = (v) => (v.length === 4 ? `${v}-01-01` : v.length === 7 ? `${v}-01` : v);
+  const end = (v) => (v.length === 4 ? `${v}-99-99` : v.length === 7 ? `${v}-99` : v);
+
+  if (value.includes('..')) {
+    const [from, to] = value.split('..').map(v => v.trim());
+    if (!valid(from) || !valid(to) || (!from && !to)) return null;
+    return (date) => (!from || date >= start(from)) && (!to || date <= end(to));
+  }
+
+  const [, inlineOp, rest] = value.match(COMPARISON_PATTERN);
+  const operator = inlineOp || (op === ':' ? '=' : op);
+  const target = rest.trim();
+  if (!target || !valid(target)) return null;
+
+  switch (operator) {
+    case '>': return (date) => date > end(target);
+    case '>=': return (date) => date >= start(target);
+    case '<': return (date) => date < start(target);
+    case '<=': return (date) => date <= end(target);
+    default: return (date) => date >= start(target) && date <= end(target);
+  }
+}
+
+/**
+ * Build a comparison predicate
+ * @param {string} operator - >, >=, <, <= or =
+ * @param {number} target - Value to compare against
+ * @returns {Function} Predicate
+ */
+function compare(operator, target) {
+  switch (operator) {
+    case '>': return (v) => v > target;
+    case '>=': return (v) => v >= target;
+    case '<': return (v) => v < target;
+    case '<=': return (v) => v <= target;
+    default: return (v) => v === target;
+  }
+}
+
+/**
+ * Find the IDs of named records a term refers to
+ * An exact (case-insensitive) name match wins; otherwise every name containing the value matches.
+ * @param {Array<{ id: string, name: string }>} records - Categories or accounts
+ * @param {string} value - Name (or ID) from the query
+ * @returns {Set<string>} Matching IDs
+ */
+function findByName(records, value) {
+  const needle = value.toLowerCase();
+  const exact = records.filter(r => r.id === value || (r.name || '').toLowerCase() === needle);
+  const found = exact.length ? exact : records.filter(r => (r.name || '').toLowerCase().includes(needle));
+  return new Set(found.map(r => r.id));
+}
+
+/**
+ * Check whether a text field contains a value (case-insensitive)
+ * @param {string|undefined} text - Field value
+ * @param {string} needle - Lower-case value
+ * @returns {boolean} True on a match
+ */
+function contains(text, needle) {
+  return (text || '').toLowerCase().includes(needle);
+}
+
+/**
+ * Compile a query into a transaction predicate
+ * Terms that can't be understood (e.g. amount>abc) are reported and left out, so the rest of
+ * the query still filters while the user is typing.
+ * @param {string} text - Query
+ * @param {Object} [context] - Lookups for named fields
+ * @param {Array<Object>} [context.categories] - Budget categories
+ * @param {Array<Object>} [context.accounts] - Budget accounts
+ * @returns {{ matches: Function, errors: Array<string>, isEmpty: boolean }} Predicate and problems found
+ */
+export function compileSearchQuery(text, { categories = [], accounts = [] } = {}) {
+  const errors = [];
+  const predicates = [];
+
+  tokenizeSearchQuery(text).forEach(term => {
+    const needle = term.value.toLowerCase();
+    let predicate = null;
+
+    switch (term.field) {
+      case 'text':
+        predicate = (t) => contains(t.description, needle) || contains(t.merchant, needle) || contains(t.note, needle) ||
+          (t.splits || []).some(line => contains(line.note, needle));
+        break;
+      case 'description':
+        predicate = (t) => contains(t.description, needle);
+        break;
+      case 'merchant':
+        predicate = (t) => contains(t.merchant, needle);
+        break;
+      case 'note':
+        predicate = (t) => contains(t.note, needle) || (t.splits || []).some(line => contains(line.note, needle));
+        break;
+      case 'category': {
+        const ids = findByName(categories, term.value);
+        predicate = (t) => [...ids].some(id => hasCategory(t, id));
+        break;
+      }
+      case 'account': {
+        const ids = findByName(accounts, term.value);
+        predicate = (t) => ids.has(t.accountId) || ids.has(t.transferAccountId);
+        break;
+      }
+      case 'tag': {
+        const tag = normalizeTag(term.value);
+        predicate = (t) => hasTag(t, tag);
+        break;
+      }
+      case 'type':
+        predicate = (t) => t.type === needle;
+        break;
+      case 'amount': {
+        const condition = parseAmountCondition(term.op, term.value);
+        if (condition) predicate = (t) => condition(Math.round(Math.abs(Number(t.amount) || 0) * 100));
+        else errors.push(`"${term.value}" is not an amount`);
+        break;
+      }
+      case 'date': {
+        const condition = parseDateCondition(term.op, term.value);
+        if (condition) predicate = (t) => !!t.date && condition(t.date);
+        else errors.push(`"${term.value}" is not a date (use YYYY, YYYY-MM or YYYY-MM-DD)`);
+        break;
+      }
+    }
+
+    if (!predicate) return;
+    predicates.push(term.negate ? (t) => !predicate(t) : predicate);
+  });
+
+  return {
+    matches: (t) => predicates.every(p => p(t)),
+    errors,
+    isEmpty: predicates.length === 0
+  };
+}
@@ -0,0 +1,175 @@
+/**
+ * Smart Filters Module
+ * Handles saving transaction search queries under a name and re-applying them from the filter bar
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { showToast, generateId } from './utils.js';
+import { TOAST_TYPES } from './constants.js';
+
+// External dependencies (will be injected)
+let savedFilterService = null;
+let currentBudget = null;
+let useSupabase = false;
+let loadDataFromSupabase = null;
+let renderAll = null;
+
+/**
+ * Initialize smart filters module with dependencies
+ * @param {Object} deps - Dependencies object
+ */
+export function initSmartFilters(deps) {
+  savedFilterService = deps.savedFilterService;
+  currentBudget = deps.currentBudget;
+  useSupabase = deps.useSupabase;
+  loadDataFromSupabase = deps.loadDataFromSupabase;
+  renderAll = deps.renderAll;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Get the budget's smart filters, sorted by name
+ * @returns {Array<{ id: string, name: string, query: string }>} Smart filters
+ */
+export function getSmartFilters() {
+  return (stateManager.getActiveData().savedFilters || [])
+    .slice()
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the current search box query
+ * @returns {string} Trimmed query
+ */
+function getSearchQuery() {
+  return document.getElementById('searchBox')?.value.trim() || '';
+}
+
+/**
+ * Render the smart filter picker
+ * The filter whose query is in the search box is shown as selected.
+ */
+export function renderSmartFilters() {
+  const select = document.getElementById('smartFilterSelect');
+  if (!select) return;
+
+  const filters = getSmartFilters();
+  const active = filters.find(f => f.query === getSearchQuery());
+  select.innerHTML = `<option value="">Smart filters${filters.length ? ` (${filters.length})` : ''}</option>` +
+    filters.map(f => `<option value="${f.id}">${f.name}</option>`).join('');
+  select.value = active ? active.id : '';
+
+  const deleteBtn = document.getElementById('deleteSmartFilterBtn');
+  if (deleteBtn) deleteBtn.style.display = active ? '' : 'none';
+}
+
+/**
+ * Put a smart filter's query in the search box
+ * @param {string} filterId - Smart filter ID (empty clears the search)
+ */
+export function applySmartFilter(filterId) {
+  const searchBox = document.getElementById('searchBox');
+  if (!searchBox) return;
+  const filter = getSmartFilters().find(f => f.id === filterId);
+  searchBox.value = filter ? filter.query : '';
+  if (renderAll) renderAll();
+}
+
+/**
+ * Save the search box query as a smart filter (prompts for a name)
+ * Saving under an existing name replaces that filter's query.
+ */
+export async function saveSmartFilter() {
+  const query = getSearchQuery();
+  if (!query) {
+    showToast('Type a search first, e.g. tag:trip amount>100', TOAST_TYPES.INFO);
+    return;
+  }
+
+  const filters = getSmartFilters();
+  const active = filters.find(f => f.query === query);
+  const name = prompt('Name this smart filter:', active ? active.name : '')?.trim();
+  if (!name) return;
+
+  const existing = filters.find(f => f.name.toLowerCase() === name.toLowerCase());
+  if (existing && existing.query !== query && !confirm(`Replace the smart filter "${existing.name}"?`)) return;
+
+  if (useSupabase && currentBudget && savedFilterService) {
+    // Use Supabase
+    try {
+      const { error } = existing
+        ? await savedFilterService.updateSavedFilter(existing.id, { name, query })
+        : await savedFilterService.createSavedFilter(currentBudget.id, { name, query });
+      if (error) {
+        showToast(`Error: ${error.message}`, TOAST_TYPES.ERROR);
+        return;
+      }
+      showToast(`Smart filter "${name}" saved`);
+      if (loadDataFromSupabase) {
+        await loadDataFromSupabase();
+      }
+    } catch (error) {
+      logger.error('Error saving smart filter:', error);
+      showToast(`Error saving smart filter: ${error.message}`, TOAST_TYPES.ERROR);
+      return;
+    }
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    if (!data.savedFilters) data.savedFilters = [];
+    const local = existing && data.savedFilters.find(f => f.id === existing.id);
+    if (local) {
+      Object.assign(local, { name, query });
+    } else {
+      data.savedFilters.push({ id: 'filter_' + generateId(), name, query });
+    }
+    stateManager.setActiveData(data);
+    showToast(`Smart filter "${name}" saved`);
+  }
+
+  renderSmartFilters();
+}
+
+/**
+ * Delete the smart filter currently in the search box
+ */
+export async function deleteSmartFilter() {
+  const filter = getSmartFilters().find(f => f.query === getSearchQuery());
+  if (!filter) return;
+  if (!confirm(`Delete the smart filter "${filter.name}"?`)) return;
+
+  if (useSupabase && currentBudget && savedFilterService) {
+    // Use Supabase
+    try {
+      const { error } = await savedFilterService.deleteSavedFilter(filter.id);
+      if (error) {
+        showToast(`Error: ${error.message}`, TOAST_TYPES.ERROR);
+        return;
+      }
+      showToast('Smart filter deleted');
+      if (loadDataFromSupabase) {
+        await loadDataFromSupabase();
+      }
+    } catch (error) {
+      logger.error('Error deleting smart filter:', error);
+      showToast(`Error deleting smart filter: ${error.message}`, TOAST_TYPES.ERROR);
+      return;
+    }
+  } else {
+    // Use localStorage (fallback)
+    const data = stateManager.getActiveData();
+    data.savedFilters = (data.savedFilters || []).filter(f => f.id !== filter.id);
+    stateManager.setActiveData(data);
+    showToast('Smart filter deleted');
+  }
+
+  renderSmartFilters();
+}
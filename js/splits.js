@@ -0,0 +1,104 @@
+/**
+ * Split Transactions Module
+ * Attributes a transaction's amount to categories line by line, so a split transaction
+ * counts toward each of its lines' categories instead of the parent's category
+ */
+
+import { formatMoney } from './utils.js';
+
+/**
+ * Convert an amount to whole cents so split totals compare exactly
+ * @param {number|string} amount - Amount in dollars
+ * @returns {number} Amount in cents
+ */
+function toCents(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+/**
+ * Check whether a transaction is split across categories
+ * @param {Object} tx - Local-shape transaction
+ * @returns {boolean} True if the transaction has split lines
+ */
+export function isSplit(tx) {
+  return Array.isArray(tx?.splits) && tx.splits.length > 1;
+}
+
+/**
+ * Get the category lines a transaction's amount is attributed to
+ * An unsplit transaction is a single line with its own category and amount.
+ * @param {Object} tx - Local-shape transaction
+ * @returns {Array<{ categoryId: string, amount: number, note: string|undefined }>} Category lines
+ */
+export function getCategoryAllocations(tx) {
+  if (isSplit(tx)) {
+    return tx.splits.map(s => ({ categoryId: s.categoryId, amount: s.amount, note: s.note }));
+  }
+  return [{ categoryId: tx.categoryId, amount: tx.amount, note: tx.note }];
+}
+
+/**
+ * Total transactions of one type by category, attributing split transactions line by line
+ * @param {Array<Object>} transactions - Local-shape transactions
+ * @param {string} [type='expense'] - Transaction type to total
+ * @returns {Object<string, number>} Totals keyed by category ID
+ */
+export function sumByCategory(transactions, type = 'expense') {
+  const totals = {};
+  (transactions || []).forEach(t => {
+    if (t.type !== type) return;
+    getCategoryAllocations(t).forEach(line => {
+      totals[line.categoryId] = (totals[line.categoryId] || 0) + line.amount;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Check whether a transaction counts toward a category (its own, or any split line's)
+ * @param {Object} tx - Local-shape transaction
+ * @param {string} categoryId - Category ID
+ * @returns {boolean} True if any line is in the category
+ */
+export function hasCategory(tx, categoryId) {
+  return getCategoryAllocations(tx).some(line => line.categoryId === categoryId);
+}
+
+/**
+ * Pick the category a split transaction is filed under when only one fits (the largest line)
+ * @param {Array<{ categoryId: string, amount: number }>} splits - Split lines
+ * @returns {string|null} Category ID
+ */
+export function getPrimarySplitCategoryId(splits) {
+  if (!Array.isArray(splits) || splits.length === 0) return null;
+  return splits.reduce((largest, line) => (line.amount > largest.amount ? line : largest)).categoryId;
+}
+
+/**
+ * Validate split lines against the transaction amount
+ * @param {Array<{ categoryId: string, amount: number }>} splits - Split lines
+ * @param {number} total - Transaction amount
+ * @returns {string|null} Error message, or null if the lines are valid
+ */
+export function validateSplits(splits, total) {
+  if (!Array.isArray(splits) || splits.length < 2) return 'A split needs at least two lines';
+  if (splits.some(line => !line.categoryId)) return 'Choose a category for every split line';
+  if (splits.some(line => !(toCents(line.amount) > 0))) return 'Every split line needs an amount above zero';
+
+  const remaining = getSplitRemainder(splits, total);
+  if (remaining !== 0) {
+    return `Split lines must add up to the transaction amount (${remaining > 0 ? 'remaining' : 'over by'} ${formatMoney(Math.abs(remaining))})`;
+  }
+  return null;
+}
+
+/**
+ * Amount of the transaction not yet assigned to a split line
+ * @param {Array<{ amount: number }>} splits - Split lines
+ * @param {number} total - Transaction amount
+ * @returns {number} Unassigned amount in dollars (negative when the lines exceed the total)
+ */
+export function getSplitRemainder(splits, total) {
+  const assigned = (splits || []).reduce((sum, line) => sum + (toCents(line.amount) || 0), 0);
+  return (toCents(total) - assigned) / 100;
+}
@@ -0,0 +1,424 @@
+/**
+ * Statement Import Module
+ * Parses OFX / QFX (Quicken) and QIF bank statement downloads and maps
+ * each statement's account to an app account
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { normalizeAmount, normalizeDate } from './csv-import.js';
+import { ACCOUNT_TYPES, ACCOUNT_TYPE_LABELS, CSV_DATE_FORMATS, STORAGE_KEYS } from './constants.js';
+
+// Value for "create a new account from this statement" in the account selects
+const CREATE_ACCOUNT_OPTION = '__create__';
+
+// Module-level state for the account mapping step
+let pendingStatements = [];
+let pendingOnConfirm = null;
+
+/**
+ * Detect the statement format from the file name and contents
+ * @param {string} fileName - Uploaded file name
+ * @param {string} text - File contents
+ * @returns {'ofx'|'qif'|null} Format or null if unrecognized
+ */
+export function detectStatementFormat(fileName, text) {
+  const ext = (fileName || '').split('.').pop().toLowerCase();
+  if (ext === 'ofx' || ext === 'qfx' || /OFXHEADER|<OFX>/i.test(text)) return 'ofx';
+  if (ext === 'qif' || /^\s*!(Type|Account|Option)/i.test(text)) return 'qif';
+  return null;
+}
+
+/**
+ * Parse a statement file into statements (one per account in the file)
+ * @param {string} fileName - Uploaded file name
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Statements: { format, account: { key, number, label, type, balance, creditLimit }, transactions }
+ */
+export function parseStatementFile(fileName, text) {
+  const format = detectStatementFormat(fileName, text);
+  if (format === 'ofx') return parseOfx(text);
+  if (format === 'qif') return parseQif(text);
+  return [];
+}
+
+// ============================================
+// OFX / QFX
+// ============================================
+
+/**
+ * Read the value of a leaf element. Works for both OFX 1.x SGML (no closing tags)
+ * and OFX 2.x XML, since the value always runs up to the next "<".
+ * @param {string} block - OFX fragment
+ * @param {string} tag - Element name
+ * @returns {string} Trimmed value or ''
+ */
+function ofxValue(block, tag) {
+  const m = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return m ? decodeOfxEntities(m[1].trim()) : '';
+}
+
+/**
+ * Get all aggregate blocks (<TAG>...</TAG>) of a given name
+ * @param {string} text - OFX fragment
+ * @param {string} tag - Aggregate name
+ * @returns {Array<string>} Inner contents
+ */
+function ofxBlocks(text, tag) {
+  const re = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+  const blocks = [];
+  let m;
+  while ((m = re.exec(text)) !== null) blocks.push(m[1]);
+  return blocks;
+}
+
+/**
+ * Decode the XML entities OFX allows in values
+ * @param {string} str - Raw value
+ * @returns {string} Decoded value
+ */
+function decodeOfxEntities(str) {
+  return str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][[TZ]]) to YYYY-MM-DD
+ * @param {string} raw - OFX date
+ * @returns {string|null} ISO date or null
+ */
+function ofxDate(raw) {
+  const m = (raw || '').match(/^(\d{4})(\d{2})(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : null;
+}
+
+/**
+ * Map an OFX account type to an app account type
+ * @param {string} acctType - ACCTTYPE value (CHECKING, SAVINGS, MONEYMRKT, CREDITLINE, ...)
+ * @param {boolean} isCreditCard - Whether the statement is a CCSTMTRS
+ * @returns {string} One of ACCOUNT_TYPES
+ */
+function ofxAccountType(acctType, isCreditCard) {
+  if (isCreditCard) return ACCOUNT_TYPES.CREDIT_CARD;
+  const t = (acctType || '').toUpperCase();
+  if (t === 'SAVINGS' || t === 'MONEYMRKT' || t === 'CD') return ACCOUNT_TYPES.SAVINGS;
+  return ACCOUNT_TYPES.CHECKING;
+}
+
+/**
+ * Parse OFX / QFX text
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Statements
+ */
+function parseOfx(text) {
+  const statements = [];
+  const sources = [
+    ...ofxBlocks(text, 'STMTRS').map(body => ({ body, isCreditCard: false })),
+    ...ofxBlocks(text, 'CCSTMTRS').map(body => ({ body, isCreditCard: true }))
+  ];
+
+  sources.forEach(({ body, isCreditCard }) => {
+    const acctFrom = ofxBlocks(body, isCreditCard ? 'CCACCTFROM' : 'BANKACCTFROM')[0] || body;
+    const number = ofxValue(acctFrom, 'ACCTID');
+    const bankId = ofxValue(acctFrom, 'BANKID');
+    const type = ofxAccountType(ofxValue(acctFrom, 'ACCTTYPE'), isCreditCard);
+    const ledger = ofxBlocks(body, 'LEDGERBAL')[0];
+    const avail = ofxBlocks(body, 'AVAILBAL')[0];
+    const balance = ledger ? normalizeAmount(ofxValue(ledger, 'BALAMT')) : null;
+    const available = avail ? normalizeAmount(ofxValue(avail, 'BALAMT')) : null;
+
+    const transactions = ofxBlocks(body, 'STMTTRN').map(trn => {
+      const name = ofxValue(trn, 'NAME') || ofxValue(trn, 'PAYEE');
+      const memo = ofxValue(trn, 'MEMO');
+      return {
+        fitId: ofxValue(trn, 'FITID'),
+        date: ofxDate(ofxValue(trn, 'DTPOSTED')),
+        amount: normalizeAmount(ofxValue(trn, 'TRNAMT')),
+        name: name || memo,
+        memo: memo && memo !== name ? memo : '',
+        checkNumber: ofxValue(trn, 'CHECKNUM')
+      };
+    });
+
+    statements.push({
+      format: 'ofx',
+      account: {
+        key: `ofx:${bankId}:${number}`,
+        number,
+        label: `${ACCOUNT_TYPE_LABELS[type]} ••${number.slice(-4)}`,
+        type,
+        // OFX credit card balances are negative when money is owed; app stores the amount owed
+        balance: balance === null ? null : (isCreditCard ? Math.abs(balance) : balance),
+        // Card statements don't carry the limit, but owed + available credit adds up to it
+        creditLimit: isCreditCard && balance !== null && available !== null ? Math.abs(balance) + available : null
+      },
+      transactions
+    });
+  });
+
+  return statements;
+}
+
+// ============================================
+// QIF
+// ============================================
+
+/**
+ * Map a QIF !Type header to an app account type
+ * @param {string} qifType - e.g. Bank, CCard, Cash, Invst
+ * @returns {string|null} One of ACCOUNT_TYPES, or null for non-account sections
+ */
+function qifAccountType(qifType) {
+  const t = (qifType || '').toLowerCase();
+  if (t === 'ccard' || t === 'oth l') return ACCOUNT_TYPES.CREDIT_CARD;
+  if (t === 'invst') return ACCOUNT_TYPES.INVESTMENT;
+  if (t === 'bank' || t === 'cash' || t === 'oth a') return ACCOUNT_TYPES.CHECKING;
+  return null;
+}
+
+/**
+ * Parse QIF text
+ * QIF has no transaction ids, so a stable id is derived from the record contents
+ * (with an occurrence counter for identical records in the same file)
+ * @param {string} text - File contents
+ * @returns {Array<Object>} Statements
+ */
+function parseQif(text) {
+  const statements = [];
+  let current = null;
+  let accountName = '';
+  let record = {};
+  const seen = new Map();
+
+  const startStatement = (qifType) => {
+    const type = qifAccountType(qifType);
+    if (!type) {
+      current = null;
+      return;
+    }
+    const name = accountName || ACCOUNT_TYPE_LABELS[type];
+    current = {
+      format: 'qif',
+      account: { key: `qif:${name.toLowerCase()}`, number: '', label: name, type, balance: null, creditLimit: null },
+      transactions: []
+    };
+    statements.push(current);
+  };
+
+  const finishRecord = () => {
+    if (current && record.D) {
+      const date = normalizeDate(record.D.replace(/'\s*/g, '/').replace(/\s+/g, ''), CSV_DATE_FORMATS.US);
+      const amount = normalizeAmount(record.T || record.U || '');
+      const name = record.P || record.M || '';
+      const baseId = `${date}|${amount}|${name}|${record.N || ''}`;
+      const count = (seen.get(baseId) || 0) + 1;
+      seen.set(baseId, count);
+      current.transactions.push({
+        fitId: `${baseId}|${count}`,
+        date,
+        amount,
+        name,
+        memo: record.M && record.M !== name ? record.M : '',
+        checkNumber: record.N || '',
+        category: record.L || ''
+      });
+    }
+    record = {};
+  };
+
+  (text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('!')) {
+      const header = line.slice(1);
+      if (/^Type:/i.test(header)) startStatement(header.slice(5).trim());
+      if (/^Account/i.test(header)) current = null;
+      return;
+    }
+
+    const code = line[0];
+    const value = line.slice(1).trim();
+
+    if (code === '^') {
+      // "^" ends a record (or the account block after !Account)
+      if (!current && record.N) accountName = record.N;
+      finishRecord();
+      return;
+    }
+    // Split lines (S/E/$) are ignored; the parent total is imported
+    if (!(code in record)) record[code] = value;
+  });
+  finishRecord();
+
+  return statements.filter(s => s.transactions.length > 0);
+}
+
+// ============================================
+// ACCOUNT MAPPING
+// ============================================
+
+/**
+ * Get saved statement-account → app-account mappings for every budget
+ * @returns {Object} Map of budget id to { statement account key: app account id }
+ */
+function getAccountMaps() {
+  try {
+    const maps = JSON.parse(localStorage.getItem(STORAGE_KEYS.STATEMENT_ACCOUNT_MAP) || '{}') || {};
+    // Mappings saved before they were kept per budget are flat key → id strings; drop those
+    Object.keys(maps).forEach(key => {
+      if (!maps[key] || typeof maps[key] !== 'object') delete maps[key];
+    });
+    return maps;
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Get saved statement-account → app-account mappings for the active budget
+ * Account ids belong to one budget, so each budget keeps its own mappings.
+ * @returns {Object} Map of statement account key to app account id
+ */
+function getAccountMap() {
+  return getAccountMaps()[stateManager.getActiveProfileId()] || {};
+}
+
+/**
+ * Remember which app account a statement account was imported into (for the active budget)
+ * @param {string} key - Statement account key
+ * @param {string} accountId - App account id
+ */
+export function rememberStatementAccount(key, accountId) {
+  const budgetId = stateManager.getActiveProfileId();
+  if (!budgetId) return;
+  const maps = getAccountMaps();
+  maps[budgetId] = { ...(maps[budgetId] || {}), [key]: accountId };
+  localStorage.setItem(STORAGE_KEYS.STATEMENT_ACCOUNT_MAP, JSON.stringify(maps));
+}
+
+/**
+ * Find the app account a statement belongs to: a remembered mapping first,
+ * then an account whose name contains the last four digits of the account number
+ * @param {Object} statementAccount - Parsed statement account
+ * @param {Array<Object>} accounts - App accounts
+ * @returns {string|null} App account id
+ */
+export function findMatchingAccountId(statementAccount, accounts) {
+  const remembered = getAccountMap()[statementAccount.key];
+  if (remembered && accounts.some(a => a.id === remembered)) return remembered;
+
+  const last4 = (statementAccount.number || '').slice(-4);
+  if (last4.length === 4) {
+    const byDigits = accounts.find(a => (a.name || '').includes(last4));
+    if (byDigits) return byDigits.id;
+  }
+
+  const byName = accounts.find(a => (a.name || '').toLowerCase() === statementAccount.label.toLowerCase());
+  return byName ? byName.id : null;
+}
+
+/**
+ * Ask the user which app account each statement should be imported into
+ * Skipped when every statement already maps to an existing account.
+ * @param {Array<Object>} statements - Parsed statements
+ * @param {Array<Object>} accounts - App accounts
+ * @param {Function} onConfirm - Called with [{ statement, accountId }] where accountId may be
+ *   CREATE_ACCOUNT_OPTION (create from the statement) or '' (no account)
+ */
+export function chooseStatementAccounts(statements, accounts, onConfirm) {
+  const guesses = statements.map(statement => ({
+    statement,
+    accountId: findMatchingAccountId(statement.account, accounts)
+  }));
+
+  const modal = document.getElementById('statementImportModal');
+  if (guesses.every(g => g.accountId) || !modal) {
+    onConfirm(guesses.map(g => ({ ...g, accountId: g.accountId || CREATE_ACCOUNT_OPTION })));
+    return;
+  }
+
+  bindStatementModalHandlers();
+  pendingStatements = guesses;
+  pendingOnConfirm = onConfirm;
+
+  const list = document.getElementById('statementAccountsList');
+  list.innerHTML = '';
+  guesses.forEach((g, i) => {
+    const row = document.createElement('div');
+    row.className = 'statement-account-row';
+
+    const label = document.createElement('label');
+    label.textContent = `${g.statement.account.label} (${g.statement.transactions.length} transaction${g.statement.transactions.length === 1 ? '' : 's'})`;
+
+    const select = document.createElement('select');
+    select.dataset.index = String(i);
+    // The label comes from the imported file, so it is set as text
+    const createOption = document.createElement('option');
+    createOption.value = CREATE_ACCOUNT_OPTION;
+    createOption.textContent = `+ Create "${g.statement.account.label}"`;
+    select.appendChild(createOption);
+    const noAccountOption = document.createElement('option');
+    noAccountOption.value = '';
+    noAccountOption.textContent = 'No account';
+    select.appendChild(noAccountOption);
+    accounts.forEach(a => {
+      const option = document.createElement('option');
+      option.value = a.id;
+      option.textContent = `${a.name} (${ACCOUNT_TYPE_LABELS[a.type] || a.type})`;
+      select.appendChild(option);
+    });
+    select.value = g.accountId || CREATE_ACCOUNT_OPTION;
+
+    row.appendChild(label);
+    row.appendChild(select);
+    list.appendChild(row);
+  });
+
+  modal.classList.add('show');
+}
+
+/**
+ * Whether an account choice means "create a new account from the statement"
+ * @param {string} accountId - Choice from chooseStatementAccounts()
+ * @returns {boolean}
+ */
+export function isCreateAccountChoice(accountId) {
+  return accountId === CREATE_ACCOUNT_OPTION;
+}
+
+/**
+ * Register statement modal listeners once
+ */
+function bindStatementModalHandlers() {
+  const modal = document.getElementById('statementImportModal');
+  if (!modal || modal.dataset.bound === '1') return;
+  modal.dataset.bound = '1';
+
+  document.getElementById('cancelStatementImportBtn')?.addEventListener('click', closeStatementImport);
+  document.getElementById('confirmStatementImportBtn')?.addEventListener('click', () => {
+    const choices = pendingStatements.map((g, i) => {
+      const select = document.querySelector(`#statementAccountsList select[data-index="${i}"]`);
+      return { statement: g.statement, accountId: select ? select.value : g.accountId };
+    });
+    const onConfirm = pendingOnConfirm;
+    closeStatementImport();
+    if (onConfirm) {
+      Promise.resolve(onConfirm(choices)).catch(err => logger.error('Statement import failed:', err));
+    }
+  });
+}
+
+/**
+ * Close the statement account mapping modal
+ */
+function closeStatementImport() {
+  const modal = document.getElementById('statementImportModal');
+  if (modal) modal.classList.remove('show');
+  pendingStatements = [];
+  pendingOnConfirm = null;
+}
@@ -0,0 +1,122 @@
+/**
+ * Tags Module
+ * Free-form transaction labels (e.g. vacation-2026, reimbursable) that cut across categories:
+ * parsing, chips, the tag filter and per-tag totals
+ */
+
+import { stateManager } from './state-management.js';
+import { TAGS } from './constants.js';
+
+/**
+ * Normalize a tag as typed: no leading #, lower case, dashes for spaces, letters/digits/-/_ only
+ * @param {string} tag - Raw tag
+ * @returns {string} Normalized tag (empty if nothing usable was left)
+ */
+export function normalizeTag(tag) {
+  return String(tag || '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_-]/gu, '')
+    .slice(0, TAGS.MAX_LENGTH);
+}
+
+/**
+ * Parse a comma-separated list of tags
+ * @param {string} text - e.g. "#vacation 2026, reimbursable"
+ * @returns {Array<string>} Unique normalized tags, in the order typed
+ */
+export function parseTags(text) {
+  return [...new Set(String(text || '').split(',').map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Get a transaction's tags
+ * @param {Object} tx - Local-shape transaction
+ * @returns {Array<string>} Tags (empty when untagged)
+ */
+export function getTransactionTags(tx) {
+  return Array.isArray(tx?.tags) ? tx.tags : [];
+}
+
+/**
+ * Check whether a transaction carries a tag
+ * @param {Object} tx - Local-shape transaction
+ * @param {string} tag - Tag
+ * @returns {boolean} True if tagged
+ */
+export function hasTag(tx, tag) {
+  return getTransactionTags(tx).includes(tag);
+}
+
+/**
+ * List every tag used in the budget, most used first
+ * @param {Array<Object>} [transactions] - Local-shape transactions (defaults to the active budget's)
+ * @returns {Array<string>} Tags
+ */
+export function getAllTags(transactions = stateManager.getActiveData().transactions || []) {
+  const counts = new Map();
+  transactions.forEach(t => {
+    getTransactionTags(t).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([tag]) => tag);
+}
+
+/**
+ * Total transactions of one type by tag
+ * A transaction with several tags counts toward each of them, so the totals can add up to
+ * more than the transactions themselves.
+ * @param {Array<Object>} transactions - Local-shape transactions
+ * @param {string} [type='expense'] - Transaction type to total
+ * @returns {Object<string, { total: number, count: number }>} Totals keyed by tag
+ */
+export function sumByTag(transactions, type = 'expense') {
+  const totals = {};
+  (transactions || []).forEach(t => {
+    if (t.type !== type) return;
+    getTransactionTags(t).forEach(tag => {
+      if (!totals[tag]) totals[tag] = { total: 0, count: 0 };
+      totals[tag].total += t.amount;
+      totals[tag].count += 1;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Render tags as chips
+ * @param {Array<string>} tags - Tags
+ * @param {Object} [options]
+ * @param {boolean} [options.removable=false] - Add a remove button to each chip
+ * @returns {string} HTML (empty when there are no tags)
+ */
+export function renderTagChips(tags, { removable = false } = {}) {
+  return (tags || []).map(tag => `<span class="tag-chip" data-tag="${tag}">#${tag}${
+    removable ? `<button type="button" class="tag-chip-remove" data-tag="${tag}" title="Remove tag" aria-label="Remove ${tag}">×</button>` : ''
+  }</span>`).join('');
+}
+
+/**
+ * Populate the tag filter and the drawer's tag suggestions from the budget's tags
+ * Keeps the current filter selection, even if no transaction carries that tag any more.
+ */
+export function renderTagFilter() {
+  const tags = getAllTags();
+
+  const filterTag = document.getElementById('filterTag');
+  if (filterTag) {
+    const selected = filterTag.value;
+    const options = selected && !tags.includes(selected) ? [selected, ...tags] : tags;
+    filterTag.innerHTML = `<option value="">Tag: All</option>` +
+      options.map(tag => `<option value="${tag}">#${tag}</option>`).join('');
+    filterTag.value = selected;
+  }
+
+  const suggestions = document.getElementById('drawerTagSuggestions');
+  if (suggestions) {
+    suggestions.innerHTML = tags.map(tag => `<option value="${tag}"></option>`).join('');
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * Transaction History Module
+ * Loads a budget's transactions from Supabase a window at a time: from the viewed month onward by
+ * default, with older history paged in on demand (or when an older month is viewed)
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { showToast } from './utils.js';
+import { TRANSACTION_PAGING, TOAST_TYPES } from './constants.js';
+
+// Oldest date loaded per budget; null once the whole history is loaded
+const loadedFromByBudget = new Map();
+
+// External dependencies (will be injected)
+let transactionService = null;
+let currentBudget = null;
+let useSupabase = false;
+let renderAll = null;
+
+/**
+ * Initialize transaction history module with dependencies
+ * @param {Object} deps - Dependencies object
+ */
+export function initTransactionHistory(deps) {
+  transactionService = deps.transactionService;
+  currentBudget = deps.currentBudget;
+  useSupabase = deps.useSupabase;
+  renderAll = deps.renderAll;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Find the category rows without one fall back to ("Other")
+ * @param {Array<{ id: string, name: string }>} categories - Categories (Supabase or local shape)
+ * @returns {string|null} Category ID
+ */
+export function getFallbackCategoryId(categories) {
+  return (categories || []).find(c => (c?.name || '').toLowerCase() === 'other')?.id ||
+    (categories || []).find(c => (c?.name || '').toLowerCase().includes('other'))?.id ||
+    null;
+}
+
+/**
+ * Transform a Supabase transactions row (with joins) to the localStorage format
+ * @param {Object} t - Row from transactionService.getTransactions()
+ * @param {string|null} [fallbackCategoryId=null] - Category for rows (and split lines) without one
+ * @returns {Object} Local-shape transaction
+ */
+export function toLocalTransaction(t, fallbackCategoryId = null) {
+  return {
+    id: t.id,
+    date: t.date,
+    description: t.description,
+    amount: parseFloat(t.amount),
+    type: t.type,
+    // Transfers have no category
+    categoryId: t.type === 'transfer'
+      ? null
+      : t.category_id || t.category?.id || t.categories?.id || fallbackCategoryId || null,
+    merchant: t.merchant || undefined,
+    note: t.notes || undefined,
+    accountId: t.account_id || undefined,
+    transferAccountId: t.transfer_account_id || undefined,
+    transferDirection: t.transfer_direction || undefined,
+    externalId: t.external_id || undefined,
+    importBatchId: t.import_batch_id || undefined,
+    plaid_id: t.plaid_id || undefined,
+    pending: !!t.pending,
+    plaidCategoryPrimary: t.plaid_category_primary || undefined,
+    plaidCategoryDetailed: t.plaid_category_detailed || undefined,
+    tags: Array.isArray(t.tags) ? t.tags : [],
+    splits: (t.transaction_splits || [])
+      .slice()
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+      .map(s => ({
+        id: s.id,
+        categoryId: s.category_id || fallbackCategoryId || null,
+        amount: parseFloat(s.amount),
+        note: s.notes || undefined
+      })),
+    userId: t.user_id,
+    user: t.user
+  };
+}
+
+/**
+ * First day of a month
+ * @param {string} month - YYYY-MM
+ * @returns {string} YYYY-MM-01
+ */
+function monthStart(month) {
+  return `${month}-01`;
+}
+
+/**
+ * The day before a date
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function dayBefore(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Fetch every transaction matching the filters, a page at a time
+ * @param {string} budgetId - Budget ID
+ * @param {Object} [filters] - transactionService.getTransactions() filters (a cursor starts part way)
+ * @returns {Promise<{ data: Array, error: any }>} Supabase rows, newest first
+ */
+export async function fetchTransactions(budgetId, filters = {}) {
+  const rows = [];
+  let cursor = filters.cursor || null;
+  do {
+    const { data, error, nextCursor } = await transactionService.getTransactions(budgetId, {
+      ...filters,
+      limit: TRANSACTION_PAGING.PAGE_SIZE,
+      cursor
+    });
+    if (error) return { data: rows, error };
+    rows.push(...(data || []));
+    cursor = nextCursor;
+  } while (cursor);
+  return { data: rows, error: null };
+}
+
+/**
+ * Load the transactions the dashboard needs for a budget
+ * That's everything from the viewed month onward, or from further back if older history was
+ * already paged in, so reloads after an edit don't drop what the user loaded.
+ * @param {string} budgetId - Budget ID
+ * @param {string} viewedMonth - YYYY-MM
+ * @returns {Promise<{ data: Array, error: any, history: { loadedFrom: string|null, hasMore: boolean } }>}
+ *   Supabase rows and what part of the history they cover (loadedFrom null: all of it)
+ */
+export async function loadTransactionHistory(budgetId, viewedMonth) {
+  const previous = loadedFromByBudget.has(budgetId) ? loadedFromByBudget.get(budgetId) : undefined;
+  const start = monthStart(viewedMonth);
+  const loadedFrom = previous === null ? null : previous && previous < start ? previous : start;
+
+  const { data, error } = await fetchTransactions(budgetId, loadedFrom ? { startDate: loadedFrom } : {});
+  if (error) return { data, error, history: { loadedFrom, hasMore: !!loadedFrom } };
+
+  let hasMore = false;
+  if (loadedFrom) {
+    const { data: older, error: olderError } = await transactionService.getTransactions(budgetId, {
+      endDate: dayBefore(loadedFrom),
+      limit: 1
+    });
+    hasMore = !!olderError || !!older?.length;
+  }
+
+  const history = { loadedFrom: hasMore ? loadedFrom : null, hasMore };
+  loadedFromByBudget.set(budgetId, history.loadedFrom);
+  return { data, error: null, history };
+}
+
+/**
+ * Check whether a month's transactions are loaded
+ * @param {string} month - YYYY-MM
+ * @returns {boolean} True if the month is inside the loaded history (always true without Supabase)
+ */
+export function isMonthLoaded(month) {
+  const history = stateManager.getActiveData().transactionHistory;
+  return !useSupabase || !history?.loadedFrom || monthStart(month) >= history.loadedFrom;
+}
+
+/**
+ * Page in the next chunk of older transactions
+ * The oldest day of the page is always completed, so the loaded history never stops part way
+ * through a date.
+ * @returns {Promise<void>}
+ */
+export async function loadOlderTransactions() {
+  const data = stateManager.getActiveData();
+  const history = data.transactionHistory;
+  if (!useSupabase || !currentBudget || !transactionService || !history?.hasMore || !history.loadedFrom) return;
+
+  const budgetId = currentBudget.id;
+  try {
+    const { data: page, error, nextCursor } = await transactionService.getTransactions(budgetId, {
+      endDate: dayBefore(history.loadedFrom),
+      limit: TRANSACTION_PAGING.PAGE_SIZE
+    });
+    if (error) throw error;
+
+    let rows = page || [];
+    let loadedFrom = null;
+    if (nextCursor) {
+      loadedFrom = rows[rows.length - 1].date;
+      const rest = await fetchTransactions(budgetId, { startDate: loadedFrom, endDate: loadedFrom, cursor: nextCursor });
+      if (rest.error) throw rest.error;
+      rows = rows.concat(rest.data);
+    }
+
+    // The user switched budgets while this was loading
+    if (currentBudget?.id !== budgetId) return;
+
+    const current = stateManager.getActiveData();
+    const known = new Set((current.transactions || []).map(t => t.id));
+    const fallbackCategoryId = getFallbackCategoryId(current.categories);
+    const older = rows.filter(r => !known.has(r.id)).map(r => toLocalTransaction(r, fallbackCategoryId));
+
+    loadedFromByBudget.set(budgetId, loadedFrom);
+    stateManager.setActiveData({
+      transactions: [...(current.transactions || []), ...older],
+      transactionHistory: { loadedFrom, hasMore: !!loadedFrom }
+    });
+    if (renderAll) renderAll();
+    showToast(
+      older.length
+        ? `Loaded ${older.length} older transaction${older.length === 1 ? '' : 's'}`
+        : 'No older transactions',
+      TOAST_TYPES.INFO
+    );
+  } catch (error) {
+    logger.error('Error loading older transactions:', error);
+    showToast(`Error loading older transactions: ${error.message}`, TOAST_TYPES.ERROR);
+  }
+}
+
+/**
+ * Get the transactions in a date range, including ones older than the loaded history
+ * Older rows are fetched for the caller only; the loaded history is left as it is.
+ * @param {Object} [range] - Date range
+ * @param {string} [range.startDate] - YYYY-MM-DD (inclusive; omit for no lower bound)
+ * @param {string} [range.endDate] - YYYY-MM-DD (inclusive; omit for no upper bound)
+ * @returns {Promise<{ data: Array<Object>, error: any }>} Local-shape transactions
+ */
+export async function getTransactionsInRange({ startDate, endDate } = {}) {
+  const data = stateManager.getActiveData();
+  const inRange = (t) => (!startDate || t.date >= startDate) && (!endDate || t.date <= endDate);
+  const loaded = (data.transactions || []).filter(inRange);
+
+  const loadedFrom = data.transactionHistory?.loadedFrom;
+  if (!useSupabase || !currentBudget || !transactionService || !loadedFrom) return { data: loaded, error: null };
+  if (startDate && startDate >= loadedFrom) return { data: loaded, error: null };
+
+  const olderEnd = endDate && endDate < loadedFrom ? endDate : dayBefore(loadedFrom);
+  const { data: rows, error } = await fetchTransactions(currentBudget.id, {
+    ...(startDate ? { startDate } : {}),
+    endDate: olderEnd
+  });
+  if (error) return { data: loaded, error };
+
+  const known = new Set(loaded.map(t => t.id));
+  const fallbackCategoryId = getFallbackCategoryId(data.categories);
+  const older = rows.filter(r => !known.has(r.id)).map(r => toLocalTransaction(r, fallbackCategoryId));
+  return { data: [...loaded, ...older], error: null };
+}
+
+/**
+ * Look up transactions by Plaid ID, including ones older than the loaded history
+ * @param {string} budgetId - Budget ID
+ * @param {Array<string>} plaidIds - Plaid transaction IDs
+ * @returns {Promise<{ data: Array<Object>, error: any }>} Local-shape transactions
+ */
+export async function findTransactionsByPlaidIds(budgetId, plaidIds) {
+  const ids = [...new Set((plaidIds || []).filter(Boolean))];
+  const fallbackCategoryId = getFallbackCategoryId(stateManager.getActiveData().categories);
+  const found = [];
+  for (let i = 0; i < ids.length; i += TRANSACTION_PAGING.PLAID_LOOKUP_CHUNK) {
+    const { data, error } = await fetchTransactions(budgetId, {
+      plaidIds: ids.slice(i, i + TRANSACTION_PAGING.PLAID_LOOKUP_CHUNK)
+    });
+    if (error) return { data: found, error };
+    found.push(...data.map(r => toLocalTransaction(r, fallbackCategoryId)));
+  }
+  return { data: found, error: null };
+}
@@ -5,8 +5,18 @@
 
 import { stateManager } from './state-management.js';
 import { logger } from './logger.js';
-import { formatMoney, formatDate, showToast, isValidUUID, isMobileDevice, triggerHapticFeedback, currentMonthISO, debounce } from './utils.js';
-import { LONG_PRESS_DURATION, LONG_PRESS_MOVE_THRESHOLD, MOBILE_BREAKPOINT, DEFAULT_SORT_COLUMN, DEFAULT_SORT_DIRECTION, SELECTION_MODES } from './constants.js';
+import { formatMoney, formatDate, showToast, isValidUUID, isMobileDevice, triggerHapticFeedback, currentMonthISO, debounce, generateId } from './utils.js';
+import { LONG_PRESS_DURATION, LONG_PRESS_MOVE_THRESHOLD, MOBILE_BREAKPOINT, DEFAULT_SORT_COLUMN, DEFAULT_SORT_DIRECTION, SELECTION_MODES, CATEGORY_SUGGESTIONS, VIRTUAL_SCROLL } from './constants.js';
+import { applyRules } from './rules.js';
+import { suggestCategory, formatConfidence, invalidateSuggestionModel, loadSuggestionHistory } from './category-suggestions.js';
+import { isSplit, hasCategory, validateSplits, getSplitRemainder, getPrimarySplitCategoryId } from './splits.js';
+import { isTransfer, describeTransfer, getTransferAccounts, applyTransferBalances } from './transfers.js';
+import { renderAccountSelector } from './accounts.js';
+import { parseTags, hasTag, getTransactionTags, renderTagChips } from './tags.js';
+import { compileSearchQuery } from './search-query.js';
+import { createVirtualList } from './virtual-list.js';
+import { isMonthLoaded } from './transaction-history.js';
+import { openBulkEdit } from './bulk-edit.js';
 
 // Module-level state
 let viewedMonth = currentMonthISO(new Date());
@@ -25,8 +35,13 @@ let longPressElement = null;
 let longPressStartPos = null;
 let isLongPressing = false;
 
+// Virtualized desktop rows and mobile cards (created on first render)
+let tableList = null;
+let cardList = null;
+
 // Editing state
 let editTransactionId = null;
+let drawerTags = [];
 
 // External dependencies (will be injected)
 let transactionService = null;
@@ -48,7 +63,7 @@ function isBudgetOwner() {
   return !!(isSharedBudget() && currentUser?.id && currentBudget?.owner_id === currentUser.id);
 }
 
-function canEditTransactionRecord(t) {
+export function canEditTransactionRecord(t) {
   if (!useSupabase) return true;
   if (!isSharedBudget()) return true;
   if (isBudgetOwner()) return true;
@@ -60,6 +75,18 @@ function canDeleteTransactionRecord(t) {
   return canEditTransactionRecord(t);
 }
 
+// Whether a row's checkbox can be ticked in the current selection mode
+function canSelectTransactionRecord(t) {
+  return selectionModeType === SELECTION_MODES.DELETE ? canDeleteTransactionRecord(t) : canEditTransactionRecord(t);
+}
+
+// Checkbox for selection mode (delete, or bulk edit in edit mode)
+function renderSelectionCheckbox(t, isSelected) {
+  const canSelect = canSelectTransactionRecord(t);
+  const action = selectionModeType === SELECTION_MODES.DELETE ? 'delete' : 'edit';
+  return `<div class="transaction-checkbox-wrapper"><input type="checkbox" class="transaction-checkbox" data-id="${t.id}" ${isSelected ? 'checked' : ''} id="checkbox-${t.id}" ${canSelect ? '' : 'disabled'} title="${canSelect ? `Select to ${action}` : 'Not allowed'}"><label for="checkbox-${t.id}" class="transaction-checkbox-label"></label></div>`;
+}
+
 function showNoPermissionToast(action = 'modify') {
   const msg = isSharedBudget()
     ? `You can only ${action} transactions you added (unless you're the budget owner).`
@@ -107,6 +134,19 @@ export function initTransactions(deps) {
   // Register sorting event listeners
   setupSortingListeners();
   
+  // Register drawer category suggestion listeners
+  setupDrawerSuggestionListeners();
+  
+  // Register drawer split editor listeners
+  setupDrawerSplitListeners();
+  
+  // Register drawer tag editor listeners
+  setupDrawerTagListeners();
+  
+  // Register drawer transfer field listeners
+  const drawerType = document.getElementById('drawerType');
+  if (drawerType) drawerType.addEventListener('change', updateDrawerTypeFields);
+  
   // Update when dependencies change
   if (deps.onUpdate) {
     deps.onUpdate(() => {
@@ -148,6 +188,19 @@ function setupSearchAndFilterListeners() {
     filterCategory.addEventListener('change', debouncedRender);
     filterCategory.dataset.bound = '1';
   }
+
+  // Tag filter; clicking a tag chip in the list filters by that tag
+  const filterTag = document.getElementById('filterTag');
+  if (filterTag && !filterTag.dataset.bound) {
+    filterTag.addEventListener('change', debouncedRender);
+    document.addEventListener('click', (e) => {
+      const chip = e.target.closest('.transaction-tags .tag-chip[data-tag]');
+      if (!chip) return;
+      filterTag.value = filterTag.value === chip.dataset.tag ? '' : chip.dataset.tag;
+      if (renderAll) renderAll();
+    });
+    filterTag.dataset.bound = '1';
+  }
 }
 
 /**
@@ -165,9 +218,301 @@ function setupSortingListeners() {
   });
 }
 
+/**
+ * Setup drawer listeners that keep the learned category suggestion current
+ */
+function setupDrawerSuggestionListeners() {
+  const debouncedSuggest = debounce(updateDrawerCategorySuggestion, 250);
+  ['drawerDesc', 'drawerMerchant'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.addEventListener('input', debouncedSuggest);
+  });
+
+  const drawerType = document.getElementById('drawerType');
+  if (drawerType) drawerType.addEventListener('change', updateDrawerCategorySuggestion);
+
+  // Once the user picks a category themselves, suggestions (and rules) leave it alone
+  const drawerCategory = document.getElementById('drawerCategory');
+  if (drawerCategory) {
+    drawerCategory.addEventListener('change', () => {
+      drawerCategory.dataset.touched = '1';
+      updateDrawerCategorySuggestion();
+    });
+  }
+}
+
+/**
+ * Show the learned category suggestion for the drawer's current values
+ * When adding and the category is untouched, the suggestion is pre-selected; otherwise it is
+ * offered with a "Use" button if it differs from the chosen category.
+ */
+function updateDrawerCategorySuggestion() {
+  const hint = document.getElementById('drawerCategorySuggestion');
+  const drawerCategory = document.getElementById('drawerCategory');
+  if (!hint || !drawerCategory) return;
+
+  const isAdding = !editTransactionId;
+  const untouched = drawerCategory.dataset.touched !== '1';
+  const suggestion = suggestCategory({
+    description: document.getElementById('drawerDesc')?.value,
+    merchant: document.getElementById('drawerMerchant')?.value,
+    type: document.getElementById('drawerType')?.value
+  });
+
+  hint.innerHTML = '';
+  hint.style.display = 'none';
+
+  // Split lines carry their own categories
+  if (isDrawerSplitOpen()) return;
+
+  if (!suggestion || suggestion.confidence < CATEGORY_SUGGESTIONS.DRAWER_CONFIDENCE) {
+    // Undo an earlier pre-fill that no longer applies
+    if (isAdding && untouched && drawerCategory.dataset.suggestedValue) {
+      drawerCategory.value = drawerCategory.dataset.defaultValue || '';
+      delete drawerCategory.dataset.suggestedValue;
+    }
+    return;
+  }
+
+  const categories = stateManager.getActiveData().categories || [];
+  const name = categories.find(c => c.id === suggestion.categoryId)?.name || '';
+  const confidence = formatConfidence(suggestion.confidence);
+
+  if (isAdding && untouched) {
+    drawerCategory.value = suggestion.categoryId;
+    drawerCategory.dataset.suggestedValue = suggestion.categoryId;
+    hint.textContent = `✨ Suggested from history · ${confidence} confident`;
+  } else if (drawerCategory.value !== suggestion.categoryId) {
+    hint.innerHTML = `✨ Suggested: ${name} (${confidence}) <button type="button" class="category-suggestion-use">Use</button>`;
+    hint.querySelector('.category-suggestion-use').addEventListener('click', () => {
+      drawerCategory.value = suggestion.categoryId;
+      drawerCategory.dataset.touched = '1';
+      updateDrawerCategorySuggestion();
+    });
+  } else {
+    return;
+  }
+  hint.style.display = 'block';
+}
+
+/**
+ * Setup drawer listeners for editing split lines
+ */
+function setupDrawerSplitListeners() {
+  const splitBtn = document.getElementById('drawerSplitBtn');
+  if (splitBtn) {
+    splitBtn.addEventListener('click', () => {
+      if (isDrawerSplitOpen()) {
+        renderDrawerSplits([]);
+        return;
+      }
+      // Start with the whole amount on the current category and an empty line to move some of it to
+      const amount = parseFloat(document.getElementById('drawerAmount')?.value) || 0;
+      const categoryId = document.getElementById('drawerCategory')?.value || '';
+      renderDrawerSplits([{ categoryId, amount }, { categoryId: '', amount: '' }]);
+    });
+  }
+
+  const addLineBtn = document.getElementById('drawerAddSplitLineBtn');
+  if (addLineBtn) {
+    addLineBtn.addEventListener('click', () => {
+      const remaining = getSplitRemainder(readDrawerSplits(), parseFloat(document.getElementById('drawerAmount')?.value) || 0);
+      addDrawerSplitLine({ categoryId: '', amount: remaining > 0 ? remaining : '' });
+      updateDrawerSplitRemaining();
+    });
+  }
+
+  const drawerAmount = document.getElementById('drawerAmount');
+  if (drawerAmount) drawerAmount.addEventListener('input', updateDrawerSplitRemaining);
+}
+
+/**
+ * Check whether the drawer is editing split lines
+ * @returns {boolean} True if the split editor is open
+ */
+function isDrawerSplitOpen() {
+  const container = document.getElementById('drawerSplits');
+  return !!container && container.style.display !== 'none';
+}
+
+/**
+ * Show the drawer's split editor with the given lines (no lines closes it)
+ * While split, the single category select is disabled; the largest line's category is saved there.
+ * @param {Array<{ categoryId: string, amount: number|string, note?: string }>} lines - Split lines
+ */
+function renderDrawerSplits(lines) {
+  const container = document.getElementById('drawerSplits');
+  const linesContainer = document.getElementById('drawerSplitLines');
+  const splitBtn = document.getElementById('drawerSplitBtn');
+  const drawerCategory = document.getElementById('drawerCategory');
+  if (!container || !linesContainer) return;
+
+  linesContainer.innerHTML = '';
+  const open = lines.length > 0;
+  container.style.display = open ? 'block' : 'none';
+  if (splitBtn) splitBtn.textContent = open ? 'Remove split' : 'Split across categories';
+  if (drawerCategory) drawerCategory.disabled = open;
+
+  lines.forEach(line => addDrawerSplitLine(line));
+  updateDrawerSplitRemaining();
+  updateDrawerCategorySuggestion();
+}
+
+/**
+ * Append one split line to the drawer's split editor
+ * @param {{ categoryId: string, amount: number|string, note?: string }} line - Split line
+ */
+function addDrawerSplitLine(line) {
+  const linesContainer = document.getElementById('drawerSplitLines');
+  const drawerCategory = document.getElementById('drawerCategory');
+  if (!linesContainer) return;
+
+  const row = document.createElement('div');
+  row.className = 'split-line';
+  row.innerHTML = `
+    <select class="split-line-category">
+      <option value="">Category…</option>
+      ${drawerCategory ? drawerCategory.innerHTML : ''}
+    </select>
+    <input type="number" class="split-line-amount" step="0.01" min="0" placeholder="0.00">
+    <input type="text" class="split-line-note" placeholder="Note">
+    <button type="button" class="split-line-remove" title="Remove line">×</button>
+  `;
+  row.querySelector('.split-line-category').value = line.categoryId || '';
+  row.querySelector('.split-line-amount').value = line.amount === '' || line.amount == null ? '' : Number(line.amount).toFixed(2);
+  row.querySelector('.split-line-note').value = line.note || '';
+
+  row.querySelector('.split-line-amount').addEventListener('input', updateDrawerSplitRemaining);
+  row.querySelector('.split-line-remove').addEventListener('click', () => {
+    row.remove();
+    // One line left is no longer a split
+    if (linesContainer.children.length < 2) {
+      const last = readDrawerSplits()[0];
+      if (last?.categoryId && drawerCategory) drawerCategory.value = last.categoryId;
+      renderDrawerSplits([]);
+      return;
+    }
+    updateDrawerSplitRemaining();
+  });
+
+  linesContainer.appendChild(row);
+}
+
+/**
+ * Read the split lines currently in the drawer
+ * @returns {Array<{ categoryId: string, amount: number, note: string }>} Split lines (empty when not split)
+ */
+function readDrawerSplits() {
+  if (!isDrawerSplitOpen()) return [];
+  return Array.from(document.querySelectorAll('#drawerSplitLines .split-line')).map(row => ({
+    categoryId: row.querySelector('.split-line-category').value,
+    amount: parseFloat(row.querySelector('.split-line-amount').value) || 0,
+    note: row.querySelector('.split-line-note').value.trim()
+  }));
+}
+
+/**
+ * Show how much of the transaction amount is not yet on a split line
+ */
+function updateDrawerSplitRemaining() {
+  const label = document.getElementById('drawerSplitRemaining');
+  if (!label || !isDrawerSplitOpen()) return;
+
+  const total = parseFloat(document.getElementById('drawerAmount')?.value) || 0;
+  const remaining = getSplitRemainder(readDrawerSplits(), total);
+  label.classList.toggle('split-remaining-error', remaining !== 0);
+  label.textContent = remaining === 0
+    ? 'Fully assigned'
+    : remaining > 0
+      ? `Remaining: ${formatMoney(remaining)}`
+      : `Over by ${formatMoney(-remaining)}`;
+}
+
+/**
+ * Setup drawer listeners for adding and removing tags
+ * Enter or a comma turns what was typed into chips; Backspace on an empty input removes the last one.
+ */
+function setupDrawerTagListeners() {
+  const input = document.getElementById('drawerTagInput');
+  if (input) {
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ',') {
+        e.preventDefault();
+        commitDrawerTagInput();
+      } else if (e.key === 'Backspace' && !input.value && drawerTags.length) {
+        renderDrawerTags(drawerTags.slice(0, -1));
+      }
+    });
+    // Picking a suggestion from the datalist fires input without a key press
+    input.addEventListener('change', commitDrawerTagInput);
+  }
+
+  const chips = document.getElementById('drawerTagChips');
+  if (chips) {
+    chips.addEventListener('click', (e) => {
+      const remove = e.target.closest('.tag-chip-remove');
+      if (remove) renderDrawerTags(drawerTags.filter(tag => tag !== remove.dataset.tag));
+    });
+  }
+}
+
+/**
+ * Show the drawer's tags as chips
+ * @param {Array<string>} tags - Tags
+ */
+function renderDrawerTags(tags) {
+  drawerTags = [...tags];
+  const chips = document.getElementById('drawerTagChips');
+  if (chips) chips.innerHTML = renderTagChips(drawerTags, { removable: true });
+}
+
+/**
+ * Turn whatever is typed in the drawer's tag input into chips
+ */
+function commitDrawerTagInput() {
+  const input = document.getElementById('drawerTagInput');
+  if (!input || !input.value.trim()) return;
+  const added = parseTags(input.value).filter(tag => !drawerTags.includes(tag));
+  input.value = '';
+  if (added.length) renderDrawerTags([...drawerTags, ...added]);
+}
+
+/**
+ * Show the drawer fields for the selected type
+ * Transfers move money between two accounts and have no category, so they can't be split.
+ */
+function updateDrawerTypeFields() {
+  const transfer = document.getElementById('drawerType')?.value === 'transfer';
+  const show = (id, visible) => {
+    const el = document.getElementById(id);
+    if (el) el.style.display = visible ? '' : 'none';
+  };
+
+  if (transfer && isDrawerSplitOpen()) renderDrawerSplits([]);
+  show('drawerCategoryGroup', !transfer);
+  show('drawerSplitGroup', !transfer);
+  show('drawerTransferToGroup', transfer);
+
+  const accountLabel = document.getElementById('drawerAccountLabel');
+  if (accountLabel) {
+    accountLabel.innerHTML = transfer ? 'From Account' : 'Account <span class="label-optional">(Optional)</span>';
+  }
+}
+
+/**
+ * Show problems with the search query under the filter bar
+ * @param {Array<string>} errors - Messages (empty hides the hint)
+ */
+function showSearchQueryErrors(errors) {
+  const hint = document.getElementById('searchQueryError');
+  if (!hint) return;
+  hint.textContent = errors.length ? `Ignored: ${errors.join('; ')}` : '';
+  hint.style.display = errors.length ? 'block' : 'none';
+}
+
 /**
  * Get filtered and sorted transactions based on current filters and sort settings
- * Applies month filter, search filter, type filter, category filter, and sorting
+ * Applies month filter, search query, type filter, category filter, tag filter, and sorting
  * @returns {Array<Object>} Array of filtered and sorted transaction objects
  */
 export function getFilteredTransactions() {
@@ -180,12 +525,14 @@ export function getFilteredTransactions() {
     tx = tx.filter(t => t.date.startsWith(viewedMonth));
   }
 
-  // Filter by search
+  // Filter by search query (see search-query.js for the syntax)
   const searchBox = document.getElementById("searchBox");
-  const search = searchBox ? searchBox.value.toLowerCase().trim() : "";
-  if (search) {
-    tx = tx.filter(t => (t.description || "").toLowerCase().includes(search));
+  const search = searchBox ? searchBox.value.trim() : "";
+  const query = compileSearchQuery(search, { categories: data.categories || [], accounts: data.accounts || [] });
+  if (!query.isEmpty) {
+    tx = tx.filter(query.matches);
   }
+  showSearchQueryErrors(query.errors);
 
   // Filter by type
   const typeSelect = document.getElementById("filterType");
@@ -198,7 +545,15 @@ export function getFilteredTransactions() {
   const catSelect = document.getElementById("filterCategory");
   const catFilter = catSelect ? catSelect.value : "";
   if (catFilter) {
-    tx = tx.filter(t => t.categoryId === catFilter);
+    // Split transactions match any of their lines' categories
+    tx = tx.filter(t => hasCategory(t, catFilter));
+  }
+
+  // Filter by tag
+  const tagSelect = document.getElementById("filterTag");
+  const tagFilter = tagSelect ? tagSelect.value : "";
+  if (tagFilter) {
+    tx = tx.filter(t => hasTag(t, tagFilter));
   }
 
   // Apply sorting
@@ -284,86 +639,144 @@ export function updateSortIndicators() {
 
 /**
  * Render transactions table (desktop) and cards (mobile)
+ * Long histories are virtualized: only rows near the viewport exist in the DOM, so selection
+ * state lives in selectedTransactionIds and is applied as rows scroll into view.
  */
 export function renderTransactionsTable() {
   const body = document.getElementById("transactionsTableBody");
   const cardsContainer = document.getElementById("transactionsCardsContainer");
-  
-  if (body) body.innerHTML = "";
-  if (cardsContainer) cardsContainer.innerHTML = "";
 
   const tx = getFilteredTransactions();
-  const data = stateManager.getActiveData();
-  const categories = Array.isArray(data.categories) ? data.categories : [];
   const isMobile = window.innerWidth <= MOBILE_BREAKPOINT;
 
-  tx.forEach(t => {
-    const cat = categories.find(c => c.id === t.categoryId);
-    const isSelected = selectedTransactionIds.has(t.id);
-
-    if (isMobile) {
-      // Mobile: Card layout
-      renderTransactionCard(t, cat, isSelected, cardsContainer);
-    } else {
-      // Desktop: Table layout
-      renderTransactionRow(t, cat, isSelected, body);
-    }
-  });
-
-  // Add checkbox listeners
-  document.querySelectorAll(".transaction-checkbox").forEach(cb => {
-    cb.addEventListener("change", (e) => {
-      e.stopPropagation();
-      const id = e.target.dataset.id;
-      if (e.target.checked) {
-        selectedTransactionIds.add(id);
-      } else {
-        selectedTransactionIds.delete(id);
-      }
-      updateSelectionUI();
+  if (body && !tableList) {
+    tableList = createVirtualList({
+      container: body,
+      renderItem: (t) => renderTransactionRow(t, getTransactionCategory(t), selectedTransactionIds.has(t.id)),
+      getKey: (t) => t.id,
+      createSpacer: () => {
+        const tr = document.createElement("tr");
+        tr.className = "virtual-spacer";
+        tr.setAttribute("aria-hidden", "true");
+        tr.innerHTML = '<td colspan="6"></td>';
+        return tr;
+      },
+      estimatedHeight: VIRTUAL_SCROLL.ROW_HEIGHT
     });
-    
-    const label = cb.nextElementSibling;
-    if (label && label.classList.contains('transaction-checkbox-label')) {
-      label.addEventListener("click", (e) => {
-        e.stopPropagation();
-      });
-    }
-  });
+  }
+  if (cardsContainer && !cardList) {
+    cardList = createVirtualList({
+      container: cardsContainer,
+      renderItem: (t) => renderTransactionCard(t, getTransactionCategory(t), selectedTransactionIds.has(t.id)),
+      getKey: (t) => t.id,
+      createSpacer: () => {
+        const div = document.createElement("div");
+        div.className = "virtual-spacer";
+        div.setAttribute("aria-hidden", "true");
+        return div;
+      },
+      estimatedHeight: VIRTUAL_SCROLL.CARD_HEIGHT
+    });
+  }
+
+  // Mobile: Card layout; Desktop: Table layout
+  if (tableList) tableList.setItems(isMobile ? [] : tx);
+  if (cardList) cardList.setItems(isMobile ? tx : []);
+  renderTransactionHistoryMore();
   
   // Update sort indicators (desktop only)
   if (!isMobile) {
     updateSortIndicators();
     
-    // Update select all checkbox (only for delete mode)
-    if (isSelectionMode && selectionModeType === SELECTION_MODES.DELETE) {
+    // Update select all checkbox
+    if (isSelectionMode) {
       updateSelectAllCheckbox();
     }
   }
 }
 
 /**
- * Render a transaction card (mobile)
+ * Show the "Load older transactions" footer when all months are shown but older history isn't loaded
  */
-function renderTransactionCard(t, cat, isSelected, container) {
-  if (!container) return;
+function renderTransactionHistoryMore() {
+  const footer = document.getElementById("transactionHistoryMore");
+  if (!footer) return;
+  const history = stateManager.getActiveData().transactionHistory;
+  const show = !!(useSupabase && showAllMonths && history?.hasMore && history.loadedFrom);
+  footer.style.display = show ? "" : "none";
+  const note = document.getElementById("transactionHistoryNote");
+  if (note && show) note.textContent = `Showing transactions since ${formatDate(history.loadedFrom)}.`;
+}
+
+/**
+ * Look up a transaction's category
+ * @param {Object} t - Transaction
+ * @returns {Object|undefined} Category
+ */
+function getTransactionCategory(t) {
+  const categories = stateManager.getActiveData().categories || [];
+  return categories.find(c => c.id === t.categoryId);
+}
+
+/**
+ * Bind a rendered row's or card's selection checkbox to selectedTransactionIds
+ * @param {HTMLElement} element - Row or card
+ */
+function bindTransactionCheckbox(element) {
+  const cb = element.querySelector(".transaction-checkbox");
+  if (!cb) return;
+
+  cb.addEventListener("change", (e) => {
+    e.stopPropagation();
+    const id = e.target.dataset.id;
+    if (e.target.checked) {
+      selectedTransactionIds.add(id);
+    } else {
+      selectedTransactionIds.delete(id);
+    }
+    updateSelectionUI();
+  });
   
+  const label = cb.nextElementSibling;
+  if (label && label.classList.contains('transaction-checkbox-label')) {
+    label.addEventListener("click", (e) => {
+      e.stopPropagation();
+    });
+  }
+}
+
+// Bank transactions that haven't posted yet; the posted transaction replaces them on a later sync
+const PENDING_BADGE_HTML = '<span class="pending-badge" title="Pending: amount or date may change when it posts">Pending</span>';
+
+/**
+ * Category label for a row or card: the category name, or a "Split" badge listing the lines
+ */
+function renderCategoryLabel(t, cat) {
+  if (isTransfer(t)) return `<span class="transfer-accounts">${describeTransfer(t)}</span>`;
+  if (!isSplit(t)) return cat ? cat.name : "—";
+  const categories = stateManager.getActiveData().categories || [];
+  const breakdown = t.splits
+    .map(line => `${categories.find(c => c.id === line.categoryId)?.name || '—'} ${formatMoney(line.amount)}`)
+    .join(' · ');
+  return `<span class="split-badge" title="${breakdown}">Split (${t.splits.length})</span>`;
+}
+
+/**
+ * Render a transaction card (mobile)
+ * @returns {HTMLElement} Card element
+ */
+function renderTransactionCard(t, cat, isSelected) {
   const card = document.createElement("div");
   card.className = "transaction-card-mobile";
   card.dataset.transactionId = t.id;
+  if (t.pending) card.classList.add('transaction-pending');
   
   if (isSelectionMode && selectionModeType === SELECTION_MODES.EDIT) {
     card.classList.add('editable-row');
   }
 
-  // Build checkbox HTML if in delete mode
-  const canDelete = canDeleteTransactionRecord(t);
-  const checkboxHTML = (isSelectionMode && selectionModeType === SELECTION_MODES.DELETE) ? `
-    <div class="transaction-checkbox-wrapper">
-      <input type="checkbox" class="transaction-checkbox" data-id="${t.id}" ${isSelected ? 'checked' : ''} id="checkbox-${t.id}" ${canDelete ? '' : 'disabled'} title="${canDelete ? 'Select to delete' : 'Not allowed'}">
-      <label for="checkbox-${t.id}" class="transaction-checkbox-label"></label>
-    </div>
-  ` : '';
+  // Build checkbox HTML in selection mode
+  const checkboxHTML = isSelectionMode ? renderSelectionCheckbox(t, isSelected) : '';
 
   // User attribution for shared budgets
   const userAttribution = (useSupabase && currentBudget && currentBudget.type === 'shared' && t.user) 
@@ -383,10 +796,12 @@ function renderTransactionCard(t, cat, isSelected, container) {
     </div>
     <div class="transaction-card-details">
       <span class="transaction-card-badge badge-${t.type}">${t.type}</span>
-      <span class="transaction-card-category">${cat ? cat.name : "—"}</span>
+      ${t.pending ? PENDING_BADGE_HTML : ''}
+      <span class="transaction-card-category">${renderCategoryLabel(t, cat)}</span>
       ${t.merchant ? `<span class="transaction-card-merchant">📍 ${t.merchant}</span>` : ''}
       ${userAttribution}
     </div>
+    ${getTransactionTags(t).length ? `<div class="transaction-tags">${renderTagChips(t.tags)}</div>` : ''}
   `;
 
   card.innerHTML = cardHTML;
@@ -398,7 +813,9 @@ function renderTransactionCard(t, cat, isSelected, container) {
 
   // Add click handler for edit mode
   if (isSelectionMode && selectionModeType === SELECTION_MODES.EDIT) {
-    card.addEventListener('click', () => {
+    card.addEventListener('click', (e) => {
+      // Ticking the checkbox selects for bulk edit instead
+      if (e.target.closest('.transaction-checkbox-wrapper')) return;
       if (!canEditTransactionRecord(t)) {
         showNoPermissionToast('edit');
         return;
@@ -413,23 +830,23 @@ function renderTransactionCard(t, cat, isSelected, container) {
     addLongPressHandlers(card, t.id);
   }
 
-  container.appendChild(card);
+  bindTransactionCheckbox(card);
+  return card;
 }
 
 /**
  * Render a transaction row (desktop)
+ * @returns {HTMLElement} Row element
  */
-function renderTransactionRow(t, cat, isSelected, body) {
-  if (!body) return;
-  
+function renderTransactionRow(t, cat, isSelected) {
   const tr = document.createElement("tr");
   tr.dataset.transactionId = t.id;
+  if (t.pending) tr.classList.add('transaction-pending');
 
   // Build row HTML
   let rowHTML = '';
-  if (isSelectionMode && selectionModeType === SELECTION_MODES.DELETE) {
-    const canDelete = canDeleteTransactionRecord(t);
-    rowHTML += `<td class="checkbox-cell"><div class="transaction-checkbox-wrapper"><input type="checkbox" class="transaction-checkbox" data-id="${t.id}" ${isSelected ? 'checked' : ''} id="checkbox-${t.id}" ${canDelete ? '' : 'disabled'} title="${canDelete ? 'Select to delete' : 'Not allowed'}"><label for="checkbox-${t.id}" class="transaction-checkbox-label"></label></div></td>`;
+  if (isSelectionMode) {
+    rowHTML += `<td class="checkbox-cell">${renderSelectionCheckbox(t, isSelected)}</td>`;
   }
   
   // User attribution for shared budgets
@@ -439,9 +856,9 @@ function renderTransactionRow(t, cat, isSelected, body) {
   
   rowHTML += `
     <td>${formatDate(t.date)}</td>
-    <td>${t.description}${t.merchant ? `<span class="merchant-badge">${t.merchant}</span>` : ''}${userAttribution}</td>
+    <td>${t.description}${t.pending ? PENDING_BADGE_HTML : ''}${t.merchant ? `<span class="merchant-badge">${t.merchant}</span>` : ''}${userAttribution}${getTransactionTags(t).length ? `<div class="transaction-tags">${renderTagChips(t.tags)}</div>` : ''}</td>
     <td><span class="badge-${t.type}">${t.type}</span></td>
-    <td>${cat ? cat.name : "—"}</td>
+    <td>${renderCategoryLabel(t, cat)}</td>
     <td>${formatMoney(t.amount)}</td>
   `;
 
@@ -457,9 +874,12 @@ function renderTransactionRow(t, cat, isSelected, body) {
     tr.classList.add('editable-row');
     tr.style.cursor = 'pointer';
     tr.addEventListener('click', (e) => {
+      // Ticking the checkbox selects for bulk edit instead
+      if (e.target.closest('.checkbox-cell')) return;
       if (e.target.tagName === 'SPAN' && (e.target.classList.contains('badge-income') || 
           e.target.classList.contains('badge-expense') ||
-          e.target.classList.contains('merchant-badge'))) {
+          e.target.classList.contains('merchant-badge') ||
+          e.target.classList.contains('tag-chip'))) {
         return;
       }
       if (!canEditTransactionRecord(t)) {
@@ -476,7 +896,8 @@ function renderTransactionRow(t, cat, isSelected, body) {
     addLongPressHandlers(tr, t.id);
   }
   
-  body.appendChild(tr);
+  bindTransactionCheckbox(tr);
+  return tr;
 }
 
 /**
@@ -693,14 +1114,12 @@ export function enterSelectionMode(mode) {
   if (deleteBtn) deleteBtn.style.display = "none";
   if (cancelBtn) cancelBtn.style.display = "inline-block";
   
+  if (checkboxHeader) checkboxHeader.style.display = "table-cell";
+  if (actionsBar) actionsBar.style.display = "none";
   if (mode === SELECTION_MODES.DELETE) {
-    if (checkboxHeader) checkboxHeader.style.display = "table-cell";
-    if (actionsBar) actionsBar.style.display = "none";
     if (editIndicator) editIndicator.style.display = "none";
   } else {
-    // Edit mode
-    if (checkboxHeader) checkboxHeader.style.display = "none";
-    if (actionsBar) actionsBar.style.display = "none";
+    // Edit mode: click a row to edit it, or tick rows to edit them together
     if (editIndicator) editIndicator.style.display = "flex";
   }
   
@@ -778,31 +1197,31 @@ export function updateSelectionUI() {
     return;
   }
   
-  if (selectionModeType === SELECTION_MODES.DELETE) {
-    // Count only deletable selections (in case of stale selections)
-    const data = stateManager.getActiveData();
-    const txMap = new Map((data.transactions || []).map(t => [t.id, t]));
-    const count = Array.from(selectedTransactionIds).filter(id => canDeleteTransactionRecord(txMap.get(id))).length;
-    const actionsBar = document.getElementById("selectionActionsBar");
-    const selectedCount = document.getElementById("selectedCount");
-    
-    if (count > 0) {
-      if (actionsBar) actionsBar.style.display = "flex";
-      if (selectedCount) {
-        selectedCount.textContent = `${count} transaction${count === 1 ? '' : 's'} selected`;
-      }
-    } else {
-      if (actionsBar) actionsBar.style.display = "none";
+  // Count only selectable selections (in case of stale selections)
+  const data = stateManager.getActiveData();
+  const txMap = new Map((data.transactions || []).map(t => [t.id, t]));
+  const count = Array.from(selectedTransactionIds).filter(id => canSelectTransactionRecord(txMap.get(id))).length;
+  const actionsBar = document.getElementById("selectionActionsBar");
+  const selectedCount = document.getElementById("selectedCount");
+  const deleteSelectedBtn = document.getElementById("deleteSelectedBtn");
+  const editSelectedBtn = document.getElementById("editSelectedBtn");
+  const editIndicator = document.getElementById("editModeIndicator");
+  const isDeleteMode = selectionModeType === SELECTION_MODES.DELETE;
+  
+  if (deleteSelectedBtn) deleteSelectedBtn.style.display = isDeleteMode ? "" : "none";
+  if (editSelectedBtn) editSelectedBtn.style.display = isDeleteMode ? "none" : "";
+  if (editIndicator) editIndicator.style.display = isDeleteMode ? "none" : "flex";
+  
+  if (count > 0) {
+    if (actionsBar) actionsBar.style.display = "flex";
+    if (selectedCount) {
+      selectedCount.textContent = `${count} transaction${count === 1 ? '' : 's'} selected`;
     }
-    
-    updateSelectAllCheckbox();
   } else {
-    // Edit mode
-    const editIndicator = document.getElementById("editModeIndicator");
-    const actionsBar = document.getElementById("selectionActionsBar");
-    if (editIndicator) editIndicator.style.display = "flex";
     if (actionsBar) actionsBar.style.display = "none";
   }
+  
+  updateSelectAllCheckbox();
 }
 
 /**
@@ -816,8 +1235,8 @@ export function updateSelectAllCheckbox() {
   const selectAll = document.getElementById("selectAllCheckbox");
   if (!selectAll) return;
   
-  // In shared budgets, only allow selecting deletable transactions
-  const tx = getFilteredTransactions().filter(t => canDeleteTransactionRecord(t));
+  // In shared budgets, only allow selecting transactions the user may change
+  const tx = getFilteredTransactions().filter(t => canSelectTransactionRecord(t));
   const allSelected = tx.length > 0 && tx.every(t => selectedTransactionIds.has(t.id));
   const someSelected = tx.some(t => selectedTransactionIds.has(t.id));
   
@@ -835,7 +1254,7 @@ export function handleSelectAll() {
   const selectAll = document.getElementById("selectAllCheckbox");
   if (!selectAll) return;
   
-  const tx = getFilteredTransactions().filter(t => canDeleteTransactionRecord(t));
+  const tx = getFilteredTransactions().filter(t => canSelectTransactionRecord(t));
   
   if (selectAll.checked) {
     tx.forEach(t => selectedTransactionIds.add(t.id));
@@ -848,11 +1267,18 @@ export function handleSelectAll() {
 }
 
 /**
- * Handle edit selected (for compatibility)
+ * Handle edit selected: open the bulk edit panel for the ticked transactions
+ * Selection mode ends once the bulk edit is saved (cancelling keeps the selection).
  */
 export function handleEditSelected() {
   if (!isSelectionMode || selectionModeType !== SELECTION_MODES.EDIT) return;
-  exitSelectionMode();
+  
+  const ids = Array.from(selectedTransactionIds);
+  if (ids.length === 0) {
+    showToast("No transactions selected. Tick the transactions to edit together.", "Error");
+    return;
+  }
+  openBulkEdit(ids);
 }
 
 /**
@@ -924,11 +1350,22 @@ export function openDrawerForAdd() {
   const cats = Array.isArray(data.categories) ? data.categories : [];
   if (drawerCategory) {
     drawerCategory.value = cats.length ? cats[0].id : "";
+    // Suggestions and rules may only replace the category until the user picks one
+    drawerCategory.dataset.defaultValue = drawerCategory.value;
+    drawerCategory.dataset.touched = '';
+    delete drawerCategory.dataset.suggestedValue;
   }
   
   if (drawerMerchant) drawerMerchant.value = "";
   if (drawerNote) drawerNote.value = "";
+  renderDrawerTags([]);
+  renderAccountSelector('drawerAccount');
+  renderAccountSelector('drawerTransferTo');
+  renderDrawerSplits([]);
+  updateDrawerTypeFields();
   if (drawer) drawer.classList.add("open");
+  // Suggestions also learn from months that aren't loaded
+  loadSuggestionHistory().then(updateDrawerCategorySuggestion);
 }
 
 /**
@@ -962,10 +1399,23 @@ export function openDrawerForEdit(id) {
   if (drawerDesc) drawerDesc.value = t.description;
   if (drawerAmount) drawerAmount.value = t.amount;
   if (drawerType) drawerType.value = t.type;
-  if (drawerCategory) drawerCategory.value = t.categoryId;
+  if (drawerCategory) {
+    drawerCategory.value = t.categoryId;
+    drawerCategory.dataset.touched = '';
+  }
   if (drawerMerchant) drawerMerchant.value = t.merchant || "";
   if (drawerNote) drawerNote.value = t.note || "";
+  renderDrawerTags(getTransactionTags(t));
+  const { fromAccountId, toAccountId } = isTransfer(t)
+    ? getTransferAccounts(t)
+    : { fromAccountId: t.accountId, toAccountId: null };
+  renderAccountSelector('drawerAccount', fromAccountId);
+  renderAccountSelector('drawerTransferTo', toAccountId);
+  renderDrawerSplits(isSplit(t) ? t.splits : []);
+  updateDrawerTypeFields();
   if (drawer) drawer.classList.add("open");
+  // Suggestions also learn from months that aren't loaded
+  loadSuggestionHistory().then(updateDrawerCategorySuggestion);
 }
 
 /**
@@ -1006,26 +1456,70 @@ export async function saveTransactionFromDrawer() {
   const date = drawerDate.value;
   const desc = drawerDesc.value.trim();
   const amt = parseFloat(drawerAmount.value);
-  const type = drawerType.value;
-  const cat = drawerCategory.value;
-  const merchant = drawerMerchant.value.trim();
-  const note = drawerNote.value.trim();
+  let type = drawerType.value;
+  let cat = drawerCategory.value;
+  let merchant = drawerMerchant.value.trim();
+  let note = drawerNote.value.trim();
+  commitDrawerTagInput();
+  let tags = [...drawerTags];
+  const splits = readDrawerSplits();
+  const accountId = document.getElementById("drawerAccount")?.value || "";
+  const transferToId = document.getElementById("drawerTransferTo")?.value || "";
 
   if (!date || !desc || !amt) {
     showToast("Missing fields", "Error");
     return;
   }
 
+  if (type === 'transfer' && (!accountId || !transferToId || accountId === transferToId)) {
+    showToast("Choose two different accounts for a transfer", "Error");
+    return;
+  }
+
+  if (splits.length) {
+    const splitError = validateSplits(splits, amt);
+    if (splitError) {
+      showToast(splitError, "Error");
+      return;
+    }
+    // The parent is filed under its largest line for anything that reads a single category
+    cat = getPrimarySplitCategoryId(splits);
+  }
+
+  // New transactions go through the budget's rules; anything the user changed from the
+  // drawer defaults is kept, rules only fill in the rest (and beat a learned suggestion)
+  if (!editTransactionId) {
+    const preserve = [];
+    if (drawerCategory.dataset.touched === '1' || splits.length || type === 'transfer') preserve.push('categoryId');
+    if (type !== 'expense') preserve.push('type');
+    if (merchant) preserve.push('merchant');
+    if (note) preserve.push('note');
+    const { transaction: ruled } = applyRules(
+      { description: desc, amount: amt, type, categoryId: cat, merchant, note, tags, accountId: accountId || undefined },
+      { preserve }
+    );
+    ({ type, categoryId: cat, merchant, note } = ruled);
+    tags = ruled.tags || [];
+  }
+
   const data = stateManager.getActiveData();
   const wasEditing = !!editTransactionId;
+  const existing = editTransactionId ? (data.transactions || []).find(x => x.id === editTransactionId) : null;
   if (editTransactionId) {
-    const existing = (data.transactions || []).find(x => x.id === editTransactionId);
     if (existing && !canEditTransactionRecord(existing)) {
       showNoPermissionToast('edit');
       return;
     }
   }
 
+  // Transfers have no category. An imported pair row keeps its direction, so the drawer's
+  // from/to map back onto the row's own account and the other side.
+  if (type === 'transfer') cat = null;
+  const transferDirection = type === 'transfer' && isTransfer(existing) ? existing.transferDirection || null : null;
+  const rowAccountId = transferDirection === 'in' ? transferToId : accountId;
+  const rowTransferAccountId = type !== 'transfer' ? null : transferDirection === 'in' ? accountId : transferToId;
+  const savedTransfer = { type, amount: amt, accountId: rowAccountId, transferAccountId: rowTransferAccountId, transferDirection };
+
   if (useSupabase && currentBudget && currentUser && transactionService) {
     // Use Supabase
     try {
@@ -1049,7 +1543,11 @@ export async function saveTransactionFromDrawer() {
         type,
         category_id: categoryId,
         merchant: merchant || null,
-        notes: note || null
+        notes: note || null,
+        account_id: rowAccountId || null,
+        transfer_account_id: rowTransferAccountId || null,
+        transfer_direction: transferDirection,
+        tags
       };
       
       if (editTransactionId) {
@@ -1064,6 +1562,8 @@ export async function saveTransactionFromDrawer() {
           showNoPermissionToast('edit');
           return;
         }
+        if (!(await saveSplits(updatedTx.id, splits, isSplit(existing), existing))) return;
+        await moveTransferBalances(existing, savedTransfer);
         showToast("Transaction updated");
       } else {
         // Create new
@@ -1079,6 +1579,8 @@ export async function saveTransactionFromDrawer() {
           return;
         }
         logger.info('Transaction created successfully:', newTx);
+        if (newTx && !(await saveSplits(newTx.id, splits, false))) return;
+        await moveTransferBalances(null, savedTransfer);
         showToast("Transaction added");
       }
       
@@ -1097,6 +1599,7 @@ export async function saveTransactionFromDrawer() {
       // Edit existing
       const t = data.transactions.find(x => x.id === editTransactionId);
       if (t) {
+        const before = { ...t };
         t.date = date;
         t.description = desc;
         t.amount = amt;
@@ -1104,7 +1607,13 @@ export async function saveTransactionFromDrawer() {
         t.categoryId = cat;
         t.merchant = merchant;
         t.note = note;
+        t.tags = tags;
+        t.splits = splits.map(line => ({ id: generateId(), ...line, note: line.note || undefined }));
+        t.accountId = rowAccountId || undefined;
+        t.transferAccountId = rowTransferAccountId || undefined;
+        t.transferDirection = transferDirection || undefined;
         stateManager.setActiveData(data);
+        await moveTransferBalances(before, savedTransfer);
         showToast("Transaction updated");
       }
     } else {
@@ -1118,13 +1627,20 @@ export async function saveTransactionFromDrawer() {
         type,
         categoryId: cat,
         merchant: merchant || undefined,
-        note
+        note,
+        accountId: rowAccountId || undefined,
+        ...(rowTransferAccountId ? { transferAccountId: rowTransferAccountId } : {}),
+        ...(tags.length ? { tags } : {}),
+        ...(splits.length ? { splits: splits.map(line => ({ id: generateId(), ...line, note: line.note || undefined })) } : {})
       });
       stateManager.setActiveData(data);
+      await moveTransferBalances(null, savedTransfer);
       showToast("Transaction added");
     }
   }
 
+  // Re-categorizations are learned for the next suggestion
+  invalidateSuggestionModel();
   closeDrawer();
   
   // Exit selection mode if we were editing from selection mode
@@ -1137,11 +1653,80 @@ export async function saveTransactionFromDrawer() {
   }
 }
 
+/**
+ * Map a local transaction back to the columns the drawer edits
+ * @param {Object} tx - Local-shape transaction
+ * @returns {Object} Supabase update payload
+ */
+function toTransactionRow(tx) {
+  return {
+    date: tx.date,
+    description: tx.description,
+    amount: tx.amount,
+    type: tx.type,
+    category_id: isValidUUID(tx.categoryId) ? tx.categoryId : null,
+    merchant: tx.merchant || null,
+    notes: tx.note || null,
+    account_id: tx.accountId || null,
+    transfer_account_id: tx.transferAccountId || null,
+    transfer_direction: tx.transferDirection || null,
+    tags: getTransactionTags(tx)
+  };
+}
+
+/**
+ * Save a transaction's split lines to Supabase
+ * @param {string} transactionId - Parent transaction ID
+ * @param {Array<{ categoryId: string, amount: number, note: string }>} splits - Split lines (empty to unsplit)
+ * @param {boolean} wasSplit - Whether the transaction had split lines before
+ * @param {Object|null} [previous=null] - The transaction before an edit; if the lines fail, its
+ *   values are written back so the amount and the old lines still add up
+ * @returns {Promise<boolean>} False if saving failed (an error toast was shown)
+ */
+async function saveSplits(transactionId, splits, wasSplit, previous = null) {
+  if (!splits.length && !wasSplit) return true;
+  const { error } = await transactionService.setTransactionSplits(
+    transactionId,
+    splits.map(line => ({ category_id: line.categoryId, amount: line.amount, notes: line.note || null }))
+  );
+  if (error) {
+    logger.error('Error saving split lines:', error);
+    let restoreError = null;
+    if (previous) {
+      ({ error: restoreError } = await transactionService.updateTransaction(transactionId, toTransactionRow(previous)));
+      if (restoreError) logger.error('Error restoring transaction after split lines failed:', restoreError);
+    }
+    showToast(
+      previous && !restoreError
+        ? `Transaction not updated, its split lines could not be saved: ${error.message}`
+        : `Transaction saved, but its split lines were not: ${error.message}`,
+      "Error"
+    );
+    if (loadDataFromSupabase) await loadDataFromSupabase();
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Keep account balances in step with a hand-entered transfer that was added, changed or removed
+ * @param {Object|null} before - Transaction before the change (null when adding)
+ * @param {Object|null} after - Transaction after the change (null when deleting)
+ * @returns {Promise<void>}
+ */
+async function moveTransferBalances(before, after) {
+  const error = (before && await applyTransferBalances(before, -1)) || (after && await applyTransferBalances(after, 1));
+  if (error) {
+    showToast(`Transfer saved, but account balances were not updated: ${error.message}`, "Error");
+  }
+}
+
 /**
  * Delete a transaction
  * @param {string} id - Transaction ID
  */
 export async function deleteTransaction(id) {
+  const deleted = (stateManager.getActiveData().transactions || []).find(x => x.id === id) || null;
   if (useSupabase && currentBudget && transactionService) {
     // UX guard: in shared budgets, only creator or owner can delete
     try {
@@ -1162,6 +1747,7 @@ export async function deleteTransaction(id) {
         showToast(`Error: ${error.message}`, "Error");
         return;
       }
+      await moveTransferBalances(deleted, null);
       showToast("Transaction deleted");
       // Reload data from Supabase
       if (loadDataFromSupabase) {
@@ -1177,6 +1763,7 @@ export async function deleteTransaction(id) {
     const data = stateManager.getActiveData();
     data.transactions = data.transactions.filter(t => t.id !== id);
     stateManager.setActiveData(data);
+    await moveTransferBalances(deleted, null);
     showToast("Transaction deleted");
   }
   
@@ -1241,10 +1828,11 @@ export function getSelectionMode() {
 
 /**
  * Handle month/year selector change
- * Updates the viewed month when user changes month or year dropdowns
- * @returns {void}
+ * Updates the viewed month when user changes month or year dropdowns, loading older history
+ * from Supabase first if the month is before what's loaded
+ * @returns {Promise<void>}
  */
-export function handleMonthYearChange() {
+export async function handleMonthYearChange() {
   const monthSelect = document.getElementById("monthSelect");
   const yearSelect = document.getElementById("yearSelect");
   
@@ -1260,6 +1848,17 @@ export function handleMonthYearChange() {
       exitSelectionMode();
     }
     
+    if (!isMonthLoaded(newMonth) && loadDataFromSupabase) {
+      try {
+        // Reloads from the viewed month onward and renders
+        await loadDataFromSupabase();
+        return;
+      } catch (error) {
+        logger.error('Error loading transactions for month:', error);
+        showToast(`Error loading transactions: ${error.message}`, "Error");
+      }
+    }
+    
     if (renderAll) {
       renderAll();
     }
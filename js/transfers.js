@@ -0,0 +1,216 @@
+/**
+ * Transfers Module
+ * Handles money moved between the budget's own accounts: balance updates on both sides,
+ * labels, and detection of transfer pairs on import. Transfers are neither income nor spending.
+ */
+
+import { stateManager } from './state-management.js';
+import { logger } from './logger.js';
+import { TRANSACTION_TYPES, ACCOUNT_TYPES, TRANSFER_DETECTION } from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// External dependencies (will be injected)
+let accountService = null;
+let currentBudget = null;
+let useSupabase = false;
+
+/**
+ * Initialize transfers module with dependencies
+ * @param {Object} deps - Dependencies object
+ */
+export function initTransfers(deps) {
+  accountService = deps.accountService;
+  currentBudget = deps.currentBudget;
+  useSupabase = deps.useSupabase;
+
+  // Update when dependencies change
+  if (deps.onUpdate) {
+    deps.onUpdate(() => {
+      currentBudget = deps.currentBudget;
+      useSupabase = deps.useSupabase;
+    });
+  }
+}
+
+/**
+ * Check whether a transaction is a transfer
+ * @param {Object} tx - Local-shape transaction
+ * @returns {boolean} True for transfers
+ */
+export function isTransfer(tx) {
+  return tx?.type === TRANSACTION_TYPES.TRANSFER;
+}
+
+/**
+ * Get the sending and receiving accounts of a transfer
+ * A hand-entered transfer (no direction) and the 'out' row of an imported pair move money from
+ * accountId to transferAccountId; the 'in' row of a pair lives on the receiving account.
+ * @param {Object} tx - Local-shape transfer
+ * @returns {{ fromAccountId: string|null, toAccountId: string|null }} Account IDs
+ */
+export function getTransferAccounts(tx) {
+  if (tx.transferDirection === 'in') {
+    return { fromAccountId: tx.transferAccountId || null, toAccountId: tx.accountId || null };
+  }
+  return { fromAccountId: tx.accountId || null, toAccountId: tx.transferAccountId || null };
+}
+
+/**
+ * Describe a transfer for display, e.g. "Checking → Savings"
+ * @param {Object} tx - Local-shape transfer
+ * @returns {string} Label
+ */
+export function describeTransfer(tx) {
+  const accounts = stateManager.getActiveData().accounts || [];
+  const name = (id) => accounts.find(a => a.id === id)?.name || 'Unknown account';
+  const { fromAccountId, toAccountId } = getTransferAccounts(tx);
+  return `${name(fromAccountId)} → ${name(toAccountId)}`;
+}
+
+/**
+ * Check whether saving or deleting a transfer moves account balances
+ * Only hand-entered transfers do: imported pairs arrive through each account's own feed,
+ * and imported income/expense never touch balances either.
+ * @param {Object} tx - Local-shape transaction
+ * @returns {boolean} True if the transfer owns its balance changes
+ */
+export function movesBalances(tx) {
+  return isTransfer(tx) && !tx.transferDirection;
+}
+
+/**
+ * Move one account's balance for one side of a transfer
+ * Credit card balances are amounts owed, so they move the opposite way from asset accounts.
+ * @param {string} accountId - Account ID
+ * @param {number} amount - Amount (negative to reverse)
+ * @param {boolean} receiving - True for the receiving side
+ * @returns {Promise<any>} Error, or null on success
+ */
+async function adjustSide(accountId, amount, receiving) {
+  const data = stateManager.getActiveData();
+  const account = (data.accounts || []).find(a => a.id === accountId);
+  if (!account) return null;
+
+  const isCredit = account.type === ACCOUNT_TYPES.CREDIT_CARD;
+  const type = receiving !== isCredit ? TRANSACTION_TYPES.INCOME : TRANSACTION_TYPES.EXPENSE;
+
+  if (useSupabase && currentBudget && accountService) {
+    const { error } = await accountService.adjustAccountBalance(accountId, amount, type);
+    return error || null;
+  }
+
+  const balance = parseFloat(account.currentBalance) || 0;
+  account.currentBalance = type === TRANSACTION_TYPES.INCOME ? balance + amount : balance - amount;
+  stateManager.setActiveData(data);
+  return null;
+}
+
+/**
+ * Apply (or reverse) a hand-entered transfer's balance changes on both accounts
+ * @param {Object} tx - Local-shape transfer
+ * @param {number} [sign=1] - 1 to apply, -1 to reverse
+ * @returns {Promise<any>} Error, or null on success (or when the transfer moves no balances)
+ */
+export async function applyTransferBalances(tx, sign = 1) {
+  if (!movesBalances(tx)) return null;
+  const amount = Math.abs(Number(tx.amount) || 0) * sign;
+  const { fromAccountId, toAccountId } = getTransferAccounts(tx);
+
+  for (const [accountId, receiving] of [[fromAccountId, false], [toAccountId, true]]) {
+    if (!accountId) continue;
+    const error = await adjustSide(accountId, amount, receiving);
+    if (error) {
+      logger.error('Error moving transfer balance:', error);
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a transaction's description or bank category suggests a transfer
+ * @param {Object} tx - Local-shape transaction (may carry plaid_category_primary)
+ * @returns {boolean} True if it looks like one side of a transfer
+ */
+function looksLikeTransfer(tx) {
+  const primary = tx.plaid_category_primary || tx.plaidCategoryPrimary;
+  if (primary && TRANSFER_DETECTION.PLAID_CATEGORIES.includes(primary)) return true;
+  return TRANSFER_DETECTION.DESCRIPTION_PATTERN.test(`${tx.description || ''} ${tx.merchant || ''}`);
+}
+
+/**
+ * Find transfer pairs among newly imported transactions (and existing ones they complete)
+ * A pair is an expense on one account and an income of the same amount on another, dated
+ * within a few days, where either side looks like a transfer. Closest dates pair first and
+ * every transaction is used at most once.
+ * @param {Array<Object>} incoming - New local-shape transactions (accountId set)
+ * @param {Array<Object>} [existing=[]] - Transactions already in the budget
+ * @returns {Array<{ outflow: Object, inflow: Object }>} Pairs (each side is an incoming or existing object)
+ */
+export function detectTransferPairs(incoming, existing = []) {
+  const isCandidate = (tx) =>
+    tx && !tx.pending && tx.accountId && tx.date &&
+    (tx.type === TRANSACTION_TYPES.INCOME || tx.type === TRANSACTION_TYPES.EXPENSE);
+  const cents = (tx) => Math.round(Math.abs(Number(tx.amount) || 0) * 100);
+  const incomingSet = new Set(incoming);
+
+  // Inflows bucketed by amount so each outflow only looks at same-amount inflows
+  const inflowsByCents = new Map();
+  [...incoming, ...existing].forEach(tx => {
+    if (!isCandidate(tx) || tx.type !== TRANSACTION_TYPES.INCOME) return;
+    const key = cents(tx);
+    if (!inflowsByCents.has(key)) inflowsByCents.set(key, []);
+    inflowsByCents.get(key).push(tx);
+  });
+
+  const options = [];
+  [...incoming, ...existing].forEach(outflow => {
+    if (!isCandidate(outflow) || outflow.type !== TRANSACTION_TYPES.EXPENSE) return;
+    (inflowsByCents.get(cents(outflow)) || []).forEach(inflow => {
+      if (!incomingSet.has(outflow) && !incomingSet.has(inflow)) return;
+      if (inflow.accountId === outflow.accountId) return;
+      const days = Math.abs(new Date(inflow.date) - new Date(outflow.date)) / DAY_MS;
+      if (!(days <= TRANSFER_DETECTION.MATCH_WINDOW_DAYS)) return;
+      if (!looksLikeTransfer(outflow) && !looksLikeTransfer(inflow)) return;
+      options.push({ outflow, inflow, days });
+    });
+  });
+
+  options.sort((a, b) => a.days - b.days);
+  const used = new Set();
+  const pairs = [];
+  options.forEach(({ outflow, inflow }) => {
+    if (used.has(outflow) || used.has(inflow)) return;
+    used.add(outflow);
+    used.add(inflow);
+    pairs.push({ outflow, inflow });
+  });
+  return pairs;
+}
+
+/**
+ * Fields that turn both sides of a detected pair into linked transfer rows
+ * @param {{ outflow: Object, inflow: Object }} pair - Detected pair
+ * @returns {Array<[Object, Object]>} [transaction, local-shape fields] for each side
+ */
+export function getTransferPairFields(pair) {
+  return [
+    [pair.outflow, { type: TRANSACTION_TYPES.TRANSFER, transferDirection: 'out', transferAccountId: pair.inflow.accountId, categoryId: null }],
+    [pair.inflow, { type: TRANSACTION_TYPES.TRANSFER, transferDirection: 'in', transferAccountId: pair.outflow.accountId, categoryId: null }]
+  ];
+}
+
+/**
+ * Convert transfer pair fields to a Supabase transactions update
+ * @param {Object} fields - Fields from getTransferPairFields()
+ * @returns {Object} Snake-case column updates
+ */
+export function toTransferRow(fields) {
+  return {
+    type: fields.type,
+    transfer_direction: fields.transferDirection,
+    transfer_account_id: fields.transferAccountId,
+    category_id: null
+  };
+}
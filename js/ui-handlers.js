@@ -6,8 +6,11 @@
 import { stateManager } from './state-management.js';
 import { logger } from './logger.js';
 import { showToast, formatMoney, formatDate, isValidUUID } from './utils.js';
-import { addNotification } from './notifications.js';
-import { DEFAULT_CATEGORIES, API_BASE_URL, API_SERVER_PORT, TOAST_TYPES, RETRY_CONFIG, TRANSACTION_HISTORY_DAYS, INVITE_CODE_LENGTH, INVITE_CODE_EXPIRATION_DAYS, CSV_CONFIG } from './constants.js';
+import { addNotification, hasNotification } from './notifications.js';
+import { parseCsvRows, openCsvImportWizard } from './csv-import.js';
+import { toCsv } from './csv.js';
+import { parseStatementFile, chooseStatementAccounts, isCreateAccountChoice, rememberStatementAccount } from './statement-import.js';
+import { DEFAULT_CATEGORIES, API_SERVER_PORT, TOAST_TYPES, RETRY_CONFIG, INVITE_CODE_LENGTH, INVITE_CODE_EXPIRATION_DAYS } from './constants.js';
 
 // Import render functions
 import { renderAll, renderProfileSelector, closeProfileMenu, updateMonthYearSelectors } from './ui-renderers.js';
@@ -17,10 +20,22 @@ import {
   exitSelectionMode, 
   openDrawerForAdd, 
   handleDeleteSelected,
+  handleEditSelected,
+  handleSelectAll,
   toggleAllMonths,
   handleMonthYearChange
 } from './transactions.js';
 
+import { loadOlderTransactions, fetchTransactions, findTransactionsByPlaidIds, getTransactionsInRange } from './transaction-history.js';
+
+import { applyBulkEdit, closeBulkEdit, undoBulkEdit, dismissBulkEditUndo } from './bulk-edit.js';
+
+import { createImportBatch, discardImportBatch, revertLastImport, openImportHistory, closeImportHistory } from './import-history.js';
+import { findDuplicateCandidates, openDuplicates, closeDuplicates } from './duplicates.js';
+import { isZeroBased, getEnvelopeSummary, getMonthlyActivity, setBudgetingMode, renderBudgetingModeSetting } from './envelopes.js';
+import { getCategoryBudget, getMonthBudgets, openMonthBudgets, fillMonthBudgets, saveMonthBudgets, closeMonthBudgets } from './category-budgets.js';
+import { renderBudgetReport, exportBudgetReportCsv, exportBudgetReportPdf } from './budget-report.js';
+
 import { 
   openAddCategory, 
   saveCategory, 
@@ -60,6 +75,50 @@ import {
   closeRecurringModal
 } from './recurring.js';
 
+import {
+  renderAccountsList,
+  openAddAccount,
+  saveAccount,
+  deleteAccount,
+  closeAccountModal,
+  createAccount,
+  getAccounts,
+  syncPlaidAccounts
+} from './accounts.js';
+
+import {
+  applyRules,
+  renderRulesList,
+  openAddRule,
+  saveRule,
+  deleteRule,
+  closeRuleModal,
+  previewRules,
+  applyRulePreview,
+  closeRulePreview
+} from './rules.js';
+
+import {
+  prefillCategory,
+  loadSuggestionHistory,
+  openCategorySuggestions,
+  acceptCategorySuggestions,
+  closeCategorySuggestions,
+  isUncategorized
+} from './category-suggestions.js';
+
+import {
+  mapPlaidCategory,
+  seedPlaidCategoryMappings,
+  resetPlaidCategoryMappings,
+  renderBankCategoryMappings
+} from './bank-categories.js';
+
+import { isSplit, sumByCategory } from './splits.js';
+
+import { isTransfer, getTransferAccounts, detectTransferPairs, getTransferPairFields, toTransferRow } from './transfers.js';
+import { applySmartFilter, saveSmartFilter, deleteSmartFilter } from './smart-filters.js';
+
 // External dependencies (will be injected)
 let useSupabase = false;
 let currentUser = null;
@@ -70,6 +129,7 @@ let goalService = null;
 let debtService = null;
 let recurringService = null;
 let categoryService = null;
+let plaidService = null;
 
 // Module-level state
 let settings = {
@@ -96,6 +156,7 @@ let editingFinancialGoalId = null;
  * @param {Object} [deps.debtService] - Debt service for Supabase operations
  * @param {Object} [deps.recurringService] - Recurring transaction service
  * @param {Object} [deps.categoryService] - Category service for Supabase operations
+ * @param {Object} [deps.plaidService] - Plaid service for bank connection endpoints
  * @param {Function} [deps.onUpdate] - Callback to update dependencies when they change
  * @returns {void}
  */
@@ -109,6 +170,7 @@ export function initHandlers(deps) {
   debtService = deps.debtService || null;
   recurringService = deps.recurringService || null;
   categoryService = deps.categoryService || null;
+  plaidService = deps.plaidService || null;
   
   // Update when dependencies change
   if (deps.onUpdate) {
@@ -260,6 +322,11 @@ export function openSettings() {
   if (!modal) return;
   modal.classList.add('show');
   renderCategoriesList();
+  renderAccountsList();
+  renderRulesList();
+  renderBankCategoryMappings();
+  renderBankConnectionsList();
+  renderBudgetingModeSetting();
   applySettings();
   
   // Set current theme in dropdown
@@ -297,18 +364,30 @@ export function checkBudgetWarnings() {
     return txMonth === currentMonth;
   });
   
+  const categoryTotals = sumByCategory(filteredTx);
+  
+  // Zero-based budgets warn against what each category has available (rollover + assigned)
+  // rather than a flat monthly limit
+  const envelopes = isZeroBased(data) ? getEnvelopeSummary(currentMonth, data).envelopes : null;
+  
   data.categories.forEach(cat => {
-    if (!cat.monthlyBudget || cat.monthlyBudget === 0) return;
-    
-    const monthExpenses = filteredTx
-      .filter(t => t.type === 'expense' && t.categoryId === cat.id)
-      .reduce((sum, t) => sum + t.amount, 0);
+    let limit = getCategoryBudget(cat, currentMonth, data);
+    let monthExpenses = categoryTotals[cat.id] || 0;
+    if (envelopes) {
+      const envelope = envelopes[cat.id];
+      if (!envelope?.activity) return;
+      limit = envelope.carryover + envelope.assigned;
+      monthExpenses = envelope.activity;
+    } else if (!limit || limit === 0) {
+      return;
+    }
     
-    const percentage = (monthExpenses / cat.monthlyBudget) * 100;
+    // Spending from an empty (or overdrawn) envelope is over budget
+    const percentage = limit > 0 ? (monthExpenses / limit) * 100 : Infinity;
     
     if (percentage >= settings.budgetAlertThreshold) {
       const message = percentage >= 100 
-        ? `⚠️ Over budget: ${cat.name} (${formatMoney(monthExpenses)} / ${formatMoney(cat.monthlyBudget)})`
+        ? `⚠️ Over budget: ${cat.name} (${formatMoney(monthExpenses)} / ${formatMoney(Math.max(limit, 0))}${envelopes ? ' available' : ''})`
         : `⚠️ Approaching budget: ${cat.name} (${percentage.toFixed(0)}%)`;
       // Persist these in the notification center so users can review them later.
       // Dedupe per category per month to avoid spam.
@@ -362,15 +441,18 @@ export async function exportToPdf() {
     
     // Filter transactions for selected month
     const monthTransactions = transactions.filter(t => t.date.startsWith(monthStr));
-    const allTimeTransactions = transactions; // For summary stats
+    // All-time totals include months older than the loaded transaction history
+    const allTimeActivity = [...getMonthlyActivity(data).values()];
 
     // Calculate totals
     const monthIncome = monthTransactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
     const monthExpenses = monthTransactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
     const monthNet = monthIncome - monthExpenses;
     
-    const allTimeIncome = allTimeTransactions.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-    const allTimeExpenses = allTimeTransactions.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
+    const allTimeIncome = allTimeActivity.reduce((sum, entry) => sum + entry.income, 0);
+    const allTimeExpenses = allTimeActivity.reduce((sum, entry) => {
+      return sum + Object.values(entry.spent).reduce((s, amount) => s + amount, 0);
+    }, 0);
     const allTimeNet = allTimeIncome - allTimeExpenses;
 
     // Helper function to add new page if needed
@@ -467,16 +549,18 @@ export async function exportToPdf() {
     yPos += lineHeight * 1.5;
 
     const categoryData = [];
+    const categoryTotals = sumByCategory(monthTransactions);
+    // The budgets in effect for the report's month, not today's
+    const monthBudgets = getMonthBudgets(monthStr, data);
     categories.forEach(cat => {
-      const catExpenses = monthTransactions
-        .filter(t => t.type === 'expense' && t.categoryId === cat.id)
-        .reduce((sum, t) => sum + t.amount, 0);
+      const catExpenses = categoryTotals[cat.id] || 0;
+      const catBudget = monthBudgets[cat.id] || 0;
       
-      if (cat.monthlyBudget > 0 || catExpenses > 0) {
-        const percentage = cat.monthlyBudget > 0 ? (catExpenses / cat.monthlyBudget * 100) : 0;
+      if (catBudget > 0 || catExpenses > 0) {
+        const percentage = catBudget > 0 ? (catExpenses / catBudget * 100) : 0;
         categoryData.push([
           cat.name,
-          formatMoney(cat.monthlyBudget),
+          formatMoney(catBudget),
           formatMoney(catExpenses),
           `${percentage.toFixed(1)}%`
         ]);
@@ -508,6 +592,19 @@ export async function exportToPdf() {
     yPos += lineHeight * 1.5;
 
     if (monthTransactions.length > 0) {
+      const accountName = (id) => (data.accounts || []).find(a => a.id === id)?.name || 'Unknown account';
+      // Income and expenses are signed; a transfer is neither, so it shows its accounts and no sign
+      const formatAmount = (t) => {
+        if (isTransfer(t)) return formatMoney(t.amount);
+        return t.type === 'expense' ? formatMoney(-t.amount) : `+${formatMoney(t.amount)}`;
+      };
+      const describeCategory = (t, cat) => {
+        if (isTransfer(t)) {
+          const { fromAccountId, toAccountId } = getTransferAccounts(t);
+          return `Transfer: ${accountName(fromAccountId)} -> ${accountName(toAccountId)}`;
+        }
+        return isSplit(t) ? 'Split' : (cat?.name || 'Other');
+      };
       const transactionData = monthTransactions
         .sort((a, b) => new Date(b.date) - new Date(a.date))
         .slice(0, 50) // Limit to 50 transactions to avoid huge PDFs
@@ -516,8 +613,8 @@ export async function exportToPdf() {
           return [
             formatDate(t.date),
             t.description.substring(0, 30),
-            cat?.name || 'Other',
-            t.type === 'income' ? formatMoney(t.amount) : formatMoney(-t.amount)
+            describeCategory(t, cat),
+            formatAmount(t)
           ];
         });
 
@@ -680,19 +777,37 @@ export async function exportToPdf() {
 
 /**
  * Export to Excel (CSV format)
- * Exports all transactions to a CSV file for download
- * @returns {void}
+ * Exports all transactions to a CSV file for download, including ones older than the loaded history
+ * @returns {Promise<void>}
  */
-export function exportToExcel() {
+export async function exportToExcel() {
+  const { data: tx, error } = await getTransactionsInRange();
+  if (error) {
+    logger.error('Error loading transactions for export:', error);
+    showToast('Error exporting transactions: ' + (error.message || 'Unknown error'), TOAST_TYPES.ERROR);
+    return;
+  }
   const data = stateManager.getActiveData();
-  const tx = data.transactions || [];
+  const accounts = data.accounts || [];
   
-  // Create CSV content
-  let csv = 'Date,Description,Type,Category,Amount\n';
+  // Columns match what the CSV import wizard recognizes, so an export can be imported again
+  const rows = [['Date', 'Description', 'Type', 'Category', 'Amount', 'Merchant', 'Notes', 'Account', 'User']];
   tx.forEach(t => {
     const cat = data.categories.find(c => c.id === t.categoryId);
-    csv += `${t.date},"${t.description}",${t.type},${cat?.name || 'Other'},${t.amount}\n`;
+    const account = accounts.find(a => a.id === t.accountId);
+    rows.push([
+      t.date,
+      t.description,
+      t.type,
+      cat?.name || 'Other',
+      t.amount,
+      t.merchant || '',
+      t.note || '',
+      account?.name || t.accountId || '',
+      t.user?.display_name || t.user?.username || ''
+    ]);
   });
+  const csv = toCsv(rows, { bom: true });
   
   const blob = new Blob([csv], { type: 'text/csv' });
   const url = URL.createObjectURL(blob);
@@ -827,7 +942,7 @@ export async function clearData() {
       showToast('Clearing data from Supabase...', 'Clearing');
       
       // Get all data first to get IDs for deletion
-      const { data: transactions } = await transactionService.getTransactions(currentBudget.id);
+      const { data: transactions } = await fetchTransactions(currentBudget.id);
       const { data: savingsGoals } = await goalService.getSavingsGoals(currentBudget.id);
       const { data: financialGoals } = await goalService.getFinancialGoals(currentBudget.id);
       const { data: debts } = await debtService.getDebts(currentBudget.id);
@@ -908,8 +1023,13 @@ export async function clearData() {
     // Reset categories to defaults
     data.categories = JSON.parse(JSON.stringify(DEFAULT_CATEGORIES));
     
-    // Clear import batch IDs
+    // Clear amounts assigned to the old categories
+    data.categoryAllocations = [];
+    data.categoryBudgets = [];
+    
+    // Clear import batch IDs and import history
     data.lastImportBatchIds = [];
+    data.importBatches = [];
     
     // Clear bank connections
     data.bankConnections = [];
@@ -1031,6 +1151,11 @@ function registerEventHandlers() {
     closeSettingsBtn.addEventListener('click', closeSettings);
   }
   
+  const budgetingModeSelect = document.getElementById('budgetingModeSelect');
+  if (budgetingModeSelect) {
+    budgetingModeSelect.addEventListener('change', (e) => setBudgetingMode(e.target.value));
+  }
+  
   const addCategoryBtn = document.getElementById('addCategoryBtn');
   if (addCategoryBtn) {
     addCategoryBtn.addEventListener('click', openAddCategory);
@@ -1050,6 +1175,127 @@ function registerEventHandlers() {
   if (deleteCategoryBtn) {
     deleteCategoryBtn.addEventListener('click', deleteCategory);
   }
+
+  // Month budgets editor
+  const monthBudgetsBtn = document.getElementById('monthBudgetsBtn');
+  if (monthBudgetsBtn) {
+    monthBudgetsBtn.addEventListener('click', openMonthBudgets);
+  }
+
+  const copyLastMonthBudgetsBtn = document.getElementById('copyLastMonthBudgetsBtn');
+  if (copyLastMonthBudgetsBtn) {
+    copyLastMonthBudgetsBtn.addEventListener('click', () => fillMonthBudgets('lastMonth'));
+  }
+
+  const averageMonthBudgetsBtn = document.getElementById('averageMonthBudgetsBtn');
+  if (averageMonthBudgetsBtn) {
+    averageMonthBudgetsBtn.addEventListener('click', () => fillMonthBudgets('average'));
+  }
+
+  const saveMonthBudgetsBtn = document.getElementById('saveMonthBudgetsBtn');
+  if (saveMonthBudgetsBtn) {
+    saveMonthBudgetsBtn.addEventListener('click', saveMonthBudgets);
+  }
+
+  const cancelMonthBudgetsBtn = document.getElementById('cancelMonthBudgetsBtn');
+  if (cancelMonthBudgetsBtn) {
+    cancelMonthBudgetsBtn.addEventListener('click', closeMonthBudgets);
+  }
+
+  // Account buttons
+  const addAccountBtn = document.getElementById('addAccountBtn');
+  if (addAccountBtn) {
+    addAccountBtn.addEventListener('click', openAddAccount);
+  }
+  
+  const saveAccountBtn = document.getElementById('saveAccountBtn');
+  if (saveAccountBtn) {
+    saveAccountBtn.addEventListener('click', saveAccount);
+  }
+  
+  const cancelAccountBtn = document.getElementById('cancelAccountBtn');
+  if (cancelAccountBtn) {
+    cancelAccountBtn.addEventListener('click', closeAccountModal);
+  }
+  
+  const deleteAccountBtn = document.getElementById('deleteAccountBtn');
+  if (deleteAccountBtn) {
+    deleteAccountBtn.addEventListener('click', deleteAccount);
+  }
+  
+  // Category suggestions
+  const suggestCategoriesBtn = document.getElementById('suggestCategoriesBtn');
+  if (suggestCategoriesBtn) {
+    suggestCategoriesBtn.addEventListener('click', openCategorySuggestions);
+  }
+  
+  const acceptCategorySuggestionsBtn = document.getElementById('acceptCategorySuggestionsBtn');
+  if (acceptCategorySuggestionsBtn) {
+    acceptCategorySuggestionsBtn.addEventListener('click', acceptCategorySuggestions);
+  }
+  
+  const cancelCategorySuggestionsBtn = document.getElementById('cancelCategorySuggestionsBtn');
+  if (cancelCategorySuggestionsBtn) {
+    cancelCategorySuggestionsBtn.addEventListener('click', closeCategorySuggestions);
+  }
+  
+  // Smart filters
+  const smartFilterSelect = document.getElementById('smartFilterSelect');
+  if (smartFilterSelect) {
+    smartFilterSelect.addEventListener('change', e => applySmartFilter(e.target.value));
+  }
+  
+  const saveSmartFilterBtn = document.getElementById('saveSmartFilterBtn');
+  if (saveSmartFilterBtn) {
+    saveSmartFilterBtn.addEventListener('click', saveSmartFilter);
+  }
+  
+  const deleteSmartFilterBtn = document.getElementById('deleteSmartFilterBtn');
+  if (deleteSmartFilterBtn) {
+    deleteSmartFilterBtn.addEventListener('click', deleteSmartFilter);
+  }
+  
+  // Bank category mapping buttons
+  const resetBankCategoriesBtn = document.getElementById('resetBankCategoriesBtn');
+  if (resetBankCategoriesBtn) {
+    resetBankCategoriesBtn.addEventListener('click', resetPlaidCategoryMappings);
+  }
+  
+  // Rule buttons
+  const addRuleBtn = document.getElementById('addRuleBtn');
+  if (addRuleBtn) {
+    addRuleBtn.addEventListener('click', openAddRule);
+  }
+  
+  const rerunRulesBtn = document.getElementById('rerunRulesBtn');
+  if (rerunRulesBtn) {
+    rerunRulesBtn.addEventListener('click', () => previewRules());
+  }
+  
+  const saveRuleBtn = document.getElementById('saveRuleBtn');
+  if (saveRuleBtn) {
+    saveRuleBtn.addEventListener('click', saveRule);
+  }
+  
+  const cancelRuleBtn = document.getElementById('cancelRuleBtn');
+  if (cancelRuleBtn) {
+    cancelRuleBtn.addEventListener('click', closeRuleModal);
+  }
+  
+  const deleteRuleBtn = document.getElementById('deleteRuleBtn');
+  if (deleteRuleBtn) {
+    deleteRuleBtn.addEventListener('click', deleteRule);
+  }
+  
+  const applyRulePreviewBtn = document.getElementById('applyRulePreviewBtn');
+  if (applyRulePreviewBtn) {
+    applyRulePreviewBtn.addEventListener('click', applyRulePreview);
+  }
+  
+  const cancelRulePreviewBtn = document.getElementById('cancelRulePreviewBtn');
+  if (cancelRulePreviewBtn) {
+    cancelRulePreviewBtn.addEventListener('click', closeRulePreview);
+  }
   
   // Settings controls
   const budgetAlertsEnabled = document.getElementById('budgetAlertsEnabled');
@@ -1097,6 +1343,24 @@ function registerEventHandlers() {
     exportExcelBtn.addEventListener('click', exportToExcel);
   }
   
+  // Budget vs. actual report
+  ['budgetReportRange', 'budgetReportFrom', 'budgetReportTo'].forEach(id => {
+    const control = document.getElementById(id);
+    if (control) {
+      control.addEventListener('change', renderBudgetReport);
+    }
+  });
+  
+  const exportBudgetReportCsvBtn = document.getElementById('exportBudgetReportCsvBtn');
+  if (exportBudgetReportCsvBtn) {
+    exportBudgetReportCsvBtn.addEventListener('click', exportBudgetReportCsv);
+  }
+  
+  const exportBudgetReportPdfBtn = document.getElementById('exportBudgetReportPdfBtn');
+  if (exportBudgetReportPdfBtn) {
+    exportBudgetReportPdfBtn.addEventListener('click', exportBudgetReportPdf);
+  }
+  
   const backupDataBtn = document.getElementById('backupDataBtn');
   if (backupDataBtn) {
     backupDataBtn.addEventListener('click', backupAllData);
@@ -1203,6 +1467,33 @@ function registerEventHandlers() {
     deleteSelectedBtn.addEventListener('click', handleDeleteSelected);
   }
   
+  const selectAllCheckbox = document.getElementById('selectAllCheckbox');
+  if (selectAllCheckbox) {
+    selectAllCheckbox.addEventListener('change', handleSelectAll);
+  }
+  
+  // Bulk edit
+  const editSelectedBtn = document.getElementById('editSelectedBtn');
+  if (editSelectedBtn) {
+    editSelectedBtn.addEventListener('click', handleEditSelected);
+  }
+  const applyBulkEditBtn = document.getElementById('applyBulkEditBtn');
+  if (applyBulkEditBtn) {
+    applyBulkEditBtn.addEventListener('click', applyBulkEdit);
+  }
+  const cancelBulkEditBtn = document.getElementById('cancelBulkEditBtn');
+  if (cancelBulkEditBtn) {
+    cancelBulkEditBtn.addEventListener('click', closeBulkEdit);
+  }
+  const undoBulkEditBtn = document.getElementById('undoBulkEditBtn');
+  if (undoBulkEditBtn) {
+    undoBulkEditBtn.addEventListener('click', undoBulkEdit);
+  }
+  const dismissBulkEditUndoBtn = document.getElementById('dismissBulkEditUndoBtn');
+  if (dismissBulkEditUndoBtn) {
+    dismissBulkEditUndoBtn.addEventListener('click', dismissBulkEditUndo);
+  }
+  
   // Month/year selectors
   const monthSelect = document.getElementById('monthSelect');
   const yearSelect = document.getElementById('yearSelect');
@@ -1217,25 +1508,54 @@ function registerEventHandlers() {
     toggleAllMonthsBtn.addEventListener('click', toggleAllMonths);
   }
   
+  // Page in older transactions (Supabase budgets load the viewed month onward first)
+  const loadOlderTransactionsBtn = document.getElementById('loadOlderTransactionsBtn');
+  if (loadOlderTransactionsBtn) {
+    loadOlderTransactionsBtn.addEventListener('click', loadOlderTransactions);
+  }
+  
   // Bank connection and CSV import
   const connectBankBtn = document.getElementById('connectBankBtn');
   if (connectBankBtn) {
     connectBankBtn.addEventListener('click', connectBank);
   }
+
+  const syncBankBtn = document.getElementById('syncBankBtn');
+  if (syncBankBtn) {
+    syncBankBtn.addEventListener('click', syncBankConnections);
+  }
   
   const importCsvBtn = document.getElementById('importCsvBtn');
   if (importCsvBtn) {
     importCsvBtn.addEventListener('click', importCsv);
   }
   
+  const importStatementBtn = document.getElementById('importStatementBtn');
+  if (importStatementBtn) {
+    importStatementBtn.addEventListener('click', importStatement);
+  }
+  
   const undoImportBtn = document.getElementById('undoImportBtn');
   if (undoImportBtn) {
-    undoImportBtn.addEventListener('click', undoImport);
+    undoImportBtn.addEventListener('click', revertLastImport);
+  }
+  
+  const importHistoryBtn = document.getElementById('importHistoryBtn');
+  if (importHistoryBtn) {
+    importHistoryBtn.addEventListener('click', openImportHistory);
+  }
+  const closeImportHistoryBtn = document.getElementById('closeImportHistoryBtn');
+  if (closeImportHistoryBtn) {
+    closeImportHistoryBtn.addEventListener('click', closeImportHistory);
   }
 
-  const removeDuplicatesBtn = document.getElementById('removeDuplicatesBtn');
-  if (removeDuplicatesBtn) {
-    removeDuplicatesBtn.addEventListener('click', removeDuplicates);
+  const findDuplicatesBtn = document.getElementById('findDuplicatesBtn');
+  if (findDuplicatesBtn) {
+    findDuplicatesBtn.addEventListener('click', openDuplicates);
+  }
+  const closeDuplicatesBtn = document.getElementById('closeDuplicatesBtn');
+  if (closeDuplicatesBtn) {
+    closeDuplicatesBtn.addEventListener('click', closeDuplicates);
   }
   
   // Import/Export JSON buttons
@@ -1381,418 +1701,727 @@ export function getSettings() {
  */
 let plaidLink = null;
 
-function isSavingsLikePlaidAccount(account) {
-  const type = (account?.type || '').toLowerCase();
-  const subtype = (account?.subtype || '').toLowerCase();
-  if (type !== 'depository') return false;
-  return subtype === 'savings' || subtype === 'money market' || subtype === 'money_market' || subtype === 'cd';
+async function fetchPlaidAccounts(connection) {
+  const { data, error } = await plaidService.getAccounts(currentBudget.id, connection.item_id);
+  if (error) throw error;
+  return Array.isArray(data?.accounts) ? data.accounts : [];
 }
 
-function classifyPlaidAccounts(accounts = []) {
-  const transactionAccountIds = [];
-  const savingsAccountIds = [];
-
-  accounts.forEach(a => {
-    const id = a?.id;
-    if (!id) return;
-    if (isSavingsLikePlaidAccount(a)) {
-      savingsAccountIds.push(id);
+export async function connectBank() {
+  try {
+    // Access tokens are stored server-side per budget, so bank connections need a signed-in budget
+    if (!useSupabase || !currentBudget || !plaidService) {
+      showToast('Sign in to a budget to connect a bank account', TOAST_TYPES.INFO);
       return;
     }
-    // Treat checking + credit card accounts as transaction sources
-    transactionAccountIds.push(id);
-  });
 
-  return { transactionAccountIds, savingsAccountIds };
-}
+    // Get link token from backend
+    const { data: linkData, error: linkError } = await plaidService.createLinkToken(currentBudget.id);
+    if (linkError) {
+      throw new Error(linkError.message || 'Failed to create link token. Make sure the server is running.');
+    }
 
-async function fetchPlaidAccounts(access_token) {
-  const response = await fetch(`${API_BASE_URL}/accounts`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ access_token })
-  });
+    openPlaidLink(linkData.link_token, async (public_token, metadata) => {
+      // Every account imports transactions until excluded in Settings → Connections
+      const selectedAccounts = Array.isArray(metadata?.accounts) ? metadata.accounts : [];
+      const institutionName = metadata.institution?.name || 'Unknown';
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    const errorMessage = errorData.error || errorData.message || `Server error: ${response.status}`;
-    throw new Error(errorMessage);
-  }
+      // Exchange public token; the server keeps the (encrypted) access token
+      const { data: exchangeData, error: exchangeError } = await plaidService.exchangePublicToken(
+        currentBudget.id,
+        public_token,
+        { institutionName, accounts: selectedAccounts }
+      );
+      if (exchangeError) {
+        showToast(`Connection error: ${exchangeError.message}`, TOAST_TYPES.CONNECTION_ERROR);
+        return;
+      }
 
-  const { accounts } = await response.json();
-  return Array.isArray(accounts) ? accounts : [];
+      const connection = toBankConnection(exchangeData.item);
+      const data = stateManager.getActiveData();
+      data.bankConnections = (Array.isArray(data.bankConnections) ? data.bankConnections : [])
+        .filter(c => c.item_id !== connection.item_id);
+      data.bankConnections.push(connection);
+      stateManager.setActiveData(data);
+
+      // Map Plaid categories to this budget's categories on its first bank, then
+      // create the linked accounts and import transactions
+      await seedPlaidCategoryMappings();
+      await importBankTransactions(connection);
+      
+      showToast(`Connected to ${metadata.institution?.name || 'bank'}`, TOAST_TYPES.BANK_CONNECTED);
+    });
+  } catch (error) {
+    logger.error('Bank connection error:', error);
+    showToast(`Error: ${error.message}. Make sure the server is running on port ${API_SERVER_PORT}.`, 'Connection Error');
+  }
 }
 
-function upsertLinkedSavingsGoal(totalBalance, institutionName, accountCount) {
-  const data = stateManager.getActiveData();
-  if (!data.savingsGoals) data.savingsGoals = [];
-
-  const GOAL_ID = 'goal_linked_savings';
-  const existing = data.savingsGoals.find(g => g.id === GOAL_ID);
-  const name = institutionName ? `Linked Savings (${institutionName})` : 'Linked Savings';
-
-  // If no savings balance and no existing goal, don't add noise.
-  if ((!totalBalance || totalBalance <= 0) && !existing) return false;
-
-  if (existing) {
-    existing.name = name;
-    existing.current = totalBalance || 0;
-    // Keep target >= current so bar doesn't exceed 100%
-    existing.target = Math.max(existing.target || 0, existing.current || 0, 1);
-    existing.readOnly = true;
-    existing.linkedBank = true;
-    existing.linkedMeta = { institutionName: institutionName || null, accountCount: accountCount || 0 };
-  } else {
-    data.savingsGoals.unshift({
-      id: GOAL_ID,
-      name,
-      target: Math.max(totalBalance || 0, 1),
-      current: totalBalance || 0,
-      readOnly: true,
-      linkedBank: true,
-      linkedMeta: { institutionName: institutionName || null, accountCount: accountCount || 0 }
+/**
+ * Reconnect a linked institution using Plaid Link update mode
+ * Repairs the existing item (e.g. after ITEM_LOGIN_REQUIRED) instead of creating a new one,
+ * so syncing resumes into the same accounts from the saved cursor.
+ * @param {string} itemId - Plaid item id of the connection to repair
+ * @returns {Promise<void>}
+ */
+export async function reconnectBank(itemId) {
+  try {
+    if (!useSupabase || !currentBudget || !plaidService) {
+      showToast('Sign in to a budget to reconnect a bank account', TOAST_TYPES.INFO);
+      return;
+    }
+
+    const data = stateManager.getActiveData();
+    const connection = (data.bankConnections || []).find(c => c.item_id === itemId);
+    if (!connection) {
+      showToast('Bank connection not found', TOAST_TYPES.ERROR);
+      return;
+    }
+
+    const { data: linkData, error: linkError } = await plaidService.createLinkToken(currentBudget.id, itemId);
+    if (linkError) {
+      throw new Error(linkError.message || 'Failed to create link token. Make sure the server is running.');
+    }
+
+    // Update mode has no token exchange: the item keeps its access token
+    openPlaidLink(linkData.link_token, async () => {
+      const { data: itemData, error } = await plaidService.markItemReconnected(currentBudget.id, itemId);
+      if (error) {
+        logger.warn('Could not mark bank connection as reconnected:', error);
+      }
+      Object.assign(connection, itemData?.item ? toBankConnection(itemData.item) : { status: 'ok' });
+      renderBankConnectionsList();
+
+      showToast(`Reconnected to ${connection.institution}`, TOAST_TYPES.BANK_CONNECTED);
+      await importBankTransactions(connection);
     });
+  } catch (error) {
+    logger.error('Bank reconnect error:', error);
+    showToast(`Error: ${error.message}. Make sure the server is running on port ${API_SERVER_PORT}.`, 'Connection Error');
   }
-
-  stateManager.saveState();
-  return true;
 }
 
-async function updateLinkedSavingsFromBank(access_token, savingsAccountIds, institutionName) {
-  if (!Array.isArray(savingsAccountIds) || savingsAccountIds.length === 0) return;
+/**
+ * Open Plaid Link with shared exit/event handling
+ * @param {string} linkToken - Link token from the server
+ * @param {Function} onSuccess - Called with (public_token, metadata)
+ * @returns {void}
+ */
+function openPlaidLink(linkToken, onSuccess) {
+  if (plaidLink) {
+    plaidLink.destroy();
+  }
+
+  plaidLink = Plaid.create({
+    token: linkToken,
+    onSuccess,
+    onExit: (err, metadata) => {
+      if (err) {
+        logger.error('Plaid Link error:', err);
+        logger.error('Plaid Link metadata:', metadata);
+        showToast(`Connection error: ${err.error_message || err.display_message || 'Unknown error'}`, TOAST_TYPES.CONNECTION_ERROR);
+      } else {
+        showToast('Bank connection cancelled', TOAST_TYPES.INFO);
+      }
+    },
+    onEvent: (eventName, metadata) => {
+      logger.log('Plaid Link event:', eventName, metadata);
+      if (eventName === 'ERROR' && metadata) {
+        logger.error('Plaid Link error event:', metadata);
+      }
+    },
+  });
+
+  plaidLink.open();
+}
 
-  const accounts = await fetchPlaidAccounts(access_token);
-  const idSet = new Set(savingsAccountIds);
-  const savingsAccounts = accounts.filter(a => idSet.has(a.account_id));
+/**
+ * Render linked institutions in the Connections settings section
+ * Shows status, last sync, last error, and each Plaid account (with its linked app account) and an import toggle,
+ * plus Reconnect and Unlink actions per institution
+ * @returns {void}
+ */
+export function renderBankConnectionsList() {
+  const container = document.getElementById('bankConnectionsList');
+  if (!container) return;
 
-  const totalBalance = savingsAccounts.reduce((sum, a) => {
-    const b = a?.balances || {};
-    const n = (typeof b.current === 'number' ? b.current : (typeof b.available === 'number' ? b.available : 0));
-    return sum + (Number.isFinite(n) ? n : 0);
-  }, 0);
+  const connections = stateManager.getActiveData().bankConnections || [];
+  const appAccounts = getAccounts();
+  container.innerHTML = '';
 
-  const updated = upsertLinkedSavingsGoal(totalBalance, institutionName, savingsAccounts.length);
-  if (updated) {
-    renderAll();
+  if (connections.length === 0) {
+    container.innerHTML = '<p style="color: var(--text-secondary); font-size: 14px;">No banks connected yet. Use "Connect Bank" in the menu.</p>';
+    return;
   }
-}
 
-export async function connectBank() {
-  try {
-    const data = stateManager.getActiveData();
-    const activeProfileId = stateManager.getActiveProfileId();
-    
-    // Get link token from backend
-    const response = await fetch(`${API_BASE_URL}/create_link_token`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ userId: activeProfileId })
-    });
+  const statusLabels = {
+    ok: 'Connected',
+    login_required: 'Needs sign-in',
+    pending_expiration: 'Expiring soon'
+  };
 
-    if (!response.ok) {
-      throw new Error('Failed to create link token. Make sure the server is running.');
+  connections.forEach(connection => {
+    const status = connection.status || 'ok';
+    const excluded = new Set(connection.excludedAccountIds || []);
+    const div = document.createElement('div');
+    div.className = 'bank-connection-item';
+
+    const header = document.createElement('div');
+    header.className = 'bank-connection-header';
+
+    const info = document.createElement('div');
+    info.className = 'bank-connection-info';
+    const name = document.createElement('div');
+    name.className = 'bank-connection-name';
+    name.textContent = connection.institution || 'Unknown';
+    const badge = document.createElement('span');
+    badge.className = `bank-connection-status status-${status}`;
+    badge.textContent = statusLabels[status] || status;
+    const synced = document.createElement('div');
+    synced.className = 'bank-connection-meta';
+    synced.textContent = connection.lastSyncedAt
+      ? `Last synced ${new Date(connection.lastSyncedAt).toLocaleString()}`
+      : 'Not synced yet';
+    info.appendChild(name);
+    info.appendChild(badge);
+    info.appendChild(synced);
+    if (connection.lastError) {
+      const errorLine = document.createElement('div');
+      errorLine.className = 'bank-connection-error';
+      errorLine.textContent = connection.lastError;
+      info.appendChild(errorLine);
     }
 
-    const { link_token } = await response.json();
+    const actions = document.createElement('div');
+    actions.className = 'bank-connection-actions';
+    const reconnectBtn = document.createElement('button');
+    reconnectBtn.className = status === 'ok' ? 'btn-secondary' : 'btn-primary';
+    reconnectBtn.textContent = 'Reconnect';
+    reconnectBtn.addEventListener('click', () => reconnectBank(connection.item_id));
+    const unlinkBtn = document.createElement('button');
+    unlinkBtn.className = 'btn-danger';
+    unlinkBtn.textContent = 'Unlink';
+    unlinkBtn.addEventListener('click', () => unlinkBank(connection.item_id));
+    actions.appendChild(reconnectBtn);
+    actions.appendChild(unlinkBtn);
+
+    header.appendChild(info);
+    header.appendChild(actions);
+    div.appendChild(header);
+
+    const accountsList = document.createElement('div');
+    accountsList.className = 'bank-connection-accounts';
+    (connection.accounts || []).forEach(account => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label bank-connection-account';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = !excluded.has(account.id);
+      checkbox.addEventListener('change', () => setBankAccountIncluded(connection.item_id, account.id, checkbox.checked));
+      const text = document.createElement('span');
+      const subtype = account.subtype || account.type || '';
+      text.textContent = `${account.name || 'Account'}${account.mask ? ` ••${account.mask}` : ''}${subtype ? ` (${subtype})` : ''}`;
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      const appAccount = appAccounts.find(a => a.plaidAccountId === account.id);
+      if (appAccount) {
+        const mapped = document.createElement('span');
+        mapped.className = 'bank-connection-mapped';
+        mapped.textContent = `→ ${appAccount.name}`;
+        label.appendChild(mapped);
+      }
+      accountsList.appendChild(label);
+    });
+    div.appendChild(accountsList);
 
-    // Initialize Plaid Link
-    if (plaidLink) {
-      plaidLink.destroy();
-    }
+    container.appendChild(div);
+  });
+}
 
-    plaidLink = Plaid.create({
-      token: link_token,
-      onSuccess: async (public_token, metadata) => {
-        // Exchange public token for access token
-        const exchangeResponse = await fetch(`${API_BASE_URL}/exchange_token`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ public_token })
-        });
+/**
+ * Include or exclude one Plaid account's transactions from future syncs
+ * @param {string} itemId - Plaid item id
+ * @param {string} accountId - Plaid account id
+ * @param {boolean} included - Whether to import the account's transactions
+ * @returns {Promise<void>}
+ */
+async function setBankAccountIncluded(itemId, accountId, included) {
+  const connection = (stateManager.getActiveData().bankConnections || []).find(c => c.item_id === itemId);
+  if (!connection || !plaidService || !currentBudget) return;
+
+  const excluded = new Set(connection.excludedAccountIds || []);
+  if (included) excluded.delete(accountId);
+  else excluded.add(accountId);
+
+  const { data, error } = await plaidService.updateExcludedAccounts(currentBudget.id, itemId, [...excluded]);
+  if (error) {
+    showToast(`Could not update account: ${error.message}`, TOAST_TYPES.ERROR);
+    renderBankConnectionsList();
+    return;
+  }
 
-        const { access_token, item_id } = await exchangeResponse.json();
+  Object.assign(connection, toBankConnection(data.item));
+  showToast(included ? 'Account will be included in future syncs' : 'Account will be skipped in future syncs', TOAST_TYPES.SUCCESS);
+}
 
-        const selectedAccounts = Array.isArray(metadata?.accounts) ? metadata.accounts : [];
-        const { transactionAccountIds, savingsAccountIds } = classifyPlaidAccounts(selectedAccounts);
-        
-        // Store access token (in a real app, you'd want to encrypt this)
-        if (!data.bankConnections) data.bankConnections = [];
-        data.bankConnections.push({
-          item_id,
-          access_token,
-          institution: metadata.institution?.name || 'Unknown',
-          accounts: selectedAccounts,
-          transactionAccountIds,
-          savingsAccountIds
-        });
-        stateManager.saveState();
+/**
+ * Unlink a bank: revokes the Plaid item; transactions already imported are kept
+ * @param {string} itemId - Plaid item id
+ * @returns {Promise<void>}
+ */
+export async function unlinkBank(itemId) {
+  const data = stateManager.getActiveData();
+  const connection = (data.bankConnections || []).find(c => c.item_id === itemId);
+  if (!connection || !plaidService || !currentBudget) return;
 
-        // Update linked savings goal(s) from selected savings accounts
-        await updateLinkedSavingsFromBank(access_token, savingsAccountIds, metadata.institution?.name);
+  if (!confirm(`Unlink ${connection.institution}? Imported transactions will be kept, but it will stop syncing.`)) return;
 
-        // Fetch and import transactions (checking + credit, excluding savings)
-        await importBankTransactions(access_token, { accountIds: transactionAccountIds });
-        
-        showToast(`Connected to ${metadata.institution?.name || 'bank'}`, TOAST_TYPES.BANK_CONNECTED);
-      },
-      onExit: (err, metadata) => {
-        if (err) {
-          logger.error('Plaid Link error:', err);
-          logger.error('Plaid Link metadata:', metadata);
-          showToast(`Connection error: ${err.error_message || err.display_message || 'Unknown error'}`, TOAST_TYPES.CONNECTION_ERROR);
-        } else {
-          showToast('Bank connection cancelled', TOAST_TYPES.INFO);
-        }
-      },
-      onEvent: (eventName, metadata) => {
-        logger.log('Plaid Link event:', eventName, metadata);
-        if (eventName === 'ERROR' && metadata) {
-          logger.error('Plaid Link error event:', metadata);
-        }
-      },
-    });
+  const { error } = await plaidService.removeItem(currentBudget.id, itemId);
+  if (error) {
+    showToast(`Could not unlink bank: ${error.message}`, TOAST_TYPES.ERROR);
+    return;
+  }
 
-    plaidLink.open();
-  } catch (error) {
-    logger.error('Bank connection error:', error);
-    showToast(`Error: ${error.message}. Make sure the server is running on port ${API_SERVER_PORT}.`, 'Connection Error');
+  data.bankConnections = data.bankConnections.filter(c => c.item_id !== itemId);
+  stateManager.setActiveData(data);
+  renderBankConnectionsList();
+  showToast(`Unlinked ${connection.institution}`, TOAST_TYPES.SUCCESS);
+}
+
+/**
+ * Convert a server Plaid item to the local bank connection shape
+ * @param {Object} item - Item from the server (no access token)
+ * @returns {Object} Bank connection: { item_id, institution, accounts, excludedAccountIds, status, lastSyncedAt, lastError, ... }
+ */
+function toBankConnection(item) {
+  return {
+    item_id: item.item_id,
+    institution: item.institution_name || 'Unknown',
+    accounts: item.accounts || [],
+    excludedAccountIds: item.excluded_account_ids || [],
+    status: item.status || 'ok',
+    statusUpdatedAt: item.status_updated_at || null,
+    consentExpiresAt: item.consent_expires_at || null,
+    syncRequestedAt: item.sync_requested_at || null,
+    lastSyncedAt: item.last_synced_at || null,
+    lastError: item.last_error || null
+  };
+}
+
+/**
+ * Sync every connected bank (Plaid item) in the active profile
+ * Each connection only pulls what changed since its last saved cursor
+ * @returns {Promise<void>}
+ */
+export async function syncBankConnections() {
+  const data = stateManager.getActiveData();
+  const connections = Array.isArray(data.bankConnections) ? data.bankConnections : [];
+
+  if (connections.length === 0) {
+    showToast('No bank connections yet. Use "Connect Bank" first.', TOAST_TYPES.INFO);
+    return;
+  }
+
+  for (const connection of connections) {
+    await importBankTransactions(connection);
   }
 }
 
+// Webhook-queued syncs already attempted this session (item_id:syncRequestedAt)
+const attemptedQueuedSyncs = new Set();
+
 /**
- * Import bank transactions from Plaid
+ * React to bank connection state set by Plaid webhooks
+ * Tells this member (once per event) that new bank data arrived or that a connection needs
+ * fixing, and runs any queued sync so the new transactions show up without a manual "Sync Bank".
+ * @returns {Promise<void>}
  */
-export async function importBankTransactions(access_token, retryCount = 0) {
-  try {
-    // Backwards compatibility: allow passing options as 2nd arg
-    let options = {};
-    if (typeof retryCount === 'object' && retryCount !== null) {
-      options = retryCount;
-      retryCount = arguments.length >= 3 ? arguments[2] : 0;
+export async function handleBankConnectionUpdates() {
+  const data = stateManager.getActiveData();
+  const connections = Array.isArray(data?.bankConnections) ? data.bankConnections : [];
+
+  for (const connection of connections) {
+    const institution = connection.institution && connection.institution !== 'Unknown' ? connection.institution : 'your bank';
+
+    if (connection.status === 'login_required') {
+      const dedupeKey = `bankLoginRequired:${connection.item_id}:${connection.statusUpdatedAt || ''}`;
+      if (!hasNotification(dedupeKey)) {
+        addNotification(
+          `🏦 ${institution} needs you to sign in again before it can sync. Use Reconnect in Settings → Connections.`,
+          { level: 'error', dedupeKey }
+        );
+      }
+      continue;
     }
 
-    // Validate access_token
-    if (!access_token) {
-      throw new Error('Access token is required. Please reconnect your bank account.');
+    if (connection.status === 'pending_expiration') {
+      const dedupeKey = `bankPendingExpiration:${connection.item_id}:${connection.statusUpdatedAt || ''}`;
+      if (!hasNotification(dedupeKey)) {
+        const when = connection.consentExpiresAt ? ` on ${formatDate(connection.consentExpiresAt.split('T')[0])}` : ' soon';
+        addNotification(`🏦 Your ${institution} connection expires${when}. Reconnect to keep syncing.`, { level: 'warning', dedupeKey });
+      }
     }
 
-    // Get last N days of transactions
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - TRANSACTION_HISTORY_DAYS);
+    if (connection.syncRequestedAt) {
+      const key = `${connection.item_id}:${connection.syncRequestedAt}`;
+      if (attemptedQueuedSyncs.has(key)) continue;
+      attemptedQueuedSyncs.add(key);
 
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
+      const dedupeKey = `bankDataArrived:${key}`;
+      if (!hasNotification(dedupeKey)) {
+        addNotification(`🏦 New transactions are available from ${institution}`, { level: 'info', dedupeKey });
+      }
+      await importBankTransactions(connection);
+    }
+  }
+}
 
-    // Validate date format
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(startDateStr) || !dateRegex.test(endDateStr)) {
-      throw new Error(`Invalid date format. Expected YYYY-MM-DD, got start: ${startDateStr}, end: ${endDateStr}`);
+/**
+ * Import bank transactions from Plaid using /transactions/sync
+ * Applies the added / modified / removed deltas since the item's saved cursor, then
+ * confirms the new cursor with the server so the next sync only returns newer changes.
+ * @param {Object} connection - Entry from data.bankConnections ({ item_id, institution, ... })
+ * @param {number} [retryCount=0] - Retry attempt (used while Plaid is still preparing the item)
+ * @returns {Promise<void>}
+ */
+export async function importBankTransactions(connection, retryCount = 0) {
+  try {
+    if (!useSupabase || !currentBudget || !currentUser || !transactionService || !plaidService) {
+      throw new Error('Sign in to a budget to sync bank transactions.');
+    }
+    if (!connection?.item_id) {
+      throw new Error('Bank connection not found. Please reconnect your bank account.');
     }
 
-    logger.log('Fetching bank transactions...', {
-      start_date: startDateStr,
-      end_date: endDateStr,
-      retry: retryCount,
-      has_access_token: !!access_token
+    logger.log('Syncing bank transactions...', {
+      item_id: connection.item_id,
+      retry: retryCount
     });
 
-    const requestBody = {
-      access_token: access_token,
-      start_date: startDateStr,
-      end_date: endDateStr
-    };
-    if (Array.isArray(options.accountIds) && options.accountIds.length > 0) {
-      requestBody.account_ids = options.accountIds;
-    }
-
-    logger.log('Request body:', { ...requestBody, access_token: access_token ? '***' : 'MISSING' });
+    const { data: responseData, error: syncError } = await plaidService.syncTransactions(currentBudget.id, connection.item_id);
 
-    const response = await fetch(`${API_BASE_URL}/transactions`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(requestBody)
-    });
+    let notReady = false;
+    let requestId;
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      const errorMessage = errorData.error || errorData.message || `Server error: ${response.status}`;
-      const details = errorData.details || {};
+    if (syncError) {
+      const errorMessage = syncError.message || 'Error syncing transactions';
+      const details = syncError.details || {};
       const plaidErrorCode = (details.error_code || '').toString();
-      const requestId = details.request_id;
+      requestId = details.request_id;
 
       // Retry ONLY for Plaid "product not ready" / processing states
-      const msgLower = (errorMessage || '').toLowerCase();
-      const isNotReady =
+      const msgLower = errorMessage.toLowerCase();
+      notReady =
         plaidErrorCode === 'PRODUCT_NOT_READY' ||
         msgLower.includes('not yet ready') ||
         msgLower.includes('product not ready') ||
         msgLower.includes('webhook');
 
-      if (isNotReady) {
-        if (retryCount < RETRY_CONFIG.MAX_RETRIES) {
-          const delay = RETRY_CONFIG.BASE_DELAY * Math.pow(2, retryCount); // Exponential backoff
-          logger.log(
-            `Transactions not ready yet. Retrying in ${delay / 1000} seconds... (${retryCount + 1}/${RETRY_CONFIG.MAX_RETRIES})`,
-            { plaidErrorCode, requestId }
-          );
-
-          showToast(
-            `Transactions are still processing. Retrying in ${delay / 1000} seconds...`,
-            TOAST_TYPES.PROCESSING
-          );
-
-          await new Promise(resolve => setTimeout(resolve, delay));
-          return importBankTransactions(access_token, options, retryCount + 1);
-        }
+      if (!notReady) {
+        const requestIdSuffix = requestId ? ` (Request ID: ${requestId})` : '';
+        throw new Error(`${errorMessage}${requestIdSuffix}`);
+      }
+    } else {
+      const isEmpty = !responseData.added?.length && !responseData.modified?.length && !responseData.removed?.length;
+      // A brand-new item can sync successfully but empty while Plaid is still pulling history
+      notReady = isEmpty && !responseData.has_cursor && responseData.transactions_update_status === 'NOT_READY';
+    }
+
+    if (notReady) {
+      if (retryCount < RETRY_CONFIG.MAX_RETRIES) {
+        const delay = RETRY_CONFIG.BASE_DELAY * Math.pow(2, retryCount); // Exponential backoff
+        logger.log(
+          `Transactions not ready yet. Retrying in ${delay / 1000} seconds... (${retryCount + 1}/${RETRY_CONFIG.MAX_RETRIES})`,
+          { requestId }
+        );
 
-        // Max retries reached
         showToast(
-          `Transactions are still processing. Please wait a few minutes and try importing again.${requestId ? ` (Request ID: ${requestId})` : ''}`,
+          `Transactions are still processing. Retrying in ${delay / 1000} seconds...`,
           TOAST_TYPES.PROCESSING
         );
-        return;
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return importBankTransactions(connection, retryCount + 1);
       }
 
-      const requestIdSuffix = requestId ? ` (Request ID: ${requestId})` : '';
-      throw new Error(`${errorMessage}${requestIdSuffix}`);
+      // Max retries reached
+      showToast(
+        `Transactions are still processing. Please wait a few minutes and try syncing again.${requestId ? ` (Request ID: ${requestId})` : ''}`,
+        TOAST_TYPES.PROCESSING
+      );
+      return;
     }
 
-    const responseData = await response.json();
-    const transactions = responseData.transactions || [];
-    
-    logger.log(`Received ${transactions.length} transactions from server`);
-    
-    if (!transactions || transactions.length === 0) {
-      showToast(`No transactions found in the last ${TRANSACTION_HISTORY_DAYS} days. Try connecting to a different test account.`, TOAST_TYPES.INFO);
-      return;
+    const added = (Array.isArray(responseData.added) ? responseData.added : []).filter(t => t && t.plaid_id);
+    const modified = (Array.isArray(responseData.modified) ? responseData.modified : []).filter(t => t && t.plaid_id);
+    const removedIds = new Set((Array.isArray(responseData.removed) ? responseData.removed : []).filter(Boolean));
+
+    logger.log(`Received ${added.length} added, ${modified.length} modified, ${removedIds.size} removed transactions from server`);
+
+    // Refresh linked account balances (creating accounts for new Plaid accounts) so
+    // transactions can point at app accounts; a balance failure shouldn't block the import
+    let linkedAccountIds = new Map();
+    try {
+      linkedAccountIds = await syncPlaidAccounts(connection, await fetchPlaidAccounts(connection));
+    } catch (accountsError) {
+      logger.warn('Could not refresh linked account balances:', accountsError);
     }
+    const appAccountId = (tx) => linkedAccountIds.get(tx.account_id) || null;
+    // Updates only set the account when it resolves, so a failed account refresh (or an account
+    // that isn't linked yet) doesn't clear the link a transaction already has
+    const accountUpdate = (tx) => {
+      const accountId = appAccountId(tx);
+      return accountId ? { account_id: accountId } : {};
+    };
 
     const data = stateManager.getActiveData();
     const categories = Array.isArray(data.categories) ? data.categories : [];
-    const categoryIdSet = new Set(categories.map(c => c?.id).filter(Boolean));
     const defaultCat =
       categories.find(c => (c?.id || '').toLowerCase() === 'other')?.id ||
       categories.find(c => (c?.name || '').toLowerCase() === 'other')?.id ||
       categories[0]?.id ||
       null;
 
-    // Dedupe by plaid_id
+    // Index existing transactions by plaid_id
     const existingByPlaidId = new Map();
     (Array.isArray(data.transactions) ? data.transactions : []).forEach(t => {
       if (t && t.plaid_id) existingByPlaidId.set(t.plaid_id, t);
     });
 
-    const incoming = (Array.isArray(transactions) ? transactions : []).filter(t => t && t.plaid_id);
-    const toInsert = incoming.filter(t => !existingByPlaidId.has(t.plaid_id));
+    // Only part of the history may be loaded; look up the rest so changes to older
+    // transactions update them instead of inserting duplicates
+    if (data.transactionHistory?.loadedFrom) {
+      const missing = [
+        ...[...added, ...modified].flatMap(tx => [tx.plaid_id, tx.pending_plaid_id]),
+        ...removedIds
+      ].filter(id => id && !existingByPlaidId.has(id));
+      if (missing.length) {
+        const { data: older, error: lookupError } = await findTransactionsByPlaidIds(currentBudget.id, missing);
+        if (lookupError) throw lookupError;
+        older.forEach(t => existingByPlaidId.set(t.plaid_id, t));
+      }
+    }
 
-    // Supabase mode: write imported transactions to Supabase (so they get real UUID ids)
-    if (useSupabase && currentBudget && currentUser && transactionService) {
-      if (toInsert.length === 0) {
-        showToast('No new bank transactions to import', TOAST_TYPES.INFO);
-        return;
+    // Added rows we already have (e.g. a cursor that was never saved) are treated as updates,
+    // and modified rows we don't have yet are treated as inserts.
+    // When a pending charge posts, Plaid removes the pending id and adds a new posted one that
+    // points back at it; the posted transaction takes over the pending row so the user's
+    // category and notes carry over instead of leaving a duplicate behind.
+    const toInsert = [];
+    const toUpdate = [];
+    const toPost = [];
+    const postedPendingIds = new Set();
+    [...added, ...modified].forEach(tx => {
+      if (removedIds.has(tx.plaid_id)) return;
+      if (existingByPlaidId.has(tx.plaid_id)) {
+        toUpdate.push(tx);
+      } else if (
+        !tx.pending &&
+        tx.pending_plaid_id &&
+        existingByPlaidId.has(tx.pending_plaid_id) &&
+        !postedPendingIds.has(tx.pending_plaid_id)
+      ) {
+        postedPendingIds.add(tx.pending_plaid_id);
+        toPost.push(tx);
+      } else {
+        toInsert.push(tx);
       }
+    });
+    const toRemove = [...removedIds].filter(id => existingByPlaidId.has(id) && !postedPendingIds.has(id));
 
-      // Validate amounts against database DECIMAL(10, 2) limit (max: 99,999,999.99)
-      const MAX_AMOUNT = 99999999.99;
-      const validPlaidRows = [];
-      const skippedPlaidRows = [];
-      
-      for (const tx of toInsert) {
-        const amount = Number(tx.amount);
-        if (isNaN(amount) || Math.abs(amount) >= MAX_AMOUNT) {
-          skippedPlaidRows.push({
-            description: tx.description,
-            amount: tx.amount,
-            reason: isNaN(amount) ? 'Invalid amount' : 'Amount too large (max: $99,999,999.99)'
-          });
-          continue;
+    // Validate amounts against database DECIMAL(10, 2) limit (max: 99,999,999.99)
+    const MAX_AMOUNT = 99999999.99;
+    const isValidAmount = (tx) => {
+      const amount = Number(tx.amount);
+      return !isNaN(amount) && Math.abs(amount) < MAX_AMOUNT;
+    };
+    const validPlaidTxs = [];
+    const skippedPlaidRows = [];
+    
+    let ruledCount = 0;
+    let suggestedCount = 0;
+    let mappedCount = 0;
+    await loadSuggestionHistory();
+    for (const plaidTx of toInsert) {
+      // Rules see the row the way it will be stored (app account, default category); rows
+      // they leave in the default category get a confident learned suggestion instead,
+      // and failing that the budget's mapping for Plaid's category
+      const { transaction: ruledTx, ruleIds } = applyRules({
+        ...plaidTx,
+        accountId: appAccountId(plaidTx),
+        categoryId: defaultCat
+      });
+      const { transaction: tx, suggestion } = prefillCategory(ruledTx);
+      if (tx.categoryId === defaultCat || isUncategorized(tx)) {
+        const mappedCategoryId = mapPlaidCategory(tx.plaid_category_primary, tx.plaid_category_detailed);
+        if (mappedCategoryId) {
+          tx.categoryId = mappedCategoryId;
+          mappedCount++;
         }
-        
-        validPlaidRows.push({
-          date: tx.date,
+      }
+      if (!isValidAmount(tx)) {
+        skippedPlaidRows.push({
           description: tx.description,
-          amount: amount,
-          type: tx.type,
-          category_id: isValidUUID(defaultCat) ? defaultCat : null,
-          merchant: tx.merchant || null,
-          notes: tx.note || null,
-          plaid_id: tx.plaid_id || null,
-          account_id: tx.account_id || null
+          amount: tx.amount,
+          reason: isNaN(Number(tx.amount)) ? 'Invalid amount' : 'Amount too large (max: $99,999,999.99)'
         });
+        continue;
       }
       
-      if (validPlaidRows.length === 0) {
-        showToast(
-          `No valid transactions to import. ${skippedPlaidRows.length > 0 ? `Skipped ${skippedPlaidRows.length} transaction(s) with invalid amounts.` : ''}`,
-          TOAST_TYPES.ERROR
-        );
-        return;
-      }
-      
-      if (skippedPlaidRows.length > 0) {
-        logger.warn(`Skipped ${skippedPlaidRows.length} Plaid transaction(s) with invalid amounts:`, skippedPlaidRows);
-        showToast(
-          `Skipped ${skippedPlaidRows.length} transaction(s) with invalid amounts (max: $99,999,999.99). Importing ${validPlaidRows.length} valid transaction(s)...`,
-          TOAST_TYPES.WARNING
-        );
-      }
+      validPlaidTxs.push(tx);
+      if (ruleIds.length) ruledCount++;
+      if (suggestion) suggestedCount++;
+    }
+
+    // Money moving between two of the budget's accounts becomes a transfer pair, including
+    // when the other side arrived in an earlier sync or from another bank
+    const newTxSet = new Set(validPlaidTxs);
+    const existingTransferUpdates = [];
+    const transferPairs = detectTransferPairs(validPlaidTxs, data.transactions || []);
+    transferPairs.forEach(pair => {
+      getTransferPairFields(pair).forEach(([tx, fields]) => {
+        if (newTxSet.has(tx)) Object.assign(tx, fields);
+        else existingTransferUpdates.push({ tx, fields });
+      });
+    });
+
+    const validPlaidRows = validPlaidTxs.map(tx => ({
+      date: tx.date,
+      description: tx.description,
+      amount: Number(tx.amount),
+      type: tx.type,
+      category_id: isValidUUID(tx.categoryId) ? tx.categoryId : null,
+      merchant: tx.merchant || null,
+      notes: tx.note || null,
+      plaid_id: tx.plaid_id || null,
+      plaid_category_primary: tx.plaid_category_primary || null,
+      plaid_category_detailed: tx.plaid_category_detailed || null,
+      pending: !!tx.pending,
+      account_id: tx.accountId,
+      ...(tx.transferAccountId ? { transfer_account_id: tx.transferAccountId, transfer_direction: tx.transferDirection } : {}),
+      ...(tx.tags?.length ? { tags: tx.tags } : {})
+    }));
+    
+    if (skippedPlaidRows.length > 0) {
+      logger.warn(`Skipped ${skippedPlaidRows.length} Plaid transaction(s) with invalid amounts:`, skippedPlaidRows);
+    }
+
+    let bankBatchId = null;
+    if (validPlaidRows.length > 0) {
+      // New rows are recorded as an import so the sync can be reviewed and reverted later
+      const { data: batch, error: batchError } = await createImportBatch({
+        source: 'bank',
+        fileName: connection.institution && connection.institution !== 'Unknown' ? connection.institution : null,
+        rowCount: validPlaidRows.length
+      });
+      if (batchError) throw batchError;
+      validPlaidRows.forEach(row => { row.import_batch_id = batch.id; });
+      bankBatchId = batch.id;
 
       // Insert in bulk if available
       if (typeof transactionService.bulkCreateTransactions === 'function') {
         const { error } = await transactionService.bulkCreateTransactions(currentBudget.id, currentUser.id, validPlaidRows);
-        if (error) throw error;
+        if (error) {
+          await discardImportBatch(batch.id);
+          throw error;
+        }
       } else {
-        for (const row of validPlaidRows) {
+        for (const [i, row] of validPlaidRows.entries()) {
           const { error } = await transactionService.createTransaction(currentBudget.id, currentUser.id, row);
-          if (error) throw error;
+          if (error) {
+            if (i === 0) await discardImportBatch(batch.id);
+            throw error;
+          }
         }
       }
-
-      if (loadDataFromSupabase) {
-        await loadDataFromSupabase();
-      }
-      renderAll();
-      
-      const plaidSuccessMsg = `Imported ${validPlaidRows.length} bank transaction${validPlaidRows.length === 1 ? '' : 's'}` +
-        (skippedPlaidRows.length > 0 ? ` (skipped ${skippedPlaidRows.length} invalid amount${skippedPlaidRows.length === 1 ? '' : 's'})` : '');
-      showToast(plaidSuccessMsg, TOAST_TYPES.SUCCESS);
-      return;
     }
 
-    // LocalStorage mode: merge into local transactions and preserve/repair categories
-    let added = 0;
-    let updated = 0;
+    for (const { tx, fields } of existingTransferUpdates) {
+      const { error } = await transactionService.updateTransaction(tx.id, toTransferRow(fields));
+      if (error) throw error;
+    }
 
-    incoming.forEach(tx => {
+    // Modified: refresh bank-owned fields, keep the user's category (and a transfer stays a transfer)
+    for (const tx of toUpdate) {
+      if (!isValidAmount(tx)) continue;
       const existing = existingByPlaidId.get(tx.plaid_id);
-      if (!existing) {
-        tx.categoryId = defaultCat || tx.categoryId || 'other';
-        data.transactions.push(tx);
-        added++;
-        return;
+      const { error } = await transactionService.updateTransaction(existing.id, {
+        date: tx.date,
+        description: tx.description,
+        amount: Number(tx.amount),
+        ...(isTransfer(existing) ? {} : { type: tx.type }),
+        plaid_category_primary: tx.plaid_category_primary || null,
+        plaid_category_detailed: tx.plaid_category_detailed || null,
+        pending: !!tx.pending,
+        ...accountUpdate(tx)
+      });
+      if (error) throw error;
+      // The bank changed a split transaction's amount, so its lines no longer add up
+      if (isSplit(existing) && Math.round(Number(tx.amount) * 100) !== Math.round(existing.amount * 100)) {
+        const { error: splitError } = await transactionService.setTransactionSplits(existing.id, []);
+        if (splitError) throw splitError;
+        logger.warn(`Removed the split on "${existing.description}": the bank changed its amount`);
       }
+    }
 
-      const preservedCategoryId = existing.categoryId;
-      existing.date = tx.date;
-      existing.description = tx.description;
-      existing.amount = tx.amount;
-      existing.type = tx.type;
-      existing.note = tx.note;
-      existing.account_id = tx.account_id;
+    // Posted: move the pending row over to the posted transaction
+    for (const tx of toPost) {
+      if (!isValidAmount(tx)) continue;
+      const pendingRow = existingByPlaidId.get(tx.pending_plaid_id);
+      const { error } = await transactionService.updateTransaction(pendingRow.id, {
+        date: tx.date,
+        description: tx.description,
+        amount: Number(tx.amount),
+        ...(isTransfer(pendingRow) ? {} : { type: tx.type }),
+        plaid_id: tx.plaid_id,
+        plaid_category_primary: tx.plaid_category_primary || null,
+        plaid_category_detailed: tx.plaid_category_detailed || null,
+        pending: false,
+        ...accountUpdate(tx)
+      });
+      if (error) throw error;
+    }
 
-      if (!preservedCategoryId || (defaultCat && !categoryIdSet.has(preservedCategoryId))) {
-        existing.categoryId = defaultCat || preservedCategoryId || 'other';
-      }
-      updated++;
-    });
+    if (toRemove.length > 0) {
+      const { error } = await transactionService.deleteTransactionsByPlaidIds(currentBudget.id, toRemove);
+      if (error) throw error;
+    }
 
-    stateManager.saveState();
+    // Only advance the cursor once every delta has been written
+    if (responseData.next_cursor) {
+      const { error: cursorError } = await plaidService.saveCursor(
+        currentBudget.id,
+        connection.item_id,
+        responseData.next_cursor,
+        responseData.sync_started_at
+      );
+      if (cursorError) logger.warn('Could not save bank sync cursor; changes will be re-sent next sync:', cursorError);
+    }
+
+    if (loadDataFromSupabase) {
+      await loadDataFromSupabase();
+    }
     renderAll();
-    const msg = updated > 0
-      ? `Imported ${added} new and updated ${updated} existing transactions from bank`
-      : `Imported ${added} transactions from bank`;
-    showToast(msg, 'Bank Import');
+
+    const institution = connection.institution && connection.institution !== 'Unknown' ? connection.institution : 'bank';
+    if (validPlaidRows.length === 0 && toUpdate.length === 0 && toPost.length === 0 && toRemove.length === 0) {
+      showToast(`Transactions from ${institution} are up to date`, TOAST_TYPES.INFO);
+      return;
+    }
+    const parts = [`${validPlaidRows.length} new`];
+    if (toUpdate.length) parts.push(`${toUpdate.length} updated`);
+    if (toPost.length) parts.push(`${toPost.length} posted`);
+    if (ruledCount) parts.push(`rules applied to ${ruledCount}`);
+    if (suggestedCount) parts.push(`${suggestedCount} categorized from history`);
+    if (mappedCount) parts.push(`${mappedCount} categorized by bank category`);
+    if (transferPairs.length) parts.push(`${transferPairs.length} transfer${transferPairs.length === 1 ? '' : 's'} detected`);
+    if (toRemove.length) parts.push(`${toRemove.length} removed`);
+    showToast(
+      `Synced ${institution}: ${parts.join(', ')}` +
+        (skippedPlaidRows.length > 0 ? ` (skipped ${skippedPlaidRows.length} invalid amount${skippedPlaidRows.length === 1 ? '' : 's'})` : '') +
+        possibleDuplicatesSuffix(bankBatchId),
+      TOAST_TYPES.SUCCESS
+    );
   } catch (error) {
     logger.error('Error importing transactions:', error);
     showToast(error?.message || 'Error importing transactions', TOAST_TYPES.ERROR);
@@ -1801,8 +2430,8 @@ export async function importBankTransactions(access_token, retryCount = 0) {
 
 /**
  * Import transactions from CSV file
- * Reads a CSV file, parses transaction data, and imports into the application
- * Supports date, description, amount, type, and category columns
+ * Reads a CSV file and opens the column-mapping wizard; the mapped rows are then imported
+ * Supports date, description, amount (or debit/credit), type, category, and account columns
  * @returns {void}
  */
 export function importCsv() {
@@ -1815,545 +2444,577 @@ export function importCsv() {
     if (!file) return;
 
     const reader = new FileReader();
-    reader.onload = async () => {
-      const text = reader.result;
-      const lines = text.split(/\r?\n/).filter(x => x.trim());
+    reader.onload = () => {
+      const rows = parseCsvRows(reader.result);
+      if (rows.length === 0) {
+        showToast('No valid transactions found in CSV', TOAST_TYPES.ERROR);
+        return;
+      }
 
-      const data = stateManager.getActiveData();
-      const categories = Array.isArray(data.categories) ? data.categories : [];
-      const defaultCat =
-        categories.find(c => (c.id || '').toLowerCase() === 'other')?.id ||
-        categories.find(c => (c.name || '').toLowerCase() === 'other')?.id ||
-        categories[0]?.id ||
-        'other';
+      // Let the user confirm (or fix) the column mapping before anything is imported
+      openCsvImportWizard({
+        fileName: file.name,
+        rows,
+        onImport: (mappedRows, { invalidCount }) => importMappedCsvRows(mappedRows, invalidCount, file.name)
+      });
+    };
 
-      const imported = [];
+    reader.readAsText(file);
+  };
 
-      function normalizeDate(raw) {
-        raw = raw.replace(/^"|"$/g, '').trim();
+  inp.click();
+}
 
-        // YYYY-MM-DD
-        if (/^\d{4}-\d{2}-\d{2}$/.test(raw)) return raw;
+/**
+ * Get the existing transactions an import has to be deduped against
+ * Covers the file's whole date range, including days older than the loaded history.
+ * @param {Array<string>} dates - Imported dates (YYYY-MM-DD)
+ * @returns {Promise<{ data: Array<Object>, error: any }>} Local-shape transactions
+ */
+async function getExistingTransactionsOn(dates) {
+  if (dates.length === 0) return { data: [], error: null };
+  const sorted = [...dates].sort();
+  return getTransactionsInRange({ startDate: sorted[0], endDate: sorted[sorted.length - 1] });
+}
 
-        // MM/DD/YYYY → YYYY-MM-DD
-        if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(raw)) {
-          const [mm, dd, yyyy] = raw.split('/');
-          return `${yyyy}-${mm.padStart(2, '0')}-${dd.padStart(2, '0')}`;
-        }
+/**
+ * Import rows mapped by the CSV import wizard
+ * Resolves categories and accounts, dedupes against existing transactions, then saves
+ * @param {Array<Object>} mappedRows - Rows from mapCsvRows() (negative rawAmount = expense)
+ * @param {number} invalidCount - Rows the wizard skipped as unreadable
+ * @param {string} [fileName] - Imported file name (recorded in import history)
+ * @returns {Promise<void>}
+ */
+async function importMappedCsvRows(mappedRows, invalidCount = 0, fileName = null) {
+  const data = stateManager.getActiveData();
+  const categories = Array.isArray(data.categories) ? data.categories : [];
+  const accounts = Array.isArray(data.accounts) ? data.accounts : [];
+  const defaultCat =
+    categories.find(c => (c.id || '').toLowerCase() === 'other')?.id ||
+    categories.find(c => (c.name || '').toLowerCase() === 'other')?.id ||
+    categories[0]?.id ||
+    'other';
+
+  function findCategoryId(token) {
+    const raw = (token || '').replace(/^"|"$/g, '').trim();
+    if (!raw) return defaultCat;
+    const key = raw.toLowerCase();
+
+    const found = categories.find(c =>
+      (c.id && c.id.toLowerCase() === key) ||
+      (c.name && c.name.toLowerCase() === key)
+    );
+    return found ? found.id : defaultCat;
+  }
+
+  function findAccountId(token) {
+    const key = (token || '').trim().toLowerCase();
+    if (!key) return null;
+    const found = accounts.find(a =>
+      (a.id && a.id.toLowerCase() === key) ||
+      (a.name && a.name.toLowerCase() === key)
+    );
+    return found ? found.id : null;
+  }
+
+  // Users seen on existing transactions, keyed by the display name exports write
+  const knownUsers = new Map();
+  (data.transactions || []).forEach(t => {
+    const name = t.user?.display_name || t.user?.username;
+    if (t.userId && name) knownUsers.set(name.toLowerCase(), { userId: t.userId, user: t.user });
+  });
 
-        return null;
-      }
+  function buildTx({ dateStr, desc, rawAmount, typeToken, categoryToken, accountToken, merchant, note, userToken }) {
+    if (!dateStr) return null;
+    if (rawAmount === null) return null;
 
-      function normalizeAmount(raw) {
-        raw = raw.replace(/^"|"$/g, '').trim();
-        // Only accept if it looks like a number (starts with digit or minus, contains mostly digits/decimal)
-        // Reject if it has letters or other non-numeric content (except decimal point and minus)
-        if (!/^-?\d+\.?\d*$/.test(raw)) return null;
-        const n = parseFloat(raw);
-        return isNaN(n) ? null : n;
-      }
+    // Kept as the file has it, so an exported description round-trips
+    const description = (desc || '').toString();
+    if (!description.trim()) return null;
 
-      function findCategoryId(token) {
-        const raw = (token || '').replace(/^"|"$/g, '').trim();
-        if (!raw) return defaultCat;
-        const key = raw.toLowerCase();
+    // Determine type (explicit wins; otherwise infer from sign)
+    const explicitType = (typeToken || '').toString().trim().toLowerCase();
+    const inferredType = rawAmount < 0 ? 'expense' : 'income';
+    const type = (explicitType === 'income' || explicitType === 'expense') ? explicitType : inferredType;
 
-        const found = categories.find(c =>
-          (c.id && c.id.toLowerCase() === key) ||
-          (c.name && c.name.toLowerCase() === key)
-        );
-        return found ? found.id : defaultCat;
-      }
+    // Category token may actually be a type token in some CSV formats (e.g. "income")
+    let categoryKey = (categoryToken || '').toString().trim();
+    if (categoryKey && (categoryKey.toLowerCase() === 'income' || categoryKey.toLowerCase() === 'expense')) {
+      categoryKey = ''; // ignore
+    }
 
-      function buildTx({ dateStr, desc, rawAmount, typeToken, categoryToken }) {
-        if (!dateStr) return null;
-        if (rawAmount === null) return null;
+    const catId = findCategoryId(categoryKey);
+    const accountId = findAccountId(accountToken);
+    const knownUser = knownUsers.get((userToken || '').trim().toLowerCase());
+
+    // Generate unique ID using timestamp + random + counter to avoid collisions
+    const uniqueId = `csv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${Math.random().toString(36).substr(2, 5)}`;
+    return {
+      id: uniqueId,
+      date: dateStr,
+      description,
+      amount: Math.abs(rawAmount),
+      type,
+      categoryId: catId,
+      ...(merchant ? { merchant } : {}),
+      ...(note ? { note } : {}),
+      ...(accountId ? { accountId } : {}),
+      ...(knownUser ? { userId: knownUser.userId, user: knownUser.user } : {})
+    };
+  }
 
-        const description = (desc || '').toString().trim();
-        if (!description) return null;
+  const imported = mappedRows.map(buildTx).filter(Boolean);
 
-        // Determine type (explicit wins; otherwise infer from sign)
-        const explicitType = (typeToken || '').toString().trim().toLowerCase();
-        const inferredType = rawAmount < 0 ? 'expense' : 'income';
-        const type = (explicitType === 'income' || explicitType === 'expense') ? explicitType : inferredType;
+  if (imported.length === 0) {
+    showToast('No valid transactions found in CSV', TOAST_TYPES.ERROR);
+    return;
+  }
 
-        // Category token may actually be a type token in some CSV formats (e.g. "income")
-        let categoryKey = (categoryToken || '').toString().trim();
-        if (categoryKey && (categoryKey.toLowerCase() === 'income' || categoryKey.toLowerCase() === 'expense')) {
-          categoryKey = ''; // ignore
-        }
+  // Deduplicate against existing transactions (prevents re-importing the same CSV twice)
+  // Fingerprint: date + type + amount(cents) + normalized description
+  function normalizeDesc(s) {
+    return (s || '')
+      .toString()
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  function toCents(n) {
+    const num = Number(n);
+    if (!isFinite(num)) return null;
+    return Math.round(num * 100);
+  }
+  function txFingerprint(t) {
+    const cents = toCents(t.amount);
+    // Use date, amount, and description only (ignore type to catch duplicates even if type was misclassified)
+    // This helps catch duplicates from previous imports with wrong type
+    return `${t.date}|${cents}|${normalizeDesc(t.description)}`;
+  }
 
-        const catId = findCategoryId(categoryKey);
+  const { data: existingTx, error: existingError } = await getExistingTransactionsOn(imported.map(t => t.date));
+  if (existingError) {
+    logger.error('Error checking for duplicate transactions:', existingError);
+    showToast('Error checking for duplicates, nothing was imported: ' + (existingError.message || 'Unknown error'), TOAST_TYPES.ERROR);
+    return;
+  }
+  const existingSet = new Set(existingTx.map(txFingerprint));
+  const batchSet = new Set();
+  let duplicates = 0;
+  const uniqueImported = [];
 
-        // Generate unique ID using timestamp + random + counter to avoid collisions
-        const uniqueId = `csv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}_${Math.random().toString(36).substr(2, 5)}`;
-        return {
-          id: uniqueId,
-          date: dateStr,
-          description,
-          amount: Math.abs(rawAmount),
-          type,
-          categoryId: catId
-        };
-      }
+  for (const tx of imported) {
+    const fp = txFingerprint(tx);
+    if (existingSet.has(fp) || batchSet.has(fp)) {
+      duplicates++;
+      continue;
+    }
+    batchSet.add(fp);
+    uniqueImported.push(tx);
+  }
 
-      for (let line of lines) {
-        // Smart split that respects quotes
-        // Match quoted strings or unquoted values, handling trailing commas
-        let cols = line.match(/("(?:[^"\\]|\\.)*"|[^",\r\n]+)(?=\s*,|\s*$)/g);
-        if (!cols || cols.length < CSV_CONFIG.MIN_COLUMNS) continue;
+  if (uniqueImported.length === 0) {
+    showToast(
+      `No new transactions to import (skipped ${duplicates} duplicate${duplicates === 1 ? '' : 's'})`,
+      TOAST_TYPES.INFO
+    );
+    return;
+  }
 
-        // Trim and strip quotes, filter out empty columns
-        cols = cols.map(c => c.replace(/^"|"$/g, '').trim()).filter(c => c.length > 0);
-        
-        // Only use first 4 columns (date, amount/desc, desc/amount, optional category/ref)
-        if (cols.length > 4) cols = cols.slice(0, 4);
+  await saveImportedTransactions(uniqueImported, { sourceLabel: 'CSV', source: 'csv', fileName, duplicates, invalidCount });
+}
 
-        const dateStr = normalizeDate(cols[0]);
-        if (!dateStr) continue;
+/**
+ * Import transactions from an OFX / QFX / QIF statement file
+ * Each statement is imported into an app account (matched, chosen, or created), and the
+ * bank's FITID is kept as the transaction's external id so re-imports are skipped
+ * @returns {void}
+ */
+export function importStatement() {
+  const inp = document.createElement('input');
+  inp.type = 'file';
+  inp.accept = '.ofx,.qfx,.qif';
 
-        // Supported formats:
-        // A) date, description, amount, type, category
-        // B) date, amount, description, category (type inferred from amount sign; income rows may contain "income")
-        // C) date, description, amount, category (type inferred)
-        // D) date, amount, description
+  inp.onchange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
 
-        let tx = null;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const statements = parseStatementFile(file.name, reader.result);
+      if (statements.length === 0) {
+        showToast('No transactions found in statement file (expected OFX, QFX or QIF)', TOAST_TYPES.ERROR);
+        return;
+      }
 
-        // Try B first: [date, amount, desc, categoryOrType] - most common bank export format
-        // Check if cols[1] looks like an amount (numeric) before trying other formats
-        const col1Amount = normalizeAmount(cols[1]);
-        const col2Amount = normalizeAmount(cols[2]);
-        
-        if (col1Amount !== null && col2Amount === null) {
-          // cols[1] is numeric, cols[2] is not -> format B: date, amount, desc
-          tx = buildTx({
-            dateStr,
-            desc: cols[2],
-            rawAmount: col1Amount,
-            typeToken: '', // infer
-            categoryToken: cols[3] || ''
-          });
-        } else if (col2Amount !== null && col1Amount === null) {
-          // cols[2] is numeric, cols[1] is not -> format A or C: date, desc, amount
-          tx = buildTx({
-            dateStr,
-            desc: cols[1],
-            rawAmount: col2Amount,
-            typeToken: cols[3] || '',
-            categoryToken: cols[4] || ''
-          });
-        } else {
-          // Ambiguous - try B first (most common), then A
-          // Try B: [date, amount, desc, categoryOrType]
-          if (col1Amount !== null) {
-            tx = buildTx({
-              dateStr,
-              desc: cols[2],
-              rawAmount: col1Amount,
-              typeToken: '', // infer
-              categoryToken: cols[3] || ''
-            });
-          }
-          
-          // Try A: [date, desc, amount, type, category]
-          if (!tx && col2Amount !== null) {
-            tx = buildTx({
-              dateStr,
-              desc: cols[1],
-              rawAmount: col2Amount,
-              typeToken: cols[3] || '',
-              categoryToken: cols[4] || ''
-            });
-          }
-        }
+      chooseStatementAccounts(statements, getAccounts(), async (choices) => {
+        await importStatementTransactions(choices, statements[0].format, file.name);
+      });
+    };
 
-        // Try C: [date, desc, amount, categoryOrType]
-        if (!tx) {
-          const rawAmt = normalizeAmount(cols[2]);
-          if (rawAmt !== null) {
-            tx = buildTx({
-              dateStr,
-              desc: cols[1],
-              rawAmount: rawAmt,
-              typeToken: '', // infer
-              categoryToken: cols[3]
-            });
-          }
-        }
+    reader.readAsText(file);
+  };
 
-        // Try D: [date, amount, desc]
-        if (!tx) {
-          const rawAmt = normalizeAmount(cols[1]);
-          if (rawAmt !== null) {
-            tx = buildTx({
-              dateStr,
-              desc: cols[2],
-              rawAmount: rawAmt,
-              typeToken: '', // infer
-              categoryToken: ''
-            });
-          }
-        }
+  inp.click();
+}
 
-        if (tx) imported.push(tx);
-      }
+/**
+ * Build, dedupe, and save transactions from parsed statements
+ * @param {Array<Object>} choices - [{ statement, accountId }] from chooseStatementAccounts()
+ * @param {string} format - 'ofx' or 'qif'
+ * @param {string} [fileName] - Imported file name (recorded in import history)
+ * @returns {Promise<void>}
+ */
+async function importStatementTransactions(choices, format, fileName = null) {
+  const sourceLabel = format.toUpperCase();
+  const data = stateManager.getActiveData();
+  const categories = Array.isArray(data.categories) ? data.categories : [];
+  const defaultCat =
+    categories.find(c => (c.id || '').toLowerCase() === 'other')?.id ||
+    categories.find(c => (c.name || '').toLowerCase() === 'other')?.id ||
+    categories[0]?.id ||
+    'other';
+  const findCategoryId = (token) => {
+    const key = (token || '').split(':')[0].trim().toLowerCase();
+    return categories.find(c => (c.name || '').toLowerCase() === key)?.id || defaultCat;
+  };
 
-      if (imported.length === 0) {
-        showToast('No valid transactions found in CSV', TOAST_TYPES.ERROR);
+  const statementDates = choices.flatMap(({ statement }) => statement.transactions.map(st => st.date).filter(Boolean));
+  const { data: existingTx, error: existingError } = await getExistingTransactionsOn(statementDates);
+  if (existingError) {
+    logger.error('Error checking for duplicate transactions:', existingError);
+    showToast('Error checking for duplicates, nothing was imported: ' + (existingError.message || 'Unknown error'), TOAST_TYPES.ERROR);
+    return;
+  }
+  const existingIds = new Set(existingTx.map(t => t.externalId).filter(Boolean));
+  const imported = [];
+  let duplicates = 0;
+  let invalidCount = 0;
+
+  for (const { statement, accountId: choice } of choices) {
+    let accountId = choice || null;
+    if (isCreateAccountChoice(choice)) {
+      accountId = await createAccount({
+        name: statement.account.label,
+        type: statement.account.type,
+        currentBalance: statement.account.balance || 0,
+        creditLimit: statement.account.creditLimit
+      });
+      if (!accountId) {
+        showToast(`Could not create account "${statement.account.label}"`, TOAST_TYPES.ERROR);
         return;
       }
+    }
+    if (accountId) rememberStatementAccount(statement.account.key, accountId);
 
-      // Deduplicate against existing transactions (prevents re-importing the same CSV twice)
-      // Fingerprint: date + type + amount(cents) + normalized description
-      function normalizeDesc(s) {
-        return (s || '')
-          .toString()
-          .toLowerCase()
-          .replace(/\s+/g, ' ')
-          .trim();
-      }
-      function toCents(n) {
-        const num = Number(n);
-        if (!isFinite(num)) return null;
-        return Math.round(num * 100);
-      }
-      function txFingerprint(t) {
-        const cents = toCents(t.amount);
-        // Use date, amount, and description only (ignore type to catch duplicates even if type was misclassified)
-        // This helps catch duplicates from previous imports with wrong type
-        return `${t.date}|${cents}|${normalizeDesc(t.description)}`;
-      }
-
-      const existingTx = Array.isArray(data.transactions) ? data.transactions : [];
-      const existingSet = new Set(existingTx.map(txFingerprint));
-      const batchSet = new Set();
-      let duplicates = 0;
-      const uniqueImported = [];
-
-      for (const tx of imported) {
-        const fp = txFingerprint(tx);
-        if (existingSet.has(fp) || batchSet.has(fp)) {
-          duplicates++;
-          continue;
-        }
-        batchSet.add(fp);
-        uniqueImported.push(tx);
+    for (const st of statement.transactions) {
+      if (!st.date || st.amount === null || !st.name || !st.fitId) {
+        invalidCount++;
+        continue;
       }
 
-      if (uniqueImported.length === 0) {
-        showToast(
-          `No new transactions to import (skipped ${duplicates} duplicate${duplicates === 1 ? '' : 's'})`,
-          TOAST_TYPES.INFO
-        );
-        return;
+      // FITIDs are only unique within an account, so prefix the statement account
+      const externalId = `${statement.account.key}:${st.fitId}`;
+      if (existingIds.has(externalId)) {
+        duplicates++;
+        continue;
       }
+      existingIds.add(externalId);
+
+      imported.push({
+        id: `${statement.format}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        date: st.date,
+        description: st.name,
+        amount: Math.abs(st.amount),
+        type: st.amount < 0 ? 'expense' : 'income',
+        categoryId: findCategoryId(st.category),
+        ...(st.memo ? { note: st.memo } : {}),
+        ...(accountId ? { accountId } : {}),
+        externalId
+      });
+    }
+  }
 
-      // Add to transactions
-      // Save to Supabase if available
-      if (useSupabase && currentBudget && currentUser && transactionService) {
-        try {
-          // Optimistic UI update so the app refreshes immediately after import
-          // (Supabase reload can be async/racey; this prevents the UI from looking stuck.)
-          const optimisticIds = uniqueImported.map(t => t.id);
-          try {
-            stateManager.setActiveProfileId(currentBudget.id);
-            const localData = stateManager.getActiveData();
-            if (localData) {
-              localData.transactions = Array.isArray(localData.transactions) ? localData.transactions : [];
-              localData.transactions.push(...uniqueImported);
-              localData.lastImportBatchIds = optimisticIds;
-              stateManager.setActiveData(localData);
-              stateManager.saveState();
-              renderAll();
-            }
-          } catch {
-            // no-op
-          }
+  if (imported.length === 0) {
+    showToast(
+      `No new transactions to import (skipped ${duplicates} duplicate${duplicates === 1 ? '' : 's'})`,
+      TOAST_TYPES.INFO
+    );
+    return;
+  }
 
-          // Validate amounts against database DECIMAL(10, 2) limit (max: 99,999,999.99)
-          const MAX_AMOUNT = 99999999.99;
-          const validRows = [];
-          const skippedRows = [];
-          
-          for (const tx of uniqueImported) {
-            const amount = parseFloat(tx.amount);
-            if (isNaN(amount) || Math.abs(amount) >= MAX_AMOUNT) {
-              skippedRows.push({
-                description: tx.description,
-                amount: tx.amount,
-                reason: isNaN(amount) ? 'Invalid amount' : 'Amount too large (max: $99,999,999.99)'
-              });
-              continue;
-            }
-            
-            validRows.push({
-              date: tx.date,
-              description: tx.description,
-              amount: amount,
-              type: tx.type,
-              category_id: isValidUUID(tx.categoryId) ? tx.categoryId : null
-            });
-          }
-          
-          if (validRows.length === 0) {
-            showToast(
-              `No valid transactions to import. ${skippedRows.length > 0 ? `Skipped ${skippedRows.length} transaction(s) with invalid amounts.` : ''}`,
-              TOAST_TYPES.ERROR
-            );
-            return;
-          }
-          
-          if (skippedRows.length > 0) {
-            logger.warn(`Skipped ${skippedRows.length} transaction(s) with invalid amounts:`, skippedRows);
-            showToast(
-              `Skipped ${skippedRows.length} transaction(s) with invalid amounts (max: $99,999,999.99). Importing ${validRows.length} valid transaction(s)...`,
-              TOAST_TYPES.WARNING
-            );
-          }
+  await saveImportedTransactions(imported, { sourceLabel, source: format, fileName, duplicates, invalidCount });
+}
 
-          // Prefer bulk insert to avoid spamming requests
-          if (typeof transactionService.bulkCreateTransactions === 'function') {
-            const { error } = await transactionService.bulkCreateTransactions(currentBudget.id, currentUser.id, validRows);
-            if (error) {
-              throw error;
-            }
-          } else {
-            // Fallback: single inserts (correct signature)
-            for (const row of validRows) {
-              const { error } = await transactionService.createTransaction(currentBudget.id, currentUser.id, row);
-              if (error) {
-                throw error;
-              }
-            }
-          }
+/**
+ * Toast suffix pointing at likely duplicates an import just added
+ * The import itself only skips rows that match an existing one word for word.
+ * @param {string|null} importBatchId - Batch the new rows belong to
+ * @returns {string} Suffix, or '' when there are none
+ */
+function possibleDuplicatesSuffix(importBatchId) {
+  if (!importBatchId) return '';
+  const count = findDuplicateCandidates(stateManager.getActiveData().transactions || [])
+    .filter(({ keep, remove }) => keep.importBatchId === importBatchId || remove.importBatchId === importBatchId)
+    .length;
+  return count ? ` (${count} possible duplicate${count === 1 ? '' : 's'}, see Find Duplicates)` : '';
+}
 
-          if (loadDataFromSupabase) {
-            await loadDataFromSupabase();
-          }
-          // Ensure visible refresh even if loadDataFromSupabase bails early
-          renderAll();
+/**
+ * Save deduplicated imported transactions (CSV and statement files)
+ * Rules and learned category suggestions run first. Supabase mode shows the rows optimistically, bulk-inserts them, and rolls back
+ * on error; localStorage mode appends them. Both record an import batch the rows point to, for
+ * Import History and "Undo Import".
+ * @param {Array<Object>} imported - Local-shape transactions that passed dedupe
+ * @param {Object} summary - Counts reported in the success toast
+ * @param {string} summary.sourceLabel - Source name for messages (e.g. 'CSV', 'OFX')
+ * @param {string} summary.source - Import batch source (a key of IMPORT_SOURCES)
+ * @param {string|null} [summary.fileName=null] - Imported file name
+ * @param {number} [summary.duplicates=0] - Rows skipped as duplicates
+ * @param {number} [summary.invalidCount=0] - Rows skipped as unreadable
+ * @returns {Promise<void>}
+ */
+async function saveImportedTransactions(imported, { sourceLabel, source, fileName = null, duplicates = 0, invalidCount = 0 }) {
+  // Imported rows go through the budget's rules (rules win over what the file says), then rows
+  // still in the default category get a confident learned suggestion
+  let ruledCount = 0;
+  let suggestedCount = 0;
+  await loadSuggestionHistory();
+  const uniqueImported = imported.map(tx => {
+    const { transaction: ruledTx, ruleIds } = applyRules(tx);
+    const { transaction, suggestion } = prefillCategory(ruledTx);
+    if (ruleIds.length) ruledCount++;
+    if (suggestion) suggestedCount++;
+    return transaction;
+  });
 
-          const successMsg = `Imported ${validRows.length} transaction${validRows.length === 1 ? '' : 's'} from CSV` +
-            (duplicates ? ` (skipped ${duplicates} duplicate${duplicates === 1 ? '' : 's'})` : '') +
-            (skippedRows.length > 0 ? ` (skipped ${skippedRows.length} invalid amount${skippedRows.length === 1 ? '' : 's'})` : '');
-          showToast(successMsg, TOAST_TYPES.SUCCESS);
-          return;
-        } catch (error) {
-          // Roll back optimistic UI rows (if any)
-          try {
-            const localData = stateManager.getActiveData();
-            if (localData && Array.isArray(localData.transactions) && Array.isArray(localData.lastImportBatchIds)) {
-              const rollbackIds = new Set(localData.lastImportBatchIds);
-              localData.transactions = localData.transactions.filter(t => !rollbackIds.has(t.id));
-              localData.lastImportBatchIds = [];
-              stateManager.setActiveData(localData);
-              stateManager.saveState();
-              renderAll();
-            }
-          } catch {
-            // no-op
-          }
-          logger.error('Error saving CSV transactions to Supabase:', error);
-          
-          // Extract meaningful error message from Supabase error object
-          let errorMsg = 'Unknown error';
-          if (error) {
-            if (typeof error === 'string') {
-              errorMsg = error;
-            } else if (error.message) {
-              errorMsg = error.message;
-            } else if (error.details) {
-              errorMsg = error.details;
-            } else if (error.hint) {
-              errorMsg = error.hint;
-            } else if (error.code) {
-              errorMsg = `Error code: ${error.code}`;
-            } else {
-              // Last resort: try to stringify the error
-              try {
-                errorMsg = JSON.stringify(error);
-              } catch {
-                errorMsg = String(error);
-              }
-            }
-          }
-          
-          showToast(`Error importing CSV to Supabase: ${errorMsg}`, TOAST_TYPES.ERROR);
-          return;
+  // Matching outflow/inflow pairs between the budget's accounts become transfers; a side that
+  // was imported earlier is converted too
+  const importedSet = new Set(uniqueImported);
+  const existingTransferUpdates = [];
+  const transferPairs = detectTransferPairs(uniqueImported, stateManager.getActiveData().transactions || []);
+  transferPairs.forEach(pair => {
+    getTransferPairFields(pair).forEach(([tx, fields]) => {
+      if (importedSet.has(tx)) Object.assign(tx, fields);
+      else existingTransferUpdates.push({ tx, fields });
+    });
+  });
+
+  const rulesSuffix =
+    (ruledCount ? ` (rules applied to ${ruledCount})` : '') +
+    (suggestedCount ? ` (${suggestedCount} categorized from history)` : '') +
+    (transferPairs.length ? ` (${transferPairs.length} transfer${transferPairs.length === 1 ? '' : 's'} detected)` : '');
+
+  // Save to Supabase if available
+  if (useSupabase && currentBudget && currentUser && transactionService) {
+    let importBatchId = null;
+    let rowsSaved = false;
+    try {
+      // Optimistic UI update so the app refreshes immediately after import
+      // (Supabase reload can be async/racey; this prevents the UI from looking stuck.)
+      const optimisticIds = uniqueImported.map(t => t.id);
+      try {
+        stateManager.setActiveProfileId(currentBudget.id);
+        const localData = stateManager.getActiveData();
+        if (localData) {
+          localData.transactions = Array.isArray(localData.transactions) ? localData.transactions : [];
+          localData.transactions.push(...uniqueImported);
+          localData.lastImportBatchIds = optimisticIds;
+          stateManager.setActiveData(localData);
+          stateManager.saveState();
+          renderAll();
         }
+      } catch {
+        // no-op
       }
 
-      // LocalStorage mode
-      // Validate amounts (same limit as database for consistency)
+      // Validate amounts against database DECIMAL(10, 2) limit (max: 99,999,999.99)
       const MAX_AMOUNT = 99999999.99;
-      const validForLocal = [];
-      const skippedForLocal = [];
+      const validRows = [];
+      const skippedRows = [];
       
       for (const tx of uniqueImported) {
         const amount = parseFloat(tx.amount);
         if (isNaN(amount) || Math.abs(amount) >= MAX_AMOUNT) {
-          skippedForLocal.push({
+          skippedRows.push({
             description: tx.description,
             amount: tx.amount,
             reason: isNaN(amount) ? 'Invalid amount' : 'Amount too large (max: $99,999,999.99)'
           });
           continue;
         }
-        validForLocal.push(tx);
+        
+        // user_id is always the importer (RLS requires user_id = auth.uid())
+        validRows.push({
+          date: tx.date,
+          description: tx.description,
+          amount: amount,
+          type: tx.type,
+          category_id: isValidUUID(tx.categoryId) ? tx.categoryId : null,
+          merchant: tx.merchant || null,
+          notes: tx.note || null,
+          account_id: tx.accountId || null,
+          ...(tx.transferAccountId ? { transfer_account_id: tx.transferAccountId, transfer_direction: tx.transferDirection } : {}),
+          ...(tx.externalId ? { external_id: tx.externalId } : {}),
+          ...(tx.tags?.length ? { tags: tx.tags } : {})
+        });
       }
       
-      if (validForLocal.length === 0) {
+      if (validRows.length === 0) {
         showToast(
-          `No valid transactions to import. ${skippedForLocal.length > 0 ? `Skipped ${skippedForLocal.length} transaction(s) with invalid amounts.` : ''}`,
+          `No valid transactions to import. ${skippedRows.length > 0 ? `Skipped ${skippedRows.length} transaction(s) with invalid amounts.` : ''}`,
           TOAST_TYPES.ERROR
         );
         return;
       }
       
-      if (skippedForLocal.length > 0) {
-        logger.warn(`Skipped ${skippedForLocal.length} transaction(s) with invalid amounts:`, skippedForLocal);
+      if (skippedRows.length > 0) {
+        logger.warn(`Skipped ${skippedRows.length} transaction(s) with invalid amounts:`, skippedRows);
+        showToast(
+          `Skipped ${skippedRows.length} transaction(s) with invalid amounts (max: $99,999,999.99). Importing ${validRows.length} valid transaction(s)...`,
+          TOAST_TYPES.WARNING
+        );
       }
-      
-      data.transactions.push(...validForLocal);
-      data.lastImportBatchIds = validForLocal.map(t => t.id);
-      stateManager.saveState();
-      renderAll();
-      
-      const localSuccessMsg = `Imported ${validForLocal.length} transaction${validForLocal.length === 1 ? '' : 's'} from CSV` +
-        (duplicates ? ` (skipped ${duplicates} duplicate${duplicates === 1 ? '' : 's'})` : '') +
-        (skippedForLocal.length > 0 ? ` (skipped ${skippedForLocal.length} invalid amount${skippedForLocal.length === 1 ? '' : 's'})` : '');
-      showToast(localSuccessMsg, TOAST_TYPES.SUCCESS);
-    };
-
-    reader.readAsText(file);
-  };
-
-  inp.click();
-}
-
-/**
- * Remove duplicate transactions based on date, amount, and description
- */
-export async function removeDuplicates() {
-  const data = stateManager.getActiveData();
-  const transactions = Array.isArray(data.transactions) ? data.transactions : [];
-  
-  if (transactions.length === 0) {
-    showToast('No transactions to check', TOAST_TYPES.INFO);
-    return;
-  }
-
-  function normalizeDesc(s) {
-    return (s || '')
-      .toString()
-      .toLowerCase()
-      .replace(/\s+/g, ' ')
-      .trim();
-  }
-  
-  function toCents(n) {
-    const num = Number(n);
-    if (!isFinite(num)) return null;
-    return Math.round(num * 100);
-  }
-  
-  function txFingerprint(t) {
-    const cents = toCents(t.amount);
-    return `${t.date}|${cents}|${normalizeDesc(t.description)}`;
-  }
-
-  // Group transactions by fingerprint
-  const fingerprintMap = new Map();
-  transactions.forEach((tx, index) => {
-    const fp = txFingerprint(tx);
-    if (!fingerprintMap.has(fp)) {
-      fingerprintMap.set(fp, []);
-    }
-    fingerprintMap.get(fp).push({ tx, index });
-  });
 
-  // Find duplicates (fingerprints with more than one transaction)
-  const duplicatesToRemove = [];
-  fingerprintMap.forEach((group, fp) => {
-    if (group.length > 1) {
-      // Keep the first one, mark the rest for removal
-      for (let i = 1; i < group.length; i++) {
-        duplicatesToRemove.push(group[i].tx.id);
+      // Record the import so it can be reviewed and reverted later
+      const { data: batch, error: batchError } = await createImportBatch({ source, fileName, rowCount: validRows.length });
+      if (batchError) {
+        throw batchError;
       }
-    }
-  });
-
-  if (duplicatesToRemove.length === 0) {
-    showToast('No duplicate transactions found', TOAST_TYPES.SUCCESS);
-    return;
-  }
+      importBatchId = batch.id;
+      validRows.forEach(row => { row.import_batch_id = importBatchId; });
 
-  // Remove duplicates from Supabase if available
-  if (useSupabase && currentBudget && transactionService) {
-    try {
-      let deleted = 0;
-      for (const id of duplicatesToRemove) {
-        // Only delete if it's a CSV import ID (starts with 'csv_') or if we have the UUID
-        if (id && (id.startsWith('csv_') || id.match(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i))) {
-          try {
-            await transactionService.deleteTransaction(id);
-            deleted++;
-          } catch (e) {
-            // Transaction might not exist in Supabase (localStorage-only), skip
-            logger.warn('Could not delete transaction from Supabase:', id, e);
+      // Prefer bulk insert to avoid spamming requests
+      if (typeof transactionService.bulkCreateTransactions === 'function') {
+        const { error } = await transactionService.bulkCreateTransactions(currentBudget.id, currentUser.id, validRows);
+        if (error) {
+          throw error;
+        }
+        rowsSaved = true;
+      } else {
+        // Fallback: single inserts (correct signature)
+        for (const row of validRows) {
+          const { error } = await transactionService.createTransaction(currentBudget.id, currentUser.id, row);
+          if (error) {
+            throw error;
           }
+          rowsSaved = true;
         }
       }
-      
+
+      for (const { tx, fields } of existingTransferUpdates) {
+        const { error } = await transactionService.updateTransaction(tx.id, toTransferRow(fields));
+        if (error) logger.warn(`Could not mark "${tx.description}" as a transfer:`, error);
+      }
+
       if (loadDataFromSupabase) {
         await loadDataFromSupabase();
       }
+      // Ensure visible refresh even if loadDataFromSupabase bails early
       renderAll();
-      showToast(`Removed ${deleted} duplicate transaction${deleted === 1 ? '' : 's'}`, TOAST_TYPES.SUCCESS);
+
+      const successMsg = `Imported ${validRows.length} transaction${validRows.length === 1 ? '' : 's'} from ${sourceLabel}` +
+        (duplicates ? ` (skipped ${duplicates} duplicate${duplicates === 1 ? '' : 's'})` : '') +
+        (skippedRows.length > 0 ? ` (skipped ${skippedRows.length} invalid amount${skippedRows.length === 1 ? '' : 's'})` : '') +
+        (invalidCount ? ` (skipped ${invalidCount} unreadable row${invalidCount === 1 ? '' : 's'})` : '') +
+        rulesSuffix +
+        possibleDuplicatesSuffix(importBatchId);
+      showToast(successMsg, TOAST_TYPES.SUCCESS);
+      return;
     } catch (error) {
-      logger.error('Error removing duplicates from Supabase:', error);
-      showToast(`Error removing duplicates: ${error.message || 'Unknown error'}`, TOAST_TYPES.ERROR);
+      // An import that saved nothing leaves no batch behind
+      if (importBatchId && !rowsSaved) {
+        await discardImportBatch(importBatchId);
+      }
+      // Roll back optimistic UI rows (if any)
+      try {
+        const localData = stateManager.getActiveData();
+        if (localData && Array.isArray(localData.transactions) && Array.isArray(localData.lastImportBatchIds)) {
+          const rollbackIds = new Set(localData.lastImportBatchIds);
+          localData.transactions = localData.transactions.filter(t => !rollbackIds.has(t.id));
+          localData.lastImportBatchIds = [];
+          stateManager.setActiveData(localData);
+          stateManager.saveState();
+          renderAll();
+        }
+      } catch {
+        // no-op
+      }
+      logger.error(`Error saving ${sourceLabel} transactions to Supabase:`, error);
+      
+      // Extract meaningful error message from Supabase error object
+      let errorMsg = 'Unknown error';
+      if (error) {
+        if (typeof error === 'string') {
+          errorMsg = error;
+        } else if (error.message) {
+          errorMsg = error.message;
+        } else if (error.details) {
+          errorMsg = error.details;
+        } else if (error.hint) {
+          errorMsg = error.hint;
+        } else if (error.code) {
+          errorMsg = `Error code: ${error.code}`;
+        } else {
+          // Last resort: try to stringify the error
+          try {
+            errorMsg = JSON.stringify(error);
+          } catch {
+            errorMsg = String(error);
+          }
+        }
+      }
+      
+      showToast(`Error importing ${sourceLabel} to Supabase: ${errorMsg}`, TOAST_TYPES.ERROR);
+      return;
     }
-  } else {
-    // LocalStorage mode
-    data.transactions = data.transactions.filter(t => !duplicatesToRemove.includes(t.id));
-    stateManager.saveState();
-    renderAll();
-    showToast(`Removed ${duplicatesToRemove.length} duplicate transaction${duplicatesToRemove.length === 1 ? '' : 's'}`, TOAST_TYPES.SUCCESS);
   }
-}
-
-/**
- * Undo last import
- */
-export function undoImport() {
-  const data = stateManager.getActiveData();
-  const ids = data.lastImportBatchIds || [];
 
-  if (!ids.length) {
-    showToast('Nothing to undo');
+  // LocalStorage mode
+  // Validate amounts (same limit as database for consistency)
+  const MAX_AMOUNT = 99999999.99;
+  const validForLocal = [];
+  const skippedForLocal = [];
+  
+  for (const tx of uniqueImported) {
+    const amount = parseFloat(tx.amount);
+    if (isNaN(amount) || Math.abs(amount) >= MAX_AMOUNT) {
+      skippedForLocal.push({
+        description: tx.description,
+        amount: tx.amount,
+        reason: isNaN(amount) ? 'Invalid amount' : 'Amount too large (max: $99,999,999.99)'
+      });
+      continue;
+    }
+    validForLocal.push(tx);
+  }
+  
+  if (validForLocal.length === 0) {
+    showToast(
+      `No valid transactions to import. ${skippedForLocal.length > 0 ? `Skipped ${skippedForLocal.length} transaction(s) with invalid amounts.` : ''}`,
+      TOAST_TYPES.ERROR
+    );
     return;
   }
-
-  // Remove transactions from Supabase if available
-  if (useSupabase && currentBudget && transactionService) {
-    // Note: This would require tracking transaction IDs from Supabase
-    // For now, just remove from local state
-    data.transactions = data.transactions.filter(t => !ids.includes(t.id));
-    data.lastImportBatchIds = [];
-    
-    if (loadDataFromSupabase) {
-      loadDataFromSupabase();
-    }
-  } else {
-    data.transactions = data.transactions.filter(t => !ids.includes(t.id));
-    data.lastImportBatchIds = [];
-    stateManager.saveState();
+  
+  if (skippedForLocal.length > 0) {
+    logger.warn(`Skipped ${skippedForLocal.length} transaction(s) with invalid amounts:`, skippedForLocal);
   }
-
+  
+  const { data: batch } = await createImportBatch({ source, fileName, rowCount: validForLocal.length });
+  validForLocal.forEach(tx => { tx.importBatchId = batch.id; });
+  const data = stateManager.getActiveData();
+  existingTransferUpdates.forEach(({ tx, fields }) => Object.assign(tx, fields));
+  data.transactions.push(...validForLocal);
+  stateManager.saveState();
   renderAll();
-  showToast('Last import undone');
+  
+  const localSuccessMsg = `Imported ${validForLocal.length} transaction${validForLocal.length === 1 ? '' : 's'} from ${sourceLabel}` +
+    (duplicates ? ` (skipped ${duplicates} duplicate${duplicates === 1 ? '' : 's'})` : '') +
+    (skippedForLocal.length > 0 ? ` (skipped ${skippedForLocal.length} invalid amount${skippedForLocal.length === 1 ? '' : 's'})` : '') +
+    (invalidCount ? ` (skipped ${invalidCount} unreadable row${invalidCount === 1 ? '' : 's'})` : '') +
+    rulesSuffix +
+    possibleDuplicatesSuffix(batch.id);
+  showToast(localSuccessMsg, TOAST_TYPES.SUCCESS);
 }
 
 /**
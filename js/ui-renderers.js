@@ -6,7 +6,7 @@
 import { stateManager } from './state-management.js';
 import { logger } from './logger.js';
 import { formatMoney, formatDate, currentMonthISO } from './utils.js';
-import { MOBILE_BREAKPOINT, STORAGE_KEYS, RESIZE_DEBOUNCE, CHART_COLORS, CHART_CONFIG, BILL_REMINDER_DAYS, BILL_REMINDER_URGENT_DAYS, PERCENTAGE_THRESHOLDS } from './constants.js';
+import { MOBILE_BREAKPOINT, STORAGE_KEYS, RESIZE_DEBOUNCE, CHART_COLORS, CHART_CONFIG, BILL_REMINDER_DAYS, BILL_REMINDER_URGENT_DAYS, PERCENTAGE_THRESHOLDS, TAGS } from './constants.js';
 
 // Import render functions from feature modules
 import { 
@@ -20,6 +20,12 @@ import { renderCategoryFilters } from './categories.js';
 import { renderSavingsGoals, renderFinancialGoals } from './goals.js';
 import { renderDebts } from './debts.js';
 import { renderRecurringTransactions } from './recurring.js';
+import { getCategoryAllocations, sumByCategory } from './splits.js';
+import { renderTagFilter, sumByTag } from './tags.js';
+import { renderSmartFilters } from './smart-filters.js';
+import { isZeroBased, getEnvelopeSummary, getMonthlyActivity, renderEnvelopes } from './envelopes.js';
+import { getCategoryBudget, getMonthBudgets } from './category-budgets.js';
+import { renderBudgetReport } from './budget-report.js';
 
 // Chart instances (need to persist across renders)
 let categoryChart = null;
@@ -61,9 +67,10 @@ export function renderKpis() {
 
   let income = 0, expense = 0;
 
+  // Transfers between the budget's own accounts are neither
   tx.forEach(t => {
     if (t.type === "income") income += t.amount;
-    else expense += t.amount;
+    else if (t.type === "expense") expense += t.amount;
   });
 
   const net = income - expense;
@@ -82,6 +89,17 @@ export function renderKpis() {
   const goals = Array.isArray(data.savingsGoals) ? data.savingsGoals : [];
   const totalSaved = goals.reduce((s, g) => s + (g.current || 0), 0);
   if (kpiSavings) kpiSavings.textContent = formatMoney(totalSaved);
+
+  // Zero-based budgets: income not yet given to a category
+  const zeroBased = isZeroBased(data);
+  const kpiReadyToAssignCard = document.getElementById("kpiReadyToAssignCard");
+  const kpiReadyToAssign = document.getElementById("kpiReadyToAssign");
+  if (kpiReadyToAssignCard) kpiReadyToAssignCard.style.display = zeroBased ? "" : "none";
+  if (zeroBased && kpiReadyToAssign) {
+    const { readyToAssign } = getEnvelopeSummary(getViewedMonth(), data);
+    kpiReadyToAssign.textContent = formatMoney(readyToAssign);
+    kpiReadyToAssign.classList.toggle("negative", readyToAssign < -0.005);
+  }
 }
 
 /**
@@ -178,15 +196,8 @@ export function renderCategoryChart() {
   const data = stateManager.getActiveData();
   const cats = data.categories || [];
 
-  const totals = {};
-  cats.forEach(c => totals[c.id] = 0);
-
-  tx.forEach(t => {
-    if (t.type === "expense") {
-      if (totals[t.categoryId] == null) totals[t.categoryId] = 0;
-      totals[t.categoryId] += t.amount;
-    }
-  });
+  // Split transactions count toward each line's category
+  const totals = sumByCategory(tx);
 
   const labels = [];
   const values = [];
@@ -238,7 +249,8 @@ export function renderMonthlyChart() {
   if (!ctx) return;
 
   const data = stateManager.getActiveData();
-  const transactions = data.transactions || [];
+  // Months before the loaded transaction history come from the activity summary
+  const activity = getMonthlyActivity(data);
 
   // Group last 6 months income/expenses
   const now = new Date();
@@ -250,13 +262,9 @@ export function renderMonthlyChart() {
     months.push(key);
   }
 
-  const incomeArr = months.map(m => {
-    return transactions.filter(t => t.date.startsWith(m) && t.type === "income")
-               .reduce((s, t) => s + t.amount, 0);
-  });
+  const incomeArr = months.map(m => activity.get(m)?.income || 0);
   const expenseArr = months.map(m => {
-    return transactions.filter(t => t.date.startsWith(m) && t.type === "expense")
-               .reduce((s, t) => s + t.amount, 0);
+    return Object.values(activity.get(m)?.spent || {}).reduce((s, amount) => s + amount, 0);
   });
 
   if (monthlyChart) {
@@ -344,10 +352,12 @@ export function renderSankeyChart() {
   });
 
   tx.forEach(t => {
-    if (t.type === "expense" && categoryTotals[t.categoryId]) {
-      categoryTotals[t.categoryId].amount += t.amount;
-      totalExpenses += t.amount;
-    }
+    if (t.type !== "expense") return;
+    getCategoryAllocations(t).forEach(line => {
+      if (!categoryTotals[line.categoryId]) return;
+      categoryTotals[line.categoryId].amount += line.amount;
+      totalExpenses += line.amount;
+    });
   });
 
   // Check if we have any data
@@ -393,13 +403,16 @@ export function renderSankeyChart() {
     const categoryGroups = {};
     const descriptionGroups = {};
     
+    // A split transaction flows into each of its lines' categories
     tx.forEach(t => {
-      if (t.type === "expense") {
-        const cat = categories.find(c => c.id === t.categoryId);
+      if (t.type !== "expense") return;
+      const description = (t.description || "Other").trim();
+
+      getCategoryAllocations(t).forEach(line => {
+        const cat = categories.find(c => c.id === line.categoryId);
         if (!cat) return;
         
         const categoryName = cat.name;
-        const description = (t.description || "Other").trim();
         
         if (!categoryGroups[categoryName]) {
           categoryGroups[categoryName] = {
@@ -408,7 +421,7 @@ export function renderSankeyChart() {
             color: cat.color
           };
         }
-        categoryGroups[categoryName].amount += t.amount;
+        categoryGroups[categoryName].amount += line.amount;
         
         const descKey = `${categoryName}|${description}`;
         if (!descriptionGroups[descKey]) {
@@ -419,8 +432,8 @@ export function renderSankeyChart() {
             color: cat.color
           };
         }
-        descriptionGroups[descKey].amount += t.amount;
-      }
+        descriptionGroups[descKey].amount += line.amount;
+      });
     });
 
     // Add category nodes
@@ -849,27 +862,41 @@ export function renderReports() {
   const lastMonthStr = `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, '0')}`;
   
   const currentMonthTx = transactions.filter(t => t.date.startsWith(currentMonth));
-  const currentIncome = currentMonthTx.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-  const currentExpenses = currentMonthTx.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
   
-  const lastMonthTx = transactions.filter(t => t.date.startsWith(lastMonthStr));
-  const lastIncome = lastMonthTx.filter(t => t.type === 'income').reduce((sum, t) => sum + t.amount, 0);
-  const lastExpenses = lastMonthTx.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
+  // Last month may be older than the loaded transactions, so month totals come from the activity summary
+  const activity = getMonthlyActivity(data);
+  const monthTotals = (month) => {
+    const entry = activity.get(month);
+    const budgets = getMonthBudgets(month, data);
+    return {
+      income: entry?.income || 0,
+      expenses: Object.values(entry?.spent || {}).reduce((sum, amount) => sum + amount, 0),
+      budgeted: Object.values(budgets).reduce((sum, amount) => sum + amount, 0),
+      budgets
+    };
+  };
+  const current = monthTotals(currentMonth);
+  const last = monthTotals(lastMonthStr);
+  const currentIncome = current.income;
+  const currentExpenses = current.expenses;
+  const lastIncome = last.income;
+  const lastExpenses = last.expenses;
   
-  const categoryTotals = {};
-  currentMonthTx.forEach(t => {
-    if (t.type === 'expense') {
-      categoryTotals[t.categoryId] = (categoryTotals[t.categoryId] || 0) + t.amount;
-    }
-  });
+  const categoryTotals = sumByCategory(currentMonthTx);
   
   const topCategories = Object.entries(categoryTotals)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 5)
     .map(([catId, total]) => {
       const cat = data.categories.find(c => c.id === catId);
-      return { name: cat ? cat.name : 'Unknown', total };
+      return { name: cat ? cat.name : 'Unknown', total, budget: current.budgets[catId] || 0 };
     });
+
+  // A transaction counts toward every tag it carries, so tag totals can overlap
+  const topTags = Object.entries(sumByTag(currentMonthTx))
+    .sort((a, b) => b[1].total - a[1].total)
+    .slice(0, TAGS.REPORT_LIMIT)
+    .map(([tag, { total, count }]) => ({ tag, total, count }));
   
   container.innerHTML = `
     <div class="report-section">
@@ -879,6 +906,7 @@ export function renderReports() {
           <div style="font-size: 12px; color: var(--text-secondary);">This Month</div>
           <div style="font-size: 18px; font-weight: bold; margin-top: 4px;">Income: ${formatMoney(currentIncome)}</div>
           <div style="font-size: 18px; font-weight: bold;">Expenses: ${formatMoney(currentExpenses)}</div>
+          <div style="font-size: 14px; color: var(--text-secondary);">Budgeted: ${formatMoney(current.budgeted)}</div>
           <div style="font-size: 18px; font-weight: bold; color: ${currentIncome - currentExpenses >= 0 ? 'var(--success)' : 'var(--danger)'};">
             Net: ${formatMoney(currentIncome - currentExpenses)}
           </div>
@@ -887,6 +915,7 @@ export function renderReports() {
           <div style="font-size: 12px; color: var(--text-secondary);">Last Month</div>
           <div style="font-size: 18px; font-weight: bold; margin-top: 4px;">Income: ${formatMoney(lastIncome)}</div>
           <div style="font-size: 18px; font-weight: bold;">Expenses: ${formatMoney(lastExpenses)}</div>
+          <div style="font-size: 14px; color: var(--text-secondary);">Budgeted: ${formatMoney(last.budgeted)}</div>
           <div style="font-size: 18px; font-weight: bold; color: ${lastIncome - lastExpenses >= 0 ? 'var(--success)' : 'var(--danger)'};">
             Net: ${formatMoney(lastIncome - lastExpenses)}
           </div>
@@ -898,10 +927,19 @@ export function renderReports() {
       ${topCategories.length > 0 ? topCategories.map(cat => `
         <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid var(--border);">
           <span>${cat.name}</span>
-          <strong>${formatMoney(cat.total)}</strong>
+          <span><strong>${formatMoney(cat.total)}</strong>${cat.budget > 0 ? ` <span style="color: var(--text-secondary); font-size: 12px;">of ${formatMoney(cat.budget)}</span>` : ''}</span>
         </div>
       `).join('') : '<p style="color: var(--text-secondary);">No expenses this month</p>'}
     </div>
+    <div class="report-section">
+      <h3>Spending by Tag (This Month)</h3>
+      ${topTags.length > 0 ? topTags.map(t => `
+        <div style="display: flex; justify-content: space-between; padding: 8px 0; border-bottom: 1px solid var(--border);">
+          <span><span class="tag-chip">#${t.tag}</span> <span style="color: var(--text-secondary); font-size: 12px;">${t.count} transaction${t.count === 1 ? '' : 's'}</span></span>
+          <strong>${formatMoney(t.total)}</strong>
+        </div>
+      `).join('') + '<p style="color: var(--text-secondary); font-size: 12px;">Transactions with several tags count toward each of them.</p>' : '<p style="color: var(--text-secondary);">No tagged expenses this month</p>'}
+    </div>
   `;
 }
 
@@ -915,29 +953,15 @@ export function renderInsights() {
   if (!container) return;
   
   const data = stateManager.getActiveData();
-  const transactions = data.transactions || [];
   const now = new Date();
   const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
   const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
   const lastMonthStr = `${lastMonth.getFullYear()}-${String(lastMonth.getMonth() + 1).padStart(2, '0')}`;
   
-  const currentMonthTx = transactions.filter(t => t.date.startsWith(currentMonth));
-  const lastMonthTx = transactions.filter(t => t.date.startsWith(lastMonthStr));
-  
-  const currentCategoryTotals = {};
-  const lastCategoryTotals = {};
-  
-  currentMonthTx.forEach(t => {
-    if (t.type === 'expense') {
-      currentCategoryTotals[t.categoryId] = (currentCategoryTotals[t.categoryId] || 0) + t.amount;
-    }
-  });
-  
-  lastMonthTx.forEach(t => {
-    if (t.type === 'expense') {
-      lastCategoryTotals[t.categoryId] = (lastCategoryTotals[t.categoryId] || 0) + t.amount;
-    }
-  });
+  // Last month may be older than the loaded transaction history, so use the monthly activity
+  const activity = getMonthlyActivity(data);
+  const currentCategoryTotals = activity.get(currentMonth)?.spent || {};
+  const lastCategoryTotals = activity.get(lastMonthStr)?.spent || {};
   
   const insights = [];
   
@@ -958,8 +982,8 @@ export function renderInsights() {
     }
   });
   
-  const currentTotal = currentMonthTx.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
-  const lastTotal = lastMonthTx.filter(t => t.type === 'expense').reduce((sum, t) => sum + t.amount, 0);
+  const currentTotal = Object.values(currentCategoryTotals).reduce((sum, amount) => sum + amount, 0);
+  const lastTotal = Object.values(lastCategoryTotals).reduce((sum, amount) => sum + amount, 0);
   if (lastTotal > 0) {
     const change = ((currentTotal - lastTotal) / lastTotal) * 100;
     if (Math.abs(change) >= PERCENTAGE_THRESHOLDS.TOTAL_SPENDING_CHANGE) {
@@ -970,19 +994,43 @@ export function renderInsights() {
     }
   }
   
-  data.categories.forEach(cat => {
-    if (cat.monthlyBudget || cat.monthly_budget) {
-      const budget = cat.monthlyBudget || cat.monthly_budget;
-      const spent = currentCategoryTotals[cat.id] || 0;
-      const percentage = (spent / budget) * 100;
+  if (isZeroBased(data)) {
+    // Zero-based: compare spending with what the category had available (rollover + assigned)
+    const { envelopes } = getEnvelopeSummary(currentMonth, data);
+    data.categories.forEach(cat => {
+      const envelope = envelopes[cat.id];
+      if (!envelope || !envelope.activity) return;
+      const funded = envelope.carryover + envelope.assigned;
+      if (envelope.available < 0) {
+        insights.push({
+          type: 'danger',
+          message: `${cat.name} is overspent by ${formatMoney(-envelope.available)}. Move money into it from another category.`
+        });
+        return;
+      }
+      const percentage = (envelope.activity / funded) * 100;
       if (percentage >= PERCENTAGE_THRESHOLDS.BUDGET_WARNING) {
         insights.push({
-          type: percentage >= PERCENTAGE_THRESHOLDS.BUDGET_EXCEEDED ? 'danger' : 'warning',
-          message: `${cat.name} budget: ${percentage.toFixed(0)}% used (${formatMoney(spent)} / ${formatMoney(budget)})`
+          type: 'warning',
+          message: `${cat.name}: ${percentage.toFixed(0)}% of available spent (${formatMoney(envelope.available)} left)`
         });
       }
-    }
-  });
+    });
+  } else {
+    data.categories.forEach(cat => {
+      const budget = getCategoryBudget(cat, currentMonth, data);
+      if (budget) {
+        const spent = currentCategoryTotals[cat.id] || 0;
+        const percentage = (spent / budget) * 100;
+        if (percentage >= PERCENTAGE_THRESHOLDS.BUDGET_WARNING) {
+          insights.push({
+            type: percentage >= PERCENTAGE_THRESHOLDS.BUDGET_EXCEEDED ? 'danger' : 'warning',
+            message: `${cat.name} budget: ${percentage.toFixed(0)}% used (${formatMoney(spent)} / ${formatMoney(budget)})`
+          });
+        }
+      }
+    });
+  }
   
   container.innerHTML = '';
   
@@ -1045,7 +1093,10 @@ export function renderAll() {
   renderProfileSelector();
   updateMonthYearSelectors();
   renderCategoryFilters();
+  renderTagFilter();
+  renderSmartFilters();
   renderKpis();
+  renderEnvelopes(getViewedMonth());
   renderTransactionsTable();
   renderSavingsGoals();
   renderCategoryChart();
@@ -1057,6 +1108,7 @@ export function renderAll() {
   renderFinancialGoals();
   renderBillReminders();
   renderReports();
+  renderBudgetReport();
   renderInsights();
 }
 
@@ -71,6 +71,28 @@ export function currentMonthISO(dateObj = new Date()) {
   return `${y}-${m}`;
 }
 
+/**
+ * Move a month forward or back
+ * @param {string} month - Month in YYYY-MM format
+ * @param {number} count - Months to add (negative to go back)
+ * @returns {string} Month in YYYY-MM format
+ */
+export function addMonths(month, count) {
+  const [y, m] = month.split('-').map(Number);
+  return currentMonthISO(new Date(y, m - 1 + count, 1));
+}
+
+/**
+ * Format a month for display (e.g. "October 2026", or "Oct 2026" short)
+ * @param {string} month - Month in YYYY-MM format
+ * @param {string} [style='long'] - Month name style ('long' or 'short')
+ * @returns {string} Month name and year
+ */
+export function formatMonthLabel(month, style = 'long') {
+  const [y, m] = month.split('-').map(Number);
+  return new Date(y, m - 1, 1).toLocaleString(undefined, { month: style, year: 'numeric' });
+}
+
 /**
  * Validate UUID string
  * @param {string} str - String to validate
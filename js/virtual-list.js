@@ -0,0 +1,152 @@
+/**
+ * Virtual List Module
+ * Renders only the items of a long list that are on (or near) the screen, with spacer elements
+ * standing in for the rest, so thousands of transactions don't lock up the page. The list scrolls
+ * with the page; item heights are measured as items are rendered and estimated until then.
+ */
+
+import { VIRTUAL_SCROLL } from './constants.js';
+
+/**
+ * Create a virtual list inside a container (a tbody or a div)
+ * @param {Object} options
+ * @param {HTMLElement} options.container - Element the items are rendered into
+ * @param {Function} options.renderItem - (item) => HTMLElement
+ * @param {Function} options.getKey - (item) => stable key, used to remember measured heights
+ * @param {Function} options.createSpacer - () => HTMLElement whose style.height is set
+ * @param {number} options.estimatedHeight - Height in pixels assumed for items not yet measured
+ * @returns {{ setItems: Function, update: Function }} List controller
+ */
+export function createVirtualList({ container, renderItem, getKey, createSpacer, estimatedHeight }) {
+  const heights = new Map();
+  let items = [];
+  let offsets = null; // offsets[i] = top of item i; offsets[items.length] = total height
+  let range = { start: 0, end: 0 };
+  let virtual = false;
+  let frame = null;
+  let topSpacer = null;
+  let bottomSpacer = null;
+  let renderedByKey = new Map();
+
+  const heightOf = (item) => heights.get(getKey(item)) ?? estimatedHeight;
+
+  function getOffsets() {
+    if (!offsets) {
+      offsets = new Array(items.length + 1);
+      offsets[0] = 0;
+      for (let i = 0; i < items.length; i++) offsets[i + 1] = offsets[i] + heightOf(items[i]);
+    }
+    return offsets;
+  }
+
+  // First index whose bottom edge is below y
+  function indexAt(y) {
+    const tops = getOffsets();
+    let lo = 0;
+    let hi = items.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (tops[mid + 1] <= y) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  // Visible part of the list, in list coordinates (0 = top of the container)
+  function getVisibleRange() {
+    const laidOut = container.offsetParent !== null;
+    const top = laidOut ? -container.getBoundingClientRect().top : 0;
+    const start = indexAt(Math.max(0, top - VIRTUAL_SCROLL.OVERSCAN));
+    const end = Math.min(items.length, indexAt(top + window.innerHeight + VIRTUAL_SCROLL.OVERSCAN) + 1);
+    return { start, end };
+  }
+
+  function sizeSpacers() {
+    const tops = getOffsets();
+    topSpacer.style.height = `${tops[range.start]}px`;
+    bottomSpacer.style.height = `${tops[items.length] - tops[range.end]}px`;
+  }
+
+  /**
+   * Draw the items in the current range
+   * @param {boolean} reuse - Keep elements already drawn for items still in range (scrolling);
+   *   false redraws everything (the items themselves changed)
+   */
+  function render(reuse) {
+    const fragment = document.createDocumentFragment();
+    const rendered = [];
+    const previous = reuse ? renderedByKey : new Map();
+    renderedByKey = new Map();
+    if (virtual) fragment.appendChild(topSpacer);
+    for (let i = range.start; i < range.end; i++) {
+      const key = getKey(items[i]);
+      const el = previous.get(key) || renderItem(items[i]);
+      if (!el) continue;
+      renderedByKey.set(key, el);
+      if (!previous.has(key)) rendered.push([items[i], el]);
+      fragment.appendChild(el);
+    }
+    if (virtual) fragment.appendChild(bottomSpacer);
+
+    container.innerHTML = '';
+    container.appendChild(fragment);
+    if (!virtual) return;
+
+    // Remember real heights so spacers (and later ranges) line up with what was drawn
+    let changed = false;
+    rendered.forEach(([item, el]) => {
+      const style = getComputedStyle(el);
+      const height = el.offsetHeight + (parseFloat(style.marginTop) || 0) + (parseFloat(style.marginBottom) || 0);
+      if (height > 0 && height !== heights.get(getKey(item))) {
+        heights.set(getKey(item), height);
+        changed = true;
+      }
+    });
+    if (changed) offsets = null;
+    sizeSpacers();
+  }
+
+  /**
+   * Re-render if the visible range changed (or always, when forced)
+   * @param {boolean} [force=false] - Re-render even if the same items are visible
+   */
+  function update(force = false) {
+    if (!virtual) {
+      if (force) render(false);
+      return;
+    }
+    const next = getVisibleRange();
+    if (!force && next.start === range.start && next.end === range.end) return;
+    range = next;
+    render(!force);
+  }
+
+  /**
+   * Replace the list's items and render the part of them that is on screen
+   * Short lists (up to VIRTUAL_SCROLL.THRESHOLD items) are rendered in full.
+   * @param {Array} nextItems - Items in display order
+   */
+  function setItems(nextItems) {
+    items = nextItems || [];
+    offsets = null;
+    virtual = items.length > VIRTUAL_SCROLL.THRESHOLD;
+    if (virtual && !topSpacer) {
+      topSpacer = createSpacer();
+      bottomSpacer = createSpacer();
+    }
+    range = { start: 0, end: items.length };
+    update(true);
+  }
+
+  const onScroll = () => {
+    if (frame || !virtual) return;
+    frame = requestAnimationFrame(() => {
+      frame = null;
+      update();
+    });
+  };
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', onScroll, { passive: true });
+
+  return { setItems, update };
+}
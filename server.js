@@ -19,12 +19,19 @@ if (fs.existsSync(envLocalPath)) {
 
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
 const { Configuration, PlaidApi, PlaidEnvironments } = require('plaid');
+const { createClient } = require('@supabase/supabase-js');
 
 const app = express();
 
 app.use(cors());
-app.use(express.json());
+// Keep the raw body so Plaid webhook signatures can be checked against its SHA-256
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Serve specific routes BEFORE static files
 // Serve the dashboard HTML file
@@ -141,8 +148,141 @@ if (plaidClientId && plaidSecret && plaidClientId !== 'YOUR_CLIENT_ID' && plaidS
   console.log('ℹ️  Plaid credentials not configured - bank connection feature disabled');
 }
 
+// Server-side Supabase client (service role) for Plaid items.
+// plaid_items has RLS enabled with no client policies, so only this client can read access tokens.
+let supabaseAdmin = null;
+const supabaseServiceUrl = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (supabaseServiceUrl && supabaseServiceRoleKey) {
+  supabaseAdmin = createClient(supabaseServiceUrl, supabaseServiceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  });
+} else {
+  console.log('ℹ️  SUPABASE_SERVICE_ROLE_KEY not configured - bank connections cannot be stored');
+}
+
+// Plaid access tokens are encrypted at rest with AES-256-GCM.
+// PLAID_TOKEN_ENCRYPTION_KEY must be 32 random bytes, base64 encoded (e.g. `openssl rand -base64 32`).
+function getTokenEncryptionKey() {
+  const raw = process.env.PLAID_TOKEN_ENCRYPTION_KEY;
+  const key = raw ? Buffer.from(raw, 'base64') : null;
+  if (!key || key.length !== 32) {
+    throw new Error('PLAID_TOKEN_ENCRYPTION_KEY must be a base64-encoded 32-byte key');
+  }
+  return key;
+}
+
+function encryptAccessToken(accessToken) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getTokenEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(accessToken, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ['v1', iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+function decryptAccessToken(stored) {
+  const [version, iv, tag, encrypted] = (stored || '').split(':');
+  if (version !== 'v1' || !iv || !tag || !encrypted) {
+    throw new Error('Stored access token has an unknown format');
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getTokenEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+}
+
+async function isBudgetMember(budgetId, userId) {
+  const { data: budget, error: budgetError } = await supabaseAdmin
+    .from('budgets')
+    .select('id')
+    .eq('id', budgetId)
+    .eq('owner_id', userId)
+    .maybeSingle();
+  if (budgetError) throw budgetError;
+  if (budget) return true;
+
+  const { data: member, error: memberError } = await supabaseAdmin
+    .from('budget_members')
+    .select('id')
+    .eq('budget_id', budgetId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (memberError) throw memberError;
+  return !!member;
+}
+
+// Require a Supabase session (Authorization: Bearer <jwt>) for a member of `budget_id`.
+// Sets req.user and req.budgetId for the route handler.
+async function requireBudgetMember(req, res, next) {
+  try {
+    if (!supabaseAdmin) {
+      return res.status(503).json({
+        error: 'Bank connection is not available',
+        message: 'SUPABASE_SERVICE_ROLE_KEY is not configured on the server.'
+      });
+    }
+
+    const header = req.headers.authorization || '';
+    const jwt = header.startsWith('Bearer ') ? header.slice(7) : null;
+    if (!jwt) {
+      return res.status(401).json({ error: 'Sign in to use bank connections' });
+    }
+
+    const { data, error } = await supabaseAdmin.auth.getUser(jwt);
+    if (error || !data?.user) {
+      return res.status(401).json({ error: 'Session expired. Please sign in again.' });
+    }
+
+    const budgetId = req.body?.budget_id || req.query.budget_id;
+    if (!budgetId) {
+      return res.status(400).json({ error: 'budget_id is required' });
+    }
+
+    if (!(await isBudgetMember(budgetId, data.user.id))) {
+      return res.status(403).json({ error: 'You are not a member of this budget' });
+    }
+
+    req.user = data.user;
+    req.budgetId = budgetId;
+    next();
+  } catch (error) {
+    console.error('Error checking budget membership:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Load a budget's Plaid item with its decrypted access token
+async function getPlaidItem(budgetId, itemId) {
+  const { data, error } = await supabaseAdmin
+    .from('plaid_items')
+    .select('*')
+    .eq('budget_id', budgetId)
+    .eq('item_id', itemId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) return null;
+  return { ...data, access_token: decryptAccessToken(data.access_token_encrypted) };
+}
+
+// Client-safe view of a Plaid item (never includes the access token)
+function toClientItem(item) {
+  return {
+    item_id: item.item_id,
+    institution_name: item.institution_name,
+    accounts: item.accounts || [],
+    excluded_account_ids: item.excluded_account_ids || [],
+    status: item.status || 'ok',
+    status_updated_at: item.status_updated_at || null,
+    consent_expires_at: item.consent_expires_at || null,
+    sync_requested_at: item.sync_requested_at || null,
+    last_synced_at: item.last_synced_at || null,
+    last_error: item.last_error || null,
+    created_at: item.created_at
+  };
+}
+
 // Create Link token for frontend
-app.post('/api/create_link_token', async (req, res) => {
+app.post('/api/create_link_token', requireBudgetMember, async (req, res) => {
   try {
     // Check if Plaid is configured
     if (!client) {
@@ -155,7 +295,7 @@ app.post('/api/create_link_token', async (req, res) => {
 
     const request = {
       user: {
-        client_user_id: req.body.userId || 'user_' + Date.now(),
+        client_user_id: req.user.id,
       },
       client_name: 'Budget Dashboard',
       products: ['transactions'],
@@ -163,6 +303,17 @@ app.post('/api/create_link_token', async (req, res) => {
       language: 'en',
     };
 
+    // Update mode: passing an existing item's access token (instead of products) lets the user
+    // repair that connection, so it keeps its item_id, accounts, and sync cursor
+    if (req.body.item_id) {
+      const item = await getPlaidItem(req.budgetId, req.body.item_id);
+      if (!item) {
+        return res.status(404).json({ error: 'Bank connection not found' });
+      }
+      delete request.products;
+      request.access_token = item.access_token;
+    }
+
     // Optional: Plaid Transactions can require time to prepare data. Providing a webhook lets Plaid notify us
     // when the product is ready (avoids PRODUCT_NOT_READY loops).
     if (process.env.PLAID_WEBHOOK_URL) {
@@ -175,7 +326,11 @@ app.post('/api/create_link_token', async (req, res) => {
       request.link_customization_name = process.env.PLAID_LINK_CUSTOMIZATION;
     }
 
-    console.log('Creating link token with request:', { ...request, user: { client_user_id: request.user.client_user_id } });
+    console.log('Creating link token with request:', {
+      ...request,
+      access_token: request.access_token ? '***' : undefined,
+      user: { client_user_id: request.user.client_user_id }
+    });
     const response = await client.linkTokenCreate(request);
     console.log('Link token created successfully');
     res.json({ link_token: response.data.link_token });
@@ -189,26 +344,144 @@ app.post('/api/create_link_token', async (req, res) => {
   }
 });
 
-// Plaid webhook receiver (minimal)
+// Plaid webhook verification keys, cached by key id (kid) with the time they were fetched.
+// Cached keys are re-fetched after WEBHOOK_KEY_TTL_MS so a key Plaid has since expired stops
+// verifying webhooks.
+const webhookKeyCache = new Map();
+const WEBHOOK_MAX_AGE_SECONDS = 5 * 60;
+const WEBHOOK_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Verify the Plaid-Verification JWT (ES256) and that it was issued for this exact body.
+// See https://plaid.com/docs/api/webhooks/webhook-verification/
+async function verifyPlaidWebhook(req) {
+  const token = req.headers['plaid-verification'];
+  if (!token || !client) return false;
+
+  const [headerB64, payloadB64, signatureB64] = token.split('.');
+  if (!headerB64 || !payloadB64 || !signatureB64) return false;
+
+  const header = JSON.parse(Buffer.from(headerB64, 'base64url').toString('utf8'));
+  if (header.alg !== 'ES256' || !header.kid) return false;
+
+  const cached = webhookKeyCache.get(header.kid);
+  let jwk = cached?.key;
+  if (!cached || Date.now() - cached.fetchedAt > WEBHOOK_KEY_TTL_MS) {
+    const response = await client.webhookVerificationKeyGet({ key_id: header.kid });
+    jwk = response.data.key;
+    webhookKeyCache.set(header.kid, { key: jwk, fetchedAt: Date.now() });
+  }
+  if (jwk.expired_at) return false;
+
+  const publicKey = crypto.createPublicKey({
+    key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y },
+    format: 'jwk'
+  });
+  const signatureValid = crypto.verify(
+    'sha256',
+    Buffer.from(`${headerB64}.${payloadB64}`),
+    { key: publicKey, dsaEncoding: 'ieee-p1363' },
+    Buffer.from(signatureB64, 'base64url')
+  );
+  if (!signatureValid) return false;
+
+  const payload = JSON.parse(Buffer.from(payloadB64, 'base64url').toString('utf8'));
+  if (!payload.iat || Math.floor(Date.now() / 1000) - payload.iat > WEBHOOK_MAX_AGE_SECONDS) return false;
+
+  const bodyHash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+  const expectedHash = String(payload.request_body_sha256 || '');
+  return bodyHash.length === expectedHash.length &&
+    crypto.timingSafeEqual(Buffer.from(bodyHash), Buffer.from(expectedHash));
+}
+
+// Transactions webhooks that mean /transactions/sync has something new for the item
+const SYNC_WEBHOOK_CODES = new Set([
+  'SYNC_UPDATES_AVAILABLE',
+  'INITIAL_UPDATE',
+  'HISTORICAL_UPDATE',
+  'TRANSACTIONS_REMOVED'
+]);
+
+// Translate a webhook into plaid_items updates. Members' dashboards pick these up on their
+// next load: queued syncs are run and status changes show in the notification center.
+function getPlaidItemWebhookUpdates(body) {
+  const now = new Date().toISOString();
+  const { webhook_type, webhook_code } = body;
+
+  if (webhook_type === 'TRANSACTIONS' && SYNC_WEBHOOK_CODES.has(webhook_code)) {
+    return { sync_requested_at: now };
+  }
+
+  if (webhook_type === 'ITEM') {
+    const loginRequired =
+      webhook_code === 'ITEM_LOGIN_REQUIRED' ||
+      (webhook_code === 'ERROR' && body.error?.error_code === 'ITEM_LOGIN_REQUIRED');
+    if (loginRequired) {
+      return {
+        status: 'login_required',
+        status_updated_at: now,
+        last_error: body.error?.display_message || body.error?.error_message || 'Bank login required',
+        last_error_at: now
+      };
+    }
+    if (webhook_code === 'PENDING_EXPIRATION') {
+      return {
+        status: 'pending_expiration',
+        status_updated_at: now,
+        consent_expires_at: body.consent_expiration_time || null
+      };
+    }
+    if (webhook_code === 'LOGIN_REPAIRED') {
+      return { status: 'ok', status_updated_at: now, consent_expires_at: null };
+    }
+  }
+
+  return null;
+}
+
+// Plaid webhook receiver
 // Configure PLAID_WEBHOOK_URL to point here, e.g. https://<your-domain>/api/plaid/webhook
-app.post('/api/plaid/webhook', (req, res) => {
+app.post('/api/plaid/webhook', async (req, res) => {
+  const body = req.body || {};
+
   try {
-    const body = req.body || {};
-    console.log('Plaid webhook received:', {
-      webhook_type: body.webhook_type,
-      webhook_code: body.webhook_code,
-      item_id: body.item_id,
-      environment: body.environment,
-      request_id: body.request_id
-    });
+    if (!(await verifyPlaidWebhook(req))) {
+      console.warn('Rejected Plaid webhook with missing or invalid signature');
+      return res.status(401).json({ error: 'Invalid webhook signature' });
+    }
+  } catch (e) {
+    console.error('Error verifying Plaid webhook:', e);
+    return res.status(401).json({ error: 'Invalid webhook signature' });
+  }
+
+  console.log('Plaid webhook received:', {
+    webhook_type: body.webhook_type,
+    webhook_code: body.webhook_code,
+    item_id: body.item_id,
+    environment: body.environment,
+    request_id: body.request_id
+  });
+
+  try {
+    const updates = getPlaidItemWebhookUpdates(body);
+    if (updates && body.item_id && supabaseAdmin) {
+      const { error } = await supabaseAdmin
+        .from('plaid_items')
+        .update({ ...updates, last_webhook_code: body.webhook_code })
+        .eq('item_id', body.item_id);
+      if (error) throw error;
+    }
   } catch (e) {
     console.error('Error handling Plaid webhook:', e);
+    // Non-200 makes Plaid retry the webhook later
+    return res.status(500).json({ error: 'Webhook handling failed' });
   }
+
   res.status(200).json({ ok: true });
 });
 
 // Exchange public token for access token
-app.post('/api/exchange_token', async (req, res) => {
+// The access token is encrypted and stored in plaid_items; only the item id goes back to the browser.
+app.post('/api/exchange_token', requireBudgetMember, async (req, res) => {
   try {
     if (!client) {
       return res.status(503).json({ 
@@ -217,23 +490,175 @@ app.post('/api/exchange_token', async (req, res) => {
       });
     }
     
-    const { public_token } = req.body;
+    const { public_token, institution_name, accounts } = req.body;
     const response = await client.itemPublicTokenExchange({
       public_token: public_token,
     });
 
-    res.json({
-      access_token: response.data.access_token,
-      item_id: response.data.item_id,
-    });
+    const { data: item, error } = await supabaseAdmin
+      .from('plaid_items')
+      .upsert({
+        budget_id: req.budgetId,
+        item_id: response.data.item_id,
+        access_token_encrypted: encryptAccessToken(response.data.access_token),
+        institution_name: institution_name || null,
+        accounts: Array.isArray(accounts) ? accounts : [],
+        created_by: req.user.id
+      }, { onConflict: 'budget_id,item_id' })
+      .select()
+      .single();
+    if (error) throw error;
+
+    res.json({ item: toClientItem(item) });
   } catch (error) {
     console.error('Error exchanging token:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Get transactions
-app.post('/api/transactions', async (req, res) => {
+// List a budget's bank connections
+app.get('/api/plaid/items', requireBudgetMember, async (req, res) => {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('plaid_items')
+      .select('*')
+      .eq('budget_id', req.budgetId)
+      .order('created_at', { ascending: true });
+    if (error) throw error;
+
+    res.json({ items: (data || []).map(toClientItem) });
+  } catch (error) {
+    console.error('Error listing Plaid items:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Transform a Plaid transaction to a client-friendly format.
+// NOTE: Do NOT set our internal `transactions.id` here (Supabase expects a UUID).
+// Use `plaid_id` as the external identifier; the client will insert into Supabase (UUID generated by DB).
+// Plaid Transactions: amounts are typically positive for money out (debits) and negative for money in (credits).
+function toClientTransaction(t) {
+  const amt = Number(t.amount);
+  // In practice, most spending is returned as positive amounts.
+  const isExpense = amt > 0;
+  return {
+    date: t.date,
+    description: t.name || t.merchant_name || 'Unknown',
+    amount: Math.abs(amt),
+    type: isExpense ? 'expense' : 'income',
+    merchant: t.merchant_name || null,
+    // categoryId is assigned client-side: the budget maps Plaid's personal finance
+    // category (primary, or the more specific detailed code) to its own categories.
+    plaid_category_primary: t.personal_finance_category?.primary || null,
+    plaid_category_detailed: t.personal_finance_category?.detailed || null,
+    plaid_id: t.transaction_id,
+    account_id: t.account_id,
+    // Pending charges are replaced by a posted transaction with a new id;
+    // pending_plaid_id on the posted one points back at the pending row.
+    pending: !!t.pending,
+    pending_plaid_id: t.pending_transaction_id || null,
+  };
+}
+
+// Pull every page of /transactions/sync starting at `cursor`.
+// If the item changes while paging, Plaid asks us to restart from the original cursor.
+async function syncAllTransactions(access_token, cursor) {
+  const MAX_RESTARTS = 3;
+
+  for (let attempt = 0; ; attempt++) {
+    let added = [];
+    let modified = [];
+    let removed = [];
+    let nextCursor = cursor || undefined;
+    let hasMore = true;
+    let updateStatus;
+
+    try {
+      while (hasMore) {
+        const response = await client.transactionsSync({
+          access_token: access_token,
+          cursor: nextCursor,
+          count: 500,
+          options: { include_personal_finance_category: true },
+        });
+        const data = response.data;
+        added = added.concat(data.added || []);
+        modified = modified.concat(data.modified || []);
+        removed = removed.concat(data.removed || []);
+        hasMore = data.has_more;
+        nextCursor = data.next_cursor;
+        updateStatus = data.transactions_update_status;
+      }
+      return { added, modified, removed, nextCursor, updateStatus };
+    } catch (plaidError) {
+      const errorCode = plaidError.response?.data?.error_code;
+      if (errorCode === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' && attempt < MAX_RESTARTS) {
+        console.log('Transactions changed during sync pagination - restarting from saved cursor');
+        continue;
+      }
+      throw plaidError;
+    }
+  }
+}
+
+// Mark an item as working again after the user finished Link update mode
+// (Plaid also sends LOGIN_REPAIRED, but that webhook may arrive later or not be configured)
+app.post('/api/plaid/items/reconnected', requireBudgetMember, async (req, res) => {
+  try {
+    const { item_id } = req.body;
+    if (!item_id) {
+      return res.status(400).json({ error: 'item_id is required' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('plaid_items')
+      .update({ status: 'ok', status_updated_at: new Date().toISOString(), consent_expires_at: null })
+      .eq('budget_id', req.budgetId)
+      .eq('item_id', item_id)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Bank connection not found' });
+    }
+
+    res.json({ item: toClientItem(data) });
+  } catch (error) {
+    console.error('Error marking Plaid item reconnected:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Choose which of an item's accounts have their transactions imported
+app.post('/api/plaid/items/accounts', requireBudgetMember, async (req, res) => {
+  try {
+    const { item_id, excluded_account_ids } = req.body;
+    if (!item_id || !Array.isArray(excluded_account_ids)) {
+      return res.status(400).json({ error: 'item_id and excluded_account_ids are required' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('plaid_items')
+      .update({ excluded_account_ids: excluded_account_ids.filter(id => typeof id === 'string') })
+      .eq('budget_id', req.budgetId)
+      .eq('item_id', item_id)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Bank connection not found' });
+    }
+
+    res.json({ item: toClientItem(data) });
+  } catch (error) {
+    console.error('Error updating Plaid item accounts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Unlink a bank: revoke the item at Plaid (/item/remove) and forget it.
+// Transactions already imported stay in the budget.
+app.post('/api/plaid/items/remove', requireBudgetMember, async (req, res) => {
   try {
     if (!client) {
       return res.status(503).json({ 
@@ -241,64 +666,77 @@ app.post('/api/transactions', async (req, res) => {
         message: 'Plaid credentials are not configured.'
       });
     }
-    
-    console.log('Received transaction request:', {
-      hasBody: !!req.body,
-      bodyKeys: req.body ? Object.keys(req.body) : [],
-      access_token: req.body?.access_token ? '***' : 'MISSING',
-      start_date: req.body?.start_date,
-      end_date: req.body?.end_date
-    });
-    
-    const { access_token, start_date, end_date, account_ids } = req.body;
-
-    if (!access_token) {
-      console.error('Missing access_token in request body');
-      return res.status(400).json({ 
-        error: 'access_token is required',
-        received: {
-          hasBody: !!req.body,
-          bodyKeys: req.body ? Object.keys(req.body) : []
-        }
-      });
-    }
 
-    // Validate and set dates
-    const endDate = end_date || new Date().toISOString().split('T')[0];
-    const startDate = start_date || '2020-01-01';
+    const item = req.body.item_id ? await getPlaidItem(req.budgetId, req.body.item_id) : null;
+    if (!item) {
+      return res.status(404).json({ error: 'Bank connection not found' });
+    }
 
-    // Validate date format (YYYY-MM-DD)
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
-      return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+    try {
+      await client.itemRemove({ access_token: item.access_token });
+    } catch (plaidError) {
+      // An item Plaid no longer knows about can still be forgotten locally
+      const errorCode = plaidError.response?.data?.error_code;
+      if (errorCode !== 'ITEM_NOT_FOUND' && errorCode !== 'INVALID_ACCESS_TOKEN') {
+        const errorDetails = plaidError.response?.data || plaidError.message;
+        console.error('Plaid item remove error:', JSON.stringify(errorDetails, null, 2));
+        return res.status(plaidError.response?.status || 400).json({
+          error: errorDetails?.error_message || errorDetails?.error_code || plaidError.message,
+          details: errorDetails
+        });
+      }
     }
 
-    console.log(`Fetching transactions from ${startDate} to ${endDate}`);
+    const { error } = await supabaseAdmin
+      .from('plaid_items')
+      .delete()
+      .eq('id', item.id);
+    if (error) throw error;
 
-    // Plaid transactionsGet requires specific format
-    const request = {
-      access_token: access_token,
-      start_date: startDate,
-      end_date: endDate,
-      options: {
-        count: 500,
-        offset: 0,
-      },
-    };
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Error removing Plaid item:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Optional account filter (lets us exclude savings accounts from transaction imports)
-    if (Array.isArray(account_ids) && account_ids.length > 0) {
-      request.options.account_ids = account_ids;
-      console.log(`Filtering transactions to ${account_ids.length} account(s)`);
+// Sync transactions: returns only what was added, modified, or removed since the item's stored cursor.
+// The cursor is not advanced here; the client confirms `next_cursor` via /api/transactions/cursor
+// once it has applied the deltas, so a failed import is re-sent on the next sync.
+app.post('/api/transactions', requireBudgetMember, async (req, res) => {
+  try {
+    if (!client) {
+      return res.status(503).json({ 
+        error: 'Bank connection is not available',
+        message: 'Plaid credentials are not configured.'
+      });
+    }
+    
+    const item = req.body.item_id ? await getPlaidItem(req.budgetId, req.body.item_id) : null;
+    if (!item) {
+      return res.status(404).json({ error: 'Bank connection not found. Please reconnect your bank account.' });
     }
+    const cursor = item.transactions_cursor;
+    const syncStartedAt = new Date().toISOString();
+
+    console.log(`Syncing transactions ${cursor ? 'from saved cursor' : '(initial sync)'}`);
 
-    let response;
+    let result;
     try {
-      response = await client.transactionsGet(request);
+      result = await syncAllTransactions(item.access_token, cursor);
     } catch (plaidError) {
       console.error('Plaid API error:', plaidError);
       const errorDetails = plaidError.response?.data || plaidError.message;
       console.error('Plaid error details:', JSON.stringify(errorDetails, null, 2));
+
+      // Shown in the Connections panel until the next successful sync
+      await supabaseAdmin
+        .from('plaid_items')
+        .update({
+          last_error: errorDetails?.display_message || errorDetails?.error_message || plaidError.message,
+          last_error_at: new Date().toISOString()
+        })
+        .eq('id', item.id);
       
       // Return the actual Plaid error
       return res.status(plaidError.response?.status || 400).json({
@@ -307,63 +745,27 @@ app.post('/api/transactions', async (req, res) => {
       });
     }
 
-    // Handle pagination if needed
-    let allTransactions = response.data.transactions || [];
-    let totalTransactions = response.data.total_transactions || 0;
-
-    console.log(`Received ${allTransactions.length} of ${totalTransactions} total transactions`);
-
-    // Fetch remaining transactions if there are more
-    while (allTransactions.length < totalTransactions && allTransactions.length < 1000) {
-      const paginatedRequest = {
-        ...request,
-        options: {
-          count: 500,
-          offset: allTransactions.length,
-        },
-      };
-      if (request.options.account_ids) {
-        paginatedRequest.options.account_ids = request.options.account_ids;
-      }
-      
-      try {
-        const paginatedResponse = await client.transactionsGet(paginatedRequest);
-        const newTransactions = paginatedResponse.data.transactions || [];
-        allTransactions = allTransactions.concat(newTransactions);
-        console.log(`Fetched ${allTransactions.length} of ${totalTransactions} transactions`);
-      } catch (paginatedError) {
-        console.error('Error fetching paginated transactions:', paginatedError);
-        break; // Stop pagination on error
-      }
-    }
+    // Skip accounts the budget excluded in the Connections panel.
+    // Removals are always passed through; the client only deletes rows it already has.
+    const excluded = new Set(item.excluded_account_ids || []);
+    const keep = t => !excluded.has(t.account_id);
 
-    console.log(`Total transactions from Plaid: ${allTransactions.length}`);
+    const added = result.added.filter(keep).map(toClientTransaction);
+    const modified = result.modified.filter(keep).map(toClientTransaction);
+    const removed = result.removed.map(t => t.transaction_id).filter(Boolean);
 
-    // Transform Plaid transactions to a client-friendly format.
-    // NOTE: Do NOT set our internal `transactions.id` here (Supabase expects a UUID).
-    // Use `plaid_id` as the external identifier; the client will insert into Supabase (UUID generated by DB).
-    // Plaid Transactions: amounts are typically positive for money out (debits) and negative for money in (credits).
-    const transactions = allTransactions.map(t => {
-      const amt = Number(t.amount);
-      // In practice, most spending is returned as positive amounts.
-      const isExpense = amt > 0;
-      return {
-        date: t.date,
-        description: t.name || t.merchant_name || 'Unknown',
-        amount: Math.abs(amt),
-        type: isExpense ? 'expense' : 'income',
-        // categoryId is assigned client-side based on the active budget's categories
-        // (Supabase IDs are UUIDs, so a hard-coded "other" would not match).
-        note: t.category ? t.category.join(', ') : '',
-        plaid_id: t.transaction_id,
-        account_id: t.account_id,
-      };
+    console.log(`Sync result: ${added.length} added, ${modified.length} modified, ${removed.length} removed`);
+    res.json({
+      added,
+      modified,
+      removed,
+      next_cursor: result.nextCursor,
+      has_cursor: !!cursor,
+      sync_started_at: syncStartedAt,
+      transactions_update_status: result.updateStatus || null
     });
-
-    console.log(`Transformed ${transactions.length} transactions`);
-    res.json({ transactions });
   } catch (error) {
-    console.error('Unexpected error fetching transactions:', error);
+    console.error('Unexpected error syncing transactions:', error);
     console.error('Error stack:', error.stack);
     res.status(500).json({ 
       error: error.message || 'Unknown error occurred',
@@ -372,8 +774,45 @@ app.post('/api/transactions', async (req, res) => {
   }
 });
 
+// Save an item's sync cursor after the client has applied the deltas up to it.
+// Also clears a webhook-queued sync, unless another webhook arrived after this sync started.
+app.post('/api/transactions/cursor', requireBudgetMember, async (req, res) => {
+  try {
+    const { item_id, cursor, sync_started_at } = req.body;
+    if (!item_id || typeof cursor !== 'string') {
+      return res.status(400).json({ error: 'item_id and cursor are required' });
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from('plaid_items')
+      .update({ transactions_cursor: cursor, last_synced_at: new Date().toISOString(), last_error: null, last_error_at: null })
+      .eq('budget_id', req.budgetId)
+      .eq('item_id', item_id)
+      .select('item_id');
+    if (error) throw error;
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Bank connection not found' });
+    }
+
+    if (sync_started_at) {
+      const { error: clearError } = await supabaseAdmin
+        .from('plaid_items')
+        .update({ sync_requested_at: null })
+        .eq('budget_id', req.budgetId)
+        .eq('item_id', item_id)
+        .lte('sync_requested_at', sync_started_at);
+      if (clearError) throw clearError;
+    }
+
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Error saving sync cursor:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get accounts
-app.post('/api/accounts', async (req, res) => {
+app.post('/api/accounts', requireBudgetMember, async (req, res) => {
   try {
     if (!client) {
       return res.status(503).json({ 
@@ -382,9 +821,13 @@ app.post('/api/accounts', async (req, res) => {
       });
     }
     
-    const { access_token } = req.body;
+    const item = req.body.item_id ? await getPlaidItem(req.budgetId, req.body.item_id) : null;
+    if (!item) {
+      return res.status(404).json({ error: 'Bank connection not found. Please reconnect your bank account.' });
+    }
+
     const response = await client.accountsGet({
-      access_token: access_token,
+      access_token: item.access_token,
     });
 
     res.json({ accounts: response.data.accounts });
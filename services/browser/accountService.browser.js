@@ -54,6 +54,8 @@ export class AccountServiceBrowser {
    * @param {string} accountData.type - Account type (checking, savings, credit_card, investment)
    * @param {number} accountData.current_balance - Current balance
    * @param {number} [accountData.credit_limit] - Credit limit (required for credit cards)
+   * @param {string} [accountData.plaid_account_id] - Linked Plaid account id
+   * @param {string} [accountData.plaid_item_id] - Linked Plaid item id
    * @returns {Promise<{data: Object, error: any}>}
    */
   async createAccount(budgetId, accountData) {
@@ -65,7 +67,9 @@ export class AccountServiceBrowser {
           name: accountData.name,
           type: accountData.type,
           current_balance: accountData.current_balance || 0,
-          credit_limit: accountData.credit_limit || null
+          credit_limit: accountData.credit_limit ?? null,
+          plaid_account_id: accountData.plaid_account_id ?? null,
+          plaid_item_id: accountData.plaid_item_id ?? null
         }])
         .select()
         .single();
@@ -0,0 +1,162 @@
+/**
+ * Plaid Service (Browser)
+ * Calls the server's bank connection endpoints with the user's Supabase session.
+ * Plaid access tokens stay on the server; the browser only ever sees item ids.
+ */
+
+import { API_BASE_URL } from '../../js/constants.js';
+
+export class PlaidServiceBrowser {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Call a server endpoint as the signed-in user
+   * @param {string} path - Path under API_BASE_URL (e.g. '/transactions')
+   * @param {Object} [options]
+   * @param {string} [options.method='POST'] - HTTP method
+   * @param {Object} [options.body] - JSON body (POST)
+   * @param {Object} [options.query] - Query params (GET)
+   * @returns {Promise<{data: Object, error: any}>} On failure, error.details holds the server's error details
+   */
+  async request(path, { method = 'POST', body, query } = {}) {
+    try {
+      const { data: sessionData } = await this.supabase.auth.getSession();
+      const jwt = sessionData?.session?.access_token;
+      if (!jwt) {
+        return { data: null, error: new Error('Sign in to use bank connections') };
+      }
+
+      const qs = query ? `?${new URLSearchParams(query).toString()}` : '';
+      const response = await fetch(`${API_BASE_URL}${path}${qs}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${jwt}`
+        },
+        body: body ? JSON.stringify(body) : undefined
+      });
+
+      const json = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        const error = new Error(json.error || json.message || `Server error: ${response.status}`);
+        error.status = response.status;
+        error.details = json.details || {};
+        return { data: null, error };
+      }
+
+      return { data: json, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
+  /**
+   * Create a Plaid Link token
+   * @param {string} budgetId - Budget UUID
+   * @param {string} [itemId] - Existing item to repair (Link update mode)
+   * @returns {Promise<{data: {link_token: string}, error: any}>}
+   */
+  async createLinkToken(budgetId, itemId) {
+    return this.request('/create_link_token', {
+      body: { budget_id: budgetId, ...(itemId ? { item_id: itemId } : {}) }
+    });
+  }
+
+  /**
+   * Mark an item as working again after Link update mode succeeded
+   * @param {string} budgetId - Budget UUID
+   * @param {string} itemId - Plaid item id
+   * @returns {Promise<{data: {item: Object}, error: any}>}
+   */
+  async markItemReconnected(budgetId, itemId) {
+    return this.request('/plaid/items/reconnected', { body: { budget_id: budgetId, item_id: itemId } });
+  }
+
+  /**
+   * Exchange a Link public token; the server stores the encrypted access token
+   * @param {string} budgetId - Budget UUID
+   * @param {string} publicToken - Public token from Plaid Link
+   * @param {Object} connection - Connection details to store with the item
+   * @param {string} [connection.institutionName] - Institution display name
+   * @param {Array<Object>} [connection.accounts] - Accounts selected in Link
+   * @returns {Promise<{data: {item: Object}, error: any}>}
+   */
+  async exchangePublicToken(budgetId, publicToken, connection = {}) {
+    return this.request('/exchange_token', {
+      body: {
+        budget_id: budgetId,
+        public_token: publicToken,
+        institution_name: connection.institutionName || null,
+        accounts: connection.accounts || []
+      }
+    });
+  }
+
+  /**
+   * Get a budget's bank connections (without access tokens)
+   * @param {string} budgetId - Budget UUID
+   * @returns {Promise<{data: {items: Array}, error: any}>}
+   */
+  async getItems(budgetId) {
+    return this.request('/plaid/items', { method: 'GET', query: { budget_id: budgetId } });
+  }
+
+  /**
+   * Set which of an item's accounts are left out of transaction imports
+   * @param {string} budgetId - Budget UUID
+   * @param {string} itemId - Plaid item id
+   * @param {Array<string>} excludedAccountIds - Plaid account ids to skip
+   * @returns {Promise<{data: {item: Object}, error: any}>}
+   */
+  async updateExcludedAccounts(budgetId, itemId, excludedAccountIds) {
+    return this.request('/plaid/items/accounts', {
+      body: { budget_id: budgetId, item_id: itemId, excluded_account_ids: excludedAccountIds }
+    });
+  }
+
+  /**
+   * Unlink a bank (revokes the item at Plaid); imported transactions are kept
+   * @param {string} budgetId - Budget UUID
+   * @param {string} itemId - Plaid item id
+   * @returns {Promise<{data: Object, error: any}>}
+   */
+  async removeItem(budgetId, itemId) {
+    return this.request('/plaid/items/remove', { body: { budget_id: budgetId, item_id: itemId } });
+  }
+
+  /**
+   * Get transaction changes since the item's saved cursor
+   * @param {string} budgetId - Budget UUID
+   * @param {string} itemId - Plaid item id
+   * @returns {Promise<{data: {added: Array, modified: Array, removed: Array, next_cursor: string}, error: any}>}
+   */
+  async syncTransactions(budgetId, itemId) {
+    return this.request('/transactions', { body: { budget_id: budgetId, item_id: itemId } });
+  }
+
+  /**
+   * Save an item's sync cursor once its changes have been applied
+   * @param {string} budgetId - Budget UUID
+   * @param {string} itemId - Plaid item id
+   * @param {string} cursor - next_cursor from syncTransactions()
+   * @param {string} [syncStartedAt] - sync_started_at from syncTransactions(); clears webhook-queued syncs up to it
+   * @returns {Promise<{data: Object, error: any}>}
+   */
+  async saveCursor(budgetId, itemId, cursor, syncStartedAt) {
+    return this.request('/transactions/cursor', {
+      body: { budget_id: budgetId, item_id: itemId, cursor, sync_started_at: syncStartedAt || null }
+    });
+  }
+
+  /**
+   * Get an item's accounts and balances
+   * @param {string} budgetId - Budget UUID
+   * @param {string} itemId - Plaid item id
+   * @returns {Promise<{data: {accounts: Array}, error: any}>}
+   */
+  async getAccounts(budgetId, itemId) {
+    return this.request('/accounts', { body: { budget_id: budgetId, item_id: itemId } });
+  }
+}
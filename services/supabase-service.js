@@ -366,37 +366,120 @@ export const categoryService = {
 // TRANSACTIONS
 // ============================================
 
+/**
+ * Quote a value for a PostgREST or() filter so commas, dots and parentheses in it are literal
+ * @param {string} value - Raw value
+ * @returns {string} Quoted value
+ */
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Apply getTransactions() filters to a transactions query
+ * Several alternatives (account, search, cursor) each need an or(); they are nested in one
+ * and() so they all apply.
+ * @param {Object} query - Supabase query builder
+ * @param {Object} filters - See getTransactions()
+ * @returns {Object} Query builder
+ */
+function applyTransactionFilters(query, filters) {
+  const alternatives = [];
+
+  if (filters.startDate) {
+    query = query.gte('date', filters.startDate);
+  }
+  if (filters.endDate) {
+    query = query.lte('date', filters.endDate);
+  }
+  if (filters.type) {
+    query = query.eq('type', filters.type);
+  }
+  if (filters.categoryId) {
+    query = query.eq('category_id', filters.categoryId);
+  }
+  if (filters.accountId) {
+    // Transfers count for the account on either side
+    alternatives.push(`account_id.eq.${filters.accountId},transfer_account_id.eq.${filters.accountId}`);
+  }
+  if (filters.tag) {
+    query = query.contains('tags', [filters.tag]);
+  }
+  if (Array.isArray(filters.plaidIds)) {
+    query = query.in('plaid_id', filters.plaidIds);
+  }
+  if (filters.importBatchId) {
+    query = query.eq('import_batch_id', filters.importBatchId);
+  }
+  if (filters.search) {
+    const pattern = quoteFilterValue(`%${filters.search.replace(/[%_]/g, '\\$&')}%`);
+    alternatives.push(['description', 'merchant', 'notes'].map(column => `${column}.ilike.${pattern}`).join(','));
+  }
+  if (filters.cursor) {
+    // Rows after the cursor in date desc, id desc order
+    const { date, id } = filters.cursor;
+    alternatives.push(`date.lt.${date},and(date.eq.${date},id.lt.${id})`);
+  }
+
+  if (alternatives.length === 1) {
+    query = query.or(alternatives[0]);
+  } else if (alternatives.length > 1) {
+    query = query.or(`and(${alternatives.map(a => `or(${a})`).join(',')})`);
+  }
+
+  return query.order('date', { ascending: false }).order('id', { ascending: false });
+}
+
+/**
+ * Split a page fetched with one extra row into the page and the cursor for the next one
+ * @param {Array|null} data - Rows (limit + 1 requested)
+ * @param {number} [limit] - Page size (no limit: everything is one page)
+ * @returns {{ data: Array|null, nextCursor: Object|null }} Page rows and cursor
+ */
+function toPage(data, limit) {
+  if (!data || !limit || data.length <= limit) return { data, nextCursor: null };
+  const page = data.slice(0, limit);
+  const last = page[page.length - 1];
+  return { data: page, nextCursor: { date: last.date, id: last.id } };
+}
+
 export const transactionService = {
+  /**
+   * Get a budget's transactions, newest first
+   * @param {string} budgetId - Budget ID
+   * @param {Object} [filters]
+   * @param {string} [filters.startDate] - YYYY-MM-DD, inclusive
+   * @param {string} [filters.endDate] - YYYY-MM-DD, inclusive
+   * @param {string} [filters.type] - income, expense or transfer
+   * @param {string} [filters.categoryId] - Category (of the transaction, or of a split's largest line)
+   * @param {string} [filters.accountId] - Account on either side of the transaction
+   * @param {string} [filters.tag] - Tag the transaction carries
+   * @param {Array<string>} [filters.plaidIds] - Plaid transaction IDs
+   * @param {string} [filters.importBatchId] - Import batch the transaction was imported in
+   * @param {string} [filters.search] - Text in the description, merchant or notes
+   * @param {number} [filters.limit] - Page size; without it every matching row is returned
+   * @param {{ date: string, id: string }} [filters.cursor] - nextCursor from the previous page
+   * @returns {Promise<{ data: Array|null, error: any, nextCursor: Object|null }>} Rows and the cursor for the next page (null on the last)
+   */
   async getTransactions(budgetId, filters = {}) {
     let query = supabase
       .from('transactions')
       .select(`
         *,
         category:categories(*),
+        transaction_splits(*),
         user:profiles!transactions_user_id_fkey(id, display_name, avatar_url)
       `)
       .eq('budget_id', budgetId);
 
-    if (filters.startDate) {
-      query = query.gte('date', filters.startDate);
-    }
-    if (filters.endDate) {
-      query = query.lte('date', filters.endDate);
-    }
-    if (filters.type) {
-      query = query.eq('type', filters.type);
-    }
-    if (filters.categoryId) {
-      query = query.eq('category_id', filters.categoryId);
+    query = applyTransactionFilters(query, filters);
+    if (filters.limit) {
+      query = query.limit(filters.limit + 1);
     }
-    if (filters.search) {
-      query = query.ilike('description', `%${filters.search}%`);
-    }
-
-    query = query.order('date', { ascending: false });
 
-    const { data, error } = await query;
-    return { data, error };
+    const { data: rows, error } = await query;
+    const { data, nextCursor } = toPage(rows, filters.limit);
+    return { data, error, nextCursor };
   },
 
   async createTransaction(budgetId, userId, transaction) {
@@ -438,6 +521,57 @@ export const transactionService = {
     return { error };
   },
 
+  async deleteTransactionsByPlaidIds(budgetId, plaidIds) {
+    const { error } = await supabase
+      .from('transactions')
+      .delete()
+      .eq('budget_id', budgetId)
+      .in('plaid_id', plaidIds);
+    return { error };
+  },
+
+  /**
+   * Income and spending per month and category for transactions before a date
+   * Summarizes the history older than what the dashboard loads (split lines by their own category).
+   * @param {string} budgetId - Budget ID
+   * @param {string} before - YYYY-MM-DD (exclusive)
+   * @returns {Promise<{ data: Array<{ month: string, category_id: string|null, type: string, total: number }>|null, error: any }>} Totals
+   */
+  async getCategoryActivity(budgetId, before) {
+    const { data, error } = await supabase.rpc('get_category_activity', {
+      p_budget_id: budgetId,
+      p_before: before
+    });
+    return { data, error };
+  },
+
+  /**
+   * Replace a transaction's split lines (an empty array removes the split)
+   * The database checks that the lines sum to the transaction amount.
+   * @param {string} transactionId - Parent transaction ID
+   * @param {Array<{ category_id: string|null, amount: number, notes: string|null }>} splits - Split lines
+   */
+  async setTransactionSplits(transactionId, splits) {
+    const { error } = await supabase.rpc('set_transaction_splits', {
+      p_transaction_id: transactionId,
+      p_splits: splits
+    });
+    return { error };
+  },
+
+  /**
+   * Update many transactions in one statement (all or nothing)
+   * Each entry carries only the columns to change, so rows can get different values.
+   * @param {Array<{ id: string, category_id?: string|null, type?: string, account_id?: string|null, date?: string, notes?: string|null, tags?: Array<string> }>} updates - Row changes
+   * @returns {Promise<{ data: Array<string>|null, error: any }>} Updated transaction IDs
+   */
+  async bulkUpdateTransactions(updates) {
+    const { data, error } = await supabase.rpc('bulk_update_transactions', {
+      p_updates: updates
+    });
+    return { data, error };
+  },
+
   async bulkCreateTransactions(budgetId, userId, transactions) {
     const transactionsWithBudget = transactions.map(t => ({
       budget_id: budgetId,
@@ -631,6 +765,244 @@ export const recurringService = {
   }
 };
 
+// ============================================
+// CATEGORIZATION RULES
+// ============================================
+
+export const ruleService = {
+  async getRules(budgetId) {
+    const { data, error } = await supabase
+      .from('categorization_rules')
+      .select('*')
+      .eq('budget_id', budgetId)
+      .order('priority', { ascending: true })
+      .order('created_at', { ascending: true });
+    return { data, error };
+  },
+
+  async createRule(budgetId, rule) {
+    const { data, error } = await supabase
+      .from('categorization_rules')
+      .insert({
+        budget_id: budgetId,
+        ...rule
+      })
+      .select('*')
+      .single();
+    return { data, error };
+  },
+
+  async updateRule(ruleId, updates) {
+    const { data, error } = await supabase
+      .from('categorization_rules')
+      .update(updates)
+      .eq('id', ruleId)
+      .select('*')
+      .single();
+    return { data, error };
+  },
+
+  async deleteRule(ruleId) {
+    const { error } = await supabase
+      .from('categorization_rules')
+      .delete()
+      .eq('id', ruleId);
+    return { error };
+  }
+};
+
+// ============================================
+// PLAID CATEGORY MAPPINGS
+// ============================================
+
+export const categoryMappingService = {
+  async getMappings(budgetId) {
+    const { data, error } = await supabase
+      .from('plaid_category_mappings')
+      .select('*')
+      .eq('budget_id', budgetId);
+    return { data, error };
+  },
+
+  async upsertMappings(budgetId, mappings) {
+    const rows = mappings.map(m => ({
+      budget_id: budgetId,
+      ...m
+    }));
+
+    const { data, error } = await supabase
+      .from('plaid_category_mappings')
+      .upsert(rows, { onConflict: 'budget_id,plaid_category' })
+      .select('*');
+    return { data, error };
+  },
+
+  async deleteMapping(budgetId, plaidCategory) {
+    const { error } = await supabase
+      .from('plaid_category_mappings')
+      .delete()
+      .eq('budget_id', budgetId)
+      .eq('plaid_category', plaidCategory);
+    return { error };
+  }
+};
+
+// ============================================
+// SAVED FILTERS
+// ============================================
+
+export const savedFilterService = {
+  async getSavedFilters(budgetId) {
+    const { data, error } = await supabase
+      .from('saved_filters')
+      .select('*')
+      .eq('budget_id', budgetId)
+      .order('name', { ascending: true });
+    return { data, error };
+  },
+
+  async createSavedFilter(budgetId, filter) {
+    const { data, error } = await supabase
+      .from('saved_filters')
+      .insert({
+        budget_id: budgetId,
+        ...filter
+      })
+      .select('*')
+      .single();
+    return { data, error };
+  },
+
+  async updateSavedFilter(filterId, updates) {
+    const { data, error } = await supabase
+      .from('saved_filters')
+      .update(updates)
+      .eq('id', filterId)
+      .select('*')
+      .single();
+    return { data, error };
+  },
+
+  async deleteSavedFilter(filterId) {
+    const { error } = await supabase
+      .from('saved_filters')
+      .delete()
+      .eq('id', filterId);
+    return { error };
+  }
+};
+
+// ============================================
+// IMPORT BATCHES
+// ============================================
+
+export const importBatchService = {
+  async getImportBatches(budgetId) {
+    const { data, error } = await supabase
+      .from('import_batches')
+      .select('*')
+      .eq('budget_id', budgetId)
+      .order('created_at', { ascending: false });
+    return { data, error };
+  },
+
+  async createImportBatch(budgetId, userId, batch) {
+    const { data, error } = await supabase
+      .from('import_batches')
+      .insert({
+        budget_id: budgetId,
+        user_id: userId,
+        ...batch
+      })
+      .select('*')
+      .single();
+    return { data, error };
+  },
+
+  async deleteImportBatch(batchId) {
+    const { error } = await supabase
+      .from('import_batches')
+      .delete()
+      .eq('id', batchId);
+    return { error };
+  },
+
+  /**
+   * Delete an import's remaining transactions and mark it reverted (all or nothing)
+   * @param {string} batchId - Import batch ID
+   * @returns {Promise<{ data: number|null, error: any }>} Number of transactions deleted
+   */
+  async revertImportBatch(batchId) {
+    const { data, error } = await supabase.rpc('revert_import_batch', {
+      p_batch_id: batchId
+    });
+    return { data, error };
+  }
+};
+
+// ============================================
+// CATEGORY ALLOCATIONS (zero-based budgets)
+// ============================================
+
+export const allocationService = {
+  async getAllocations(budgetId) {
+    const { data, error } = await supabase
+      .from('category_allocations')
+      .select('*')
+      .eq('budget_id', budgetId)
+      .order('month', { ascending: true });
+    return { data, error };
+  },
+
+  /**
+   * Set the amount assigned to a category for a month (creates or replaces it)
+   * @param {string} budgetId - Budget ID
+   * @param {{ category_id: string, month: string, amount: number }} allocation - month is YYYY-MM-01
+   */
+  async upsertAllocation(budgetId, allocation) {
+    const { data, error } = await supabase
+      .from('category_allocations')
+      .upsert({
+        budget_id: budgetId,
+        ...allocation
+      }, { onConflict: 'budget_id,category_id,month' })
+      .select('*')
+      .single();
+    return { data, error };
+  }
+};
+
+// ============================================
+// CATEGORY MONTHLY BUDGETS
+// ============================================
+
+export const categoryBudgetService = {
+  async getCategoryBudgets(budgetId) {
+    const { data, error } = await supabase
+      .from('category_monthly_budgets')
+      .select('*')
+      .eq('budget_id', budgetId)
+      .order('month', { ascending: true });
+    return { data, error };
+  },
+
+  /**
+   * Set categories' budgets from a month onward (creates or replaces each category/month row)
+   * @param {string} budgetId - Budget ID
+   * @param {Array<{ category_id: string, month: string, amount: number }>} rows - month is YYYY-MM-01
+   */
+  async upsertCategoryBudgets(budgetId, rows) {
+    const { data, error } = await supabase
+      .from('category_monthly_budgets')
+      .upsert(rows.map(row => ({
+        budget_id: budgetId,
+        ...row
+      })), { onConflict: 'budget_id,category_id,month' })
+      .select('*');
+    return { data, error };
+  }
+};
+
 // ============================================
 // REALTIME SUBSCRIPTIONS
 // ============================================
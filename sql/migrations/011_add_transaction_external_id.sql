@@ -0,0 +1,12 @@
+-- Migration: Add External ID to Transactions
+-- Description: Adds external_id to transactions so statement imports (OFX/QFX FITID, QIF-derived ids) can skip rows already imported
+-- Date: 2026-10-19
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS external_id TEXT;
+
+-- An external id identifies one bank transaction within a budget
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_budget_external_id
+  ON transactions(budget_id, external_id)
+  WHERE external_id IS NOT NULL;
+
+COMMENT ON COLUMN transactions.external_id IS 'Source transaction id from an imported statement, prefixed with the statement account key';
@@ -0,0 +1,38 @@
+-- Migration: Add Plaid Items Table
+-- Description: Stores Plaid items (bank connections) per budget with the access token encrypted by the server,
+--              plus the /transactions/sync cursor. Only the server (service role) can read this table.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS plaid_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  item_id TEXT NOT NULL,
+  access_token_encrypted TEXT NOT NULL,
+  institution_name TEXT,
+  accounts JSONB NOT NULL DEFAULT '[]'::jsonb,
+  transaction_account_ids TEXT[] NOT NULL DEFAULT '{}',
+  savings_account_ids TEXT[] NOT NULL DEFAULT '{}',
+  transactions_cursor TEXT,
+  created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT plaid_items_budget_item_unique UNIQUE (budget_id, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_plaid_items_item_id ON plaid_items(item_id);
+
+CREATE TRIGGER plaid_items_updated_at_trigger
+BEFORE UPDATE ON plaid_items
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at_column();
+
+-- RLS on with no policies: the anon/authenticated roles get nothing, so access tokens
+-- never leave the server. The server checks budget membership before every request.
+ALTER TABLE plaid_items ENABLE ROW LEVEL SECURITY;
+
+REVOKE ALL ON plaid_items FROM anon, authenticated;
+
+COMMENT ON TABLE plaid_items IS 'Plaid items (bank connections) per budget; server-only';
+COMMENT ON COLUMN plaid_items.access_token_encrypted IS 'Plaid access token, AES-256-GCM encrypted with PLAID_TOKEN_ENCRYPTION_KEY (v1:iv:tag:ciphertext)';
+COMMENT ON COLUMN plaid_items.transactions_cursor IS 'Last /transactions/sync cursor the client confirmed applying';
@@ -0,0 +1,18 @@
+-- Migration: Add Plaid Item Status
+-- Description: Tracks webhook-driven state on plaid_items: queued syncs (new bank data) and
+--              connections that need the user to re-authenticate
+-- Date: 2026-10-19
+
+ALTER TABLE plaid_items
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'ok',
+  ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS consent_expires_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS sync_requested_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_webhook_code TEXT;
+
+ALTER TABLE plaid_items
+  ADD CONSTRAINT plaid_items_valid_status CHECK (status IN ('ok', 'login_required', 'pending_expiration'));
+
+COMMENT ON COLUMN plaid_items.status IS 'ok, login_required (ITEM_LOGIN_REQUIRED), or pending_expiration (consent about to expire)';
+COMMENT ON COLUMN plaid_items.sync_requested_at IS 'Set by transactions webhooks; cleared once a member syncs past it';
+COMMENT ON COLUMN plaid_items.consent_expires_at IS 'From PENDING_EXPIRATION webhooks';
@@ -0,0 +1,25 @@
+-- Migration: Plaid Item Connection Details
+-- Description: Per-account include/exclude for transaction imports (replacing the include list chosen
+--              at link time), plus last sync time and last error for the Connections settings panel
+-- Date: 2026-10-19
+
+ALTER TABLE plaid_items
+  ADD COLUMN IF NOT EXISTS excluded_account_ids TEXT[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS last_error TEXT,
+  ADD COLUMN IF NOT EXISTS last_error_at TIMESTAMPTZ;
+
+-- Carry over existing choices: accounts that were left out of the include list are now excluded
+UPDATE plaid_items
+SET excluded_account_ids = ARRAY(
+  SELECT a->>'id'
+  FROM jsonb_array_elements(accounts) AS a
+  WHERE NOT (a->>'id' = ANY(transaction_account_ids))
+)
+WHERE cardinality(transaction_account_ids) > 0;
+
+ALTER TABLE plaid_items DROP COLUMN IF EXISTS transaction_account_ids;
+
+COMMENT ON COLUMN plaid_items.excluded_account_ids IS 'Plaid account ids whose transactions are not imported';
+COMMENT ON COLUMN plaid_items.last_synced_at IS 'When a member last finished applying a sync';
+COMMENT ON COLUMN plaid_items.last_error IS 'Most recent Plaid error for the item (cleared by a successful sync)';
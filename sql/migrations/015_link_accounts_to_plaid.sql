@@ -0,0 +1,18 @@
+-- Migration: Link Accounts to Plaid
+-- Description: Links accounts rows to Plaid accounts so bank balances (and credit limits) refresh on
+--              every sync. Replaces the savings-only balance list kept on plaid_items.
+-- Date: 2026-10-19
+
+ALTER TABLE accounts
+  ADD COLUMN IF NOT EXISTS plaid_account_id TEXT,
+  ADD COLUMN IF NOT EXISTS plaid_item_id TEXT;
+
+-- One app account per Plaid account within a budget
+CREATE UNIQUE INDEX IF NOT EXISTS idx_accounts_budget_plaid_account
+  ON accounts(budget_id, plaid_account_id)
+  WHERE plaid_account_id IS NOT NULL;
+
+ALTER TABLE plaid_items DROP COLUMN IF EXISTS savings_account_ids;
+
+COMMENT ON COLUMN accounts.plaid_account_id IS 'Plaid account this account is synced from (NULL for manual accounts)';
+COMMENT ON COLUMN accounts.plaid_item_id IS 'Plaid item (bank connection) the linked account belongs to';
@@ -0,0 +1,7 @@
+-- Migration: Add Pending Flag to Transactions
+-- Description: Tracks whether a bank-imported transaction is still pending; the posted transaction later takes over the pending row
+-- Date: 2026-10-19
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS pending BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN transactions.pending IS 'True while the bank reports the transaction as pending (authorized but not yet posted)';
@@ -0,0 +1,111 @@
+-- Migration: Add Categorization Rules
+-- Description: Adds per-budget categorization rules applied to imported and newly added transactions, and a tags column rules can add to
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS categorization_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 100,
+  enabled BOOLEAN NOT NULL DEFAULT true,
+
+  -- Conditions (NULL / empty means "any")
+  match_field TEXT NOT NULL DEFAULT 'any',
+  match_operator TEXT NOT NULL DEFAULT 'contains',
+  pattern TEXT,
+  min_amount DECIMAL(10, 2),
+  max_amount DECIMAL(10, 2),
+  -- A rule scoped to a deleted account is deleted with it rather than widened to every account
+  account_id UUID REFERENCES accounts(id) ON DELETE CASCADE,
+  match_type TEXT,
+
+  -- Actions (NULL / empty means "leave unchanged")
+  set_category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+  set_type TEXT,
+  set_merchant TEXT,
+  set_notes TEXT,
+  add_tags TEXT[] NOT NULL DEFAULT '{}',
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT valid_match_field CHECK (match_field IN ('any', 'description', 'merchant')),
+  CONSTRAINT valid_match_operator CHECK (match_operator IN ('contains', 'regex')),
+  CONSTRAINT valid_match_type CHECK (match_type IS NULL OR match_type IN ('income', 'expense')),
+  CONSTRAINT valid_set_type CHECK (set_type IS NULL OR set_type IN ('income', 'expense')),
+  CONSTRAINT valid_amount_range CHECK (min_amount IS NULL OR max_amount IS NULL OR min_amount <= max_amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_budget_id ON categorization_rules(budget_id, priority);
+
+CREATE OR REPLACE FUNCTION update_categorization_rules_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER categorization_rules_updated_at_trigger
+BEFORE UPDATE ON categorization_rules
+FOR EACH ROW
+EXECUTE FUNCTION update_categorization_rules_updated_at();
+
+-- RLS Policies: any owner or member of the budget can manage its rules
+ALTER TABLE categorization_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY categorization_rules_select_policy ON categorization_rules
+  FOR SELECT
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY categorization_rules_insert_policy ON categorization_rules
+  FOR INSERT
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY categorization_rules_update_policy ON categorization_rules
+  FOR UPDATE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY categorization_rules_delete_policy ON categorization_rules
+  FOR DELETE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON categorization_rules TO authenticated;
+
+-- Tags set by rules (and later edited by hand)
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON TABLE categorization_rules IS 'User-defined rules that categorize transactions; lower priority numbers run first';
+COMMENT ON COLUMN categorization_rules.pattern IS 'Text (contains, case-insensitive) or regular expression matched against description and/or merchant';
+COMMENT ON COLUMN transactions.tags IS 'Free-form labels that cut across categories';
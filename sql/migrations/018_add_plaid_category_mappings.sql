@@ -0,0 +1,88 @@
+-- Migration: Add Plaid Category Mappings
+-- Description: Stores Plaid's personal finance category on bank transactions and adds a per-budget table mapping those categories to the budget's own
+-- Date: 2026-10-19
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS plaid_category_primary TEXT;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS plaid_category_detailed TEXT;
+
+CREATE TABLE IF NOT EXISTS plaid_category_mappings (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  -- A primary code (e.g. FOOD_AND_DRINK) or a detailed code (e.g. FOOD_AND_DRINK_GROCERIES);
+  -- detailed mappings take precedence over their primary
+  plaid_category TEXT NOT NULL,
+  category_id UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT plaid_category_mappings_budget_category_key UNIQUE (budget_id, plaid_category)
+);
+
+CREATE OR REPLACE FUNCTION update_plaid_category_mappings_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER plaid_category_mappings_updated_at_trigger
+BEFORE UPDATE ON plaid_category_mappings
+FOR EACH ROW
+EXECUTE FUNCTION update_plaid_category_mappings_updated_at();
+
+-- RLS Policies: any owner or member of the budget can manage its mappings
+ALTER TABLE plaid_category_mappings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY plaid_category_mappings_select_policy ON plaid_category_mappings
+  FOR SELECT
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY plaid_category_mappings_insert_policy ON plaid_category_mappings
+  FOR INSERT
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY plaid_category_mappings_update_policy ON plaid_category_mappings
+  FOR UPDATE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY plaid_category_mappings_delete_policy ON plaid_category_mappings
+  FOR DELETE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON plaid_category_mappings TO authenticated;
+
+COMMENT ON TABLE plaid_category_mappings IS 'Maps Plaid personal_finance_category codes to budget categories for bank imports';
+COMMENT ON COLUMN transactions.plaid_category_primary IS 'Plaid personal_finance_category.primary for bank-imported transactions';
+COMMENT ON COLUMN transactions.plaid_category_detailed IS 'Plaid personal_finance_category.detailed for bank-imported transactions';
@@ -0,0 +1,122 @@
+-- Migration: Add Transaction Splits
+-- Description: Lets one transaction be split into lines with their own category, amount and note; the lines must sum to the transaction amount
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS transaction_splits (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  transaction_id UUID NOT NULL REFERENCES transactions(id) ON DELETE CASCADE,
+  budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  category_id UUID REFERENCES categories(id) ON DELETE SET NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  notes TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT positive_split_amount CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_transaction_id ON transaction_splits(transaction_id, position);
+CREATE INDEX IF NOT EXISTS idx_transaction_splits_budget_id ON transaction_splits(budget_id);
+
+-- RLS Policies: any owner or member of the budget can read split lines; writes go through
+-- set_transaction_splits, which also requires permission to update the parent transaction
+ALTER TABLE transaction_splits ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY transaction_splits_select_policy ON transaction_splits
+  FOR SELECT
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY transaction_splits_insert_policy ON transaction_splits
+  FOR INSERT
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY transaction_splits_delete_policy ON transaction_splits
+  FOR DELETE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+GRANT SELECT, INSERT, DELETE ON transaction_splits TO authenticated;
+
+-- Replace a transaction's split lines in one statement so the lines never disagree with the
+-- parent amount. An empty array removes the split. The parent's category_id follows the
+-- largest line, so anything reading only category_id still sees a sensible category.
+CREATE OR REPLACE FUNCTION public.set_transaction_splits(p_transaction_id UUID, p_splits JSONB)
+RETURNS VOID
+SECURITY INVOKER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_budget_id UUID;
+  v_amount DECIMAL(10, 2);
+  v_line_count INTEGER := jsonb_array_length(COALESCE(p_splits, '[]'::jsonb));
+  v_total DECIMAL(10, 2);
+BEGIN
+  -- Touching the parent runs its UPDATE policy: no row means no permission
+  UPDATE transactions SET updated_at = NOW()
+  WHERE id = p_transaction_id
+  RETURNING budget_id, amount INTO v_budget_id, v_amount;
+
+  IF v_budget_id IS NULL THEN
+    RAISE EXCEPTION 'Transaction % not found or not editable', p_transaction_id;
+  END IF;
+
+  IF v_line_count = 1 THEN
+    RAISE EXCEPTION 'A split needs at least two lines';
+  END IF;
+
+  IF v_line_count > 1 THEN
+    SELECT SUM((line->>'amount')::DECIMAL(10, 2)) INTO v_total
+    FROM jsonb_array_elements(p_splits) AS line;
+
+    IF v_total <> v_amount THEN
+      RAISE EXCEPTION 'Split lines total % but the transaction is %', v_total, v_amount;
+    END IF;
+  END IF;
+
+  DELETE FROM transaction_splits WHERE transaction_id = p_transaction_id;
+
+  IF v_line_count > 1 THEN
+    INSERT INTO transaction_splits (transaction_id, budget_id, category_id, amount, notes, position)
+    SELECT
+      p_transaction_id,
+      v_budget_id,
+      NULLIF(line->>'category_id', '')::UUID,
+      (line->>'amount')::DECIMAL(10, 2),
+      NULLIF(line->>'notes', ''),
+      (ordinality - 1)::INTEGER
+    FROM jsonb_array_elements(p_splits) WITH ORDINALITY AS lines(line, ordinality);
+
+    UPDATE transactions SET category_id = (
+      SELECT category_id FROM transaction_splits
+      WHERE transaction_id = p_transaction_id
+      ORDER BY amount DESC, position
+      LIMIT 1
+    )
+    WHERE id = p_transaction_id;
+  END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.set_transaction_splits(UUID, JSONB) TO authenticated;
+
+COMMENT ON TABLE transaction_splits IS 'Category lines of a split transaction; they sum to the parent amount and replace its category in spending totals';
+COMMENT ON FUNCTION public.set_transaction_splits(UUID, JSONB) IS
+  'Replaces a transaction''s split lines ([{category_id, amount, notes}], at least two, summing to the amount); an empty array removes the split';
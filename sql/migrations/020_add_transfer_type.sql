@@ -0,0 +1,20 @@
+-- Migration: Add Transfer Transaction Type
+-- Description: Adds a transfer type for money moved between the budget's own accounts, so it no longer counts as income or spending
+-- Date: 2026-10-19
+
+ALTER TYPE transaction_type ADD VALUE IF NOT EXISTS 'transfer';
+
+-- The other side of a transfer. A transfer recorded by hand is one row moving money from
+-- account_id to transfer_account_id (no direction). Bank and file imports keep one row per
+-- account feed, so a detected pair is an 'out' row on the sending account and an 'in' row on
+-- the receiving one.
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS transfer_account_id UUID REFERENCES accounts(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS transfer_direction TEXT;
+
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS valid_transfer_direction;
+ALTER TABLE transactions
+  ADD CONSTRAINT valid_transfer_direction CHECK (transfer_direction IS NULL OR transfer_direction IN ('out', 'in'));
+
+COMMENT ON COLUMN transactions.transfer_account_id IS 'For transfers: the account on the other side of account_id';
+COMMENT ON COLUMN transactions.transfer_direction IS 'For imported transfer pairs: out = money left account_id, in = money arrived in account_id; NULL for a transfer recorded by hand';
@@ -0,0 +1,8 @@
+-- Migration: Index Transaction Tags
+-- Description: Indexes transactions.tags (added with categorization rules in 017) so filtering a budget's transactions by tag stays fast
+-- Date: 2026-10-19
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+-- Supports tags @> ARRAY['vacation-2026'] and tags && ARRAY[...] lookups
+CREATE INDEX IF NOT EXISTS idx_transactions_tags ON transactions USING GIN (tags);
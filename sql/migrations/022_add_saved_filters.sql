@@ -0,0 +1,84 @@
+-- Migration: Add Saved Filters
+-- Description: Adds per-budget smart filters, named transaction search queries any member of the budget can reuse
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS saved_filters (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  query TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT unique_saved_filter_name UNIQUE (budget_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_filters_budget_id ON saved_filters(budget_id);
+
+CREATE OR REPLACE FUNCTION update_saved_filters_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER saved_filters_updated_at_trigger
+BEFORE UPDATE ON saved_filters
+FOR EACH ROW
+EXECUTE FUNCTION update_saved_filters_updated_at();
+
+-- RLS Policies: any owner or member of the budget can manage its smart filters
+ALTER TABLE saved_filters ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY saved_filters_select_policy ON saved_filters
+  FOR SELECT
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY saved_filters_insert_policy ON saved_filters
+  FOR INSERT
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY saved_filters_update_policy ON saved_filters
+  FOR UPDATE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY saved_filters_delete_policy ON saved_filters
+  FOR DELETE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON saved_filters TO authenticated;
+
+COMMENT ON TABLE saved_filters IS 'Named transaction search queries (smart filters), e.g. "Reimbursable" = tag:reimbursable -note:paid';
+COMMENT ON COLUMN saved_filters.query IS 'Search query in the transaction search box syntax';
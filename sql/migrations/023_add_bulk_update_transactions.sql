@@ -0,0 +1,54 @@
+-- Migration: Add Bulk Transaction Updates
+-- Description: Updates many transactions in one statement for bulk edit (and its undo); all rows change or none do
+-- Date: 2026-10-19
+
+-- Each element is {id, ...columns to change}. Only keys present in an element are written, so
+-- rows can get different values (e.g. each keeps its own tags plus one more). Runs as the
+-- caller, so the transactions UPDATE policy applies; if any row is missing or not editable the
+-- whole batch is rolled back.
+CREATE OR REPLACE FUNCTION public.bulk_update_transactions(p_updates JSONB)
+RETURNS SETOF UUID
+SECURITY INVOKER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_requested INTEGER;
+  v_updated UUID[];
+BEGIN
+  SELECT COUNT(DISTINCT (u->>'id')::UUID) INTO v_requested
+  FROM jsonb_array_elements(COALESCE(p_updates, '[]'::jsonb)) AS u;
+
+  WITH changes AS (
+    SELECT DISTINCT ON ((u->>'id')::UUID) (u->>'id')::UUID AS id, u
+    FROM jsonb_array_elements(COALESCE(p_updates, '[]'::jsonb)) AS u
+  ), updated AS (
+    UPDATE transactions t SET
+      category_id = CASE WHEN c.u ? 'category_id' THEN NULLIF(c.u->>'category_id', '')::UUID ELSE t.category_id END,
+      type = CASE WHEN c.u ? 'type' THEN (c.u->>'type')::transaction_type ELSE t.type END,
+      account_id = CASE WHEN c.u ? 'account_id' THEN NULLIF(c.u->>'account_id', '')::UUID ELSE t.account_id END,
+      date = CASE WHEN c.u ? 'date' THEN (c.u->>'date')::DATE ELSE t.date END,
+      notes = CASE WHEN c.u ? 'notes' THEN NULLIF(c.u->>'notes', '') ELSE t.notes END,
+      tags = CASE
+        WHEN c.u ? 'tags' THEN ARRAY(SELECT jsonb_array_elements_text(COALESCE(c.u->'tags', '[]'::jsonb)))
+        ELSE t.tags
+      END,
+      updated_at = NOW()
+    FROM changes c
+    WHERE t.id = c.id
+    RETURNING t.id
+  )
+  SELECT COALESCE(array_agg(id), '{}') INTO v_updated FROM updated;
+
+  IF cardinality(v_updated) <> v_requested THEN
+    RAISE EXCEPTION 'Only % of % transactions could be updated (missing or not editable)', cardinality(v_updated), v_requested;
+  END IF;
+
+  RETURN QUERY SELECT unnest(v_updated);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.bulk_update_transactions(JSONB) TO authenticated;
+
+COMMENT ON FUNCTION public.bulk_update_transactions(JSONB) IS
+  'Updates transactions from [{id, category_id?, type?, account_id?, date?, notes?, tags?}]; only the keys given are changed, and the batch fails as a whole if any row is not editable';
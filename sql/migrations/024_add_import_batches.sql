@@ -0,0 +1,114 @@
+-- Migration: Add Import Batches
+-- Description: Records every CSV, statement file and bank import as a batch its rows point to, so any past import can be reviewed and reverted
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS import_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,
+  file_name TEXT,
+  row_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reverted_at TIMESTAMPTZ,
+
+  CONSTRAINT valid_import_source CHECK (source IN ('csv', 'ofx', 'qif', 'bank'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_import_batches_budget_id ON import_batches(budget_id, created_at DESC);
+
+-- The batch a transaction was imported in (NULL for transactions added by hand)
+ALTER TABLE transactions
+  ADD COLUMN IF NOT EXISTS import_batch_id UUID REFERENCES import_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_import_batch_id ON transactions(import_batch_id)
+  WHERE import_batch_id IS NOT NULL;
+
+-- RLS Policies: any owner or member of the budget can see its import history and record
+-- their own imports; reverting goes through revert_import_batch, which deletes the rows
+-- under the transactions DELETE policy
+ALTER TABLE import_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY import_batches_select_policy ON import_batches
+  FOR SELECT
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY import_batches_insert_policy ON import_batches
+  FOR INSERT
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    ) AND
+    user_id = auth.uid()
+  );
+
+CREATE POLICY import_batches_update_policy ON import_batches
+  FOR UPDATE
+  USING (
+    user_id = auth.uid()
+    OR budget_id IN (SELECT id FROM budgets WHERE owner_id = auth.uid())
+    OR budget_id IN (
+      SELECT budget_id FROM budget_members
+      WHERE user_id = auth.uid() AND role = 'admin'
+    )
+  );
+
+CREATE POLICY import_batches_delete_policy ON import_batches
+  FOR DELETE
+  USING (
+    user_id = auth.uid()
+    OR budget_id IN (SELECT id FROM budgets WHERE owner_id = auth.uid())
+    OR budget_id IN (
+      SELECT budget_id FROM budget_members
+      WHERE user_id = auth.uid() AND role = 'admin'
+    )
+  );
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON import_batches TO authenticated;
+
+-- Delete every transaction still in a batch and mark the batch reverted, in one statement.
+-- Runs as the caller: if any of the rows can't be deleted by them, nothing is deleted.
+CREATE OR REPLACE FUNCTION public.revert_import_batch(p_batch_id UUID)
+RETURNS INTEGER
+SECURITY INVOKER
+SET search_path = public
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_remaining INTEGER;
+  v_deleted INTEGER;
+BEGIN
+  -- Touching the batch runs its UPDATE policy: no row means no permission (or already reverted)
+  UPDATE import_batches SET reverted_at = NOW()
+  WHERE id = p_batch_id AND reverted_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Import % not found, already reverted, or not yours to revert', p_batch_id;
+  END IF;
+
+  SELECT COUNT(*) INTO v_remaining FROM transactions WHERE import_batch_id = p_batch_id;
+
+  DELETE FROM transactions WHERE import_batch_id = p_batch_id;
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+
+  IF v_deleted <> v_remaining THEN
+    RAISE EXCEPTION 'Only % of % imported transactions could be deleted', v_deleted, v_remaining;
+  END IF;
+
+  RETURN v_deleted;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.revert_import_batch(UUID) TO authenticated;
+
+COMMENT ON TABLE import_batches IS 'One row per import (CSV, OFX/QFX/QIF file, or bank sync that added transactions); its transactions point back via import_batch_id';
+COMMENT ON COLUMN import_batches.row_count IS 'Transactions inserted by the import (rows deleted or reverted later are not subtracted)';
+COMMENT ON FUNCTION public.revert_import_batch(UUID) IS 'Deletes the transactions still in an import batch and marks it reverted; returns the number deleted';
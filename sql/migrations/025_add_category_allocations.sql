@@ -0,0 +1,122 @@
+-- Migration: Add Category Allocations
+-- Description: Adds an optional zero-based (envelope) budgeting mode per budget, with the amount assigned to each category each month and a per-month category activity summary for rollover
+-- Date: 2026-10-19
+
+-- standard: each category has a flat monthly_budget and every month starts fresh
+-- zero_based: income is assigned to categories each month and what's left in a category rolls over
+ALTER TABLE budgets
+  ADD COLUMN IF NOT EXISTS budgeting_mode TEXT NOT NULL DEFAULT 'standard';
+
+ALTER TABLE budgets DROP CONSTRAINT IF EXISTS valid_budgeting_mode;
+ALTER TABLE budgets
+  ADD CONSTRAINT valid_budgeting_mode CHECK (budgeting_mode IN ('standard', 'zero_based'));
+
+CREATE TABLE IF NOT EXISTS category_allocations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  category_id UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  -- First day of the month the amount is assigned in
+  month DATE NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT category_allocations_month_start CHECK (EXTRACT(DAY FROM month) = 1),
+  CONSTRAINT category_allocations_budget_category_month_key UNIQUE (budget_id, category_id, month)
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_allocations_budget_month ON category_allocations(budget_id, month);
+
+CREATE OR REPLACE FUNCTION update_category_allocations_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER category_allocations_updated_at_trigger
+BEFORE UPDATE ON category_allocations
+FOR EACH ROW
+EXECUTE FUNCTION update_category_allocations_updated_at();
+
+-- RLS Policies: any owner or member of the budget can assign money (same as managing categories)
+ALTER TABLE category_allocations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY category_allocations_select_policy ON category_allocations
+  FOR SELECT
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY category_allocations_insert_policy ON category_allocations
+  FOR INSERT
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY category_allocations_update_policy ON category_allocations
+  FOR UPDATE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY category_allocations_delete_policy ON category_allocations
+  FOR DELETE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON category_allocations TO authenticated;
+
+-- Income and spending per month and category for transactions dated before p_before, with split
+-- lines attributed to their own categories. The dashboard only loads recent transactions, so
+-- rollover balances take the older months from here.
+CREATE OR REPLACE FUNCTION public.get_category_activity(p_budget_id UUID, p_before DATE)
+RETURNS TABLE (month DATE, category_id UUID, type TEXT, total DECIMAL)
+SECURITY INVOKER
+SET search_path = public
+STABLE
+LANGUAGE sql
+AS $$
+  SELECT
+    date_trunc('month', t.date)::DATE AS month,
+    COALESCE(s.category_id, t.category_id) AS category_id,
+    t.type::TEXT AS type,
+    SUM(COALESCE(s.amount, t.amount)) AS total
+  FROM transactions t
+  LEFT JOIN transaction_splits s ON s.transaction_id = t.id
+  WHERE t.budget_id = p_budget_id
+    AND t.date < p_before
+    AND t.type IN ('income', 'expense')
+  GROUP BY 1, 2, 3;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.get_category_activity(UUID, DATE) TO authenticated;
+
+COMMENT ON COLUMN budgets.budgeting_mode IS 'standard: flat monthly_budget per category; zero_based: income is assigned to categories each month (category_allocations) and balances roll over';
+COMMENT ON TABLE category_allocations IS 'Amount assigned to a category for a month in zero-based budgets';
+COMMENT ON FUNCTION public.get_category_activity(UUID, DATE) IS 'Income and expense totals per month and category (split lines by their own category) for transactions before a date';
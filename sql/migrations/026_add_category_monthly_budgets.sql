@@ -0,0 +1,89 @@
+-- Migration: Add Category Monthly Budgets
+-- Description: Keeps each category's budget per month, so changing a budget applies from a month onward instead of rewriting past months
+-- Date: 2026-10-19
+
+-- A row sets the category's budget from its month onward, until the next row for the category.
+-- categories.monthly_budget stays the latest amount (used where a category has no rows yet).
+CREATE TABLE IF NOT EXISTS category_monthly_budgets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  budget_id UUID NOT NULL REFERENCES budgets(id) ON DELETE CASCADE,
+  category_id UUID NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  -- First day of the month the amount applies from
+  month DATE NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT category_monthly_budgets_month_start CHECK (EXTRACT(DAY FROM month) = 1),
+  CONSTRAINT category_monthly_budgets_amount_non_negative CHECK (amount >= 0),
+  CONSTRAINT category_monthly_budgets_budget_category_month_key UNIQUE (budget_id, category_id, month)
+);
+
+CREATE INDEX IF NOT EXISTS idx_category_monthly_budgets_budget_month ON category_monthly_budgets(budget_id, month);
+
+CREATE OR REPLACE FUNCTION update_category_monthly_budgets_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER category_monthly_budgets_updated_at_trigger
+BEFORE UPDATE ON category_monthly_budgets
+FOR EACH ROW
+EXECUTE FUNCTION update_category_monthly_budgets_updated_at();
+
+-- RLS Policies: any owner or member of the budget can set budgets (same as managing categories)
+ALTER TABLE category_monthly_budgets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY category_monthly_budgets_select_policy ON category_monthly_budgets
+  FOR SELECT
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY category_monthly_budgets_insert_policy ON category_monthly_budgets
+  FOR INSERT
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY category_monthly_budgets_update_policy ON category_monthly_budgets
+  FOR UPDATE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  )
+  WITH CHECK (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+CREATE POLICY category_monthly_budgets_delete_policy ON category_monthly_budgets
+  FOR DELETE
+  USING (
+    budget_id IN (
+      SELECT id FROM budgets WHERE owner_id = auth.uid()
+      UNION
+      SELECT budget_id FROM budget_members WHERE user_id = auth.uid()
+    )
+  );
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON category_monthly_budgets TO authenticated;
+
+COMMENT ON TABLE category_monthly_budgets IS 'Category budget amounts by month; each row applies from its month until the next row for the category';
@@ -0,0 +1,51 @@
+-- Migration: Restrict Transaction Split Writes
+-- Description: Only people who can edit a transaction can add or remove its split lines, and a line must belong to the same budget as its transaction
+-- Date: 2026-10-19
+
+-- The policies from 019 let any budget member insert or delete split rows directly, which
+-- skipped the parent's UPDATE policy (creator, budget owner or admin member) that
+-- set_transaction_splits relies on. Tie both writes to the parent transaction instead, using
+-- the same rule as the transactions UPDATE policy.
+DROP POLICY IF EXISTS transaction_splits_insert_policy ON transaction_splits;
+DROP POLICY IF EXISTS transaction_splits_delete_policy ON transaction_splits;
+
+CREATE POLICY transaction_splits_insert_policy ON transaction_splits
+  FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM transactions t
+      WHERE t.id = transaction_splits.transaction_id
+        AND t.budget_id = transaction_splits.budget_id
+        AND (
+          t.user_id = auth.uid()
+          OR t.budget_id IN (SELECT id FROM budgets WHERE owner_id = auth.uid())
+          OR t.budget_id IN (
+            SELECT budget_id FROM budget_members
+            WHERE user_id = auth.uid() AND role = 'admin'
+          )
+        )
+    )
+  );
+
+CREATE POLICY transaction_splits_delete_policy ON transaction_splits
+  FOR DELETE
+  USING (
+    EXISTS (
+      SELECT 1 FROM transactions t
+      WHERE t.id = transaction_splits.transaction_id
+        AND t.budget_id = transaction_splits.budget_id
+        AND (
+          t.user_id = auth.uid()
+          OR t.budget_id IN (SELECT id FROM budgets WHERE owner_id = auth.uid())
+          OR t.budget_id IN (
+            SELECT budget_id FROM budget_members
+            WHERE user_id = auth.uid() AND role = 'admin'
+          )
+        )
+    )
+  );
+
+COMMENT ON POLICY transaction_splits_insert_policy ON transaction_splits IS
+  'Split lines can only be added to transactions in the same budget that the user can edit (see set_transaction_splits)';
+COMMENT ON POLICY transaction_splits_delete_policy ON transaction_splits IS
+  'Split lines can only be removed from transactions the user can edit';